@@ -1,34 +1,125 @@
+/**
+ * Admin Authorization Middleware
+ *
+ * Admins are accounts in admin_users (separate from marketplace users). Each
+ * admin has one role and each role grants a fixed set of permissions. Admin
+ * routes declare the permission they need:
+ *
+ *   router.get("/admin/kyc", authMiddleware, requirePermission("kyc.review"), ...)
+ *
+ * The admin row is re-read on every request, so deactivating an admin or
+ * changing their role takes effect immediately. Admin tokens are only issued
+ * after TOTP 2FA, and tokens without the `mfa` claim are refused.
+ */
+
 import dotenv from "dotenv";
 import db from "../db.js";
 
 dotenv.config();
 
-const adminMiddleware = async (req, res, next) => {
-  try {
-    if (
-      req.user?.isAdmin === true ||
-      req.user?.email === process.env.ADMIN_EMAIL
-    ) {
-      return next();
-    }
+export const ADMIN_PERMISSIONS = [
+  "stats.view",
+  "users.view",
+  "users.moderate",
+  "reports.manage",
+  "listings.moderate",
+  "requests.moderate",
+  "reviews.moderate",
+  "categories.manage",
+  "kyc.review",
+  "disputes.manage",
+  "broadcast.send",
+  "exchange_rates.manage",
+  "admins.manage",
+];
 
-    if (req.user?.id) {
-      const result = await db.query("SELECT role FROM users WHERE id = $1", [
-        req.user.id,
-      ]);
+export const ADMIN_ROLES = {
+  super_admin: ADMIN_PERMISSIONS,
+  moderator: [
+    "stats.view",
+    "users.view",
+    "users.moderate",
+    "reports.manage",
+    "listings.moderate",
+    "requests.moderate",
+    "reviews.moderate",
+  ],
+  kyc_reviewer: ["users.view", "kyc.review"],
+  finance: [
+    "stats.view",
+    "users.view",
+    "disputes.manage",
+    "exchange_rates.manage",
+  ],
+};
 
-      if (result.rows.length > 0 && result.rows[0].role === "admin") {
-        return next();
-      }
-    }
+export const roleHasPermission = (role, permission) =>
+  Boolean(ADMIN_ROLES[role]?.includes(permission));
 
-    return res.status(403).json({
+const loadAdmin = async (req, res) => {
+  if (!req.user?.adminId) {
+    res.status(403).json({
       error: "Access denied. Admin privileges required.",
     });
+    return null;
+  }
+
+  if (req.user.mfa !== true) {
+    res.status(403).json({
+      error: "Two-factor authentication is required for admin access.",
+      twoFactorRequired: true,
+    });
+    return null;
+  }
+
+  const result = await db.query(
+    "SELECT id, email, name, role, is_active FROM admin_users WHERE id = $1",
+    [req.user.adminId],
+  );
+  const admin = result.rows[0];
+
+  if (!admin || !admin.is_active) {
+    res.status(403).json({
+      error: "Access denied. Admin account is inactive.",
+    });
+    return null;
+  }
+
+  return admin;
+};
+
+/** Any active admin, whatever their role (e.g. "who am I" endpoints). */
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return;
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error("Admin check error:", error);
+    return res.status(500).json({ error: "Authorization check failed" });
+  }
+};
+
+/** An active admin whose role grants `permission`. */
+export const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return;
+
+    if (!roleHasPermission(admin.role, permission)) {
+      return res.status(403).json({
+        error: "Access denied. Your admin role does not allow this action.",
+        requiredPermission: permission,
+      });
+    }
+
+    req.admin = admin;
+    next();
   } catch (error) {
     console.error("Admin check error:", error);
     return res.status(500).json({ error: "Authorization check failed" });
   }
 };
 
-export default adminMiddleware;
+export default requirePermission;
@@ -1,8 +1,9 @@
 import dotenv from "dotenv";
 dotenv.config();
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../utils/sessions.js";
 
-export default function authMiddleware(req, res, next) {
+export default async function authMiddleware(req, res, next) {
   let token = null;
   const debugAuth =
     process.env.NODE_ENV !== "production" && process.env.DEBUG_AUTH === "true";
@@ -53,17 +54,38 @@ export default function authMiddleware(req, res, next) {
     return res.status(401).json({ message: "Unauthorized: No token provided" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
     if (debugAuth) {
       console.log("Token verified");
     }
-    req.user = decoded;
-    next();
   } catch (error) {
     if (debugAuth) {
       console.log("Token verification failed:", error.message);
     }
     return res.status(401).json({ message: "Unauthorized: Invalid token" });
   }
+
+  // User tokens carry a session id; reject them once that session is revoked
+  if (decoded.sid) {
+    try {
+      const active = await isSessionActive(decoded.id, decoded.sid);
+      if (!active) {
+        if (debugAuth) {
+          console.log("Session revoked or expired - returning 401");
+        }
+        return res.status(401).json({
+          message: "Unauthorized: Session revoked",
+          sessionRevoked: true,
+        });
+      }
+    } catch (error) {
+      console.error("Session check error:", error);
+      return res.status(500).json({ message: "Authorization check failed" });
+    }
+  }
+
+  req.user = decoded;
+  next();
 }
@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 dotenv.config();
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../utils/sessions.js";
 
 /**
  * Optional authentication middleware.
@@ -9,7 +10,7 @@ import jwt from "jsonwebtoken";
  * Never returns 401 — designed for public routes that benefit from user context
  * when available (e.g. listing detail: view-count tracking, personalisation).
  */
-export default function optionalAuthMiddleware(req, _res, next) {
+export default async function optionalAuthMiddleware(req, _res, next) {
   let token = null;
 
   if (req.headers.authorization) {
@@ -32,9 +33,12 @@ export default function optionalAuthMiddleware(req, _res, next) {
 
   if (token) {
     try {
-      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (!decoded.sid || (await isSessionActive(decoded.id, decoded.sid))) {
+        req.user = decoded;
+      }
     } catch {
-      // Invalid / expired token — treat as unauthenticated, continue.
+      // Invalid / expired token or revoked session — treat as unauthenticated, continue.
     }
   }
 
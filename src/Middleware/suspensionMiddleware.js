@@ -32,7 +32,7 @@ export const getUserSuspensionStatus = async (userId) => {
                 s.starts_at,
                 s.ends_at,
                 s.is_active,
-                a.username as suspended_by_username,
+                a.name as suspended_by_name,
                 -- Check if there's a pending appeal
                 (
                     SELECT COUNT(*) 
@@ -42,7 +42,7 @@ export const getUserSuspensionStatus = async (userId) => {
                     AND status = 'pending'
                 ) as pending_appeals
             FROM account_suspensions s
-            LEFT JOIN users a ON s.suspended_by = a.id
+            LEFT JOIN admin_users a ON s.suspended_by = a.id
             WHERE s.user_id = $1
             AND s.is_active = true
             AND (
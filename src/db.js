@@ -1,5 +1,6 @@
 import dotenv from "dotenv";
 import { Pool } from "pg";
+import { TRIGRAM_THRESHOLD } from "./utils/listingSearch.js";
 dotenv.config();
 
 const useSsl =
@@ -18,4 +19,14 @@ const db = new Pool({
   connectionTimeoutMillis: 20000,
 });
 
+// Typo-tolerant listing search filters with the `<%` operator, which reads
+// its cut-off from the session
+db.on("connect", (client) => {
+  client
+    .query(`SET pg_trgm.word_similarity_threshold = ${TRIGRAM_THRESHOLD}`)
+    .catch((err) =>
+      console.error("[db] could not set trigram threshold:", err.message),
+    );
+});
+
 export default db;
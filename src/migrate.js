@@ -120,6 +120,830 @@ const migrations = [
       $$;
     `,
   },
+  {
+    name: "004_create_user_sessions_table",
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.user_sessions (
+        id                  SERIAL PRIMARY KEY,
+        user_id             INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash  VARCHAR(64) NOT NULL UNIQUE,
+        previous_token_hash VARCHAR(64),
+        user_agent          TEXT,
+        ip_address          VARCHAR(64),
+        created_at          TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_seen_at        TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at          TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at          TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx
+        ON public.user_sessions (user_id);
+
+      CREATE INDEX IF NOT EXISTS user_sessions_previous_token_hash_idx
+        ON public.user_sessions (previous_token_hash);
+    `,
+  },
+  {
+    name: "005_create_two_factor_tables",
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.user_two_factor (
+        user_id        INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret         VARCHAR(64),
+        pending_secret VARCHAR(64),
+        enabled_at     TIMESTAMP WITH TIME ZONE,
+        last_used_step BIGINT,
+        created_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS public.two_factor_recovery_codes (
+        id         SERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash  VARCHAR(64) NOT NULL,
+        used_at    TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS two_factor_recovery_codes_user_id_idx
+        ON public.two_factor_recovery_codes (user_id);
+
+      CREATE TABLE IF NOT EXISTS public.two_factor_challenges (
+        id         SERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        attempts   INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at    TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      ALTER TABLE public.user_sessions
+        ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+  },
+  {
+    name: "006_create_admin_users_table",
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.admin_users (
+        id                  SERIAL PRIMARY KEY,
+        email               VARCHAR(255) NOT NULL,
+        name                VARCHAR(255),
+        password_hash       TEXT NOT NULL,
+        role                VARCHAR(30) NOT NULL DEFAULT 'moderator',
+        is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+        totp_secret         VARCHAR(64),
+        totp_pending_secret VARCHAR(64),
+        last_totp_step      BIGINT,
+        last_login_at       TIMESTAMP WITH TIME ZONE,
+        created_by          INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        created_at          TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at          TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT admin_users_role_check CHECK (
+          role IN ('super_admin', 'moderator', 'kyc_reviewer', 'finance')
+        )
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS admin_users_email_lower_idx
+        ON public.admin_users (LOWER(email));
+    `,
+  },
+  {
+    name: "007_create_login_events_and_lockout",
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.login_events (
+        id             SERIAL PRIMARY KEY,
+        user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        success        BOOLEAN NOT NULL,
+        failure_reason VARCHAR(50),
+        ip_address     VARCHAR(64),
+        user_agent     TEXT,
+        device_hash    VARCHAR(64),
+        country        VARCHAR(2),
+        new_device     BOOLEAN DEFAULT FALSE,
+        new_country    BOOLEAN DEFAULT FALSE,
+        created_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS login_events_user_id_created_at_idx
+        ON public.login_events (user_id, created_at DESC);
+
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+    `,
+  },
+  {
+    name: "008_create_data_exports_table",
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.data_exports (
+        id           SERIAL PRIMARY KEY,
+        user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status       VARCHAR(20) NOT NULL DEFAULT 'pending',
+        archive      BYTEA,
+        archive_size INTEGER,
+        token_hash   VARCHAR(64),
+        error        TEXT,
+        created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        started_at   TIMESTAMP WITH TIME ZONE,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        expires_at   TIMESTAMP WITH TIME ZONE,
+        downloaded_at TIMESTAMP WITH TIME ZONE,
+
+        CONSTRAINT data_exports_status_check CHECK (
+          status IN ('pending', 'processing', 'ready', 'failed', 'expired')
+        )
+      );
+
+      CREATE INDEX IF NOT EXISTS data_exports_user_id_idx
+        ON public.data_exports (user_id);
+
+      CREATE INDEX IF NOT EXISTS data_exports_status_idx
+        ON public.data_exports (status);
+    `,
+  },
+  {
+    name: "009_add_account_deletion_columns",
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at  TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at             TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS momo_phone             VARCHAR(30);
+
+      CREATE INDEX IF NOT EXISTS users_deletion_scheduled_for_idx
+        ON public.users (deletion_scheduled_for)
+        WHERE deletion_scheduled_for IS NOT NULL;
+    `,
+  },
+  {
+    name: "010_add_email_change_to_email_verifications",
+    sql: `
+      -- 'signup' rows are the original verify-email links. Email changes add
+      -- an 'email_change' row (sent to the new address) and an
+      -- 'email_change_revert' row (sent to the old one).
+      ALTER TABLE public.email_verifications
+        ADD COLUMN IF NOT EXISTS purpose VARCHAR(30) NOT NULL DEFAULT 'signup';
+      ALTER TABLE public.email_verifications
+        ADD COLUMN IF NOT EXISTS old_email VARCHAR(255);
+      ALTER TABLE public.email_verifications
+        ADD COLUMN IF NOT EXISTS new_email VARCHAR(255);
+    `,
+  },
+  {
+    name: "011_create_phone_verifications",
+    sql: `
+      -- One row per SMS code sent. target is which number is being verified:
+      -- 'account' (users.phone) or 'momo' (users.momo_phone).
+      CREATE TABLE IF NOT EXISTS public.phone_verifications (
+        id          SERIAL PRIMARY KEY,
+        user_id     INTEGER NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+        phone       VARCHAR(30) NOT NULL,
+        target      VARCHAR(20) NOT NULL CHECK (target IN ('account', 'momo')),
+        code_hash   VARCHAR(64) NOT NULL,
+        attempts    INTEGER NOT NULL DEFAULT 0,
+        expires_at  TIMESTAMP WITH TIME ZONE NOT NULL,
+        verified_at TIMESTAMP WITH TIME ZONE,
+        created_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS phone_verifications_user_created_idx
+        ON public.phone_verifications (user_id, created_at DESC);
+
+      -- Set when the number in the matching column was confirmed by SMS;
+      -- cleared whenever that number is changed without a code.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at      TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS momo_phone             VARCHAR(30);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS momo_phone_verified_at TIMESTAMP WITH TIME ZONE;
+    `,
+  },
+  {
+    name: "012_create_listing_search_index",
+    sql: `
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+      CREATE EXTENSION IF NOT EXISTS unaccent;
+
+      -- Search document per listing, kept in its own table so "SELECT l.*"
+      -- elsewhere doesn't start returning a tsvector. Every word is indexed
+      -- with both the English and the French stemmer (plus unstemmed, for
+      -- brand names and towns), accents stripped.
+      CREATE TABLE IF NOT EXISTS public.listing_search (
+        listing_id  INTEGER PRIMARY KEY REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        document    TSVECTOR NOT NULL,
+        title_norm  TEXT NOT NULL DEFAULT ''
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_search_document_idx
+        ON public.listing_search USING GIN (document);
+      CREATE INDEX IF NOT EXISTS listing_search_title_trgm_idx
+        ON public.listing_search USING GIN (title_norm gin_trgm_ops);
+
+      CREATE OR REPLACE FUNCTION public.listing_search_vector(txt TEXT, weight "char")
+      RETURNS TSVECTOR LANGUAGE sql STABLE AS $$
+        SELECT setweight(to_tsvector('english', unaccent(COALESCE(txt, ''))), weight)
+            || setweight(to_tsvector('french', unaccent(COALESCE(txt, ''))), weight)
+            || setweight(to_tsvector('simple', unaccent(COALESCE(txt, ''))), weight)
+      $$;
+
+      CREATE OR REPLACE FUNCTION public.refresh_listing_search(lid INTEGER)
+      RETURNS VOID LANGUAGE sql AS $$
+        INSERT INTO public.listing_search (listing_id, document, title_norm)
+        SELECT l.id,
+               listing_search_vector(l.title, 'A')
+            || listing_search_vector(c.name, 'B')
+            || listing_search_vector(array_to_string(l.tags, ' '), 'B')
+            || listing_search_vector(l.city, 'B')
+            || listing_search_vector(l.description, 'C'),
+               lower(unaccent(COALESCE(l.title, '')))
+        FROM public.userlistings l
+        LEFT JOIN public.categories c ON c.id = l.categoryid
+        WHERE l.id = lid
+        ON CONFLICT (listing_id) DO UPDATE
+          SET document = EXCLUDED.document, title_norm = EXCLUDED.title_norm
+      $$;
+
+      CREATE OR REPLACE FUNCTION public.userlistings_search_trigger()
+      RETURNS TRIGGER LANGUAGE plpgsql AS $$
+      BEGIN
+        PERFORM refresh_listing_search(NEW.id);
+        RETURN NULL;
+      END
+      $$;
+
+      DROP TRIGGER IF EXISTS userlistings_search_refresh ON public.userlistings;
+      CREATE TRIGGER userlistings_search_refresh
+        AFTER INSERT OR UPDATE OF title, description, city, tags, categoryid
+        ON public.userlistings
+        FOR EACH ROW EXECUTE FUNCTION userlistings_search_trigger();
+
+      -- Renaming a category changes what its listings match
+      CREATE OR REPLACE FUNCTION public.categories_search_trigger()
+      RETURNS TRIGGER LANGUAGE plpgsql AS $$
+      BEGIN
+        PERFORM refresh_listing_search(l.id)
+        FROM public.userlistings l WHERE l.categoryid = NEW.id;
+        RETURN NULL;
+      END
+      $$;
+
+      DROP TRIGGER IF EXISTS categories_search_refresh ON public.categories;
+      CREATE TRIGGER categories_search_refresh
+        AFTER UPDATE OF name ON public.categories
+        FOR EACH ROW EXECUTE FUNCTION categories_search_trigger();
+
+      -- Backfill
+      SELECT refresh_listing_search(id) FROM public.userlistings;
+    `,
+  },
+  {
+    name: "013_add_listing_coordinates",
+    sql: `
+      -- Optional WGS84 position. Filled from the client or, failing that,
+      -- geocoded from the city via the bundled gazetteer (utils/geo.js).
+      ALTER TABLE public.userlistings ADD COLUMN IF NOT EXISTS latitude  DOUBLE PRECISION;
+      ALTER TABLE public.userlistings ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+      CREATE INDEX IF NOT EXISTS userlistings_lat_lng_idx
+        ON public.userlistings (latitude, longitude)
+        WHERE latitude IS NOT NULL;
+
+      -- buyer_requests is created lazily by routes/requests.js, which adds
+      -- the same columns itself when the table doesn't exist yet
+      ALTER TABLE IF EXISTS public.buyer_requests ADD COLUMN IF NOT EXISTS latitude  DOUBLE PRECISION;
+      ALTER TABLE IF EXISTS public.buyer_requests ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+    `,
+  },
+  {
+    name: "014_create_category_attributes",
+    sql: `
+      -- Per-category listing fields defined by admins, e.g. mileage for cars
+      -- or storage for phones. See utils/listingAttributes.js.
+      CREATE TABLE IF NOT EXISTS public.category_attributes (
+        id             SERIAL PRIMARY KEY,
+        category_id    INTEGER NOT NULL REFERENCES public.categories(id) ON DELETE CASCADE,
+        key            VARCHAR(50)  NOT NULL,
+        label          VARCHAR(100) NOT NULL,
+        type           VARCHAR(20)  NOT NULL
+                         CHECK (type IN ('text', 'number', 'boolean', 'select')),
+        unit           VARCHAR(20),
+        allowed_values JSONB,
+        required       BOOLEAN NOT NULL DEFAULT FALSE,
+        sort_order     INTEGER NOT NULL DEFAULT 0,
+        created_at     TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        UNIQUE (category_id, key)
+      );
+
+      -- Values keyed by category_attributes.key
+      ALTER TABLE public.userlistings
+        ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}'::jsonb;
+      CREATE INDEX IF NOT EXISTS userlistings_attributes_idx
+        ON public.userlistings USING GIN (attributes jsonb_path_ops);
+    `,
+  },
+  {
+    name: "015_add_category_hierarchy",
+    sql: `
+      -- categories.parentid has been in the schema since the start but was
+      -- never used; it now makes categories a tree of any depth
+      ALTER TABLE public.categories ADD COLUMN IF NOT EXISTS parentid INTEGER
+        REFERENCES public.categories(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS categories_parentid_idx
+        ON public.categories (parentid);
+
+      DO $$ BEGIN
+        ALTER TABLE public.categories
+          ADD CONSTRAINT categories_parentid_not_self CHECK (parentid <> id);
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+
+      -- The given categories and all of their descendants. UNION (not
+      -- UNION ALL) stops the recursion should a cycle ever slip in.
+      CREATE OR REPLACE FUNCTION public.category_subtree(root_ids INTEGER[])
+      RETURNS SETOF INTEGER LANGUAGE sql STABLE AS $fn$
+        WITH RECURSIVE tree AS (
+          SELECT id FROM public.categories WHERE id = ANY(root_ids)
+          UNION
+          SELECT c.id FROM public.categories c JOIN tree t ON c.parentid = t.id
+        )
+        SELECT id FROM tree
+      $fn$;
+    `,
+  },
+  {
+    name: "016_add_listing_inventory",
+    sql: `
+      -- Stock still for sale; see utils/inventory.js
+      ALTER TABLE public.userlistings
+        ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE public.orders
+        ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+
+      DO $$ BEGIN
+        ALTER TABLE public.userlistings
+          ADD CONSTRAINT userlistings_quantity_check CHECK (quantity >= 0);
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+      DO $$ BEGIN
+        ALTER TABLE public.orders
+          ADD CONSTRAINT orders_quantity_check CHECK (quantity > 0);
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+
+      -- Single items that are already sold or paid for have no stock left
+      UPDATE public.userlistings SET quantity = 0
+      WHERE status IN ('Sold', 'In Escrow') AND quantity = 1;
+    `,
+  },
+  {
+    name: "017_create_listing_revisions",
+    sql: `
+      -- One row per owner edit of a listing; see utils/listingRevisions.js
+      CREATE TABLE IF NOT EXISTS public.listing_revisions (
+        id              SERIAL PRIMARY KEY,
+        listing_id      INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        editor_id       INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+        changes         JSONB   NOT NULL,  -- { field: { from, to } }
+        requires_review BOOLEAN NOT NULL DEFAULT FALSE,
+        review_status   VARCHAR(20) NOT NULL DEFAULT 'not_required'
+                          CHECK (review_status IN ('not_required', 'pending', 'approved', 'reverted', 'rejected')),
+        reverted_fields TEXT[]  NOT NULL DEFAULT '{}',
+        reviewed_by     INTEGER REFERENCES public.admin_users(id) ON DELETE SET NULL,
+        reviewed_at     TIMESTAMP WITH TIME ZONE,
+        review_notes    TEXT,
+        created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_revisions_listing_idx
+        ON public.listing_revisions (listing_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS listing_revisions_pending_idx
+        ON public.listing_revisions (listing_id) WHERE review_status = 'pending';
+    `,
+  },
+  {
+    name: "018_create_listing_videos",
+    sql: `
+      -- One short walkaround video per listing; see utils/listingVideos.js
+      CREATE TABLE IF NOT EXISTS public.listing_videos (
+        id                SERIAL PRIMARY KEY,
+        listing_id        INTEGER NOT NULL UNIQUE REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        video_url         TEXT    NOT NULL,
+        thumbnail_url     TEXT,
+        public_id         TEXT    NOT NULL,  -- Cloudinary id, for deletion
+        duration_seconds  NUMERIC(6,2),
+        size_bytes        INTEGER,
+        moderation_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                            CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+        rejection_reason  TEXT,
+        reviewed_by       INTEGER REFERENCES public.admin_users(id) ON DELETE SET NULL,
+        reviewed_at       TIMESTAMP WITH TIME ZONE,
+        created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_videos_pending_idx
+        ON public.listing_videos (created_at) WHERE moderation_status = 'pending';
+    `,
+  },
+  {
+    name: "019_add_image_perceptual_hashes",
+    sql: `
+      -- 64-bit dHash per listing photo; see utils/imageHash.js
+      ALTER TABLE public.imagelistings
+        ADD COLUMN IF NOT EXISTS phash BIT(64);
+
+      CREATE TABLE IF NOT EXISTS public.listing_image_matches (
+        id                 SERIAL PRIMARY KEY,
+        listing_id         INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        image_id           INTEGER NOT NULL REFERENCES public.imagelistings(id) ON DELETE CASCADE,
+        matched_listing_id INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        matched_image_id   INTEGER NOT NULL REFERENCES public.imagelistings(id) ON DELETE CASCADE,
+        distance           SMALLINT NOT NULL,  -- differing hash bits
+        same_seller        BOOLEAN  NOT NULL,
+        created_at         TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        UNIQUE (image_id, matched_image_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_image_matches_listing_idx
+        ON public.listing_image_matches (listing_id);
+    `,
+  },
+  {
+    name: "020_create_listing_boosts",
+    sql: `
+      -- Paid featured placement; see utils/boosts.js
+      CREATE TABLE IF NOT EXISTS public.listing_boosts (
+        id                SERIAL PRIMARY KEY,
+        listing_id        INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        user_id           INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+        product           VARCHAR(30) NOT NULL,
+        amount            INTEGER NOT NULL,
+        currency          VARCHAR(3) NOT NULL DEFAULT 'XAF',
+        starts_at         TIMESTAMP WITH TIME ZONE NOT NULL,
+        ends_at           TIMESTAMP WITH TIME ZONE NOT NULL,
+        status            VARCHAR(20) NOT NULL DEFAULT 'active'
+                          CHECK (status IN ('active', 'cancelled')),
+        fonlok_invoice_id VARCHAR(255),
+        impressions       INTEGER NOT NULL DEFAULT 0,
+        clicks            INTEGER NOT NULL DEFAULT 0,
+        created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_boosts_listing_idx
+        ON public.listing_boosts (listing_id, ends_at);
+      CREATE INDEX IF NOT EXISTS listing_boosts_user_idx
+        ON public.listing_boosts (user_id);
+
+      -- Boost purchases show up in the wallet history
+      DO $$
+      BEGIN
+        IF to_regclass('public.wallet_transactions') IS NOT NULL THEN
+          ALTER TABLE public.wallet_transactions
+            DROP CONSTRAINT IF EXISTS wallet_transactions_type_check;
+          ALTER TABLE public.wallet_transactions
+            ADD CONSTRAINT wallet_transactions_type_check
+            CHECK (type IN ('deposit', 'withdrawal', 'escrow_pay', 'boost'));
+        END IF;
+      END $$;
+    `,
+  },
+  {
+    name: "021_add_listing_lifetimes",
+    sql: `
+      -- Days a listing stays live; NULL inherits from the parent category,
+      -- and the default applies when no ancestor sets one (utils/listingExpiry.js)
+      ALTER TABLE public.categories
+        ADD COLUMN IF NOT EXISTS listing_lifetime_days INTEGER
+        CHECK (listing_lifetime_days BETWEEN 1 AND 365);
+
+      ALTER TABLE public.userlistings
+        ADD COLUMN IF NOT EXISTS auto_renew         BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS auto_renew_count   INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS expiry_warned_at   TIMESTAMP WITH TIME ZONE;
+
+      -- Listings past the old fixed warning day (day 53 of 60) were already
+      -- warned by the previous cron; don't warn them again
+      UPDATE public.userlistings
+        SET expiry_warned_at = createdat + INTERVAL '53 days'
+        WHERE status = 'Available'
+          AND expiry_warned_at IS NULL
+          AND createdat < NOW() - INTERVAL '53 days';
+
+      -- Lifetime set on the category or its nearest ancestor, or NULL
+      CREATE OR REPLACE FUNCTION public.category_listing_lifetime(category_id INTEGER)
+      RETURNS INTEGER LANGUAGE sql STABLE AS $fn$
+        WITH RECURSIVE path AS (
+          SELECT id, parentid, listing_lifetime_days, 0 AS depth
+          FROM public.categories WHERE id = category_id
+          UNION ALL
+          SELECT c.id, c.parentid, c.listing_lifetime_days, p.depth + 1
+          FROM public.categories c JOIN path p ON c.id = p.parentid
+          WHERE p.depth < 50
+        )
+        SELECT listing_lifetime_days FROM path
+        WHERE listing_lifetime_days IS NOT NULL
+        ORDER BY depth LIMIT 1
+      $fn$;
+    `,
+  },
+  {
+    name: "022_create_listing_price_history",
+    sql: `
+      -- Every price a listing has had; see utils/priceInsights.js
+      CREATE TABLE IF NOT EXISTS public.listing_price_history (
+        id          SERIAL PRIMARY KEY,
+        listing_id  INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        price       NUMERIC NOT NULL,
+        currency    TEXT,
+        changed_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_price_history_listing_idx
+        ON public.listing_price_history (listing_id, changed_at);
+
+      -- Recorded by trigger so no code path that sets a price (create, edit,
+      -- quick price update, bulk edit, moderator revert) can skip it
+      CREATE OR REPLACE FUNCTION public.record_listing_price()
+      RETURNS trigger LANGUAGE plpgsql AS $fn$
+      BEGIN
+        IF NEW.price IS NOT NULL AND (
+          TG_OP = 'INSERT'
+          OR NEW.price IS DISTINCT FROM OLD.price
+          OR NEW.currency IS DISTINCT FROM OLD.currency
+        ) THEN
+          INSERT INTO public.listing_price_history (listing_id, price, currency)
+          VALUES (NEW.id, NEW.price, NEW.currency);
+        END IF;
+        RETURN NEW;
+      END
+      $fn$;
+
+      DROP TRIGGER IF EXISTS listing_price_history_record ON public.userlistings;
+      CREATE TRIGGER listing_price_history_record
+        AFTER INSERT OR UPDATE OF price, currency ON public.userlistings
+        FOR EACH ROW EXECUTE FUNCTION record_listing_price();
+
+      -- Start the history of existing listings with their current price
+      INSERT INTO public.listing_price_history (listing_id, price, currency, changed_at)
+      SELECT l.id, l.price, l.currency, COALESCE(l.createdat, NOW())
+      FROM public.userlistings l
+      WHERE l.price IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM public.listing_price_history h WHERE h.listing_id = l.id
+        );
+
+      -- Market price lookups: same category and currency, live or recently sold
+      CREATE INDEX IF NOT EXISTS userlistings_market_price_idx
+        ON public.userlistings (categoryid, currency, status);
+    `,
+  },
+  {
+    name: "023_create_exchange_rates",
+    sql: `
+      -- Value of one unit of each currency in XAF, maintained by admins;
+      -- see utils/currency.js
+      CREATE TABLE IF NOT EXISTS public.exchange_rates (
+        currency    VARCHAR(3) PRIMARY KEY,
+        rate_to_xaf NUMERIC(18, 6) NOT NULL CHECK (rate_to_xaf > 0),
+        updated_by  INTEGER REFERENCES public.admin_users(id) ON DELETE SET NULL,
+        updated_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- XAF is the base; EUR is pegged. USD is a starting value for admins
+      -- to keep current.
+      INSERT INTO public.exchange_rates (currency, rate_to_xaf) VALUES
+        ('XAF', 1),
+        ('EUR', 655.957),
+        ('USD', 600)
+      ON CONFLICT (currency) DO NOTHING;
+
+      -- Listing price in XAF, so prices in different currencies compare.
+      -- NULL while the listing's currency has no rate.
+      ALTER TABLE public.userlistings
+        ADD COLUMN IF NOT EXISTS price_xaf NUMERIC;
+
+      CREATE OR REPLACE FUNCTION public.set_listing_price_xaf()
+      RETURNS trigger LANGUAGE plpgsql AS $fn$
+      BEGIN
+        NEW.price_xaf := NEW.price * (
+          SELECT rate_to_xaf FROM public.exchange_rates
+          WHERE currency = UPPER(TRIM(NEW.currency))
+        );
+        RETURN NEW;
+      END
+      $fn$;
+
+      DROP TRIGGER IF EXISTS listing_price_xaf_sync ON public.userlistings;
+      CREATE TRIGGER listing_price_xaf_sync
+        BEFORE INSERT OR UPDATE OF price, currency ON public.userlistings
+        FOR EACH ROW EXECUTE FUNCTION set_listing_price_xaf();
+
+      UPDATE public.userlistings l
+        SET price_xaf = l.price * r.rate_to_xaf
+        FROM public.exchange_rates r
+        WHERE r.currency = UPPER(TRIM(l.currency));
+
+      CREATE INDEX IF NOT EXISTS userlistings_price_xaf_idx
+        ON public.userlistings (price_xaf);
+    `,
+  },
+  {
+    name: "024_create_listing_questions",
+    sql: `
+      -- Public Q&A on listings; see routes/listingQuestions.js
+      CREATE TABLE IF NOT EXISTS public.listing_questions (
+        id              SERIAL PRIMARY KEY,
+        listing_id      INTEGER NOT NULL REFERENCES public.userlistings(id) ON DELETE CASCADE,
+        asker_id        INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+        question        TEXT NOT NULL,
+        answer          TEXT,
+        answered_at     TIMESTAMP WITH TIME ZONE,
+        status          VARCHAR(20) NOT NULL DEFAULT 'visible'
+                        CHECK (status IN ('visible', 'removed')),
+        removal_reason  TEXT,
+        removed_by      INTEGER REFERENCES public.admin_users(id) ON DELETE SET NULL,
+        removed_at      TIMESTAMP WITH TIME ZONE,
+        created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS listing_questions_listing_idx
+        ON public.listing_questions (listing_id, created_at);
+      CREATE INDEX IF NOT EXISTS listing_questions_asker_idx
+        ON public.listing_questions (asker_id);
+
+      -- Questions are reported and moderated like listings
+      DO $$
+      BEGIN
+        IF to_regclass('public.reports') IS NOT NULL THEN
+          ALTER TABLE public.reports
+            ADD COLUMN IF NOT EXISTS reported_question_id INTEGER
+            REFERENCES public.listing_questions(id) ON DELETE CASCADE;
+          ALTER TABLE public.reports DROP CONSTRAINT IF EXISTS valid_report;
+          ALTER TABLE public.reports ADD CONSTRAINT valid_report CHECK (
+            (report_type = 'listing' AND reported_listing_id IS NOT NULL) OR
+            (report_type = 'user' AND reported_user_id IS NOT NULL) OR
+            (report_type = 'question' AND reported_question_id IS NOT NULL)
+          );
+        END IF;
+      END $$;
+    `,
+  },
+  {
+    name: "025_add_listing_seo_description",
+    sql: `
+      -- AI SEO description saved by the seller, used in feeds and link
+      -- previews; see utils/seo.js
+      ALTER TABLE public.userlistings
+        ADD COLUMN IF NOT EXISTS seo_description TEXT;
+
+      -- Sitemap and feed queries
+      CREATE INDEX IF NOT EXISTS userlistings_public_created_idx
+        ON public.userlistings (createdat DESC)
+        WHERE moderation_status = 'approved' AND status = 'Available';
+    `,
+  },
+  {
+    name: "026_point_admin_audit_columns_at_admin_users",
+    sql: `
+      -- Moderation audit columns predate admin_users and referenced users(id).
+      -- Admin handlers now record req.admin.id, so repoint them at
+      -- admin_users. Old values are carried over where the marketplace
+      -- account shares an email with an admin account, otherwise cleared.
+      DO $$
+      DECLARE
+        target RECORD;
+        fk RECORD;
+      BEGIN
+        FOR target IN
+          SELECT * FROM (VALUES
+            ('reports', 'reviewed_by'),
+            ('userlistings', 'reviewed_by'),
+            ('listing_reviews', 'admin_id'),
+            ('violation_warnings', 'issued_by'),
+            ('account_suspensions', 'suspended_by'),
+            ('account_suspensions', 'lifted_by'),
+            ('appeals', 'reviewed_by'),
+            ('admin_broadcasts', 'admin_id'),
+            ('kyc_verifications', 'reviewedby')
+          ) AS t(table_name, column_name)
+        LOOP
+          CONTINUE WHEN NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public'
+              AND table_name = target.table_name
+              AND column_name = target.column_name
+          );
+
+          FOR fk IN
+            SELECT c.conname
+            FROM pg_constraint c
+            JOIN pg_attribute a
+              ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+            WHERE c.contype = 'f'
+              AND c.conrelid = format('public.%I', target.table_name)::regclass
+              AND c.confrelid = 'public.users'::regclass
+              AND a.attname = target.column_name
+          LOOP
+            EXECUTE format('ALTER TABLE public.%I DROP CONSTRAINT %I',
+              target.table_name, fk.conname);
+            EXECUTE format(
+              'UPDATE public.%1$I t SET %2$I = (
+                 SELECT a.id FROM public.admin_users a
+                 JOIN public.users u ON LOWER(u.email) = LOWER(a.email)
+                 WHERE u.id = t.%2$I
+               )
+               WHERE %2$I IS NOT NULL',
+              target.table_name, target.column_name);
+          END LOOP;
+
+          IF NOT EXISTS (
+            SELECT 1
+            FROM pg_constraint c
+            JOIN pg_attribute a
+              ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+            WHERE c.contype = 'f'
+              AND c.conrelid = format('public.%I', target.table_name)::regclass
+              AND c.confrelid = 'public.admin_users'::regclass
+              AND a.attname = target.column_name
+          ) THEN
+            EXECUTE format(
+              'ALTER TABLE public.%1$I ADD CONSTRAINT %2$I
+                 FOREIGN KEY (%3$I) REFERENCES public.admin_users(id)
+                 ON DELETE SET NULL',
+              target.table_name,
+              target.table_name || '_' || target.column_name || '_admin_fkey',
+              target.column_name);
+          END IF;
+        END LOOP;
+      END $$;
+    `,
+  },
+  {
+    name: "027_add_pending_listing_boosts",
+    sql: `
+      -- A boost is recorded as pending before the wallet is charged, then
+      -- becomes active, or failed if the payment is declined
+      ALTER TABLE public.listing_boosts
+        DROP CONSTRAINT IF EXISTS listing_boosts_status_check;
+      ALTER TABLE public.listing_boosts
+        ADD CONSTRAINT listing_boosts_status_check
+        CHECK (status IN ('pending', 'active', 'failed', 'cancelled'));
+    `,
+  },
+  {
+    name: "028_index_image_hash_bands",
+    sql: `
+      -- Near-duplicate photo lookup (utils/imageHash.js). The 64-bit hash is
+      -- cut into 7 bands; two hashes at most 6 bits apart agree on at least
+      -- one band, so candidates come from these indexes. Keep in step with
+      -- HASH_BANDS.
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band0_idx
+        ON public.imagelistings ((substring(phash from 1 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band1_idx
+        ON public.imagelistings ((substring(phash from 10 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band2_idx
+        ON public.imagelistings ((substring(phash from 19 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band3_idx
+        ON public.imagelistings ((substring(phash from 28 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band4_idx
+        ON public.imagelistings ((substring(phash from 37 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band5_idx
+        ON public.imagelistings ((substring(phash from 46 for 9)::bit(9)::int))
+        WHERE phash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS imagelistings_phash_band6_idx
+        ON public.imagelistings ((substring(phash from 55 for 10)::bit(10)::int))
+        WHERE phash IS NOT NULL;
+    `,
+  },
+  {
+    name: "029_clear_stale_seo_descriptions",
+    sql: `
+      -- The saved AI SEO description is written from the listing's title;
+      -- once the title or description changes (edit, bulk edit, import,
+      -- moderator revert) it no longer describes the listing
+      CREATE OR REPLACE FUNCTION public.clear_listing_seo_description()
+      RETURNS trigger LANGUAGE plpgsql AS $fn$
+      BEGIN
+        IF NEW.seo_description IS NOT DISTINCT FROM OLD.seo_description THEN
+          NEW.seo_description := NULL;
+        END IF;
+        RETURN NEW;
+      END
+      $fn$;
+
+      DROP TRIGGER IF EXISTS listing_seo_description_reset ON public.userlistings;
+      CREATE TRIGGER listing_seo_description_reset
+        BEFORE UPDATE OF title, description ON public.userlistings
+        FOR EACH ROW
+        WHEN (
+          OLD.seo_description IS NOT NULL AND (
+            NEW.title IS DISTINCT FROM OLD.title OR
+            NEW.description IS DISTINCT FROM OLD.description
+          )
+        )
+        EXECUTE FUNCTION clear_listing_seo_description();
+    `,
+  },
 ];
 
 // ---------------------------------------------------------------------------
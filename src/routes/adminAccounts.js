@@ -0,0 +1,216 @@
+/**
+ * Admin Account Management Routes
+ * ===============================
+ * Manages the staff accounts in admin_users and their roles. Which
+ * permissions each role carries is defined in Middleware/adminMiddleware.js.
+ *
+ * Routes:
+ * - GET /api/admin/me - Current admin and their permissions
+ * - GET /api/admin/roles - Roles and the permissions they grant
+ * - GET /api/admin/admins - List admin accounts
+ * - POST /api/admin/admins - Create an admin account
+ * - PUT /api/admin/admins/:id - Change name, role or active flag; reset 2FA
+ */
+
+import express from "express";
+import bcrypt from "bcrypt";
+import db from "../db.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  ADMIN_ROLES,
+  requireAdmin,
+  requirePermission,
+} from "../Middleware/adminMiddleware.js";
+
+const router = express.Router();
+
+const ADMIN_COLUMNS = `id, email, name, role, is_active, last_login_at, created_at,
+  (totp_secret IS NOT NULL) AS two_factor_enabled`;
+
+// =====================================================
+// GET: Current admin
+// =====================================================
+router.get("/admin/me", authMiddleware, requireAdmin, async (req, res) => {
+  res.status(200).json({
+    admin: req.admin,
+    permissions: ADMIN_ROLES[req.admin.role] || [],
+  });
+});
+
+// =====================================================
+// GET: Roles
+// =====================================================
+router.get(
+  "/admin/roles",
+  authMiddleware,
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    res.status(200).json({ roles: ADMIN_ROLES });
+  },
+);
+
+// =====================================================
+// GET: Admin accounts
+// =====================================================
+router.get(
+  "/admin/admins",
+  authMiddleware,
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT ${ADMIN_COLUMNS} FROM admin_users ORDER BY created_at ASC`,
+      );
+      res.status(200).json({ admins: result.rows });
+    } catch (error) {
+      console.error("Error fetching admin accounts:", error);
+      res.status(500).json({ error: "Failed to fetch admin accounts" });
+    }
+  },
+);
+
+// =====================================================
+// POST: Create admin account
+// =====================================================
+/**
+ * The new admin enrols their authenticator app on first login.
+ */
+router.post(
+  "/admin/admins",
+  authMiddleware,
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    const { email, name, role, password } = req.body;
+
+    if (!email || !role || !password) {
+      return res
+        .status(400)
+        .json({ error: "Email, role and password are required" });
+    }
+    if (!ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: "Unknown admin role" });
+    }
+    if (typeof password !== "string" || password.length < 12) {
+      return res
+        .status(400)
+        .json({ error: "Admin passwords must be at least 12 characters" });
+    }
+
+    try {
+      const passwordHash = await bcrypt.hash(password, 12);
+      const result = await db.query(
+        `INSERT INTO admin_users (email, name, password_hash, role, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${ADMIN_COLUMNS}`,
+        [String(email).trim(), name || null, passwordHash, role, req.admin.id],
+      );
+
+      console.log(
+        `[Admin] ${req.admin.email} created admin ${result.rows[0].email} (${role})`,
+      );
+      res.status(201).json({
+        message: "Admin account created",
+        admin: result.rows[0],
+      });
+    } catch (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ error: "An admin with this email already exists" });
+      }
+      console.error("Error creating admin account:", error);
+      res.status(500).json({ error: "Failed to create admin account" });
+    }
+  },
+);
+
+// =====================================================
+// PUT: Update admin account
+// =====================================================
+/**
+ * Body: { name?, role?, isActive?, resetTwoFactor? }
+ * resetTwoFactor clears the TOTP secret so the admin re-enrols on next login
+ * (lost phone). Admins cannot demote or deactivate themselves.
+ */
+router.put(
+  "/admin/admins/:id",
+  authMiddleware,
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { name, role, isActive, resetTwoFactor } = req.body;
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: "Invalid admin id" });
+    }
+    if (role !== undefined && !ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: "Unknown admin role" });
+    }
+    if (
+      id === req.admin.id &&
+      ((role !== undefined && role !== req.admin.role) || isActive === false)
+    ) {
+      return res.status(400).json({
+        error: "You cannot change your own role or deactivate yourself",
+      });
+    }
+
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (name !== undefined) {
+        updates.push(`name = $${paramCount}`);
+        values.push(name);
+        paramCount++;
+      }
+      if (role !== undefined) {
+        updates.push(`role = $${paramCount}`);
+        values.push(role);
+        paramCount++;
+      }
+      if (isActive !== undefined) {
+        updates.push(`is_active = $${paramCount}`);
+        values.push(Boolean(isActive));
+        paramCount++;
+      }
+      if (resetTwoFactor === true) {
+        updates.push(
+          "totp_secret = NULL",
+          "totp_pending_secret = NULL",
+          "last_totp_step = NULL",
+        );
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No fields to update" });
+      }
+
+      values.push(id);
+      const result = await db.query(
+        `UPDATE admin_users SET ${updates.join(", ")}, updated_at = NOW()
+         WHERE id = $${paramCount}
+         RETURNING ${ADMIN_COLUMNS}`,
+        values,
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+
+      console.log(
+        `[Admin] ${req.admin.email} updated admin ${result.rows[0].email}`,
+      );
+      res.status(200).json({
+        message: "Admin account updated",
+        admin: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error updating admin account:", error);
+      res.status(500).json({ error: "Failed to update admin account" });
+    }
+  },
+);
+
+export default router;
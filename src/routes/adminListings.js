@@ -9,8 +9,12 @@
  * - GET /api/admin/listings/all - Get all listings with filters
  * - GET /api/admin/listings/stats - Get listing statistics
  * - GET /api/admin/listings/:id - Get single listing details
+ * - GET /api/admin/listings/:id/revisions - Edit history with field-level diffs
+ * - PUT /api/admin/listings/:id/revisions/:revisionId/review - Accept a revision or revert some of its fields
  * - PUT /api/admin/listings/:id/approve - Approve a listing
  * - PUT /api/admin/listings/:id/reject - Reject a listing
+ * - PUT /api/admin/listings/:id/video/approve - Approve a listing's video
+ * - PUT /api/admin/listings/:id/video/reject - Reject a listing's video
  */
 
 import express from "express";
@@ -18,11 +22,20 @@ import dotenv from "dotenv";
 dotenv.config();
 import db from "../db.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
 } from "../utils/pushNotifications.js";
 import { sendListingApproved, sendListingRejected } from "../utils/email.js";
+import { inCategorySql, getCategoryBreadcrumb } from "../utils/categoryTree.js";
+import {
+  REVERTIBLE_FIELDS,
+  revertRevisionFields,
+} from "../utils/listingRevisions.js";
+import { notifyPriceDrop } from "../utils/priceDropAlerts.js";
+import { getListingVideo } from "../utils/listingVideos.js";
+import { getImageMatchesForReview } from "../utils/imageHash.js";
 
 const router = express.Router();
 
@@ -31,7 +44,9 @@ const normalizeString = (value) =>
     ? ""
     : String(value).toLowerCase().trim();
 
-const listingMatchesSavedSearch = (listing, filters) => {
+// `listingCategoryIds` is the listing's category and its ancestors, so a
+// saved search on a parent category matches, as in the saved-search cron
+const listingMatchesSavedSearch = (listing, filters, listingCategoryIds) => {
   let parsedFilters = filters;
   if (typeof filters === "string") {
     try {
@@ -58,7 +73,6 @@ const listingMatchesSavedSearch = (listing, filters) => {
 
   const title = normalizeString(listing.title);
   const description = normalizeString(listing.description);
-  const listingCategory = normalizeString(listing.categoryid);
   const listingCountry = normalizeString(listing.country);
   const listingCity = normalizeString(listing.city);
   const listingCurrency = normalizeString(listing.currency);
@@ -69,7 +83,7 @@ const listingMatchesSavedSearch = (listing, filters) => {
     return false;
   }
 
-  if (category && listingCategory !== category) return false;
+  if (category && !listingCategoryIds.includes(category)) return false;
   if (country && listingCountry !== country) return false;
   if (city && listingCity !== city) return false;
   if (currency && listingCurrency !== currency) return false;
@@ -81,43 +95,6 @@ const listingMatchesSavedSearch = (listing, filters) => {
   return true;
 };
 
-// =====================================================
-// MIDDLEWARE: Admin Authorization Check
-// =====================================================
-/**
- * Verifies that the authenticated user has admin privileges
- * This is an additional layer on top of authMiddleware
- */
-const adminCheck = async (req, res, next) => {
-  try {
-    // Check if this is an env-based admin (has isAdmin flag or matching email)
-    if (
-      req.user.isAdmin === true ||
-      req.user.email === process.env.ADMIN_EMAIL
-    ) {
-      return next();
-    }
-
-    // Check if user has admin role in database
-    if (req.user.id) {
-      const result = await db.query("SELECT role FROM users WHERE id = $1", [
-        req.user.id,
-      ]);
-
-      if (result.rows.length > 0 && result.rows[0].role === "admin") {
-        return next();
-      }
-    }
-
-    return res.status(403).json({
-      error: "Access denied. Admin privileges required.",
-    });
-  } catch (error) {
-    console.error("Admin check error:", error);
-    return res.status(500).json({ error: "Authorization check failed" });
-  }
-};
-
 // =====================================================
 // GET: Listing Statistics
 // =====================================================
@@ -128,7 +105,7 @@ const adminCheck = async (req, res, next) => {
 router.get(
   "/admin/listings/stats",
   authMiddleware,
-  adminCheck,
+  requirePermission("stats.view"),
   async (req, res) => {
     try {
       const stats = await db.query(`
@@ -157,13 +134,14 @@ router.get(
 // GET: All Pending Listings
 // =====================================================
 /**
- * Retrieves all listings waiting for admin review
- * Includes user info and images for each listing
+ * Retrieves all listings waiting for admin review, including live listings
+ * whose newly uploaded video needs checking
+ * Includes user info, images and video for each listing
  */
 router.get(
   "/admin/listings/pending",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     try {
       const { page = 1, limit = 20 } = req.query;
@@ -178,12 +156,17 @@ router.get(
         u.email as useremail,
         u.verified as userverified,
         u.profilepictureurl as userprofilepicture,
-        CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified
+        CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified,
+        (SELECT MIN(r.id) FROM listing_revisions r
+         WHERE r.listing_id = l.id AND r.review_status = 'pending') as pending_revision_id,
+        (SELECT COUNT(*)::int FROM listing_image_matches m
+         WHERE m.listing_id = l.id AND NOT m.same_seller) as image_match_count
       FROM userlistings l
       LEFT JOIN categories c ON l.categoryid = c.id
       LEFT JOIN users u ON l.userid = u.id
       LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-      WHERE l.moderation_status = 'pending'
+      LEFT JOIN listing_videos v ON v.listing_id = l.id
+      WHERE l.moderation_status = 'pending' OR v.moderation_status = 'pending'
       ORDER BY l.createdat ASC
       LIMIT $1 OFFSET $2`,
         [parseInt(limit), offset],
@@ -191,7 +174,9 @@ router.get(
 
       // Get total count for pagination
       const countResult = await db.query(
-        "SELECT COUNT(*) FROM userlistings WHERE moderation_status = 'pending'",
+        `SELECT COUNT(*) FROM userlistings l
+       LEFT JOIN listing_videos v ON v.listing_id = l.id
+       WHERE l.moderation_status = 'pending' OR v.moderation_status = 'pending'`,
       );
 
       // Fetch images for each listing
@@ -206,6 +191,9 @@ router.get(
           return {
             ...listing,
             images: imagesResult.rows,
+            video: await getListingVideo(listing.id, {
+              includeUnapproved: true,
+            }),
           };
         }),
       );
@@ -238,7 +226,7 @@ router.get(
 router.get(
   "/admin/listings/all",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     try {
       const {
@@ -267,7 +255,7 @@ router.get(
       LEFT JOIN categories c ON l.categoryid = c.id
       LEFT JOIN users u ON l.userid = u.id
       LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-      LEFT JOIN users reviewer ON l.reviewed_by = reviewer.id
+      LEFT JOIN admin_users reviewer ON l.reviewed_by = reviewer.id
       WHERE 1=1
     `;
       const queryParams = [];
@@ -282,7 +270,7 @@ router.get(
 
       // Filter by category
       if (category) {
-        queryText += ` AND l.categoryid = $${paramCount}`;
+        queryText += ` AND ${inCategorySql("l.categoryid", `$${paramCount}`)}`;
         queryParams.push(parseInt(category));
         paramCount++;
       }
@@ -322,7 +310,7 @@ router.get(
         countParamNum++;
       }
       if (category) {
-        countQuery += ` AND l.categoryid = $${countParamNum}`;
+        countQuery += ` AND ${inCategorySql("l.categoryid", `$${countParamNum}`)}`;
         countParams.push(parseInt(category));
         countParamNum++;
       }
@@ -373,12 +361,12 @@ router.get(
 // =====================================================
 /**
  * Retrieves detailed information about a specific listing
- * Includes all images and review history
+ * Includes all images, photo matches with other sellers and review history
  */
 router.get(
   "/admin/listings/:id",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     const { id } = req.params;
 
@@ -399,7 +387,7 @@ router.get(
       LEFT JOIN categories c ON l.categoryid = c.id
       LEFT JOIN users u ON l.userid = u.id
       LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-      LEFT JOIN users reviewer ON l.reviewed_by = reviewer.id
+      LEFT JOIN admin_users reviewer ON l.reviewed_by = reviewer.id
       WHERE l.id = $1`,
         [id],
       );
@@ -422,7 +410,7 @@ router.get(
         lr.*,
         u.name as admin_name
       FROM listing_reviews lr
-      LEFT JOIN users u ON lr.admin_id = u.id
+      LEFT JOIN admin_users u ON lr.admin_id = u.id
       WHERE lr.listing_id = $1
       ORDER BY lr.created_at DESC`,
         [id],
@@ -431,6 +419,9 @@ router.get(
       res.status(200).json({
         ...listingResult.rows[0],
         images: imagesResult.rows,
+        video: await getListingVideo(id, { includeUnapproved: true }),
+        // Other sellers' photos that look like this listing's, originals first
+        imageMatches: await getImageMatchesForReview(id),
         reviewHistory: reviewsResult.rows,
       });
     } catch (error) {
@@ -440,6 +431,224 @@ router.get(
   },
 );
 
+// =====================================================
+// GET: Listing Revisions
+// =====================================================
+/**
+ * Every owner edit of a listing, newest first. `changes` maps each edited
+ * field to { from, to } (images: { added, removed }), so a moderator only
+ * has to look at what actually changed.
+ */
+router.get(
+  "/admin/listings/:id/revisions",
+  authMiddleware,
+  requirePermission("listings.moderate"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const listingCheck = await db.query(
+        "SELECT id FROM userlistings WHERE id = $1",
+        [id],
+      );
+      if (listingCheck.rows.length === 0) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+
+      const result = await db.query(
+        `SELECT
+        r.*,
+        u.name as editor_name,
+        a.name as reviewed_by_name
+      FROM listing_revisions r
+      LEFT JOIN users u ON r.editor_id = u.id
+      LEFT JOIN admin_users a ON r.reviewed_by = a.id
+      WHERE r.listing_id = $1
+      ORDER BY r.created_at DESC, r.id DESC`,
+        [id],
+      );
+
+      res.status(200).json({ revisions: result.rows });
+    } catch (error) {
+      console.error("Error fetching listing revisions:", error);
+      res.status(500).json({ error: "Failed to fetch listing revisions" });
+    }
+  },
+);
+
+// =====================================================
+// PUT: Review Listing Revision
+// =====================================================
+/**
+ * Re-moderates a single pending revision. `revert_fields` lists the changed
+ * fields to put back to their previous value; everything else in the
+ * revision is accepted. Once no pending revisions are left the listing is
+ * approved again. Fields edited again since the revision are not reverted
+ * and come back in `conflicts`.
+ */
+router.put(
+  "/admin/listings/:id/revisions/:revisionId/review",
+  authMiddleware,
+  requirePermission("listings.moderate"),
+  async (req, res) => {
+    const { id, revisionId } = req.params;
+    const { revert_fields, notes } = req.body;
+    const adminId = req.admin.id;
+
+    const revertFields = revert_fields === undefined ? [] : revert_fields;
+    if (!Array.isArray(revertFields)) {
+      return res
+        .status(400)
+        .json({ error: "revert_fields must be an array of field names" });
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+
+      const revisionResult = await client.query(
+        `SELECT * FROM listing_revisions
+       WHERE id = $1 AND listing_id = $2
+       FOR UPDATE`,
+        [revisionId, id],
+      );
+      if (revisionResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      const revision = revisionResult.rows[0];
+      if (revision.review_status !== "pending") {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ error: "This revision is not waiting for review" });
+      }
+
+      const invalid = revertFields.filter(
+        (field) =>
+          !REVERTIBLE_FIELDS.includes(field) || !(field in revision.changes),
+      );
+      if (invalid.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: `These fields were not changed in this revision: ${invalid.join(", ")}`,
+        });
+      }
+
+      const { reverted, conflicts } = await revertRevisionFields(
+        client,
+        revision,
+        revertFields,
+      );
+
+      const updatedRevision = await client.query(
+        `UPDATE listing_revisions
+       SET review_status = $1,
+           reverted_fields = $2,
+           reviewed_by = $3,
+           reviewed_at = NOW(),
+           review_notes = $4
+       WHERE id = $5
+       RETURNING *`,
+        [
+          reverted.length > 0 ? "reverted" : "approved",
+          reverted,
+          adminId,
+          notes || null,
+          revision.id,
+        ],
+      );
+
+      // Put the listing back on the marketplace once nothing is left to review
+      const listingResult = await client.query(
+        `UPDATE userlistings
+       SET moderation_status = 'approved',
+           reviewed_by = $1,
+           reviewed_at = NOW()
+       WHERE id = $2
+         AND moderation_status = 'pending'
+         AND NOT EXISTS (
+           SELECT 1 FROM listing_revisions
+           WHERE listing_id = $2 AND review_status = 'pending'
+         )
+       RETURNING *`,
+        [adminId, id],
+      );
+
+      await client.query(
+        `INSERT INTO listing_reviews (listing_id, admin_id, action, notes, created_at)
+       VALUES ($1, $2, $3, $4, NOW())`,
+        [
+          id,
+          adminId,
+          reverted.length > 0 ? "revision_reverted" : "revision_approved",
+          notes || null,
+        ],
+      );
+
+      await client.query("COMMIT");
+
+      const listing = (
+        await db.query(
+          "SELECT id, userid, title, currency FROM userlistings WHERE id = $1",
+          [id],
+        )
+      ).rows[0];
+
+      // A price cut held back for review goes out to wishlist users now
+      const priceChange = revision.changes.price;
+      if (priceChange && !reverted.includes("price")) {
+        await notifyPriceDrop(listing, priceChange.from, priceChange.to);
+      }
+
+      if (reverted.length > 0) {
+        const message = `A moderator undid your changes to ${reverted.join(", ")} on "${listing.title}".`;
+        await db.query(
+          `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype, createdat)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+          [
+            listing.userid,
+            "Listing Changes Reverted",
+            message,
+            "listing_revision_reverted",
+            id,
+            "listing",
+          ],
+        );
+
+        await sendPushToUser(
+          listing.userid,
+          buildNotificationPayload({
+            title: "Listing Changes Reverted",
+            body: message,
+            type: "listing_revision_reverted",
+            relatedId: id,
+            relatedType: "listing",
+          }),
+        );
+      }
+
+      res.status(200).json({
+        message:
+          reverted.length > 0
+            ? "Revision reviewed and fields reverted"
+            : "Revision approved",
+        revision: updatedRevision.rows[0],
+        reverted,
+        conflicts,
+        listingApproved: listingResult.rows.length > 0,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("Error reviewing listing revision:", error);
+      res.status(500).json({ error: "Failed to review listing revision" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
 // =====================================================
 // PUT: Approve Listing
 // =====================================================
@@ -450,11 +659,11 @@ router.get(
 router.put(
   "/admin/listings/:id/approve",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const { notes } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       // Check if listing exists and is pending
@@ -485,6 +694,22 @@ router.put(
         [adminId, id],
       );
 
+      // Approving the listing accepts any edits still waiting for review
+      await db.query(
+        `UPDATE listing_revisions
+       SET review_status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+       WHERE listing_id = $2 AND review_status = 'pending'`,
+        [req.admin.id, id],
+      );
+
+      // ...and its video, which is shown in the same review screen
+      await db.query(
+        `UPDATE listing_videos
+       SET moderation_status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+       WHERE listing_id = $2 AND moderation_status = 'pending'`,
+        [req.admin.id, id],
+      );
+
       // Create audit trail entry
       await db.query(
         `INSERT INTO listing_reviews (listing_id, admin_id, action, notes, created_at)
@@ -589,10 +814,17 @@ router.put(
              FROM saved_searches
              WHERE notify_new_listings = TRUE`,
           );
+          const listingCategoryIds = (
+            await getCategoryBreadcrumb(listing.categoryid)
+          ).map((category) => String(category.id));
 
           const notifications = savedSearches.rows
             .filter((saved) =>
-              listingMatchesSavedSearch(listing, saved.filters),
+              listingMatchesSavedSearch(
+                listing,
+                saved.filters,
+                listingCategoryIds,
+              ),
             )
             .map((saved) =>
               db.query(
@@ -615,7 +847,11 @@ router.put(
             await Promise.all(
               savedSearches.rows
                 .filter((saved) =>
-                  listingMatchesSavedSearch(listing, saved.filters),
+                  listingMatchesSavedSearch(
+                    listing,
+                    saved.filters,
+                    listingCategoryIds,
+                  ),
                 )
                 .map((saved) =>
                   sendPushToUser(
@@ -657,11 +893,11 @@ router.put(
 router.put(
   "/admin/listings/:id/reject",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const { reason, notes } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       // Validate rejection reason
@@ -702,6 +938,14 @@ router.put(
         [reason, adminId, id],
       );
 
+      await db.query(
+        `UPDATE listing_revisions
+       SET review_status = 'rejected', reviewed_by = $1, reviewed_at = NOW(),
+           review_notes = $2
+       WHERE listing_id = $3 AND review_status = 'pending'`,
+        [req.admin.id, reason, id],
+      );
+
       // Create audit trail entry
       await db.query(
         `INSERT INTO listing_reviews (listing_id, admin_id, action, reason, notes, created_at)
@@ -754,6 +998,112 @@ router.put(
   },
 );
 
+// =====================================================
+// PUT: Approve / Reject Listing Video
+// =====================================================
+/**
+ * Moderates just the listing's video; the listing's own status is left
+ * alone. Approved videos appear on the listing detail page. Rejecting needs
+ * a reason, which is sent to the seller so they can upload a better one.
+ */
+router.put(
+  "/admin/listings/:id/video/approve",
+  authMiddleware,
+  requirePermission("listings.moderate"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        `UPDATE listing_videos
+       SET moderation_status = 'approved',
+           rejection_reason = NULL,
+           reviewed_by = $1,
+           reviewed_at = NOW()
+       WHERE listing_id = $2
+       RETURNING *`,
+        [req.admin.id, id],
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "This listing has no video" });
+      }
+
+      res.status(200).json({
+        message: "Video approved",
+        video: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error approving listing video:", error);
+      res.status(500).json({ error: "Failed to approve video" });
+    }
+  },
+);
+
+router.put(
+  "/admin/listings/:id/video/reject",
+  authMiddleware,
+  requirePermission("listings.moderate"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({ error: "Rejection reason is required" });
+    }
+
+    try {
+      const result = await db.query(
+        `UPDATE listing_videos v
+       SET moderation_status = 'rejected',
+           rejection_reason = $1,
+           reviewed_by = $2,
+           reviewed_at = NOW()
+       FROM userlistings l
+       WHERE v.listing_id = $3 AND l.id = v.listing_id
+       RETURNING v.*, l.userid, l.title`,
+        [reason.trim(), req.admin.id, id],
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "This listing has no video" });
+      }
+
+      const { userid, title, ...video } = result.rows[0];
+      const message = `The video on your listing "${title}" was not approved. Reason: ${reason.trim()}. You can upload a new one.`;
+
+      await db.query(
+        `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype, createdat)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [
+          userid,
+          "Listing Video Not Approved",
+          message,
+          "listing_video_rejected",
+          id,
+          "listing",
+        ],
+      );
+
+      await sendPushToUser(
+        userid,
+        buildNotificationPayload({
+          title: "Listing Video Not Approved",
+          body: message,
+          type: "listing_video_rejected",
+          relatedId: id,
+          relatedType: "listing",
+        }),
+      );
+
+      res.status(200).json({ message: "Video rejected", video });
+    } catch (error) {
+      console.error("Error rejecting listing video:", error);
+      res.status(500).json({ error: "Failed to reject video" });
+    }
+  },
+);
+
 // =====================================================
 // PUT: Resubmit Listing (for users)
 // =====================================================
@@ -814,10 +1164,10 @@ router.put("/admin/listings/:id/resubmit", authMiddleware, async (req, res) => {
 router.delete(
   "/admin/listings/:id",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     const { id } = req.params;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       const listingResult = await db.query(
@@ -2,38 +2,149 @@ import express from "express";
 import bcrypt from "bcrypt";
 import db from "../db.js";
 import jwt from "jsonwebtoken";
-import cookieParser from "cookie-parser";
-import authMiddleware from "../Middleware/authMiddleware.js";
 import dotenv from "dotenv";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+} from "../utils/twoFactor.js";
 dotenv.config();
 
 const router = express.Router();
 const saltRounds = 10;
 
+// First deploy with DB-backed admins: if admin_users is still empty, the
+// ADMIN_EMAIL / ADMIN_PASSWORD pair from env becomes the first super-admin.
+// ADMIN_TOTP_SECRET (if set) is carried over so the existing authenticator
+// entry keeps working. Once any admin exists the env pair is ignored.
+const bootstrapAdminFromEnv = async (email, password) => {
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) return;
+  if (email.toLowerCase() !== process.env.ADMIN_EMAIL.toLowerCase()) return;
+  if (password !== process.env.ADMIN_PASSWORD) return;
+
+  const existing = await db.query("SELECT 1 FROM admin_users LIMIT 1");
+  if (existing.rowCount > 0) return;
+
+  const passwordHash = await bcrypt.hash(password, saltRounds);
+  await db.query(
+    `INSERT INTO admin_users (email, name, password_hash, role, totp_secret)
+     VALUES ($1, 'Super Admin', $2, 'super_admin', $3)
+     ON CONFLICT DO NOTHING`,
+    [
+      process.env.ADMIN_EMAIL,
+      passwordHash,
+      process.env.ADMIN_TOTP_SECRET || null,
+    ],
+  );
+  console.log(
+    `[AdminLogin] Bootstrapped super-admin ${process.env.ADMIN_EMAIL}`,
+  );
+};
+
 router.post("/login", async (req, res) => {
-  const { adminEmail, adminPassword } = req.body;
+  const { adminEmail, adminPassword, totpCode } = req.body;
+
+  if (!adminEmail || !adminPassword) {
+    return res.status(400).json({ message: "Email and password required" });
+  }
 
   try {
-    // Validate against environment variables
-    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
-      console.error("Admin credentials not configured in environment");
-      return res.status(500).json({ message: "Server configuration error" });
-    }
+    const email = String(adminEmail).trim();
+    await bootstrapAdminFromEnv(email, String(adminPassword));
+
+    const result = await db.query(
+      `SELECT id, email, name, role, is_active, password_hash,
+              totp_secret, totp_pending_secret, last_totp_step
+       FROM admin_users WHERE LOWER(email) = LOWER($1)`,
+      [email],
+    );
+    const admin = result.rows[0];
 
-    // Check email
-    if (adminEmail !== process.env.ADMIN_EMAIL) {
+    if (!admin || !admin.is_active) {
       return res
         .status(401)
         .json({ message: "Invalid admin email or password" });
     }
 
-    // Check password
-    if (adminPassword !== process.env.ADMIN_PASSWORD) {
+    const passwordMatch = await bcrypt.compare(
+      String(adminPassword),
+      admin.password_hash,
+    );
+    if (!passwordMatch) {
       return res
         .status(401)
         .json({ message: "Invalid admin email or password" });
     }
 
+    // 2FA is mandatory for admins. An admin without a secret enrols on first
+    // login: we hand out a pending secret and activate it once a code matches.
+    if (!admin.totp_secret) {
+      if (!totpCode || !admin.totp_pending_secret) {
+        const secret = admin.totp_pending_secret || generateTotpSecret();
+        await db.query(
+          `UPDATE admin_users SET totp_pending_secret = $1, updated_at = NOW() WHERE id = $2`,
+          [secret, admin.id],
+        );
+        return res.status(401).json({
+          message:
+            "Scan the QR code with your authenticator app, then enter the code",
+          twoFactorRequired: true,
+          twoFactorSetupRequired: true,
+          secret,
+          otpauthUrl: buildOtpauthUri(secret, admin.email),
+        });
+      }
+
+      const step = verifyTotp(admin.totp_pending_secret, String(totpCode));
+      if (step === null) {
+        return res.status(401).json({
+          message: "Invalid authenticator code",
+          twoFactorRequired: true,
+          twoFactorSetupRequired: true,
+        });
+      }
+      await db.query(
+        `UPDATE admin_users
+         SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+             last_totp_step = $1, updated_at = NOW()
+         WHERE id = $2`,
+        [step, admin.id],
+      );
+    } else {
+      if (!totpCode) {
+        return res.status(401).json({
+          message: "Enter the code from your authenticator app",
+          twoFactorRequired: true,
+        });
+      }
+
+      const step = verifyTotp(
+        admin.totp_secret,
+        String(totpCode),
+        admin.last_totp_step,
+      );
+      // Conditional update so the same code can't be used twice concurrently
+      const accepted =
+        step !== null
+          ? await db.query(
+              `UPDATE admin_users SET last_totp_step = $1
+               WHERE id = $2 AND (last_totp_step IS NULL OR last_totp_step < $1)`,
+              [step, admin.id],
+            )
+          : null;
+      if (!accepted || accepted.rowCount === 0) {
+        return res.status(401).json({
+          message: "Invalid authenticator code",
+          twoFactorRequired: true,
+        });
+      }
+    }
+
+    await db.query(
+      "UPDATE admin_users SET last_login_at = NOW() WHERE id = $1",
+      [admin.id],
+    );
+
     const isProd = process.env.NODE_ENV === "production";
     const cookieOptions = {
       httpOnly: true,
@@ -45,9 +156,16 @@ router.post("/login", async (req, res) => {
         : {}),
     };
 
-    // Admin authenticated, generate JWT token
+    // Admin authenticated, generate JWT token. The role is re-checked against
+    // admin_users on every request, so it is only informational here.
     const token = jwt.sign(
-      { email: process.env.ADMIN_EMAIL, isAdmin: true },
+      {
+        adminId: admin.id,
+        email: admin.email,
+        role: admin.role,
+        isAdmin: true,
+        mfa: true,
+      },
       process.env.JWT_SECRET,
       { expiresIn: "168h" },
     );
@@ -58,7 +176,16 @@ router.post("/login", async (req, res) => {
       maxAge: 168 * 60 * 60 * 1000, // 168 hours
     });
 
-    res.status(200).json({ message: "Admin login successful", token });
+    res.status(200).json({
+      message: "Admin login successful",
+      token,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+      },
+    });
   } catch (error) {
     console.error("Error during admin login:", error);
     res.status(500).json({ message: "Server error" });
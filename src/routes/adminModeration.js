@@ -12,9 +12,12 @@
  * - POST /api/admin/users/:id/suspend - Suspend user account
  * - PUT /api/admin/users/:id/unsuspend - Lift user suspension
  * - DELETE /api/admin/listings/:id/remove - Remove listing (violation)
+ * - DELETE /api/admin/questions/:id/remove - Remove a listing question (violation)
  * - GET /api/admin/appeals - Get all appeals
  * - PUT /api/admin/appeals/:id/review - Review appeal
  * - GET /api/admin/users/:id/moderation-history - Get user's moderation history
+ * - GET /api/admin/users/:id/login-events - Get user's login history and lockout state
+ * - PUT /api/admin/users/:id/unlock - Lift a failed-login lockout
  */
 
 import express from "express";
@@ -22,6 +25,7 @@ import dotenv from "dotenv";
 dotenv.config();
 import db from "../db.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
@@ -32,49 +36,21 @@ import {
   sendAdminWarning,
   sendDisputeTranscriptToFonlok,
 } from "../utils/email.js";
+import {
+  clearLoginLockout,
+  getLockedUntil,
+  listLoginEvents,
+} from "../utils/loginSecurity.js";
 
 const router = express.Router();
 
-// =====================================================
-// MIDDLEWARE: Admin Authorization Check
-// =====================================================
-const adminCheck = async (req, res, next) => {
-  try {
-    // Check if this is an env-based admin (has isAdmin flag or matching email)
-    if (
-      req.user.isAdmin === true ||
-      req.user.email === process.env.ADMIN_EMAIL
-    ) {
-      return next();
-    }
-
-    // Check if user has admin role in database
-    if (req.user.id) {
-      const result = await db.query("SELECT role FROM users WHERE id = $1", [
-        req.user.id,
-      ]);
-
-      if (result.rows.length > 0 && result.rows[0].role === "admin") {
-        return next();
-      }
-    }
-
-    return res.status(403).json({
-      error: "Access denied. Admin privileges required.",
-    });
-  } catch (error) {
-    console.error("Admin check error:", error);
-    return res.status(500).json({ error: "Authorization check failed" });
-  }
-};
-
 // =====================================================
 // GET: Report Statistics
 // =====================================================
 router.get(
   "/admin/reports/stats",
   authMiddleware,
-  adminCheck,
+  requirePermission("stats.view"),
   async (req, res) => {
     try {
       const stats = await db.query(`
@@ -85,6 +61,7 @@ router.get(
         COUNT(*) FILTER (WHERE status = 'dismissed') as dismissed_reports,
         COUNT(*) FILTER (WHERE report_type = 'listing') as listing_reports,
         COUNT(*) FILTER (WHERE report_type = 'user') as user_reports,
+        COUNT(*) FILTER (WHERE report_type = 'question') as question_reports,
         COUNT(*) FILTER (WHERE priority >= 3 AND status = 'pending') as high_priority,
         COUNT(*) as total_reports
       FROM reports
@@ -115,42 +92,46 @@ router.get(
 // =====================================================
 // GET: Users List (Admin)
 // =====================================================
-router.get("/admin/users", authMiddleware, adminCheck, async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      search,
-      status,
-      role,
-      sortBy = "created_at",
-      sortOrder = "desc",
-    } = req.query;
-
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    const columnsResult = await db.query(
-      "SELECT column_name FROM information_schema.columns WHERE table_name = 'users'",
-    );
-    const columns = new Set(columnsResult.rows.map((row) => row.column_name));
-
-    const createdAtSelect = columns.has("created_at")
-      ? "u.created_at"
-      : columns.has("createdat")
-        ? "u.createdat"
-        : "NOW()";
-    const isSuspendedSelect = columns.has("is_suspended")
-      ? "u.is_suspended"
-      : "false";
-    const warningCountSelect = columns.has("warning_count")
-      ? "u.warning_count"
-      : "0";
-    const reportCountSelect = columns.has("report_count")
-      ? "u.report_count"
-      : "0";
-    const roleSelect = columns.has("role") ? "u.role" : "'user'";
-
-    let queryText = `
+router.get(
+  "/admin/users",
+  authMiddleware,
+  requirePermission("users.view"),
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        search,
+        status,
+        role,
+        sortBy = "created_at",
+        sortOrder = "desc",
+      } = req.query;
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const columnsResult = await db.query(
+        "SELECT column_name FROM information_schema.columns WHERE table_name = 'users'",
+      );
+      const columns = new Set(columnsResult.rows.map((row) => row.column_name));
+
+      const createdAtSelect = columns.has("created_at")
+        ? "u.created_at"
+        : columns.has("createdat")
+          ? "u.createdat"
+          : "NOW()";
+      const isSuspendedSelect = columns.has("is_suspended")
+        ? "u.is_suspended"
+        : "false";
+      const warningCountSelect = columns.has("warning_count")
+        ? "u.warning_count"
+        : "0";
+      const reportCountSelect = columns.has("report_count")
+        ? "u.report_count"
+        : "0";
+      const roleSelect = columns.has("role") ? "u.role" : "'user'";
+
+      let queryText = `
       SELECT 
         u.id,
         u.name,
@@ -168,112 +149,117 @@ router.get("/admin/users", authMiddleware, adminCheck, async (req, res) => {
       WHERE 1=1
     `;
 
-    const queryParams = [];
-    let paramCount = 1;
+      const queryParams = [];
+      let paramCount = 1;
 
-    if (search) {
-      queryText += ` AND (LOWER(u.name) LIKE LOWER($${paramCount}) OR LOWER(u.email) LIKE LOWER($${paramCount}))`;
-      queryParams.push(`%${search}%`);
-      paramCount++;
-    }
+      if (search) {
+        queryText += ` AND (LOWER(u.name) LIKE LOWER($${paramCount}) OR LOWER(u.email) LIKE LOWER($${paramCount}))`;
+        queryParams.push(`%${search}%`);
+        paramCount++;
+      }
 
-    if (status === "suspended") {
-      if (columns.has("is_suspended")) {
-        queryText += ` AND u.is_suspended = true`;
-      } else {
-        queryText += ` AND 1=0`;
+      if (status === "suspended") {
+        if (columns.has("is_suspended")) {
+          queryText += ` AND u.is_suspended = true`;
+        } else {
+          queryText += ` AND 1=0`;
+        }
       }
-    }
 
-    if (status === "active" && columns.has("is_suspended")) {
-      queryText += ` AND u.is_suspended = false`;
-    }
+      if (status === "active" && columns.has("is_suspended")) {
+        queryText += ` AND u.is_suspended = false`;
+      }
 
-    if (role && columns.has("role")) {
-      queryText += ` AND u.role = $${paramCount}`;
-      queryParams.push(role);
-      paramCount++;
-    }
+      if (role && columns.has("role")) {
+        queryText += ` AND u.role = $${paramCount}`;
+        queryParams.push(role);
+        paramCount++;
+      }
 
-    const sortMap = {
-      created_at: "created_at",
-      warning_count: "warning_count",
-      report_count: "report_count",
-      total_listings: "total_listings",
-      active_listings: "active_listings",
-    };
-    const sortColumn = sortMap[sortBy] || "created_at";
-    const order = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
-    queryText += ` ORDER BY ${sortColumn} ${order}`;
-
-    queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    queryParams.push(parseInt(limit), offset);
-
-    const result = await db.query(queryText, queryParams);
-
-    // Count query
-    let countQuery = "SELECT COUNT(*) FROM users u WHERE 1=1";
-    const countParams = [];
-    let countParamCount = 1;
-
-    if (search) {
-      countQuery += ` AND (LOWER(u.name) LIKE LOWER($${countParamCount}) OR LOWER(u.email) LIKE LOWER($${countParamCount}))`;
-      countParams.push(`%${search}%`);
-      countParamCount++;
-    }
-    if (status === "suspended") {
-      if (columns.has("is_suspended")) {
-        countQuery += ` AND u.is_suspended = true`;
-      } else {
-        countQuery += ` AND 1=0`;
+      const sortMap = {
+        created_at: "created_at",
+        warning_count: "warning_count",
+        report_count: "report_count",
+        total_listings: "total_listings",
+        active_listings: "active_listings",
+      };
+      const sortColumn = sortMap[sortBy] || "created_at";
+      const order = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
+      queryText += ` ORDER BY ${sortColumn} ${order}`;
+
+      queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+      queryParams.push(parseInt(limit), offset);
+
+      const result = await db.query(queryText, queryParams);
+
+      // Count query
+      let countQuery = "SELECT COUNT(*) FROM users u WHERE 1=1";
+      const countParams = [];
+      let countParamCount = 1;
+
+      if (search) {
+        countQuery += ` AND (LOWER(u.name) LIKE LOWER($${countParamCount}) OR LOWER(u.email) LIKE LOWER($${countParamCount}))`;
+        countParams.push(`%${search}%`);
+        countParamCount++;
+      }
+      if (status === "suspended") {
+        if (columns.has("is_suspended")) {
+          countQuery += ` AND u.is_suspended = true`;
+        } else {
+          countQuery += ` AND 1=0`;
+        }
+      }
+      if (status === "active" && columns.has("is_suspended")) {
+        countQuery += ` AND u.is_suspended = false`;
+      }
+      if (role && columns.has("role")) {
+        countQuery += ` AND u.role = $${countParamCount}`;
+        countParams.push(role);
+        countParamCount++;
       }
-    }
-    if (status === "active" && columns.has("is_suspended")) {
-      countQuery += ` AND u.is_suspended = false`;
-    }
-    if (role && columns.has("role")) {
-      countQuery += ` AND u.role = $${countParamCount}`;
-      countParams.push(role);
-      countParamCount++;
-    }
 
-    const countResult = await db.query(countQuery, countParams);
+      const countResult = await db.query(countQuery, countParams);
 
-    res.status(200).json({
-      users: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(
-          parseInt(countResult.rows[0].count) / parseInt(limit),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching users:", error);
-    res.status(500).json({ error: "Failed to fetch users" });
-  }
-});
+      res.status(200).json({
+        users: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(
+            parseInt(countResult.rows[0].count) / parseInt(limit),
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).json({ error: "Failed to fetch users" });
+    }
+  },
+);
 
 // =====================================================
 // GET: All Reports with Filters
 // =====================================================
-router.get("/admin/reports", authMiddleware, adminCheck, async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      type,
-      priority,
-      sortBy = "created_at",
-      sortOrder = "desc",
-    } = req.query;
-
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let queryText = `
+router.get(
+  "/admin/reports",
+  authMiddleware,
+  requirePermission("reports.manage"),
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        type,
+        priority,
+        sortBy = "created_at",
+        sortOrder = "desc",
+      } = req.query;
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      let queryText = `
       SELECT 
         r.*,
         rr.reason as reason_text,
@@ -284,102 +270,106 @@ router.get("/admin/reports", authMiddleware, adminCheck, async (req, res) => {
         reported_user.email as reported_user_email,
         reported_user.profilepictureurl as reported_user_picture,
         l.title as listing_title,
+        q.question as question_text,
+        q.listing_id as question_listing_id,
         reviewer.name as reviewed_by_name
       FROM reports r
       LEFT JOIN report_reasons rr ON r.reason_id = rr.id
       LEFT JOIN users reporter ON r.reporter_id = reporter.id
       LEFT JOIN users reported_user ON r.reported_user_id = reported_user.id
-      LEFT JOIN userlistings l ON r.reported_listing_id = l.id
-      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      LEFT JOIN listing_questions q ON r.reported_question_id = q.id
+      LEFT JOIN userlistings l ON l.id = COALESCE(r.reported_listing_id, q.listing_id)
+      LEFT JOIN admin_users reviewer ON r.reviewed_by = reviewer.id
       WHERE 1=1
     `;
-    const queryParams = [];
-    let paramCount = 1;
+      const queryParams = [];
+      let paramCount = 1;
 
-    if (status) {
-      queryText += ` AND r.status = $${paramCount}`;
-      queryParams.push(status);
-      paramCount++;
-    }
-
-    if (type) {
-      queryText += ` AND r.report_type = $${paramCount}`;
-      queryParams.push(type);
-      paramCount++;
-    }
+      if (status) {
+        queryText += ` AND r.status = $${paramCount}`;
+        queryParams.push(status);
+        paramCount++;
+      }
 
-    if (priority) {
-      queryText += ` AND r.priority >= $${paramCount}`;
-      queryParams.push(parseInt(priority));
-      paramCount++;
-    }
+      if (type) {
+        queryText += ` AND r.report_type = $${paramCount}`;
+        queryParams.push(type);
+        paramCount++;
+      }
 
-    // Sorting
-    const validSortColumns = ["created_at", "priority", "status"];
-    const sortColumn = validSortColumns.includes(sortBy)
-      ? sortBy
-      : "created_at";
-    const order = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
-    queryText += ` ORDER BY r.${sortColumn} ${order}, r.priority DESC`;
-
-    // Pagination
-    queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    queryParams.push(parseInt(limit), offset);
-
-    const result = await db.query(queryText, queryParams);
-
-    // Get total count
-    let countQuery = "SELECT COUNT(*) FROM reports r WHERE 1=1";
-    const countParams = [];
-    let countParamNum = 1;
-
-    if (status) {
-      countQuery += ` AND r.status = $${countParamNum}`;
-      countParams.push(status);
-      countParamNum++;
-    }
-    if (type) {
-      countQuery += ` AND r.report_type = $${countParamNum}`;
-      countParams.push(type);
-      countParamNum++;
-    }
-    if (priority) {
-      countQuery += ` AND r.priority >= $${countParamNum}`;
-      countParams.push(parseInt(priority));
-    }
+      if (priority) {
+        queryText += ` AND r.priority >= $${paramCount}`;
+        queryParams.push(parseInt(priority));
+        paramCount++;
+      }
 
-    const countResult = await db.query(countQuery, countParams);
+      // Sorting
+      const validSortColumns = ["created_at", "priority", "status"];
+      const sortColumn = validSortColumns.includes(sortBy)
+        ? sortBy
+        : "created_at";
+      const order = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
+      queryText += ` ORDER BY r.${sortColumn} ${order}, r.priority DESC`;
+
+      // Pagination
+      queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+      queryParams.push(parseInt(limit), offset);
+
+      const result = await db.query(queryText, queryParams);
+
+      // Get total count
+      let countQuery = "SELECT COUNT(*) FROM reports r WHERE 1=1";
+      const countParams = [];
+      let countParamNum = 1;
+
+      if (status) {
+        countQuery += ` AND r.status = $${countParamNum}`;
+        countParams.push(status);
+        countParamNum++;
+      }
+      if (type) {
+        countQuery += ` AND r.report_type = $${countParamNum}`;
+        countParams.push(type);
+        countParamNum++;
+      }
+      if (priority) {
+        countQuery += ` AND r.priority >= $${countParamNum}`;
+        countParams.push(parseInt(priority));
+      }
 
-    // Fetch listing images for listing reports
-    const reportsWithImages = await Promise.all(
-      result.rows.map(async (report) => {
-        if (report.reported_listing_id) {
-          const images = await db.query(
-            `SELECT imageurl FROM imagelistings WHERE listingid = $1 ORDER BY is_main DESC LIMIT 3`,
-            [report.reported_listing_id],
-          );
-          return { ...report, listing_images: images.rows };
-        }
-        return report;
-      }),
-    );
+      const countResult = await db.query(countQuery, countParams);
+
+      // Fetch listing images for listing reports
+      const reportsWithImages = await Promise.all(
+        result.rows.map(async (report) => {
+          if (report.reported_listing_id) {
+            const images = await db.query(
+              `SELECT imageurl FROM imagelistings WHERE listingid = $1 ORDER BY is_main DESC LIMIT 3`,
+              [report.reported_listing_id],
+            );
+            return { ...report, listing_images: images.rows };
+          }
+          return report;
+        }),
+      );
 
-    res.status(200).json({
-      reports: reportsWithImages,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(
-          parseInt(countResult.rows[0].count) / parseInt(limit),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching reports:", error);
-    res.status(500).json({ error: "Failed to fetch reports" });
-  }
-});
+      res.status(200).json({
+        reports: reportsWithImages,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(
+            parseInt(countResult.rows[0].count) / parseInt(limit),
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching reports:", error);
+      res.status(500).json({ error: "Failed to fetch reports" });
+    }
+  },
+);
 
 // =====================================================
 // GET: Single Report Details
@@ -387,7 +377,7 @@ router.get("/admin/reports", authMiddleware, adminCheck, async (req, res) => {
 router.get(
   "/admin/reports/:id",
   authMiddleware,
-  adminCheck,
+  requirePermission("reports.manage"),
   async (req, res) => {
     const { id } = req.params;
 
@@ -410,13 +400,20 @@ router.get(
         reported_user.report_count as reported_user_reports,
         reported_user.is_suspended as reported_user_suspended,
         l.*,
+        q.question as question_text,
+        q.answer as question_answer,
+        q.status as question_status,
+        q.listing_id as question_listing_id,
+        ql.title as question_listing_title,
         reviewer.name as reviewed_by_name
       FROM reports r
       LEFT JOIN report_reasons rr ON r.reason_id = rr.id
       LEFT JOIN users reporter ON r.reporter_id = reporter.id
       LEFT JOIN users reported_user ON r.reported_user_id = reported_user.id
       LEFT JOIN userlistings l ON r.reported_listing_id = l.id
-      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      LEFT JOIN listing_questions q ON r.reported_question_id = q.id
+      LEFT JOIN userlistings ql ON q.listing_id = ql.id
+      LEFT JOIN admin_users reviewer ON r.reviewed_by = reviewer.id
       WHERE r.id = $1`,
         [id],
       );
@@ -447,6 +444,15 @@ router.get(
          ORDER BY r.created_at DESC LIMIT 10`,
           [report.reported_user_id, id],
         );
+      } else if (report.report_type === "question") {
+        previousReports = await db.query(
+          `SELECT r.*, rr.reason as reason_text 
+         FROM reports r 
+         LEFT JOIN report_reasons rr ON r.reason_id = rr.id
+         WHERE r.reported_question_id = $1 AND r.id != $2
+         ORDER BY r.created_at DESC LIMIT 10`,
+          [report.reported_question_id, id],
+        );
       } else {
         previousReports = await db.query(
           `SELECT r.*, rr.reason as reason_text 
@@ -480,11 +486,11 @@ router.get(
 router.put(
   "/admin/reports/:id/status",
   authMiddleware,
-  adminCheck,
+  requirePermission("reports.manage"),
   async (req, res) => {
     const { id } = req.params;
     const { status, adminNotes, actionTaken } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       const validStatuses = ["pending", "reviewing", "resolved", "dismissed"];
@@ -522,7 +528,7 @@ router.put(
 router.post(
   "/admin/users/:id/warn",
   authMiddleware,
-  adminCheck,
+  requirePermission("users.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const {
@@ -532,7 +538,7 @@ router.post(
       relatedListingId,
       expiresAt,
     } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       const validTypes = ["mild", "moderate", "severe", "final"];
@@ -640,11 +646,11 @@ router.post(
 router.post(
   "/admin/users/:id/suspend",
   authMiddleware,
-  adminCheck,
+  requirePermission("users.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const { suspensionType, reason, relatedReportId, endsAt } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       // Prevent suspending admins
@@ -758,11 +764,11 @@ router.post(
 router.put(
   "/admin/users/:id/unsuspend",
   authMiddleware,
-  adminCheck,
+  requirePermission("users.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const { liftReason } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       // Check if user is actually suspended
@@ -836,11 +842,11 @@ router.put(
 router.delete(
   "/admin/listings/:id/remove",
   authMiddleware,
-  adminCheck,
+  requirePermission("listings.moderate"),
   async (req, res) => {
     const { id } = req.params;
     const { reason, relatedReportId, notifyUser } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       // Get listing info before deletion
@@ -910,15 +916,95 @@ router.delete(
   },
 );
 
+// =====================================================
+// DELETE: Remove Listing Question (Violation)
+// =====================================================
+router.delete(
+  "/admin/questions/:id/remove",
+  authMiddleware,
+  requirePermission("listings.moderate"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { reason, relatedReportId, notifyUser } = req.body;
+    const adminId = req.admin.id;
+
+    try {
+      // Hidden rather than deleted, like listings (for audit trail)
+      const result = await db.query(
+        `UPDATE listing_questions q
+       SET status = 'removed', removal_reason = $1, removed_by = $2, removed_at = NOW()
+       FROM userlistings l
+       WHERE q.id = $3 AND l.id = q.listing_id
+       RETURNING q.id, q.asker_id, q.listing_id, l.title as listing_title`,
+        [reason || "Removed for policy violation", adminId, id],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      const question = result.rows[0];
+
+      // Notify the asker if requested
+      if (notifyUser !== false && question.asker_id) {
+        const message = `Your question on "${question.listing_title}" has been removed. Reason: ${
+          reason || "Policy violation"
+        }`;
+        await db.query(
+          `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype, createdat)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+          [
+            question.asker_id,
+            "Question Removed",
+            message,
+            "question_removed",
+            question.listing_id,
+            "listing",
+          ],
+        );
+
+        await sendPushToUser(
+          question.asker_id,
+          buildNotificationPayload({
+            title: "Question Removed",
+            body: message,
+            type: "question_removed",
+            relatedId: question.listing_id,
+            relatedType: "listing",
+            url: `/listing/${question.listing_id}`,
+          }),
+        );
+      }
+
+      // Update related report if provided
+      if (relatedReportId) {
+        await db.query(
+          `UPDATE reports SET status = 'resolved', action_taken = 'question_removed', 
+         reviewed_by = $1, reviewed_at = NOW() WHERE id = $2`,
+          [adminId, relatedReportId],
+        );
+      }
+
+      res.status(200).json({ message: "Question removed successfully" });
+    } catch (error) {
+      console.error("Error removing question:", error);
+      res.status(500).json({ error: "Failed to remove question" });
+    }
+  },
+);
+
 // =====================================================
 // GET: All Appeals
 // =====================================================
-router.get("/admin/appeals", authMiddleware, adminCheck, async (req, res) => {
-  try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+router.get(
+  "/admin/appeals",
+  authMiddleware,
+  requirePermission("reports.manage"),
+  async (req, res) => {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    let queryText = `
+      let queryText = `
       SELECT 
         a.*,
         u.name as user_name,
@@ -935,47 +1021,48 @@ router.get("/admin/appeals", authMiddleware, adminCheck, async (req, res) => {
       LEFT JOIN account_suspensions s ON a.suspension_id = s.id
       LEFT JOIN violation_warnings w ON a.warning_id = w.id
       LEFT JOIN userlistings l ON a.related_listing_id = l.id
-      LEFT JOIN users reviewer ON a.reviewed_by = reviewer.id
+      LEFT JOIN admin_users reviewer ON a.reviewed_by = reviewer.id
       WHERE 1=1
     `;
-    const queryParams = [];
-    let paramCount = 1;
+      const queryParams = [];
+      let paramCount = 1;
 
-    if (status) {
-      queryText += ` AND a.status = $${paramCount}`;
-      queryParams.push(status);
-      paramCount++;
-    }
+      if (status) {
+        queryText += ` AND a.status = $${paramCount}`;
+        queryParams.push(status);
+        paramCount++;
+      }
 
-    queryText += ` ORDER BY a.created_at ASC`;
-    queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    queryParams.push(parseInt(limit), offset);
+      queryText += ` ORDER BY a.created_at ASC`;
+      queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+      queryParams.push(parseInt(limit), offset);
 
-    const result = await db.query(queryText, queryParams);
+      const result = await db.query(queryText, queryParams);
 
-    // Get count
-    let countQuery = "SELECT COUNT(*) FROM appeals WHERE 1=1";
-    if (status) {
-      countQuery += ` AND status = '${status}'`;
-    }
-    const countResult = await db.query(countQuery);
+      // Get count
+      let countQuery = "SELECT COUNT(*) FROM appeals WHERE 1=1";
+      if (status) {
+        countQuery += ` AND status = '${status}'`;
+      }
+      const countResult = await db.query(countQuery);
 
-    res.status(200).json({
-      appeals: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(
-          parseInt(countResult.rows[0].count) / parseInt(limit),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching appeals:", error);
-    res.status(500).json({ error: "Failed to fetch appeals" });
-  }
-});
+      res.status(200).json({
+        appeals: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(
+            parseInt(countResult.rows[0].count) / parseInt(limit),
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching appeals:", error);
+      res.status(500).json({ error: "Failed to fetch appeals" });
+    }
+  },
+);
 
 // =====================================================
 // PUT: Review Appeal
@@ -983,11 +1070,11 @@ router.get("/admin/appeals", authMiddleware, adminCheck, async (req, res) => {
 router.put(
   "/admin/appeals/:id/review",
   authMiddleware,
-  adminCheck,
+  requirePermission("reports.manage"),
   async (req, res) => {
     const { id } = req.params;
     const { decision, adminNotes } = req.body; // decision: 'approved' or 'denied'
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       if (!["approved", "denied"].includes(decision)) {
@@ -1089,7 +1176,7 @@ router.put(
 router.get(
   "/admin/users/:id/moderation-history",
   authMiddleware,
-  adminCheck,
+  requirePermission("users.view"),
   async (req, res) => {
     const { id } = req.params;
 
@@ -1148,7 +1235,7 @@ router.get(
       const warnings = await db.query(
         `SELECT w.*, admin.name as issued_by_name
        FROM violation_warnings w
-       LEFT JOIN users admin ON w.issued_by = admin.id
+       LEFT JOIN admin_users admin ON w.issued_by = admin.id
        WHERE w.user_id = $1
        ORDER BY w.created_at DESC`,
         [id],
@@ -1158,8 +1245,8 @@ router.get(
       const suspensions = await db.query(
         `SELECT s.*, admin.name as suspended_by_name, lifter.name as lifted_by_name
        FROM account_suspensions s
-       LEFT JOIN users admin ON s.suspended_by = admin.id
-       LEFT JOIN users lifter ON s.lifted_by = lifter.id
+       LEFT JOIN admin_users admin ON s.suspended_by = admin.id
+       LEFT JOIN admin_users lifter ON s.lifted_by = lifter.id
        WHERE s.user_id = $1
        ORDER BY s.created_at DESC`,
         [id],
@@ -1169,7 +1256,7 @@ router.get(
       const appeals = await db.query(
         `SELECT a.*, reviewer.name as reviewed_by_name
        FROM appeals a
-       LEFT JOIN users reviewer ON a.reviewed_by = reviewer.id
+       LEFT JOIN admin_users reviewer ON a.reviewed_by = reviewer.id
        WHERE a.user_id = $1
        ORDER BY a.created_at DESC`,
         [id],
@@ -1189,13 +1276,82 @@ router.get(
   },
 );
 
+// =====================================================
+// GET: User Login Events
+// =====================================================
+router.get(
+  "/admin/users/:id/login-events",
+  authMiddleware,
+  requirePermission("users.view"),
+  async (req, res) => {
+    const { id } = req.params;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      200,
+      Math.max(1, parseInt(req.query.limit, 10) || 50),
+    );
+
+    try {
+      const user = await db.query(
+        "SELECT id, name, email, failed_login_count, locked_until FROM users WHERE id = $1",
+        [id],
+      );
+      if (user.rows.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const events = await listLoginEvents(id, {
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      res.status(200).json({
+        user: user.rows[0],
+        lockedUntil: getLockedUntil(user.rows[0]),
+        events,
+        page,
+        limit,
+      });
+    } catch (error) {
+      console.error("Error fetching login events:", error);
+      res.status(500).json({ error: "Failed to fetch login events" });
+    }
+  },
+);
+
+// =====================================================
+// PUT: Unlock User Login
+// =====================================================
+router.put(
+  "/admin/users/:id/unlock",
+  authMiddleware,
+  requirePermission("users.moderate"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const user = await db.query("SELECT id FROM users WHERE id = $1", [id]);
+      if (user.rows.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await clearLoginLockout(id);
+      console.log(`[Admin] ${req.admin.email} unlocked login for user ${id}`);
+      res.status(200).json({ message: "Account unlocked" });
+    } catch (error) {
+      console.error("Error unlocking user:", error);
+      res.status(500).json({ error: "Failed to unlock account" });
+    }
+  },
+);
+
 // =====================================================
 // POST: Broadcast Message to All Users
 // =====================================================
 router.post(
   "/admin/broadcast",
   authMiddleware,
-  adminCheck,
+  requirePermission("broadcast.send"),
   async (req, res) => {
     const {
       title,
@@ -1203,7 +1359,7 @@ router.post(
       type = "announcement",
       priority = "normal",
     } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.admin.id;
 
     try {
       if (!title || !message) {
@@ -1289,7 +1445,7 @@ router.post(
 router.get(
   "/admin/broadcasts",
   authMiddleware,
-  adminCheck,
+  requirePermission("broadcast.send"),
   async (req, res) => {
     const { limit = 20, offset = 0 } = req.query;
 
@@ -1297,7 +1453,7 @@ router.get(
       const result = await db.query(
         `SELECT b.*, a.name as admin_name
          FROM admin_broadcasts b
-         LEFT JOIN users a ON b.admin_id = a.id
+         LEFT JOIN admin_users a ON b.admin_id = a.id
          ORDER BY b.created_at DESC
          LIMIT $1 OFFSET $2`,
         [limit, offset],
@@ -1327,10 +1483,14 @@ router.get(
  * GET /api/admin/disputes
  * List all orders with fonlok_status = 'disputed', newest first.
  */
-router.get("/admin/disputes", authMiddleware, adminCheck, async (req, res) => {
-  try {
-    const { rows } = await db.query(
-      `SELECT
+router.get(
+  "/admin/disputes",
+  authMiddleware,
+  requirePermission("disputes.manage"),
+  async (req, res) => {
+    try {
+      const { rows } = await db.query(
+        `SELECT
            o.id,
            o.order_reference,
            o.amount,
@@ -1364,13 +1524,14 @@ router.get("/admin/disputes", authMiddleware, adminCheck, async (req, res) => {
          ) de ON TRUE
          WHERE o.fonlok_status = 'disputed'
          ORDER BY o.updated_at DESC`,
-    );
-    res.json({ disputes: rows });
-  } catch (err) {
-    console.error("[Admin] GET disputes error:", err.message);
-    res.status(500).json({ error: "Failed to fetch disputes." });
-  }
-});
+      );
+      res.json({ disputes: rows });
+    } catch (err) {
+      console.error("[Admin] GET disputes error:", err.message);
+      res.status(500).json({ error: "Failed to fetch disputes." });
+    }
+  },
+);
 
 /**
  * POST /api/admin/orders/:id/resend-dispute-transcript
@@ -1379,7 +1540,7 @@ router.get("/admin/disputes", authMiddleware, adminCheck, async (req, res) => {
 router.post(
   "/admin/orders/:id/resend-dispute-transcript",
   authMiddleware,
-  adminCheck,
+  requirePermission("disputes.manage"),
   async (req, res) => {
     const { id } = req.params;
     try {
@@ -18,6 +18,10 @@ import {
   searchListingsForAI,
   hasShoppingSignal,
 } from "../services/aiService.js";
+import {
+  getAllCategoryAttributes,
+  sanitizeListingAttributes,
+} from "../utils/listingAttributes.js";
 
 const router = express.Router();
 
@@ -194,13 +198,18 @@ router.post(
       return res.status(400).json({ error: "No image provided" });
     }
 
-    // Fetch categories from DB for matching
+    // Fetch categories and their attribute schemas from DB for matching
     let categories = [];
+    let attributesByCategory = {};
     try {
       const result = await db.query(
         "SELECT id, name FROM categories ORDER BY name ASC",
       );
-      categories = result.rows;
+      attributesByCategory = await getAllCategoryAttributes();
+      categories = result.rows.map((c) => ({
+        ...c,
+        attributes: attributesByCategory[c.id] || [],
+      }));
     } catch (err) {
       console.error("Could not fetch categories for AI:", err.message);
     }
@@ -211,6 +220,11 @@ router.post(
         req.file.mimetype,
         categories,
       );
+      // Only prefill attribute values that fit the suggested category
+      analysis.attributes = sanitizeListingAttributes(
+        attributesByCategory[analysis.categoryId] || [],
+        analysis.attributes,
+      );
       res.json(analysis);
     } catch (err) {
       console.error("AI image analysis error:", err.message);
@@ -419,6 +433,10 @@ router.post(
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/ai/seo-description — Generate SEO description
+// With `listingId` (one of the caller's listings) the description is written
+// from the listing as stored, not the request body, and saved on the listing
+// for RSS/Atom feeds and link previews (utils/seo.js). Editing the listing's
+// title or description clears it again (migration 029).
 // ─────────────────────────────────────────────────────────────────────────────
 router.post(
   "/ai/seo-description",
@@ -426,21 +444,46 @@ router.post(
   authMiddleware,
   aiLimiter,
   async (req, res) => {
-    const { title, category, condition, price, city } = req.body;
+    const { listingId } = req.body;
+    const forListing = listingId !== undefined && listingId !== null;
 
-    if (!title) {
+    if (!forListing && !req.body.title) {
       return res.status(400).json({ error: "title is required" });
     }
 
     try {
+      let details = req.body;
+      if (forListing) {
+        const owned = await db.query(
+          `SELECT l.id, l.title, l.condition, l.price, l.city, c.name AS category
+           FROM userlistings l
+           LEFT JOIN categories c ON c.id = l.categoryid
+           WHERE l.id = $1 AND l.userid = $2`,
+          [parseInt(listingId) || 0, req.user.id],
+        );
+        if (owned.rows.length === 0) {
+          return res.status(404).json({ error: "Listing not found" });
+        }
+        details = owned.rows[0];
+      }
+
       const result = await generateSEODescription({
-        title,
-        category,
-        condition,
-        price,
-        city,
+        title: details.title,
+        category: details.category,
+        condition: details.condition,
+        price: details.price,
+        city: details.city,
       });
-      res.json(result);
+
+      let savedToListing = false;
+      if (forListing && result.description) {
+        await db.query(
+          "UPDATE userlistings SET seo_description = $1 WHERE id = $2 AND userid = $3",
+          [result.description, details.id, req.user.id],
+        );
+        savedToListing = true;
+      }
+      res.json({ ...result, savedToListing });
     } catch (err) {
       console.error("AI SEO description error:", err.message);
       res.status(500).json({ error: "Could not generate SEO description." });
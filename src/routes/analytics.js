@@ -1,12 +1,15 @@
 import express from "express";
 import db from "../db.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { inCategorySql } from "../utils/categoryTree.js";
+import { recordBoostClick } from "../utils/boosts.js";
 
 const router = express.Router();
 
-// Track a view event
+// Track a view event. `sponsored: true` when the listing was opened from a
+// sponsored feed slot; it then also counts as a click on the running boost.
 router.post("/track/view", authMiddleware, async (req, res) => {
-  const { listingId, source } = req.body;
+  const { listingId, source, sponsored } = req.body;
   const viewerId = req.user?.id;
 
   try {
@@ -48,6 +51,10 @@ router.post("/track/view", authMiddleware, async (req, res) => {
       [listingId, isOwnView ? null : viewerId, source || "direct"],
     );
 
+    if (sponsored === true && !isOwnView) {
+      await recordBoostClick(listingId);
+    }
+
     // Update daily aggregates for the listing owner
     await db.query(
       `
@@ -301,6 +308,49 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
       [userId],
     );
 
+    // Boost performance: every boost the user bought, and the ones running now
+    const boostStats = await db.query(
+      `
+      SELECT
+        COUNT(*) FILTER (
+          WHERE b.starts_at <= NOW() AND b.ends_at > NOW()
+        ) as active_boosts,
+        COALESCE(SUM(b.impressions), 0) as impressions,
+        COALESCE(SUM(b.clicks), 0) as clicks,
+        COALESCE(SUM(b.amount), 0) as spent
+      FROM listing_boosts b
+      JOIN userlistings ul ON ul.id = b.listing_id
+      WHERE ul.userid = $1 AND b.status = 'active'
+    `,
+      [userId],
+    );
+
+    const boostedListings = await db.query(
+      `
+      SELECT
+        ul.id,
+        ul.title,
+        MAX(b.ends_at) as boosted_until,
+        BOOL_OR(b.starts_at <= NOW() AND b.ends_at > NOW()) as is_active,
+        SUM(b.impressions) as impressions,
+        SUM(b.clicks) as clicks,
+        CASE WHEN SUM(b.impressions) > 0
+          THEN ROUND((SUM(b.clicks)::numeric / SUM(b.impressions)) * 100, 1) ELSE 0
+        END as ctr,
+        SUM(b.amount) as spent
+      FROM listing_boosts b
+      JOIN userlistings ul ON ul.id = b.listing_id
+      WHERE ul.userid = $1 AND b.status = 'active'
+      GROUP BY ul.id, ul.title
+      ORDER BY MAX(b.ends_at) DESC
+      LIMIT 10
+    `,
+      [userId],
+    );
+
+    const boostImpressions = parseInt(boostStats.rows[0]?.impressions) || 0;
+    const boostClicks = parseInt(boostStats.rows[0]?.clicks) || 0;
+
     // Calculate CTR
     const totalViews = parseInt(totalStats.rows[0]?.total_views) || 0;
     const totalClicks = parseInt(totalStats.rows[0]?.total_clicks) || 0;
@@ -330,6 +380,23 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
         external: parseInt(trafficSources.rows[0]?.external) || 0,
       },
       topListings: topListings.rows,
+      boosts: {
+        activeBoosts: parseInt(boostStats.rows[0]?.active_boosts) || 0,
+        impressions: boostImpressions,
+        clicks: boostClicks,
+        ctr:
+          boostImpressions > 0
+            ? parseFloat(((boostClicks / boostImpressions) * 100).toFixed(1))
+            : 0,
+        spent: parseInt(boostStats.rows[0]?.spent) || 0,
+        currency: "XAF",
+        listings: boostedListings.rows.map((row) => ({
+          ...row,
+          impressions: parseInt(row.impressions) || 0,
+          clicks: parseInt(row.clicks) || 0,
+          spent: parseInt(row.spent) || 0,
+        })),
+      },
     });
   } catch (error) {
     console.error("Error fetching analytics dashboard:", error);
@@ -358,14 +425,21 @@ router.post("/initialize", authMiddleware, async (req, res) => {
 // =====================================================
 // GET: Top selling items by category
 // Shows what's popular/selling well in each category
+// Top-level categories by default, or the subcategories of ?parent=id;
+// each one counts the listings of its whole subtree
 // =====================================================
 router.get("/top-sellers", async (req, res) => {
   try {
-    const { limit = 4 } = req.query;
-
-    // Get all categories with their top performing listings
-    const categoriesResult = await db.query(`
-      SELECT id, name FROM categories ORDER BY name ASC
+    const { limit = 4, parent } = req.query;
+
+    // Get the categories to report on
+    const categoriesResult = parent
+      ? await db.query(
+          `SELECT id, name FROM categories WHERE parentid = $1 ORDER BY name ASC`,
+          [parent],
+        )
+      : await db.query(`
+      SELECT id, name FROM categories WHERE parentid IS NULL ORDER BY name ASC
     `);
 
     const topSellersByCategory = [];
@@ -401,7 +475,7 @@ router.get("/top-sellers", async (req, res) => {
         LEFT JOIN users u ON l.userid = u.id
         LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
         LEFT JOIN listing_analytics la ON l.id = la.listing_id
-        WHERE l.categoryid = $1
+        WHERE ${inCategorySql("l.categoryid", "$1")}
         AND l.moderation_status = 'approved'
         ORDER BY hotness_score DESC, l.createdat DESC
         LIMIT $2
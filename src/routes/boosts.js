@@ -0,0 +1,258 @@
+/**
+ * Paid listing boosts (featured placement).
+ *
+ * Routes:
+ * - GET  /api/boosts/products    - Boost products and their XAF prices
+ * - POST /api/listings/:id/boost - Buy a boost for an owned listing,
+ *                                  paid from the seller's Fonlok wallet
+ * - GET  /api/listings/:id/boosts - The listing's boosts with impressions
+ *                                  and clicks (owner only)
+ *
+ * How boosted listings are placed in feeds is described in utils/boosts.js.
+ */
+
+import express from "express";
+import db from "../db.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import { blockIfSuspended } from "../Middleware/suspensionMiddleware.js";
+import { getWalletBalance, payPlatformFromWallet } from "../services/fonlok.js";
+import { BOOST_PRODUCTS } from "../utils/boosts.js";
+
+const router = express.Router();
+
+const productList = () =>
+  Object.entries(BOOST_PRODUCTS).map(([id, product]) => ({
+    id,
+    ...product,
+    currency: "XAF",
+  }));
+
+router.get("/boosts/products", (req, res) => {
+  res.json({ products: productList() });
+});
+
+router.post(
+  "/listings/:id/boost",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const userId = req.user.id;
+    const userRef = `njimbong_${userId}`;
+    const productId = req.body.product;
+    const product = BOOST_PRODUCTS[productId];
+
+    if (!product) {
+      return res.status(400).json({
+        error: `Invalid product. Use one of: ${Object.keys(BOOST_PRODUCTS).join(", ")}`,
+        products: productList(),
+      });
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+
+      // Lock the listing so two purchases can't queue into the same slot
+      const listingResult = await client.query(
+        `SELECT id, userid, title, status, moderation_status, is_draft
+         FROM userlistings WHERE id = $1 FOR UPDATE`,
+        [req.params.id],
+      );
+      const listing = listingResult.rows[0];
+      if (!listing) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Listing not found" });
+      }
+      if (listing.userid !== userId) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ error: "You can only boost your own listings" });
+      }
+      if (
+        listing.is_draft ||
+        listing.status !== "Available" ||
+        listing.moderation_status !== "approved"
+      ) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: "Only live, approved listings can be boosted",
+        });
+      }
+
+      let walletBalance = 0;
+      try {
+        const bal = await getWalletBalance(userRef);
+        walletBalance = bal.balance;
+      } catch {
+        await client.query("ROLLBACK");
+        return res.status(502).json({
+          error: "Unable to verify wallet balance. Please try again.",
+        });
+      }
+      if (walletBalance < product.price) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: `Insufficient wallet balance. You have ${walletBalance.toLocaleString()} XAF but this boost costs ${product.price.toLocaleString()} XAF.`,
+          balance: walletBalance,
+          required: product.price,
+        });
+      }
+
+      // A new boost starts when the listing's last boost ends
+      const queueResult = await client.query(
+        `SELECT GREATEST(NOW(), COALESCE(MAX(ends_at), NOW())) AS starts_at
+         FROM listing_boosts
+         WHERE listing_id = $1 AND status IN ('active', 'pending')`,
+        [listing.id],
+      );
+      const startsAt = queueResult.rows[0].starts_at;
+
+      const buyerResult = await client.query(
+        "SELECT email, momo_phone FROM users WHERE id = $1",
+        [userId],
+      );
+      const buyer = buyerResult.rows[0];
+
+      // Record the purchase before charging, so a payment that goes through
+      // always has a boost row to reconcile against
+      const pendingResult = await client.query(
+        `INSERT INTO listing_boosts
+           (listing_id, user_id, product, amount, starts_at, ends_at, status)
+         VALUES ($1, $2, $3, $4, $5, $5::timestamptz + make_interval(days => $6), 'pending')
+         RETURNING id`,
+        [listing.id, userId, productId, product.price, startsAt, product.days],
+      );
+      const boostId = pendingResult.rows[0].id;
+
+      await client.query("COMMIT");
+
+      let payment;
+      try {
+        payment = await payPlatformFromWallet({
+          userRef,
+          amount: product.price,
+          title: `${product.label}: ${listing.title}`,
+          description: `Listing boost for "${listing.title}"`,
+          reference: `boost-${boostId}`,
+          buyerEmail: buyer.email,
+          buyerPhone: buyer.momo_phone,
+        });
+      } catch (walletErr) {
+        await client
+          .query("UPDATE listing_boosts SET status = 'failed' WHERE id = $1", [
+            boostId,
+          ])
+          .catch(() => {});
+        console.error("[Boosts] wallet payment error:", walletErr.message);
+        const errMsg = walletErr.response?.data?.error || "";
+        if (
+          walletErr.response?.status === 409 ||
+          errMsg.includes("insufficient")
+        ) {
+          return res
+            .status(409)
+            .json({ error: "Insufficient wallet balance for this boost." });
+        }
+        return res
+          .status(502)
+          .json({ error: "Wallet payment failed. Please try again." });
+      }
+
+      let boost;
+      try {
+        await client.query("BEGIN");
+
+        const boostResult = await client.query(
+          `UPDATE listing_boosts
+           SET status = 'active', fonlok_invoice_id = $1
+           WHERE id = $2
+           RETURNING *`,
+          [String(payment.invoice_id), boostId],
+        );
+        boost = boostResult.rows[0];
+
+        await client.query(
+          `INSERT INTO wallet_transactions
+             (user_id, type, amount, status, reference, description)
+           VALUES ($1, 'boost', $2, 'completed', $3, $4)`,
+          [
+            userId,
+            product.price,
+            String(payment.invoice_id),
+            `Boost: ${listing.title}`,
+          ],
+        );
+
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        // The wallet was charged; the boost stays pending for reconciliation
+        console.error(
+          `[Boosts] RECONCILE: boost ${boostId} paid by invoice ${payment.invoice_id} but not activated:`,
+          error,
+        );
+        return res.status(500).json({
+          error:
+            "Your payment went through but the boost could not be activated. Please contact support with this boost id.",
+          boost_id: boostId,
+        });
+      }
+
+      res.status(201).json({
+        message:
+          new Date(startsAt) > new Date()
+            ? "Boost purchased. It starts when the current boost ends."
+            : "Boost purchased. Your listing is now featured.",
+        boost,
+        new_balance: payment.new_balance,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("Error purchasing boost:", error);
+      res.status(500).json({ error: "Failed to purchase boost" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+router.get("/listings/:id/boosts", authMiddleware, async (req, res) => {
+  try {
+    const listingResult = await db.query(
+      "SELECT userid FROM userlistings WHERE id = $1",
+      [req.params.id],
+    );
+    if (!listingResult.rows.length) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+    if (listingResult.rows[0].userid !== req.user.id) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    const result = await db.query(
+      `SELECT id, product, amount, currency, starts_at, ends_at, status,
+              impressions, clicks,
+              CASE WHEN impressions > 0
+                THEN ROUND((clicks::numeric / impressions) * 100, 1) ELSE 0
+              END AS ctr,
+              CASE
+                WHEN status <> 'active' THEN status
+                WHEN starts_at > NOW() THEN 'scheduled'
+                WHEN ends_at > NOW() THEN 'running'
+                ELSE 'ended'
+              END AS state,
+              created_at
+       FROM listing_boosts
+       WHERE listing_id = $1
+       ORDER BY starts_at DESC`,
+      [req.params.id],
+    );
+    res.json({ boosts: result.rows });
+  } catch (error) {
+    console.error("Error fetching listing boosts:", error);
+    res.status(500).json({ error: "Failed to fetch boosts" });
+  }
+});
+
+export default router;
@@ -3,7 +3,19 @@ import db from "../db.js";
 import multer from "multer";
 import cloudinary from "../storage/cloudinary.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
-import adminMiddleware from "../Middleware/adminMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
+import {
+  getCategoryAttributes,
+  validateAttributeDefinition,
+} from "../utils/listingAttributes.js";
+import {
+  getCategoryTree,
+  checkCategoryParent,
+  mergeCategory,
+  parseParentId,
+  expandCategoryIds,
+} from "../utils/categoryTree.js";
+import { DEFAULT_LIFETIME_DAYS } from "../utils/listingExpiry.js";
 
 const router = express.Router();
 
@@ -34,20 +46,40 @@ router.get("/categories", async (req, res) => {
   }
 });
 
-// Create a new category with optional image upload
+// Get all categories as a nested tree (public - no auth required)
+router.get("/categories/tree", async (req, res) => {
+  try {
+    const tree = await getCategoryTree();
+    res.status(200).json(tree);
+  } catch (error) {
+    console.error("Error fetching category tree:", error);
+    res.status(500).json({ error: "Failed to fetch category tree" });
+  }
+});
+
+// Create a new category with optional image upload.
+// `parentid` makes it a subcategory; leave it out for a top-level category.
 router.post(
   "/categories",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("categories.manage"),
   upload.single("image"),
   async (req, res) => {
     const { name, slug, description, icon, imageurl, sortorder } = req.body;
+    const parentId = parseParentId(req.body.parentid);
 
     try {
       // Validate required fields
       if (!name) {
         return res.status(400).json({ error: "Category name is required" });
       }
+      if (isNaN(parentId)) {
+        return res.status(400).json({ error: "Invalid parent category" });
+      }
+      const parentError = await checkCategoryParent(null, parentId);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
 
       // Generate slug if not provided
       const categorySlug =
@@ -80,8 +112,8 @@ router.post(
       }
 
       const result = await db.query(
-        `INSERT INTO categories (name, slug, description, icon, imageurl, sortoder, createdat) 
-       VALUES ($1, $2, $3, $4, $5, $6, NOW()) 
+        `INSERT INTO categories (name, slug, description, icon, imageurl, sortoder, parentid, createdat) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) 
        RETURNING *`,
         [
           name,
@@ -90,6 +122,7 @@ router.post(
           icon || null,
           finalImageUrl,
           sortorder || 0,
+          parentId,
         ]
       );
 
@@ -113,7 +146,7 @@ router.post(
 router.put(
   "/categories/:id",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("categories.manage"),
   upload.single("image"),
   async (req, res) => {
     const { id } = req.params;
@@ -169,11 +202,57 @@ router.put(
   }
 );
 
+// Set how long listings in a category stay live before they expire.
+// null clears it, so the category inherits its parent's lifetime (or the
+// default); see utils/listingExpiry.js. Applies to existing listings too.
+router.put(
+  "/categories/:id/lifetime",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    const days = req.body.listing_lifetime_days;
+
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+      return res.status(400).json({
+        error:
+          "listing_lifetime_days must be a whole number from 1 to 365, or null",
+      });
+    }
+
+    try {
+      const result = await db.query(
+        `UPDATE categories SET listing_lifetime_days = $1
+         WHERE id = $2
+         RETURNING *,
+           COALESCE(
+             listing_lifetime_days,
+             category_listing_lifetime(parentid),
+             $3
+           ) AS effective_lifetime_days`,
+        [days, id, DEFAULT_LIFETIME_DAYS]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      res.status(200).json({
+        message: "Listing lifetime updated",
+        category: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error updating category lifetime:", error);
+      res.status(500).json({ error: "Failed to update listing lifetime" });
+    }
+  }
+);
+
 // Delete a category
 router.delete(
   "/categories/:id",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("categories.manage"),
   async (req, res) => {
     const { id } = req.params;
 
@@ -198,4 +277,273 @@ router.delete(
   }
 );
 
+// ─── Category hierarchy ───────────────────────────────────────────────────────
+
+// Move a category (with its whole subtree) under another parent, or to the
+// top level with parentid: null. Its listings stay where they are.
+router.put(
+  "/categories/:id/move",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const parentId = parseParentId(req.body.parentid);
+    if (isNaN(id) || isNaN(parentId)) {
+      return res.status(400).json({ error: "Invalid category or parent" });
+    }
+
+    try {
+      const category = await db.query(
+        "SELECT id FROM categories WHERE id = $1",
+        [id]
+      );
+      if (category.rows.length === 0) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      const parentError = await checkCategoryParent(id, parentId);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+
+      const result = await db.query(
+        "UPDATE categories SET parentid = $1 WHERE id = $2 RETURNING *",
+        [parentId, id]
+      );
+
+      res.status(200).json({
+        message: "Category moved successfully",
+        category: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error moving category:", error);
+      res.status(500).json({ error: "Failed to move category" });
+    }
+  }
+);
+
+// Merge a category into another: listings, requests, preferences, saved
+// searches and subcategories are re-homed to `targetid`, then it is deleted.
+router.post(
+  "/categories/:id/merge",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const targetId = parseParentId(req.body.targetid);
+    if (isNaN(id) || isNaN(targetId) || targetId === null) {
+      return res.status(400).json({ error: "A valid targetid is required" });
+    }
+
+    try {
+      const categories = await db.query(
+        "SELECT id FROM categories WHERE id = ANY($1::int[])",
+        [[id, targetId]]
+      );
+      if (categories.rows.length < 2 || id === targetId) {
+        return res
+          .status(404)
+          .json({ error: "Both categories must exist and be different" });
+      }
+
+      // Merging into a descendant would make the source's children
+      // subcategories of their own subcategory
+      const subtree = await expandCategoryIds([id]);
+      if (subtree.includes(targetId)) {
+        return res.status(400).json({
+          error: "A category can't be merged into one of its subcategories",
+        });
+      }
+
+      const moved = await mergeCategory(id, targetId);
+
+      res.status(200).json({
+        message: "Categories merged successfully",
+        targetId,
+        moved,
+      });
+    } catch (error) {
+      console.error("Error merging categories:", error);
+      res.status(500).json({ error: "Failed to merge categories" });
+    }
+  }
+);
+
+// ─── Category attribute schemas ───────────────────────────────────────────────
+// Structured fields sellers fill in for listings in a category (e.g. mileage
+// for cars). See utils/listingAttributes.js for validation and filtering.
+
+// Get a category's attribute schema (public)
+router.get("/categories/:id/attributes", async (req, res) => {
+  const categoryId = parseInt(req.params.id, 10);
+  if (isNaN(categoryId)) {
+    return res.status(400).json({ error: "Invalid category id" });
+  }
+
+  try {
+    const attributes = await getCategoryAttributes(categoryId);
+    res.status(200).json({ attributes });
+  } catch (error) {
+    console.error("Error fetching category attributes:", error);
+    res.status(500).json({ error: "Failed to fetch category attributes" });
+  }
+});
+
+// Add an attribute to a category
+router.post(
+  "/categories/:id/attributes",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { definition, error } = validateAttributeDefinition(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const category = await db.query(
+        "SELECT id FROM categories WHERE id = $1",
+        [id]
+      );
+      if (category.rows.length === 0) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      const result = await db.query(
+        `INSERT INTO category_attributes
+           (category_id, key, label, type, unit, allowed_values, required, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          id,
+          definition.key,
+          definition.label,
+          definition.type,
+          definition.unit ?? null,
+          definition.allowed_values
+            ? JSON.stringify(definition.allowed_values)
+            : null,
+          definition.required ?? false,
+          definition.sort_order ?? 0,
+        ]
+      );
+
+      res.status(201).json({
+        message: "Attribute created successfully",
+        attribute: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error creating category attribute:", error);
+      if (error.code === "23505") {
+        res.status(400).json({
+          error: "This category already has an attribute with that key",
+        });
+      } else {
+        res.status(500).json({ error: "Failed to create attribute" });
+      }
+    }
+  }
+);
+
+// Update an attribute. Changing its key or type doesn't rewrite values
+// already stored on listings; they are re-validated on the next edit.
+router.put(
+  "/categories/:id/attributes/:attributeId",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const { id, attributeId } = req.params;
+
+    try {
+      const existing = await db.query(
+        "SELECT * FROM category_attributes WHERE id = $1 AND category_id = $2",
+        [attributeId, id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Attribute not found" });
+      }
+
+      // Validate the merged result so e.g. a select can't lose its values
+      const current = existing.rows[0];
+      const { definition, error } = validateAttributeDefinition({
+        key: current.key,
+        label: current.label,
+        type: current.type,
+        unit: current.unit,
+        allowed_values: current.allowed_values,
+        required: current.required,
+        sort_order: current.sort_order,
+        ...req.body,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await db.query(
+        `UPDATE category_attributes
+         SET key = $1, label = $2, type = $3, unit = $4, allowed_values = $5,
+             required = $6, sort_order = $7
+         WHERE id = $8
+         RETURNING *`,
+        [
+          definition.key,
+          definition.label,
+          definition.type,
+          definition.unit,
+          definition.allowed_values
+            ? JSON.stringify(definition.allowed_values)
+            : null,
+          definition.required,
+          definition.sort_order,
+          attributeId,
+        ]
+      );
+
+      res.status(200).json({
+        message: "Attribute updated successfully",
+        attribute: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error updating category attribute:", error);
+      if (error.code === "23505") {
+        res.status(400).json({
+          error: "This category already has an attribute with that key",
+        });
+      } else {
+        res.status(500).json({ error: "Failed to update attribute" });
+      }
+    }
+  }
+);
+
+// Remove an attribute (values already on listings are left in place)
+router.delete(
+  "/categories/:id/attributes/:attributeId",
+  authMiddleware,
+  requirePermission("categories.manage"),
+  async (req, res) => {
+    const { id, attributeId } = req.params;
+
+    try {
+      const result = await db.query(
+        "DELETE FROM category_attributes WHERE id = $1 AND category_id = $2 RETURNING *",
+        [attributeId, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Attribute not found" });
+      }
+
+      res.status(200).json({
+        message: "Attribute deleted successfully",
+        attribute: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error deleting category attribute:", error);
+      res.status(500).json({ error: "Failed to delete attribute" });
+    }
+  }
+);
+
 export default router;
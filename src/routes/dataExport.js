@@ -0,0 +1,132 @@
+/**
+ * Personal Data Export Routes
+ * ===========================
+ * "Download my data": queue an export of everything we hold about the
+ * current user and download the finished ZIP. The archive itself is built
+ * by utils/dataExport.js; the user is emailed a link when it is ready.
+ *
+ * Routes:
+ * - POST /api/users/me/data-export - Request a new export (one per 24 hours)
+ * - GET /api/users/me/data-exports - List recent exports and their status
+ * - GET /api/users/me/data-exports/:id/download - Download (signed-in owner)
+ * - GET /api/data-exports/:id/download?token=... - Download via the emailed link
+ */
+
+import express from "express";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  findRecentDataExport,
+  requestDataExport,
+  processDataExport,
+  listDataExports,
+  getDownloadableExport,
+} from "../utils/dataExport.js";
+
+const router = express.Router();
+
+const sendArchive = (res, dataExport) => {
+  const day = new Date(dataExport.completed_at).toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="njimbong-data-${day}.zip"`,
+  );
+  res.setHeader("Cache-Control", "no-store");
+  res.send(dataExport.archive);
+};
+
+// POST /api/users/me/data-export
+router.post("/users/me/data-export", authMiddleware, async (req, res) => {
+  try {
+    const recent = await findRecentDataExport(req.user.id);
+    if (recent) {
+      return res.status(429).json({
+        error:
+          "You already requested a data export in the last 24 hours. Please use that one.",
+        export: recent,
+      });
+    }
+
+    const dataExport = await requestDataExport(req.user.id);
+
+    // Build it in the background; the sweep in server.js retries anything
+    // left pending if the process restarts first.
+    setImmediate(() => {
+      processDataExport(dataExport.id).catch((err) =>
+        console.error("[DataExport] background run failed:", err.message),
+      );
+    });
+
+    res.status(202).json({
+      message:
+        "We're preparing your data. You'll get an email when it's ready to download.",
+      export: dataExport,
+    });
+  } catch (error) {
+    console.error("[DataExport] request error:", error.message);
+    res.status(500).json({ error: "Failed to request data export" });
+  }
+});
+
+// GET /api/users/me/data-exports
+router.get("/users/me/data-exports", authMiddleware, async (req, res) => {
+  try {
+    const exports = await listDataExports(req.user.id);
+    res.status(200).json({ exports });
+  } catch (error) {
+    console.error("[DataExport] list error:", error.message);
+    res.status(500).json({ error: "Failed to fetch data exports" });
+  }
+});
+
+// GET /api/users/me/data-exports/:id/download
+router.get(
+  "/users/me/data-exports/:id/download",
+  authMiddleware,
+  async (req, res) => {
+    const exportId = parseInt(req.params.id, 10);
+    if (isNaN(exportId)) {
+      return res.status(400).json({ error: "Invalid export id" });
+    }
+
+    try {
+      const dataExport = await getDownloadableExport(exportId, {
+        userId: req.user.id,
+      });
+      if (!dataExport) {
+        return res
+          .status(404)
+          .json({ error: "This export is not available for download" });
+      }
+      sendArchive(res, dataExport);
+    } catch (error) {
+      console.error("[DataExport] download error:", error.message);
+      res.status(500).json({ error: "Failed to download data export" });
+    }
+  },
+);
+
+// GET /api/data-exports/:id/download?token=...
+// The emailed link — the token stands in for a login, so no authMiddleware.
+router.get("/data-exports/:id/download", async (req, res) => {
+  const exportId = parseInt(req.params.id, 10);
+  const { token } = req.query;
+  if (isNaN(exportId) || !token) {
+    return res.status(400).json({ error: "Invalid download link" });
+  }
+
+  try {
+    const dataExport = await getDownloadableExport(exportId, { token });
+    if (!dataExport) {
+      return res
+        .status(404)
+        .json({ error: "This download link is invalid or has expired" });
+    }
+    sendArchive(res, dataExport);
+  } catch (error) {
+    console.error("[DataExport] link download error:", error.message);
+    res.status(500).json({ error: "Failed to download data export" });
+  }
+});
+
+export default router;
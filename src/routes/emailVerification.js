@@ -7,6 +7,8 @@ import {
   sendPasswordResetEmail,
   sendEmailVerification,
 } from "../utils/email.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { clearLoginLockout } from "../utils/loginSecurity.js";
 
 const router = express.Router();
 
@@ -27,7 +29,7 @@ router.get("/verify-email", async (req, res) => {
               u.name, u.email, u.email_verified
        FROM email_verifications ev
        JOIN users u ON u.id = ev.user_id
-       WHERE ev.token = $1`,
+       WHERE ev.token = $1 AND ev.purpose = 'signup'`,
       [token],
     );
 
@@ -108,7 +110,7 @@ router.post("/resend-verification", async (req, res) => {
     // Rate-limit: allow resend only if last token is older than 60 seconds
     const recentCheck = await db.query(
       `SELECT created_at FROM email_verifications
-       WHERE user_id = $1 AND used_at IS NULL
+       WHERE user_id = $1 AND used_at IS NULL AND purpose = 'signup'
        ORDER BY created_at DESC LIMIT 1`,
       [user.id],
     );
@@ -126,7 +128,7 @@ router.post("/resend-verification", async (req, res) => {
 
     // Invalidate old unused tokens and issue a fresh one
     await db.query(
-      "UPDATE email_verifications SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+      "UPDATE email_verifications SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL AND purpose = 'signup'",
       [user.id],
     );
     const token = crypto.randomBytes(48).toString("hex");
@@ -143,6 +145,216 @@ router.post("/resend-verification", async (req, res) => {
   }
 });
 
+// GET /auth/confirm-email-change?token=...
+// Link sent to the new address by POST /api/users/me/email. The account
+// switches over only now; until then the old address stays in use.
+router.get("/confirm-email-change", async (req, res) => {
+  const { token } = req.query;
+
+  if (!token || typeof token !== "string" || token.length > 200) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid or missing token." });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT ev.id, ev.user_id, ev.used_at, ev.expires_at, ev.old_email, ev.new_email,
+              u.email AS current_email
+       FROM email_verifications ev
+       JOIN users u ON u.id = ev.user_id
+       WHERE ev.token = $1 AND ev.purpose = 'email_change'`,
+      [token],
+    );
+
+    if (result.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Confirmation link is invalid." });
+    }
+
+    const row = result.rows[0];
+
+    if (row.used_at) {
+      return res.status(400).json({
+        success: false,
+        message: "This link has already been used or was cancelled.",
+      });
+    }
+
+    if (new Date(row.expires_at) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "This confirmation link has expired.",
+      });
+    }
+
+    // The account's email moved on since the request (e.g. another change)
+    if (row.current_email.toLowerCase() !== row.old_email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: "This confirmation link is no longer valid.",
+      });
+    }
+
+    const taken = await db.query(
+      "SELECT 1 FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2",
+      [row.new_email, row.user_id],
+    );
+    if (taken.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "That email address is already used by another account.",
+      });
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      // Claiming the token is the check: a second click finds it used
+      const claimed = await client.query(
+        `UPDATE email_verifications SET used_at = NOW()
+         WHERE id = $1 AND used_at IS NULL
+         RETURNING id`,
+        [row.id],
+      );
+      if (claimed.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "This link has already been used or was cancelled.",
+        });
+      }
+      await client.query(
+        "UPDATE users SET email = $1, email_verified = TRUE, updatedat = NOW() WHERE id = $2",
+        [row.new_email, row.user_id],
+      );
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[Auth] Email changed for user ${row.user_id}`);
+    return res.json({
+      success: true,
+      message: "Your email address has been updated.",
+      email: row.new_email,
+    });
+  } catch (err) {
+    console.error("[Auth] confirm-email-change error:", err.message);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error. Please try again." });
+  }
+});
+
+// GET /auth/revert-email-change?token=...
+// One-click "this wasn't me" link sent to the old address. Cancels a pending
+// change, or puts the old address back if the change already went through,
+// and signs the account out everywhere.
+router.get("/revert-email-change", async (req, res) => {
+  const { token } = req.query;
+
+  if (!token || typeof token !== "string" || token.length > 200) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid or missing token." });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT ev.id, ev.user_id, ev.used_at, ev.expires_at, ev.old_email, ev.new_email,
+              u.email AS current_email
+       FROM email_verifications ev
+       JOIN users u ON u.id = ev.user_id
+       WHERE ev.token = $1 AND ev.purpose = 'email_change_revert'`,
+      [token],
+    );
+
+    if (result.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This link is invalid." });
+    }
+
+    const row = result.rows[0];
+
+    if (row.used_at) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This link has already been used." });
+    }
+
+    if (new Date(row.expires_at) < new Date()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This link has expired." });
+    }
+
+    const alreadyChanged =
+      row.current_email.toLowerCase() === row.new_email.toLowerCase();
+
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const claimed = await client.query(
+        `UPDATE email_verifications SET used_at = NOW()
+         WHERE id = $1 AND used_at IS NULL
+         RETURNING id`,
+        [row.id],
+      );
+      if (claimed.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "This link has already been used.",
+        });
+      }
+      // Kill any confirmation link still in flight
+      await client.query(
+        `UPDATE email_verifications SET used_at = NOW()
+         WHERE user_id = $1 AND purpose = 'email_change' AND used_at IS NULL`,
+        [row.user_id],
+      );
+      if (alreadyChanged) {
+        await client.query(
+          "UPDATE users SET email = $1, email_verified = TRUE, updatedat = NOW() WHERE id = $2",
+          [row.old_email, row.user_id],
+        );
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // Whoever asked for the change had a session — end them all
+    await revokeAllSessions(row.user_id).catch((err) =>
+      console.error("[Auth] session revoke after revert failed:", err.message),
+    );
+
+    console.warn(
+      `[Auth] Email change ${alreadyChanged ? "reverted" : "cancelled"} by owner: user ${row.user_id}`,
+    );
+    return res.json({
+      success: true,
+      message: alreadyChanged
+        ? "Your email address has been restored and all devices were signed out. Please reset your password."
+        : "The email change was cancelled and all devices were signed out. Please reset your password.",
+    });
+  } catch (err) {
+    console.error("[Auth] revert-email-change error:", err.message);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error. Please try again." });
+  }
+});
+
 // POST /auth/forgot-password
 router.post("/forgot-password", async (req, res) => {
   const { email } = req.body;
@@ -258,6 +470,15 @@ router.post("/reset-password", async (req, res) => {
     );
     await db.query("COMMIT");
 
+    // A reset means the old password may be compromised — sign out everywhere
+    await revokeAllSessions(row.user_id).catch((err) =>
+      console.error("[Auth] session revoke after reset failed:", err.message),
+    );
+    // ...and the owner has proven control of the inbox, so lift any lockout
+    await clearLoginLockout(row.user_id).catch((err) =>
+      console.error("[Auth] lockout reset after reset failed:", err.message),
+    );
+
     return res.json({
       message:
         "Password reset successfully. You can now log in with your new password.",
@@ -0,0 +1,110 @@
+/**
+ * Exchange rates used to compare and convert listing prices.
+ *
+ * Routes:
+ * - GET    /api/exchange-rates                  - Current rates (public)
+ * - PUT    /api/admin/exchange-rates/:currency  - Set or add a rate
+ * - DELETE /api/admin/exchange-rates/:currency  - Remove a rate
+ *
+ * A rate is the value of one unit of the currency in XAF. Changing one
+ * re-prices every listing in that currency; see utils/currency.js.
+ */
+
+import express from "express";
+import db from "../db.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
+import {
+  BASE_CURRENCY,
+  parseCurrencyCode,
+  updateExchangeRate,
+  deleteExchangeRate,
+} from "../utils/currency.js";
+
+const router = express.Router();
+
+router.get("/exchange-rates", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT currency, rate_to_xaf::float8 AS rate_to_xaf, updated_at
+       FROM exchange_rates
+       ORDER BY currency`,
+    );
+    res.json({ base: BASE_CURRENCY, rates: result.rows });
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    res.status(500).json({ error: "Failed to fetch exchange rates" });
+  }
+});
+
+router.put(
+  "/admin/exchange-rates/:currency",
+  authMiddleware,
+  requirePermission("exchange_rates.manage"),
+  async (req, res) => {
+    const currency = parseCurrencyCode(req.params.currency);
+    const rate = Number(req.body.rate_to_xaf);
+
+    if (!currency) {
+      return res
+        .status(400)
+        .json({ error: "currency must be a 3-letter code" });
+    }
+    if (currency === BASE_CURRENCY) {
+      return res
+        .status(400)
+        .json({ error: `${BASE_CURRENCY} is the base currency (always 1)` });
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res
+        .status(400)
+        .json({ error: "rate_to_xaf must be a number greater than 0" });
+    }
+
+    try {
+      const { rate: saved, listingsUpdated } = await updateExchangeRate(
+        currency,
+        rate,
+        req.admin.id,
+      );
+      console.log(
+        `[ExchangeRates] ${req.admin.email} set ${currency} = ${rate} XAF (${listingsUpdated} listings re-priced)`,
+      );
+      res.json({
+        message: "Exchange rate saved",
+        rate: saved,
+        listings_updated: listingsUpdated,
+      });
+    } catch (error) {
+      console.error("Error saving exchange rate:", error);
+      res.status(500).json({ error: "Failed to save exchange rate" });
+    }
+  },
+);
+
+router.delete(
+  "/admin/exchange-rates/:currency",
+  authMiddleware,
+  requirePermission("exchange_rates.manage"),
+  async (req, res) => {
+    const currency = parseCurrencyCode(req.params.currency);
+    if (currency === BASE_CURRENCY) {
+      return res
+        .status(400)
+        .json({ error: "The base currency can't be removed" });
+    }
+
+    try {
+      const removed = currency ? await deleteExchangeRate(currency) : null;
+      if (!removed) {
+        return res.status(404).json({ error: "Exchange rate not found" });
+      }
+      res.json({ message: "Exchange rate removed", rate: removed });
+    } catch (error) {
+      console.error("Error removing exchange rate:", error);
+      res.status(500).json({ error: "Failed to remove exchange rate" });
+    }
+  },
+);
+
+export default router;
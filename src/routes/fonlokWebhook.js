@@ -13,6 +13,11 @@ import {
   buildNotificationPayload,
   sendPushToUser,
 } from "../utils/pushNotifications.js";
+import {
+  commitOrderStock,
+  restoreOrderStock,
+  markSoldIfOutOfStock,
+} from "../utils/inventory.js";
 
 const router = express.Router();
 
@@ -196,10 +201,9 @@ async function handlePaymentConfirmed(event, invoiceId) {
   const order = rows[0];
   console.log(`[FonlokWebhook] Order ${order.id} → paid_in_escrow`);
 
-  // Reserve listing — prevents a second buyer from initiating a concurrent order
-  await db.query(`UPDATE userlistings SET status = 'In Escrow' WHERE id = $1`, [
-    order.listing_id,
-  ]);
+  // Take the ordered units off the stock — the listing goes "Sold out" when
+  // none are left, which stops further checkouts
+  await commitOrderStock(db, order.id);
 
   // Fetch details for emails
   try {
@@ -293,10 +297,9 @@ async function handlePayoutReleased(event, invoiceId, eventType) {
     `[FonlokWebhook] Order ${order.id} → released (via ${eventType})`,
   );
 
-  // Permanently mark listing as sold — it should no longer appear as available
-  await db.query(`UPDATE userlistings SET status = 'Sold' WHERE id = $1`, [
-    order.listing_id,
-  ]);
+  // Permanently mark listing as sold once its stock is gone — multi-unit
+  // listings with stock left stay on sale
+  await markSoldIfOutOfStock(db, order.listing_id);
 
   // Mark the originating buyer_request as fulfilled, if applicable
   db.query(
@@ -450,11 +453,10 @@ async function handleDisputeResolved(event, invoiceId) {
     `[FonlokWebhook] Order ${order.id} → ${newOrderStatus} (dispute decision: ${decision})`,
   );
 
-  // Update listing status — sold if seller won, back to available if buyer won (refund)
+  // Update listing — sold if seller won (and no stock left), units back on
+  // sale if buyer won (refund)
   if (decision === "seller") {
-    await db.query(`UPDATE userlistings SET status = 'Sold' WHERE id = $1`, [
-      order.listing_id,
-    ]);
+    await markSoldIfOutOfStock(db, order.listing_id);
     // Mark the originating buyer_request as fulfilled on seller-win dispute
     db.query(
       `UPDATE buyer_requests SET status = 'fulfilled'
@@ -463,10 +465,7 @@ async function handleDisputeResolved(event, invoiceId) {
       [order.listing_id],
     ).catch(() => {});
   } else {
-    await db.query(
-      `UPDATE userlistings SET status = 'Available' WHERE id = $1`,
-      [order.listing_id],
-    );
+    await restoreOrderStock(db, order.id);
     // Unlock the buyer_request so the request becomes open again on buyer-win refund
     db.query(
       `UPDATE buyer_requests SET status = 'open'
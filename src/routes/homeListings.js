@@ -1,9 +1,35 @@
 import express from "express";
 const router = express.Router();
 import db from "../db.js";
+import {
+  SPONSORED_PER_PAGE,
+  sponsoredSql,
+  sponsoredOrderSql,
+  withSponsored,
+} from "../utils/boosts.js";
+import {
+  resolveDisplayCurrency,
+  withDisplayPrices,
+} from "../utils/currency.js";
 
-// Home page carousel — latest 50 approved listings
-router.get("/listings", (req, res) => {
+// Boosted listings for the sponsored slots of a home feed
+const fetchSponsored = async () => {
+  const result = await db.query(
+    `SELECT l.*, i.imageurl
+     FROM userlistings l
+     LEFT JOIN (
+       SELECT DISTINCT ON (listingid) listingid, imageurl
+       FROM imagelistings
+     ) i ON l.id = i.listingid
+     WHERE ${sponsoredSql("l")}
+     ORDER BY ${sponsoredOrderSql("l")}
+     LIMIT ${SPONSORED_PER_PAGE}`,
+  );
+  return result.rows;
+};
+
+// Home page carousel — latest 50 approved listings, with sponsored ones mixed in
+router.get("/listings", async (req, res) => {
   const query = `
     SELECT l.*, i.imageurl 
     FROM userlistings l
@@ -16,23 +42,42 @@ router.get("/listings", (req, res) => {
     LIMIT 50;
   `;
 
-  db.query(query, (err, result) => {
-    if (err) {
-      console.error("Database Error:", err.message);
-      return res.status(500).json({ error: err.message });
+  try {
+    const display = await resolveDisplayCurrency(req.query.displayCurrency);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
     }
-    res.status(200).json(result.rows);
-  });
+    const [result, sponsored] = await Promise.all([
+      db.query(query),
+      fetchSponsored(),
+    ]);
+    res
+      .status(200)
+      .json(
+        await withDisplayPrices(
+          withSponsored(result.rows, sponsored),
+          display.code,
+        ),
+      );
+  } catch (err) {
+    console.error("Database Error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Paginated browse endpoint — GET /home/listings/browse?page=1&limit=10
+// Both home endpoints take ?displayCurrency= to add converted prices.
 router.get("/listings/browse", async (req, res) => {
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const limit = 10;
   const offset = (page - 1) * limit;
 
   try {
-    const [countRes, listingsRes] = await Promise.all([
+    const display = await resolveDisplayCurrency(req.query.displayCurrency);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const [countRes, listingsRes, sponsored] = await Promise.all([
       db.query(
         `SELECT COUNT(*) FROM userlistings WHERE LOWER(moderation_status) = 'approved'`,
       ),
@@ -48,11 +93,15 @@ router.get("/listings/browse", async (req, res) => {
          LIMIT $1 OFFSET $2`,
         [limit, offset],
       ),
+      page === 1 ? fetchSponsored() : [],
     ]);
 
     const total = parseInt(countRes.rows[0].count, 10);
     res.status(200).json({
-      listings: listingsRes.rows,
+      listings: await withDisplayPrices(
+        withSponsored(listingsRes.rows, sponsored),
+        display.code,
+      ),
       total,
       page,
       hasMore: offset + listingsRes.rows.length < total,
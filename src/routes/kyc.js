@@ -7,6 +7,7 @@ import {
   sendPushToUser,
 } from "../utils/pushNotifications.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
 import {
   sendKycSubmittedAdmin,
   sendKycApproved,
@@ -235,192 +236,216 @@ router.get("/kyc/status/:userId", authMiddleware, async (req, res) => {
 });
 
 // Get all pending KYC verifications (Admin only)
-router.get("/kyc/pending", authMiddleware, async (req, res) => {
-  try {
-    const result = await db.query(
-      `SELECT k.*, u.name, u.email, u.username 
+router.get(
+  "/kyc/pending",
+  authMiddleware,
+  requirePermission("kyc.review"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT k.*, u.name, u.email, u.username 
        FROM kyc_verifications k
        LEFT JOIN users u ON k.userid = u.id
        WHERE k.status = 'pending'
        ORDER BY k.createdat ASC`,
-    );
+      );
 
-    res.status(200).json(result.rows);
-  } catch (error) {
-    console.error("Error fetching pending KYC:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to fetch pending KYC verifications" });
-  }
-});
+      res.status(200).json(result.rows);
+    } catch (error) {
+      console.error("Error fetching pending KYC:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to fetch pending KYC verifications" });
+    }
+  },
+);
 
 // Get all KYC verifications (Admin only)
-router.get("/kyc/all", authMiddleware, async (req, res) => {
-  try {
-    const result = await db.query(
-      `SELECT k.*, u.name, u.email, u.username 
+router.get(
+  "/kyc/all",
+  authMiddleware,
+  requirePermission("kyc.review"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT k.*, u.name, u.email, u.username 
        FROM kyc_verifications k
        LEFT JOIN users u ON k.userid = u.id
        ORDER BY k.createdat DESC`,
-    );
+      );
 
-    res.status(200).json(result.rows);
-  } catch (error) {
-    console.error("Error fetching KYC verifications:", error);
-    res.status(500).json({ error: "Failed to fetch KYC verifications" });
-  }
-});
+      res.status(200).json(result.rows);
+    } catch (error) {
+      console.error("Error fetching KYC verifications:", error);
+      res.status(500).json({ error: "Failed to fetch KYC verifications" });
+    }
+  },
+);
 
 // Approve KYC verification (Admin only)
-router.put("/kyc/approve/:id", authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  // Use adminId from body if provided, otherwise use authenticated user's id
-  const adminId = req.body.adminId || req.user?.id || 1;
+router.put(
+  "/kyc/approve/:id",
+  authMiddleware,
+  requirePermission("kyc.review"),
+  async (req, res) => {
+    const { id } = req.params;
+    const adminId = req.admin.id;
 
-  try {
-    // Get KYC verification details
-    const kycResult = await db.query(
-      "SELECT * FROM kyc_verifications WHERE id = $1",
-      [id],
-    );
+    try {
+      // Get KYC verification details
+      const kycResult = await db.query(
+        "SELECT * FROM kyc_verifications WHERE id = $1",
+        [id],
+      );
 
-    if (kycResult.rows.length === 0) {
-      return res.status(404).json({ error: "KYC verification not found" });
-    }
+      if (kycResult.rows.length === 0) {
+        return res.status(404).json({ error: "KYC verification not found" });
+      }
 
-    const kyc = kycResult.rows[0];
+      const kyc = kycResult.rows[0];
 
-    // Update KYC status
-    await db.query(
-      `UPDATE kyc_verifications 
+      // Update KYC status
+      await db.query(
+        `UPDATE kyc_verifications 
        SET status = 'approved', reviewedby = $1, reviewedat = NOW(), updatedat = NOW() 
        WHERE id = $2`,
-      [adminId, id],
-    );
+        [adminId, id],
+      );
 
-    // Update user's verified status
-    await db.query("UPDATE users SET verified = TRUE WHERE id = $1", [
-      kyc.userid,
-    ]);
+      // Update user's verified status
+      await db.query("UPDATE users SET verified = TRUE WHERE id = $1", [
+        kyc.userid,
+      ]);
 
-    await updateUserKycStatus(kyc.userid, "approved");
+      await updateUserKycStatus(kyc.userid, "approved");
 
-    // Create notification for user
-    await db.query(
-      `INSERT INTO notifications 
+      // Create notification for user
+      await db.query(
+        `INSERT INTO notifications 
        (userid, title, message, type, relatedid, relatedtype, createdat) 
        VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [
+        [
+          kyc.userid,
+          "KYC Verification Approved! 🎉",
+          "Congratulations! Your KYC verification has been approved. You are now a verified user on our platform.",
+          "kyc_approved",
+          id,
+          "kyc_verification",
+        ],
+      );
+
+      await sendPushToUser(
         kyc.userid,
-        "KYC Verification Approved! 🎉",
-        "Congratulations! Your KYC verification has been approved. You are now a verified user on our platform.",
-        "kyc_approved",
-        id,
-        "kyc_verification",
-      ],
-    );
+        buildNotificationPayload({
+          title: "KYC Verification Approved! 🎉",
+          body: "Congratulations! Your KYC verification has been approved. You are now a verified user on our platform.",
+          type: "kyc_approved",
+          relatedId: id,
+          relatedType: "kyc_verification",
+          url: "/profile",
+        }),
+      );
 
-    await sendPushToUser(
-      kyc.userid,
-      buildNotificationPayload({
-        title: "KYC Verification Approved! 🎉",
-        body: "Congratulations! Your KYC verification has been approved. You are now a verified user on our platform.",
-        type: "kyc_approved",
-        relatedId: id,
-        relatedType: "kyc_verification",
-        url: "/profile",
-      }),
-    );
+      // Email user about KYC approval
+      const approvedUserResult = await db.query(
+        "SELECT id, name, email FROM users WHERE id = $1",
+        [kyc.userid],
+      );
+      if (approvedUserResult.rows.length > 0) {
+        sendKycApproved(approvedUserResult.rows[0]);
+      }
 
-    // Email user about KYC approval
-    const approvedUserResult = await db.query(
-      "SELECT id, name, email FROM users WHERE id = $1",
-      [kyc.userid],
-    );
-    if (approvedUserResult.rows.length > 0) {
-      sendKycApproved(approvedUserResult.rows[0]);
+      res
+        .status(200)
+        .json({ message: "KYC verification approved successfully" });
+    } catch (error) {
+      console.error("Error approving KYC:", error);
+      res.status(500).json({ error: "Failed to approve KYC verification" });
     }
-
-    res.status(200).json({ message: "KYC verification approved successfully" });
-  } catch (error) {
-    console.error("Error approving KYC:", error);
-    res.status(500).json({ error: "Failed to approve KYC verification" });
-  }
-});
+  },
+);
 
 // Reject KYC verification (Admin only)
-router.put("/kyc/reject/:id", authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { adminId, reason } = req.body;
+router.put(
+  "/kyc/reject/:id",
+  authMiddleware,
+  requirePermission("kyc.review"),
+  async (req, res) => {
+    const { id } = req.params;
+    const adminId = req.admin.id;
+    const { reason } = req.body;
 
-  try {
-    if (!reason) {
-      return res.status(400).json({ error: "Rejection reason is required" });
-    }
+    try {
+      if (!reason) {
+        return res.status(400).json({ error: "Rejection reason is required" });
+      }
 
-    // Get KYC verification details
-    const kycResult = await db.query(
-      "SELECT * FROM kyc_verifications WHERE id = $1",
-      [id],
-    );
+      // Get KYC verification details
+      const kycResult = await db.query(
+        "SELECT * FROM kyc_verifications WHERE id = $1",
+        [id],
+      );
 
-    if (kycResult.rows.length === 0) {
-      return res.status(404).json({ error: "KYC verification not found" });
-    }
+      if (kycResult.rows.length === 0) {
+        return res.status(404).json({ error: "KYC verification not found" });
+      }
 
-    const kyc = kycResult.rows[0];
+      const kyc = kycResult.rows[0];
 
-    // Update KYC status
-    await db.query(
-      `UPDATE kyc_verifications 
+      // Update KYC status
+      await db.query(
+        `UPDATE kyc_verifications 
        SET status = 'rejected', rejectionreason = $1, reviewedby = $2, reviewedat = NOW(), updatedat = NOW() 
        WHERE id = $3`,
-      [reason, adminId, id],
-    );
+        [reason, adminId, id],
+      );
 
-    await updateUserKycStatus(kyc.userid, "rejected");
+      await updateUserKycStatus(kyc.userid, "rejected");
 
-    // Create notification for user
-    await db.query(
-      `INSERT INTO notifications 
+      // Create notification for user
+      await db.query(
+        `INSERT INTO notifications 
        (userid, title, message, type, relatedid, relatedtype, createdat) 
        VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [
+        [
+          kyc.userid,
+          "KYC Verification Rejected",
+          `Unfortunately, your KYC verification has been rejected. Reason: ${reason}. You can submit a new verification request with corrected documents.`,
+          "kyc_rejected",
+          id,
+          "kyc_verification",
+        ],
+      );
+
+      await sendPushToUser(
         kyc.userid,
-        "KYC Verification Rejected",
-        `Unfortunately, your KYC verification has been rejected. Reason: ${reason}. You can submit a new verification request with corrected documents.`,
-        "kyc_rejected",
-        id,
-        "kyc_verification",
-      ],
-    );
+        buildNotificationPayload({
+          title: "KYC Verification Rejected",
+          body: `Unfortunately, your KYC verification has been rejected. Reason: ${reason}. You can submit a new verification request with corrected documents.`,
+          type: "kyc_rejected",
+          relatedId: id,
+          relatedType: "kyc_verification",
+          url: "/profile",
+        }),
+      );
 
-    await sendPushToUser(
-      kyc.userid,
-      buildNotificationPayload({
-        title: "KYC Verification Rejected",
-        body: `Unfortunately, your KYC verification has been rejected. Reason: ${reason}. You can submit a new verification request with corrected documents.`,
-        type: "kyc_rejected",
-        relatedId: id,
-        relatedType: "kyc_verification",
-        url: "/profile",
-      }),
-    );
+      // Email user about KYC rejection
+      const rejectedUserResult = await db.query(
+        "SELECT id, name, email FROM users WHERE id = $1",
+        [kyc.userid],
+      );
+      if (rejectedUserResult.rows.length > 0) {
+        sendKycRejected(rejectedUserResult.rows[0], reason);
+      }
 
-    // Email user about KYC rejection
-    const rejectedUserResult = await db.query(
-      "SELECT id, name, email FROM users WHERE id = $1",
-      [kyc.userid],
-    );
-    if (rejectedUserResult.rows.length > 0) {
-      sendKycRejected(rejectedUserResult.rows[0], reason);
+      res
+        .status(200)
+        .json({ message: "KYC verification rejected successfully" });
+    } catch (error) {
+      console.error("Error rejecting KYC:", error);
+      res.status(500).json({ error: "Failed to reject KYC verification" });
     }
-
-    res.status(200).json({ message: "KYC verification rejected successfully" });
-  } catch (error) {
-    console.error("Error rejecting KYC:", error);
-    res.status(500).json({ error: "Failed to reject KYC verification" });
-  }
-});
+  },
+);
 
 export default router;
@@ -0,0 +1,446 @@
+/**
+ * Bulk listing tools for high-volume sellers.
+ *
+ * Routes:
+ * - POST /api/listings/import    - Create draft listings from a CSV/JSON file
+ *                                  (plus image URLs or a ZIP of images)
+ * - POST /api/listings/bulk-edit - Change price, status or category of many
+ *                                  owned listings in one transaction
+ *
+ * Imported listings are always drafts: the seller reviews them and
+ * publishes through PUT /api/listings/:id/publish as usual. The import file
+ * format is described in utils/listingImport.js.
+ */
+
+import express from "express";
+import multer from "multer";
+import db from "../db.js";
+import cloudinary from "../storage/cloudinary.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import { blockIfSuspended } from "../Middleware/suspensionMiddleware.js";
+import { resolveCoordinates } from "../utils/geo.js";
+import {
+  getCategoryAttributes,
+  validateListingAttributes,
+} from "../utils/listingAttributes.js";
+import {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  normaliseImportRecords,
+  readImageArchive,
+  referencedImageFiles,
+  loadCategoryLookup,
+  validateImportRow,
+} from "../utils/listingImport.js";
+import {
+  diffListing,
+  needsReview,
+  recordListingRevision,
+} from "../utils/listingRevisions.js";
+import {
+  computeImageHash,
+  computeImageHashFromUrl,
+  recordImageMatches,
+} from "../utils/imageHash.js";
+
+const router = express.Router();
+
+const MAX_BULK_EDIT = 200;
+const BULK_STATUSES = ["Available", "Sold"];
+
+// ── Multer: one data file (CSV/JSON) and one optional ZIP of images ──────────
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const isData = /\.(csv|json)$/i.test(file.originalname);
+    const isZip = /\.zip$/i.test(file.originalname);
+    if (file.fieldname === "file" && isData) return cb(null, true);
+    if (file.fieldname === "images" && isZip) return cb(null, true);
+    cb(
+      new Error(
+        "Upload the listings as a .csv or .json `file` and images as a .zip",
+      ),
+    );
+  },
+});
+
+const uploadBuffer = (buffer) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: "marketplace/listings", resource_type: "image" },
+      (err, result) => (err ? reject(err) : resolve(result)),
+    );
+    stream.end(buffer);
+  });
+
+// Upload a row's images (URLs are fetched by Cloudinary); a failed image
+// becomes a warning instead of failing the row
+const attachImportImages = async (
+  listingId,
+  { imageUrls, imageFiles },
+  archive,
+) => {
+  const sources = [
+    ...imageUrls.map((url) => ({
+      name: url,
+      upload: () =>
+        cloudinary.uploader.upload(url, {
+          folder: "marketplace/listings",
+          resource_type: "image",
+        }),
+      // Hash our stored copy rather than fetching the seller's URL ourselves
+      hash: (result) => computeImageHashFromUrl(result.secure_url),
+    })),
+    ...imageFiles.map((name) => ({
+      name,
+      upload: () => uploadBuffer(archive.get(name)),
+      hash: () => computeImageHash(archive.get(name)),
+    })),
+  ];
+
+  let saved = 0;
+  const warnings = [];
+  for (const source of sources) {
+    try {
+      const result = await source.upload();
+      await db.query(
+        `INSERT INTO imagelistings (listingid, imageurl, is_main, phash, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, NOW(), NOW())`,
+        [listingId, result.secure_url, saved === 0, await source.hash(result)],
+      );
+      saved++;
+    } catch (err) {
+      console.warn("[Listings] Import image failed:", source.name, err.message);
+      warnings.push(`Image "${source.name}" could not be uploaded`);
+    }
+  }
+  return { images: saved, warnings };
+};
+
+// ─── POST /api/listings/import — bulk-create draft listings ──────────────────
+// multipart: `file` (CSV or JSON) and optional `images` (ZIP), or a JSON body
+// { listings: [...] }. Rows are validated and saved one by one; the response
+// lists what was created and the errors for every rejected row (rows are
+// numbered from 1, not counting the CSV header).
+router.post(
+  "/listings/import",
+  authMiddleware,
+  blockIfSuspended,
+  upload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "images", maxCount: 1 },
+  ]),
+  async (req, res) => {
+    const userId = req.user.id;
+
+    let rows;
+    let archive = null;
+    try {
+      const file = req.files?.file?.[0];
+      if (file) {
+        rows = parseImportFile(file);
+      } else if (Array.isArray(req.body?.listings)) {
+        rows = normaliseImportRecords(req.body.listings);
+      } else {
+        return res.status(400).json({
+          error: "Upload a CSV or JSON file, or send { listings: [...] }",
+        });
+      }
+      const zip = req.files?.images?.[0];
+      if (zip) {
+        archive = readImageArchive(zip.buffer, referencedImageFiles(rows));
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "The import has no listings" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Import at most ${MAX_IMPORT_ROWS} listings at a time`,
+      });
+    }
+
+    try {
+      const categories = await loadCategoryLookup();
+      const schemas = new Map();
+      const getSchema = async (categoryId) => {
+        if (!schemas.has(categoryId)) {
+          schemas.set(categoryId, await getCategoryAttributes(categoryId));
+        }
+        return schemas.get(categoryId);
+      };
+
+      const created = [];
+      const failed = [];
+      for (let i = 0; i < rows.length; i++) {
+        const row = i + 1;
+        const checked = await validateImportRow(rows[i], {
+          categories,
+          getSchema,
+          archive,
+        });
+        if (checked.errors) {
+          failed.push({ row, errors: checked.errors });
+          continue;
+        }
+
+        const listing = checked.listing;
+        const coordinates = resolveCoordinates(listing);
+        try {
+          const result = await db.query(
+            `INSERT INTO userlistings
+             (userid, title, description, price, currency, categoryid, location, country, city, condition, phone, seller_email, tags, status, moderation_status, is_draft, delivery_type, delivery_notes, latitude, longitude, attributes, quantity, createdat)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'Available', 'draft', TRUE, $14, $15, $16, $17, $18, $19, NOW())
+             RETURNING id, title`,
+            [
+              userId,
+              listing.title,
+              listing.description,
+              listing.price,
+              listing.currency,
+              listing.categoryid,
+              listing.location,
+              listing.country,
+              listing.city,
+              listing.condition,
+              listing.phone,
+              listing.seller_email,
+              listing.tags,
+              listing.delivery_type,
+              listing.delivery_notes,
+              coordinates.latitude,
+              coordinates.longitude,
+              JSON.stringify(listing.attributes),
+              listing.quantity,
+            ],
+          );
+          const { id, title } = result.rows[0];
+          const { images, warnings } = await attachImportImages(
+            id,
+            checked,
+            archive,
+          );
+          // Drafts aren't flagged yet: publishing checks the stored matches
+          if (images > 0) {
+            const { ownListings } = await recordImageMatches(id);
+            if (ownListings.length > 0) {
+              warnings.push(
+                `Uses the same photos as your listing ${ownListings
+                  .map((listing) => `"${listing.title}"`)
+                  .join(", ")}`,
+              );
+            }
+          }
+          created.push({ row, id, title, images, warnings });
+        } catch (err) {
+          console.error("[Listings] Import row error:", err.message);
+          failed.push({ row, errors: { row: "Could not be saved" } });
+        }
+      }
+
+      console.log(
+        `[Listings] User ${userId} imported ${created.length}/${rows.length} listings`,
+      );
+      return res.status(created.length > 0 ? 201 : 400).json({
+        message: `${created.length} of ${rows.length} listings imported as drafts.`,
+        created,
+        failed,
+      });
+    } catch (err) {
+      console.error("[Listings] Import error:", err.message);
+      return res.status(500).json({ error: "Failed to import listings." });
+    }
+  },
+);
+
+// ─── POST /api/listings/bulk-edit — change many owned listings at once ───────
+// Body: { listing_ids: [..], price?, status? ("Available" | "Sold"), categoryId? }
+// All or nothing: if any listing can't take the change, none are updated and
+// the response lists the problem per listing. Follows the single-listing
+// rules: escrow-sold listings can't be repriced, recategorised or relisted,
+// and price changes on approved listings go back to review (with a revision).
+router.post(
+  "/listings/bulk-edit",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { listing_ids, price, status, categoryId } = req.body;
+
+    const ids = Array.isArray(listing_ids)
+      ? [...new Set(listing_ids.map((id) => parseInt(id, 10)))]
+      : [];
+    if (ids.length === 0 || ids.some((id) => isNaN(id))) {
+      return res
+        .status(400)
+        .json({ error: "listing_ids must be a list of listing ids" });
+    }
+    if (ids.length > MAX_BULK_EDIT) {
+      return res.status(400).json({
+        error: `Edit at most ${MAX_BULK_EDIT} listings at a time`,
+      });
+    }
+    if (price === undefined && status === undefined && !categoryId) {
+      return res
+        .status(400)
+        .json({ error: "Nothing to change: send price, status or categoryId" });
+    }
+
+    const newPrice = price === undefined ? null : parseFloat(price);
+    if (newPrice !== null && (isNaN(newPrice) || newPrice <= 0)) {
+      return res.status(400).json({ error: "Invalid price." });
+    }
+    if (status !== undefined && !BULK_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${BULK_STATUSES.join(", ")}` });
+    }
+
+    const client = await db.connect();
+    try {
+      let newCategoryId = null;
+      let schema = null;
+      if (categoryId) {
+        const category = await client.query(
+          "SELECT id FROM categories WHERE id = $1",
+          [parseInt(categoryId, 10) || 0],
+        );
+        if (category.rows.length === 0) {
+          return res.status(400).json({ error: "Category not found" });
+        }
+        newCategoryId = category.rows[0].id;
+        schema = await getCategoryAttributes(newCategoryId);
+      }
+
+      await client.query("BEGIN");
+      const listingsResult = await client.query(
+        "SELECT * FROM userlistings WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+        [ids],
+      );
+      const found = new Set(listingsResult.rows.map((listing) => listing.id));
+      const missing = ids.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ error: "Listing not found", listing_ids: missing });
+      }
+      if (listingsResult.rows.some((listing) => listing.userid !== userId)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ error: "You can only update your own listings" });
+      }
+
+      const escrowResult = await client.query(
+        `SELECT DISTINCT listing_id FROM orders
+         WHERE listing_id = ANY($1::int[])
+           AND fonlok_status IN ('paid_in_escrow', 'released', 'disputed')`,
+        [ids],
+      );
+      const escrowSold = new Set(
+        escrowResult.rows.map((row) => row.listing_id),
+      );
+
+      const errors = [];
+      const updates = [];
+      for (const listing of listingsResult.rows) {
+        if (
+          escrowSold.has(listing.id) &&
+          (newPrice !== null || newCategoryId || status === "Available")
+        ) {
+          errors.push({
+            id: listing.id,
+            error:
+              "This listing was sold through Njimbong escrow and cannot be changed.",
+          });
+          continue;
+        }
+
+        const updated = {
+          price: newPrice ?? listing.price,
+          categoryid: newCategoryId ?? listing.categoryid,
+          attributes: listing.attributes,
+        };
+        if (newCategoryId && newCategoryId !== listing.categoryid) {
+          const check = validateListingAttributes(schema, listing.attributes, {
+            isDraft: listing.is_draft,
+          });
+          if (Object.keys(check.errors).length > 0) {
+            errors.push({
+              id: listing.id,
+              error: "Invalid listing attributes for the new category",
+              fields: check.errors,
+            });
+            continue;
+          }
+          updated.attributes = check.attributes;
+        }
+        updates.push({ listing, updated });
+      }
+
+      if (errors.length > 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ error: "No listings were changed", listings: errors });
+      }
+
+      const listings = [];
+      const resubmitted = [];
+      for (const { listing, updated } of updates) {
+        const changes = diffListing(listing, updated);
+        const requiresReview =
+          listing.moderation_status === "approved" && needsReview(changes);
+
+        const result = await client.query(
+          `UPDATE userlistings
+           SET price = $1, categoryid = $2, attributes = $3,
+               status = COALESCE($4, status),
+               quantity = CASE $4::text
+                 WHEN 'Sold' THEN 0
+                 WHEN 'Available' THEN GREATEST(quantity, 1)
+                 ELSE quantity
+               END,
+               moderation_status = $5,
+               updatedat = NOW()
+           WHERE id = $6
+           RETURNING *`,
+          [
+            updated.price,
+            updated.categoryid,
+            JSON.stringify(updated.attributes),
+            status ?? null,
+            requiresReview ? "pending" : listing.moderation_status,
+            listing.id,
+          ],
+        );
+        await recordListingRevision(
+          { listingId: listing.id, editorId: userId, changes, requiresReview },
+          client,
+        );
+        if (requiresReview) resubmitted.push(listing.id);
+        listings.push(result.rows[0]);
+      }
+
+      await client.query("COMMIT");
+      return res.json({
+        message: `${listings.length} listings updated.`,
+        listings,
+        resubmitted_for_review: resubmitted,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("[Listings] Bulk edit error:", err.message);
+      return res.status(500).json({ error: "Failed to update listings." });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+export default router;
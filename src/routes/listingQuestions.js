@@ -0,0 +1,256 @@
+/**
+ * Public questions and answers on listings.
+ *
+ * Routes:
+ * - GET    /api/listings/:id/questions                      - The listing's Q&A
+ * - POST   /api/listings/:id/questions                      - Ask a question
+ * - PUT    /api/listings/:id/questions/:questionId/answer   - Answer or edit
+ *                                                             the answer (seller)
+ * - DELETE /api/listings/:id/questions/:questionId          - Withdraw an
+ *                                                             unanswered question
+ *
+ * Reporting a question: POST /api/reports/question/:id (reports.js).
+ * Who sees what is described in utils/listingQuestions.js.
+ */
+
+import express from "express";
+import db from "../db.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import optionalAuthMiddleware from "../Middleware/optionalAuthMiddleware.js";
+import { blockIfSuspended } from "../Middleware/suspensionMiddleware.js";
+import { sendListingQuestion } from "../utils/email.js";
+import {
+  buildNotificationPayload,
+  sendPushToUser,
+} from "../utils/pushNotifications.js";
+import {
+  MIN_QUESTION_LENGTH,
+  MAX_QUESTION_LENGTH,
+  MAX_ANSWER_LENGTH,
+  MAX_OPEN_QUESTIONS,
+  getListingQuestions,
+  getQuestionWithListing,
+} from "../utils/listingQuestions.js";
+
+const router = express.Router();
+
+router.get(
+  "/listings/:id/questions",
+  optionalAuthMiddleware,
+  async (req, res) => {
+    try {
+      const listingResult = await db.query(
+        "SELECT id, userid FROM userlistings WHERE id = $1",
+        [req.params.id],
+      );
+      if (listingResult.rows.length === 0) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+
+      const questions = await getListingQuestions(req.params.id, {
+        viewerId: req.user?.id ?? null,
+        sellerId: listingResult.rows[0].userid,
+      });
+      res.json({ questions });
+    } catch (error) {
+      console.error("Error fetching listing questions:", error);
+      res.status(500).json({ error: "Failed to fetch questions" });
+    }
+  },
+);
+
+router.post(
+  "/listings/:id/questions",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const userId = req.user.id;
+    const question =
+      typeof req.body.question === "string" ? req.body.question.trim() : "";
+
+    if (
+      question.length < MIN_QUESTION_LENGTH ||
+      question.length > MAX_QUESTION_LENGTH
+    ) {
+      return res.status(400).json({
+        error: `Questions must be ${MIN_QUESTION_LENGTH}–${MAX_QUESTION_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const listingResult = await db.query(
+        `SELECT l.id, l.userid, l.title, l.status, l.moderation_status, l.is_draft,
+                u.name AS seller_name, u.email AS seller_email
+         FROM userlistings l
+         JOIN users u ON u.id = l.userid
+         WHERE l.id = $1`,
+        [req.params.id],
+      );
+      const listing = listingResult.rows[0];
+      if (!listing) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+      if (listing.userid === userId) {
+        return res
+          .status(400)
+          .json({ error: "You cannot ask a question on your own listing" });
+      }
+      if (
+        listing.status !== "Available" ||
+        listing.moderation_status !== "approved" ||
+        listing.is_draft
+      ) {
+        return res
+          .status(400)
+          .json({ error: "This listing is not taking questions" });
+      }
+
+      const openResult = await db.query(
+        `SELECT COUNT(*)::int AS count FROM listing_questions
+         WHERE listing_id = $1 AND asker_id = $2
+           AND answer IS NULL AND status = 'visible'`,
+        [listing.id, userId],
+      );
+      if (openResult.rows[0].count >= MAX_OPEN_QUESTIONS) {
+        return res.status(429).json({
+          error: `You already have ${MAX_OPEN_QUESTIONS} unanswered questions on this listing. Wait for the seller to reply.`,
+        });
+      }
+
+      const result = await db.query(
+        `INSERT INTO listing_questions (listing_id, asker_id, question)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [listing.id, userId, question],
+      );
+      const created = result.rows[0];
+
+      const message = `New question on "${listing.title}": ${question}`;
+      db.query(
+        `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype)
+         VALUES ($1, 'New question on your listing', $2, 'listing_question', $3, 'listing')`,
+        [listing.userid, message, listing.id],
+      ).catch((err) =>
+        console.error("[Questions] notification insert error:", err.message),
+      );
+      sendPushToUser(
+        listing.userid,
+        buildNotificationPayload({
+          type: "listing_question",
+          title: "New question on your listing",
+          body: message,
+          url: `/listing/${listing.id}`,
+        }),
+      );
+      sendListingQuestion(
+        { name: listing.seller_name, email: listing.seller_email },
+        { id: listing.id, title: listing.title },
+        created,
+      ).catch(() => {});
+
+      res.status(201).json({
+        message: "Question sent. It will appear publicly once answered.",
+        question: created,
+      });
+    } catch (error) {
+      console.error("Error asking listing question:", error);
+      res.status(500).json({ error: "Failed to send question" });
+    }
+  },
+);
+
+router.put(
+  "/listings/:id/questions/:questionId/answer",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const answer =
+      typeof req.body.answer === "string" ? req.body.answer.trim() : "";
+
+    if (!answer || answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({
+        error: `Answers must be 1–${MAX_ANSWER_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const existing = await getQuestionWithListing(
+        req.params.id,
+        req.params.questionId,
+      );
+      if (!existing) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+      if (existing.seller_id !== req.user.id) {
+        return res
+          .status(403)
+          .json({ error: "Only the seller can answer questions" });
+      }
+
+      // answered_at keeps the time of the first answer
+      const result = await db.query(
+        `UPDATE listing_questions
+         SET answer = $1, answered_at = COALESCE(answered_at, NOW())
+         WHERE id = $2
+         RETURNING *`,
+        [answer, existing.id],
+      );
+
+      if (!existing.answer && existing.asker_id) {
+        const message = `The seller answered your question on "${existing.listing_title}"`;
+        db.query(
+          `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype)
+           VALUES ($1, 'Your question was answered', $2, 'listing_question_answered', $3, 'listing')`,
+          [existing.asker_id, message, existing.listing_id],
+        ).catch((err) =>
+          console.error("[Questions] notification insert error:", err.message),
+        );
+        sendPushToUser(
+          existing.asker_id,
+          buildNotificationPayload({
+            type: "listing_question_answered",
+            title: "Your question was answered",
+            body: message,
+            url: `/listing/${existing.listing_id}`,
+          }),
+        );
+      }
+
+      res.json({ message: "Answer saved", question: result.rows[0] });
+    } catch (error) {
+      console.error("Error answering listing question:", error);
+      res.status(500).json({ error: "Failed to save answer" });
+    }
+  },
+);
+
+router.delete(
+  "/listings/:id/questions/:questionId",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const existing = await getQuestionWithListing(
+        req.params.id,
+        req.params.questionId,
+      );
+      if (!existing || existing.asker_id !== req.user.id) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+      if (existing.answer) {
+        return res
+          .status(400)
+          .json({ error: "Answered questions can't be withdrawn" });
+      }
+
+      await db.query("DELETE FROM listing_questions WHERE id = $1", [
+        existing.id,
+      ]);
+      res.json({ message: "Question withdrawn" });
+    } catch (error) {
+      console.error("Error withdrawing listing question:", error);
+      res.status(500).json({ error: "Failed to withdraw question" });
+    }
+  },
+);
+
+export default router;
@@ -5,14 +5,78 @@ import multer from "multer";
 import authMiddleware from "../Middleware/authMiddleware.js";
 import optionalAuthMiddleware from "../Middleware/optionalAuthMiddleware.js";
 import { blockIfSuspended } from "../Middleware/suspensionMiddleware.js";
-import {
-  sendPriceDropAlert,
-  sendNewListingFromFollowed,
-} from "../utils/email.js";
+import { sendNewListingFromFollowed } from "../utils/email.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
 } from "../utils/pushNotifications.js";
+import { buildListingSearch } from "../utils/listingSearch.js";
+import {
+  MAX_RADIUS_KM,
+  resolveCoordinates,
+  parseNear,
+  distanceKmSql,
+  boundingBoxSql,
+} from "../utils/geo.js";
+import {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  attachListingImages,
+} from "../utils/listingBrowse.js";
+import {
+  getCategoryAttributes,
+  validateListingAttributes,
+  buildAttributeFilters,
+} from "../utils/listingAttributes.js";
+import { inCategorySql, getCategoryBreadcrumb } from "../utils/categoryTree.js";
+import {
+  SOLD_OUT_STATUS,
+  parseQuantity,
+  availableQuantitySql,
+} from "../utils/inventory.js";
+import {
+  diffListing,
+  needsReview,
+  recordListingRevision,
+} from "../utils/listingRevisions.js";
+import { notifyPriceDrop } from "../utils/priceDropAlerts.js";
+import {
+  MAX_VIDEO_SECONDS,
+  MAX_VIDEO_BYTES,
+  uploadListingVideo,
+  destroyListingVideo,
+  getListingVideo,
+} from "../utils/listingVideos.js";
+import {
+  computeImageHash,
+  recordImageMatches,
+  hasCrossSellerImageMatch,
+} from "../utils/imageHash.js";
+import {
+  SPONSORED_PER_PAGE,
+  sponsoredSql,
+  sponsoredOrderSql,
+  withSponsored,
+} from "../utils/boosts.js";
+import {
+  MAX_AUTO_RENEWALS,
+  listingLifetimeSql,
+  listingExpiresAtSql,
+} from "../utils/listingExpiry.js";
+import {
+  getPriceHistory,
+  getMarketPrice,
+  pricePosition,
+} from "../utils/priceInsights.js";
+import {
+  BASE_CURRENCY,
+  parseCurrencyCode,
+  priceInCurrencySql,
+  resolveDisplayCurrency,
+  withDisplayPrices,
+} from "../utils/currency.js";
+import { getListingQuestions } from "../utils/listingQuestions.js";
 
 const router = express.Router();
 
@@ -132,6 +196,19 @@ const upload = multer({
   },
 });
 
+// Walkaround videos are uploaded separately (PUT /listings/:id/video)
+const videoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_VIDEO_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("video/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only video files are allowed"));
+    }
+  },
+});
+
 // Create a new listing with multiple images
 // Suspended users cannot create listings
 router.post(
@@ -158,6 +235,10 @@ router.post(
       is_draft,
       delivery_type,
       delivery_notes,
+      latitude,
+      longitude,
+      attributes,
+      quantity,
     } = req.body;
 
     try {
@@ -202,6 +283,14 @@ router.post(
         return res.status(400).json({ error: "Missing required fields" });
       }
 
+      // Stock for shops selling several identical items (default: one)
+      const stock = parseQuantity(quantity);
+      if (stock === null) {
+        return res
+          .status(400)
+          .json({ error: "Quantity must be a whole number of at least 1" });
+      }
+
       // Get user ID from auth middleware
       const userId = req.user.id;
 
@@ -216,12 +305,31 @@ router.post(
 
       const isDraft = is_draft === "true" || is_draft === true;
       const moderationStatus = isDraft ? "draft" : "approved";
+      const coordinates = resolveCoordinates({
+        latitude,
+        longitude,
+        city,
+        country,
+      });
+
+      // Category-specific fields (drafts may leave required ones empty)
+      const attributeCheck = validateListingAttributes(
+        await getCategoryAttributes(categoryId),
+        attributes,
+        { isDraft },
+      );
+      if (Object.keys(attributeCheck.errors).length > 0) {
+        return res.status(400).json({
+          error: "Invalid listing attributes",
+          fields: attributeCheck.errors,
+        });
+      }
 
       // New listings go live immediately (no admin approval required)
       const listingResult = await db.query(
         `INSERT INTO userlistings 
-       (userid, title, description, price, currency, categoryid, location, country, city, condition, phone, seller_email, tags, status, moderation_status, is_draft, delivery_type, delivery_notes, createdat) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW()) 
+       (userid, title, description, price, currency, categoryid, location, country, city, condition, phone, seller_email, tags, status, moderation_status, is_draft, delivery_type, delivery_notes, latitude, longitude, attributes, quantity, createdat) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW()) 
        RETURNING *`,
         [
           userId,
@@ -242,6 +350,10 @@ router.post(
           isDraft,
           delivery_type || "pickup",
           delivery_notes || null,
+          coordinates.latitude,
+          coordinates.longitude,
+          JSON.stringify(attributeCheck.attributes),
+          stock,
         ],
       );
 
@@ -271,10 +383,15 @@ router.post(
             // Insert into imagelistings table
             const imageResult = await db.query(
               `INSERT INTO imagelistings 
-             (listingid, imageurl, is_main, created_at, updated_at) 
-             VALUES ($1, $2, $3, NOW(), NOW()) 
+             (listingid, imageurl, is_main, phash, created_at, updated_at) 
+             VALUES ($1, $2, $3, $4, NOW(), NOW()) 
              RETURNING *`,
-              [listingId, result.secure_url, i === 0], // First image is main
+              [
+                listingId,
+                result.secure_url,
+                i === 0, // First image is main
+                await computeImageHash(file.buffer),
+              ],
             );
 
             uploadedImages.push(imageResult.rows[0]);
@@ -284,12 +401,32 @@ router.post(
         }
       }
 
+      // Photos matching another seller's send the listing to moderation;
+      // matching the seller's own live listing is only a warning
+      let imageCheck = { otherSellers: [], ownListings: [] };
+      if (uploadedImages.length > 0) {
+        try {
+          imageCheck = await recordImageMatches(listingId);
+        } catch (matchError) {
+          console.error("Error checking listing images:", matchError.message);
+        }
+      }
+      const heldForReview = !isDraft && imageCheck.otherSellers.length > 0;
+      if (heldForReview) {
+        const heldResult = await db.query(
+          `UPDATE userlistings SET moderation_status = 'pending'
+           WHERE id = $1 RETURNING *`,
+          [listingId],
+        );
+        listingResult.rows[0] = heldResult.rows[0];
+      }
+
       // Notify followers of this seller
       const posterResult = await db.query(
         "SELECT id, name, email FROM users WHERE id = $1",
         [req.user.id],
       );
-      if (posterResult.rows.length > 0 && !isDraft) {
+      if (posterResult.rows.length > 0 && !isDraft && !heldForReview) {
         // Notify followers of this seller
         notifyFollowersOfNewListing(
           req.user.id,
@@ -299,10 +436,13 @@ router.post(
       }
 
       res.status(201).json({
-        message: "Listing created successfully",
+        message: heldForReview
+          ? "Listing created. It will be visible once a moderator has checked its photos."
+          : "Listing created successfully",
         listing: listingResult.rows[0],
         uploadedImages: uploadedImages.length,
         images: uploadedImages,
+        possible_duplicates: imageCheck.ownListings,
       });
     } catch (error) {
       console.error("Error creating listing:", error.message);
@@ -360,122 +500,457 @@ router.get("/my-listings", authMiddleware, async (req, res) => {
   }
 });
 
-// Get all listings with images and filters
-router.get("/listings", authMiddleware, async (req, res) => {
-  await ensureListingColumns();
-  try {
-    const {
-      category,
-      search,
-      country,
-      city,
-      minPrice,
-      maxPrice,
-      currency,
-      condition,
-    } = req.query;
+// ─── Listing browse: filters, sorting and pagination ─────────────────────────
+
+/**
+ * SQL for the price that minPrice/maxPrice and the price facet compare
+ * against: the listing's own price when filtering by `currency`, otherwise
+ * its price converted to `displayCurrency` (default XAF) so listings in
+ * every currency are comparable. `displayCurrency` must already be checked
+ * against the rate table (resolveDisplayCurrency).
+ */
+const listingPriceSql = ({ currency, displayCurrency }) =>
+  currency
+    ? "l.price"
+    : priceInCurrencySql(parseCurrencyCode(displayCurrency) || BASE_CURRENCY);
+
+/**
+ * WHERE conditions for the public listing browse, built from the query
+ * string. Only approved, available, non-draft listings are ever visible.
+ * `attributeSchema` is the schema of the filtered category, used for the
+ * attr.* parameters (see utils/listingAttributes.js).
+ * Returns { textSearch, distance, currency, conditions, facetConditions,
+ * params, error } with params numbered from $1. `facetConditions` repeats the
+ * category, city, price, currency, condition and attribute conditions by
+ * filter, for the facet counts.
+ */
+const buildListingFilters = (query, attributeSchema = []) => {
+  const {
+    category,
+    search,
+    country,
+    city,
+    minPrice,
+    maxPrice,
+    currency,
+    condition,
+    near,
+    radius,
+  } = query;
+  const conditions = [
+    "l.moderation_status = 'approved'",
+    "l.status = 'Available'",
+    "(l.is_draft IS NULL OR l.is_draft = FALSE)",
+  ];
+  const params = [];
+  let paramCount = 1;
+  // The conditions each facet leaves out (see getListingFacets)
+  const facetConditions = {};
+
+  // Full-text search over title, description, category and city
+  const textSearch = buildListingSearch(search, paramCount);
+  if (textSearch) {
+    conditions.push(textSearch.condition);
+    params.push(...textSearch.params);
+    paramCount += textSearch.params.length;
+  }
 
-    // Build dynamic query - include user's verification status and profile info
-    // Only show approved and available (not sold) listings to the public
-    // Include KYC verification status by joining with kyc_verifications table
-    const userSuspensionSelect = await getUserSuspensionSelect();
+  // Filter by category, including its subcategories
+  if (category) {
+    facetConditions.category = [
+      inCategorySql("l.categoryid", `$${paramCount}`),
+    ];
+    params.push(category);
+    paramCount++;
+  }
+
+  // Filter by country
+  if (country) {
+    conditions.push(`LOWER(l.country) = LOWER($${paramCount})`);
+    params.push(country);
+    paramCount++;
+  }
+
+  // Filter by city
+  if (city) {
+    facetConditions.city = [
+      `LOWER(TRIM(l.city)) = LOWER(TRIM($${paramCount}))`,
+    ];
+    params.push(city);
+    paramCount++;
+  }
 
-    let queryText = `SELECT l.*, c.name as category_name, 
-             u.id as user_id, u.name as username, u.verified as userverified, u.profilepictureurl as user_profile_picture,
-             ${userSuspensionSelect},
-             CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified
-                     FROM userlistings l 
-                     LEFT JOIN categories c ON l.categoryid = c.id 
-                     LEFT JOIN users u ON l.userid = u.id
-                     LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-                     WHERE l.moderation_status = 'approved' AND l.status = 'Available' AND (l.is_draft IS NULL OR l.is_draft = FALSE)`;
-    const queryParams = [];
-    let paramCount = 1;
-
-    // Filter by category
-    if (category) {
-      queryText += ` AND l.categoryid = $${paramCount}`;
-      queryParams.push(category);
-      paramCount++;
+  // Filter by price range (see listingPriceSql)
+  const priceSql = listingPriceSql(query);
+  facetConditions.price = [];
+  if (minPrice) {
+    facetConditions.price.push(`${priceSql} >= $${paramCount}`);
+    params.push(minPrice);
+    paramCount++;
+  }
+
+  if (maxPrice) {
+    facetConditions.price.push(`${priceSql} <= $${paramCount}`);
+    params.push(maxPrice);
+    paramCount++;
+  }
+
+  // Filter by currency
+  if (currency) {
+    facetConditions.currency = [`l.currency = $${paramCount}`];
+    params.push(currency);
+    paramCount++;
+  }
+
+  // Filter by condition
+  if (condition) {
+    facetConditions.condition = [`l.condition = $${paramCount}`];
+    params.push(condition);
+    paramCount++;
+  }
+
+  // Category attributes: attr.<key>=value, attr.<key>.min / .max
+  const attributeFilters = buildAttributeFilters(
+    attributeSchema,
+    query,
+    paramCount,
+  );
+  if (attributeFilters.error) {
+    return { error: attributeFilters.error };
+  }
+  facetConditions.attributes = attributeFilters.conditions;
+  params.push(...attributeFilters.params);
+  paramCount += attributeFilters.params.length;
+
+  // Distance from ?near=lat,lng, optionally limited to ?radius=km
+  let distance = null;
+  const point = parseNear(near);
+  if (point) {
+    distance = distanceKmSql("l.latitude", "l.longitude", point);
+
+    const radiusKm = parseFloat(radius);
+    if (radiusKm > 0) {
+      const km = Math.min(radiusKm, MAX_RADIUS_KM);
+      conditions.push(
+        boundingBoxSql("l.latitude", "l.longitude", point, km),
+        `${distance} <= ${km}`,
+      );
     }
+  }
+
+  conditions.push(...Object.values(facetConditions).flat());
+  return {
+    textSearch,
+    distance,
+    currency,
+    conditions,
+    facetConditions,
+    params,
+  };
+};
+
+// Price ranges for the price facet (upper bound exclusive), in the currency
+// the price filters use
+const PRICE_BUCKETS = [
+  { min: 0, max: 10000 },
+  { min: 10000, max: 50000 },
+  { min: 50000, max: 100000 },
+  { min: 100000, max: 500000 },
+  { min: 500000, max: 1000000 },
+  { min: 1000000, max: null },
+];
+
+const attributeParamNames = (query) =>
+  Object.keys(query).filter((name) => name.startsWith("attr."));
+
+/**
+ * Facet counts for the filter sidebar. Each facet is counted under every
+ * current filter except its own, so picking "Douala" still shows how many
+ * listings the other cities have instead of collapsing the list to one.
+ * Attribute filters only make sense within their category, so they are
+ * dropped from the category facet along with the category itself.
+ */
+const getListingFacets = async (query, filters) => {
+  const { textSearch, conditions, facetConditions, params } = filters;
+  const facetSql = new Set(Object.values(facetConditions).flat());
+  const shared = conditions.filter((condition) => !facetSql.has(condition));
+  const matches = (...keys) =>
+    keys.flatMap((key) => facetConditions[key] || []).join(" AND ") || "TRUE";
+
+  const priceSql = listingPriceSql(query);
+  const bucketCase = PRICE_BUCKETS.map(
+    ({ min, max }, i) =>
+      `WHEN ${priceSql} >= ${min}${max !== null ? ` AND ${priceSql} < ${max}` : ""} THEN ${i}`,
+  ).join(" ");
+
+  // One pass over the listings matching the shared filters, flagging which
+  // of the facet filters each one passes; every facet then counts the rows
+  // passing all the other facets' filters
+  const facets = {
+    category: {
+      where: "in_city AND in_condition AND in_currency AND in_price",
+      select: "categoryid AS id, category_name AS value",
+      groupBy: "categoryid, category_name",
+      orderBy: "count DESC, category_name",
+    },
+    city: {
+      where: "in_category AND in_condition AND in_currency AND in_price",
+      select: "NULL::int AS id, city AS value",
+      groupBy: "city",
+      orderBy: "count DESC, city",
+    },
+    condition: {
+      where: "in_category AND in_city AND in_currency AND in_price",
+      select: "NULL::int AS id, condition AS value",
+      groupBy: "condition",
+      orderBy: "count DESC",
+    },
+    currency: {
+      where: "in_category AND in_city AND in_condition AND in_price",
+      select: "NULL::int AS id, currency AS value",
+      groupBy: "currency",
+      orderBy: "count DESC",
+    },
+    price: {
+      where: "in_category AND in_city AND in_condition AND in_currency",
+      select: "bucket AS id, NULL AS value",
+      groupBy: "bucket",
+      orderBy: "bucket",
+    },
+  };
+
+  const result = await db.query(
+    `WITH base AS MATERIALIZED (
+       SELECT l.categoryid, c.name AS category_name,
+              INITCAP(TRIM(l.city)) AS city, l.condition, l.currency,
+              CASE ${bucketCase} END AS bucket,
+              (${matches("category", "attributes")}) AS in_category,
+              (${matches("city")}) AS in_city,
+              (${matches("condition")}) AS in_condition,
+              (${matches("currency")}) AS in_currency,
+              (${matches("price")}) AS in_price
+       FROM userlistings l
+       ${textSearch ? textSearch.join : ""}
+       LEFT JOIN categories c ON l.categoryid = c.id
+       WHERE ${shared.join(" AND ")}
+     )
+     ${Object.entries(facets)
+       .map(
+         ([name, facet]) => `(
+       SELECT '${name}' AS facet, ${facet.select}, COUNT(*)::int AS count
+       FROM base
+       WHERE ${facet.where}
+       GROUP BY ${facet.groupBy}
+       ORDER BY ${facet.orderBy}
+       LIMIT 50
+     )`,
+       )
+       .join(" UNION ALL ")}`,
+    params,
+  );
+
+  const rowsFor = (name) => result.rows.filter((row) => row.facet === name);
+  const valueCounts = (name) =>
+    rowsFor(name)
+      .filter((row) => row.value)
+      .map(({ value, count }) => ({ value, count }));
+  const priceCounts = new Map(
+    rowsFor("price").map((row) => [row.id, row.count]),
+  );
 
-    // Filter by search term (title or description)
-    if (search) {
-      queryText += ` AND (LOWER(l.title) LIKE LOWER($${paramCount}) OR LOWER(l.description) LIKE LOWER($${paramCount}))`;
-      queryParams.push(`%${search}%`);
-      paramCount++;
+  return {
+    category: rowsFor("category")
+      .filter((row) => row.id !== null)
+      .map(({ id, value, count }) => ({ id, name: value, count })),
+    city: valueCounts("city"),
+    condition: valueCounts("condition"),
+    currency: valueCounts("currency"),
+    price: PRICE_BUCKETS.map((bucket, i) => ({
+      ...bucket,
+      count: priceCounts.get(i) || 0,
+    })),
+  };
+};
+
+/**
+ * Sort orders for GET /api/listings. `key` is the SQL sort expression and
+ * `type` what a cursor value is cast back to; ties are broken by id in the
+ * same direction so (key, id) is unique.
+ * Price sorts use the XAF price so currencies mix correctly; listings in a
+ * currency without an exchange rate sort last.
+ */
+const priceSort = (dir, { currency }) =>
+  currency
+    ? { key: "l.price", type: "numeric", dir }
+    : {
+        key: `COALESCE(l.price_xaf::float8, '${dir === "ASC" ? "" : "-"}Infinity'::float8)`,
+        type: "float8",
+        dir,
+      };
+
+const LISTING_SORTS = {
+  newest: () => ({ key: "l.createdat", type: "timestamptz", dir: "DESC" }),
+  price_asc: (filters) => priceSort("ASC", filters),
+  price_desc: (filters) => priceSort("DESC", filters),
+  relevance: ({ textSearch }) =>
+    textSearch
+      ? { key: textSearch.rank, type: "float8", dir: "DESC" }
+      : { error: "Sorting by relevance needs a search term" },
+  // Listings without coordinates sort last
+  distance: ({ distance }) =>
+    distance
+      ? {
+          key: `COALESCE(${distance}, 'Infinity'::float8)`,
+          type: "float8",
+          dir: "ASC",
+        }
+      : { error: "Sorting by distance needs near=lat,lng" },
+};
+
+// Get listings: filtered, sorted and paginated with a keyset cursor
+// Query: filters as in buildListingFilters, plus
+//   attr.<key>[.min|.max] - category attribute filters, need `category`
+//   near   - "lat,lng" of the buyer; adds distance_km to each listing
+//   radius - km around `near` to search within
+//   sort   - newest | price_asc | price_desc | relevance | distance
+//            (default: relevance when searching, otherwise newest)
+//   limit  - page size (default 24, max 100)
+//   cursor - nextCursor from the previous page
+//   displayCurrency - adds display_price converted to this currency; also
+//            the currency of minPrice/maxPrice unless `currency` is set
+// The first page (no cursor) also carries facet counts for the filter UI and
+// the sponsored (boosted) listings, flagged with is_sponsored.
+router.get("/listings", authMiddleware, async (req, res) => {
+  await ensureListingColumns();
+  try {
+    const { search, near } = req.query;
+    if (near && !parseNear(near)) {
+      return res
+        .status(400)
+        .json({ error: "near must be latitude,longitude in degrees" });
     }
 
-    // Filter by country
-    if (country) {
-      queryText += ` AND LOWER(l.country) = LOWER($${paramCount})`;
-      queryParams.push(country);
-      paramCount++;
+    const display = await resolveDisplayCurrency(req.query.displayCurrency);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
     }
 
-    // Filter by city
-    if (city) {
-      queryText += ` AND LOWER(l.city) = LOWER($${paramCount})`;
-      queryParams.push(city);
-      paramCount++;
+    // Filters below read the category as an integer id
+    const query = { ...req.query };
+    if (query.category) {
+      query.category = parseInt(query.category, 10);
+      if (isNaN(query.category)) {
+        return res.status(400).json({ error: "category must be a number" });
+      }
     }
 
-    // Filter by minimum price
-    if (minPrice) {
-      queryText += ` AND l.price >= $${paramCount}`;
-      queryParams.push(minPrice);
-      paramCount++;
+    let attributeSchema = [];
+    if (attributeParamNames(query).length > 0) {
+      if (!query.category) {
+        return res
+          .status(400)
+          .json({ error: "Attribute filters need a category" });
+      }
+      attributeSchema = await getCategoryAttributes(query.category);
     }
 
-    // Filter by maximum price
-    if (maxPrice) {
-      queryText += ` AND l.price <= $${paramCount}`;
-      queryParams.push(maxPrice);
-      paramCount++;
+    const filters = buildListingFilters(query, attributeSchema);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
     }
+    const { textSearch, distance, conditions } = filters;
 
-    // Filter by currency
-    if (currency) {
-      queryText += ` AND l.currency = $${paramCount}`;
-      queryParams.push(currency);
-      paramCount++;
+    const sortName = req.query.sort || (textSearch ? "relevance" : "newest");
+    const sort = LISTING_SORTS[sortName]?.(filters);
+    if (!sort) {
+      return res.status(400).json({
+        error: `Invalid sort. Use one of: ${Object.keys(LISTING_SORTS).join(", ")}`,
+      });
+    }
+    if (sort.error) {
+      return res.status(400).json({ error: sort.error });
     }
 
-    // Filter by condition
-    if (condition) {
-      queryText += ` AND l.condition = $${paramCount}`;
-      queryParams.push(condition);
-      paramCount++;
+    const limit = parsePageSize(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && (!cursor || cursor.length !== 2)) {
+      return res.status(400).json({ error: "Invalid cursor" });
     }
 
-    // Order by: Available listings first, then by creation date (newest first)
-    queryText += ` ORDER BY 
-      CASE WHEN l.status = 'Available' THEN 0 ELSE 1 END,
-      l.createdat DESC`;
+    const fromClause = `FROM userlistings l
+       ${textSearch ? textSearch.join : ""}`;
+    const whereClause = conditions.join(" AND ");
 
-    const listingsResult = await db.query(queryText, queryParams);
+    // Total matches, ignoring the cursor
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total ${fromClause} WHERE ${whereClause}`,
+      filters.params,
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const queryParams = [...filters.params];
+    let pageCondition = "";
+    if (cursor) {
+      const op = sort.dir === "DESC" ? "<" : ">";
+      pageCondition = ` AND (${sort.key}, l.id) ${op} ($${queryParams.length + 1}::${sort.type}, $${queryParams.length + 2}::int)`;
+      queryParams.push(cursor[0], cursor[1]);
+    }
+    queryParams.push(limit + 1);
 
-    // Fetch images for each listing
-    const listingsWithImages = await Promise.all(
-      listingsResult.rows.map(async (listing) => {
-        const imagesResult = await db.query(
-          `SELECT * FROM imagelistings 
-           WHERE listingid = $1 
-           ORDER BY is_main DESC`,
-          [listing.id],
-        );
-        return {
-          ...listing,
-          images: imagesResult.rows,
-        };
-      }),
+    // Include the seller's verification status and profile info
+    const userSuspensionSelect = await getUserSuspensionSelect();
+    const listingSelect = `SELECT l.*, c.name as category_name,
+              u.id as user_id, u.name as username, u.verified as userverified, u.profilepictureurl as user_profile_picture,
+              ${userSuspensionSelect},
+              EXISTS (
+                SELECT 1 FROM kyc_verifications kyc
+                WHERE kyc.userid = u.id AND kyc.status = 'approved'
+              ) as kyc_verified,
+              ${textSearch ? `${textSearch.rank} as search_rank,` : ""}
+              ${distance ? `ROUND(${distance}::numeric, 1)::float8 as distance_km,` : ""}
+              (${sort.key})::text as sort_key
+       ${fromClause}
+       LEFT JOIN categories c ON l.categoryid = c.id
+       LEFT JOIN users u ON l.userid = u.id`;
+    const listingsResult = await db.query(
+      `${listingSelect}
+       WHERE ${whereClause}${pageCondition}
+       ORDER BY ${sort.key} ${sort.dir}, l.id ${sort.dir}
+       LIMIT $${queryParams.length}`,
+      queryParams,
     );
 
+    // Boosted listings matching the same filters fill the first page's sponsored slots
+    const sponsoredResult = cursor
+      ? { rows: [] }
+      : await db.query(
+          `${listingSelect}
+           WHERE ${whereClause} AND ${sponsoredSql("l")}
+           ORDER BY ${sponsoredOrderSql("l")}
+           LIMIT ${SPONSORED_PER_PAGE}`,
+          filters.params,
+        );
+
+    const rows = listingsResult.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      listingsResult.rows.length > limit
+        ? encodeCursor([last.sort_key, last.id])
+        : null;
+
+    const [listingsWithImages, facets] = await Promise.all([
+      attachListingImages(withSponsored(rows, sponsoredResult.rows)),
+      cursor ? null : getListingFacets(query, filters),
+    ]);
+
     // Strip seller_email from all public listing responses — never expose to clients
-    const safe = listingsWithImages.map(({ seller_email, ...rest }) => rest);
+    const safe = await withDisplayPrices(
+      listingsWithImages.map(({ seller_email, sort_key, ...rest }) => rest),
+      display.code,
+    );
 
-    // Log search term asynchronously (fire-and-forget)
-    if (search && search.trim().length >= 2) {
+    // Log search term asynchronously (fire-and-forget), first page only
+    if (search && search.trim().length >= 2 && !cursor) {
       const userId = req.user?.id || null;
       db.query(`INSERT INTO search_logs (user_id, query) VALUES ($1, $2)`, [
         userId,
@@ -483,7 +958,14 @@ router.get("/listings", authMiddleware, async (req, res) => {
       ]).catch(() => {});
     }
 
-    res.status(200).json(safe);
+    res.status(200).json({
+      listings: safe,
+      total,
+      sort: sortName,
+      limit,
+      nextCursor,
+      ...(facets && { facets }),
+    });
   } catch (error) {
     console.error("Error fetching listings:", error.message);
     console.error("Error details:", error);
@@ -535,18 +1017,49 @@ router.get("/listings/check-duplicate", authMiddleware, async (req, res) => {
   }
 });
 
+// Typical price range for a category, narrowed to a city when there is enough
+// data — GET /listings/market-price?category=3&currency=XAF&city=Douala
+router.get("/listings/market-price", async (req, res) => {
+  const { category, currency, city } = req.query;
+  const categoryId = parseInt(category, 10);
+  if (isNaN(categoryId) || !currency) {
+    return res
+      .status(400)
+      .json({ error: "category and currency are required" });
+  }
+
+  try {
+    const market = await getMarketPrice({
+      categoryId,
+      currency: String(currency).toUpperCase(),
+      city: city ? String(city) : null,
+    });
+    res.json({ market });
+  } catch (error) {
+    console.error("Error fetching market price:", error);
+    res.status(500).json({ error: "Failed to fetch market price" });
+  }
+});
+
 // Get a single listing by ID with images
 router.get("/listings/:id", optionalAuthMiddleware, async (req, res) => {
   const { id } = req.params;
 
   try {
+    const display = await resolveDisplayCurrency(req.query.displayCurrency);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+
     const userSuspensionSelect = await getUserSuspensionSelect();
 
     const listingResult = await db.query(
       `SELECT l.*, c.name as categoryname, 
        u.id as user_id, u.name as username, u.verified as userverified, u.profilepictureurl as user_profile_picture,
        ${userSuspensionSelect},
-       CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified
+       CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified,
+       ${availableQuantitySql("l")} as available_quantity,
+       ${listingExpiresAtSql("l")} as expires_at
        FROM userlistings l 
        LEFT JOIN categories c ON l.categoryid = c.id 
        LEFT JOIN users u ON l.userid = u.id
@@ -560,7 +1073,8 @@ router.get("/listings/:id", optionalAuthMiddleware, async (req, res) => {
     }
 
     // Strip seller_email — never expose to clients
-    const { seller_email, ...safeListing } = listingResult.rows[0];
+    const { seller_email, ...listing } = listingResult.rows[0];
+    const [safeListing] = await withDisplayPrices([listing], display.code);
 
     // Increment view count for non-owners (fire-and-forget)
     if (req.user?.id && req.user.id !== safeListing.userid) {
@@ -578,9 +1092,29 @@ router.get("/listings/:id", optionalAuthMiddleware, async (req, res) => {
       [id],
     );
 
+    // How the asking price compares with similar listings, when known
+    const market = await getMarketPrice({
+      categoryId: safeListing.categoryid,
+      currency: safeListing.currency,
+      city: safeListing.city,
+      excludeListingId: safeListing.id,
+    });
+
     res.status(200).json({
       ...safeListing,
       images: imagesResult.rows,
+      video: await getListingVideo(id, {
+        includeUnapproved: req.user?.id === safeListing.userid,
+      }),
+      breadcrumb: await getCategoryBreadcrumb(safeListing.categoryid),
+      market_price: market && {
+        ...market,
+        position: pricePosition(safeListing.price, market),
+      },
+      questions: await getListingQuestions(id, {
+        viewerId: req.user?.id ?? null,
+        sellerId: safeListing.userid,
+      }),
     });
   } catch (error) {
     console.error("Error fetching listing:", error);
@@ -690,10 +1224,10 @@ router.put("/listings/:id/mark-sold", authMiddleware, async (req, res) => {
         .json({ error: "Listing is already marked as sold" });
     }
 
-    // Update the listing status to Sold
+    // Update the listing status to Sold — nothing is left in stock
     const result = await db.query(
       `UPDATE userlistings 
-       SET status = 'Sold', updatedat = NOW() 
+       SET status = 'Sold', quantity = 0, updatedat = NOW() 
        WHERE id = $1 
        RETURNING *`,
       [id],
@@ -748,14 +1282,14 @@ router.put("/listings/:id/mark-available", authMiddleware, async (req, res) => {
     if (escrowCheck.rowCount > 0) {
       return res.status(409).json({
         error:
-          "This listing was sold through Njimbong escrow and cannot be relisted. Create a new listing if you have more stock.",
+          "This listing was sold through Njimbong escrow and cannot be relisted. Add stock to it instead if you have more items.",
       });
     }
 
-    // Update the listing status to Available
+    // Update the listing status to Available, with at least one in stock
     const result = await db.query(
       `UPDATE userlistings 
-       SET status = 'Available', updatedat = NOW() 
+       SET status = 'Available', quantity = GREATEST(quantity, 1), updatedat = NOW() 
        WHERE id = $1 
        RETURNING *`,
       [id],
@@ -771,6 +1305,187 @@ router.put("/listings/:id/mark-available", authMiddleware, async (req, res) => {
   }
 });
 
+// Set how many items are in stock (owner only). Works after escrow sales
+// too, so shops can restock a listing instead of posting it again. Units
+// reserved by pending checkouts are still part of `quantity`; see
+// `available_quantity` for what buyers can order.
+router.put("/listings/:id/stock", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const quantity = parseQuantity(req.body.quantity, {
+    fallback: null,
+    min: 0,
+  });
+  if (quantity === null) {
+    return res
+      .status(400)
+      .json({ error: "Quantity must be a whole number of 0 or more" });
+  }
+
+  try {
+    const listingCheck = await db.query(
+      "SELECT id, userid, status FROM userlistings WHERE id = $1",
+      [id],
+    );
+    if (listingCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+    const listing = listingCheck.rows[0];
+    if (listing.userid !== userId) {
+      return res
+        .status(403)
+        .json({ error: "You can only update your own listings" });
+    }
+
+    // Restocking brings a sold-out or sold listing back on sale; emptying
+    // the stock takes an available one off
+    const result = await db.query(
+      `UPDATE userlistings l
+       SET quantity = $1,
+           status = CASE
+             WHEN $1 > 0 AND l.status IN ($3, 'Sold', 'In Escrow') THEN 'Available'
+             WHEN $1 = 0 AND l.status = 'Available' THEN $3
+             ELSE l.status
+           END,
+           updatedat = NOW()
+       WHERE l.id = $2
+       RETURNING l.*, ${availableQuantitySql("l")} AS available_quantity`,
+      [quantity, id, SOLD_OUT_STATUS],
+    );
+
+    res.status(200).json({
+      message: "Stock updated successfully",
+      listing: result.rows[0],
+    });
+  } catch (error) {
+    console.error("Error updating listing stock:", error);
+    res.status(500).json({ error: "Failed to update stock" });
+  }
+});
+
+// ─── PUT /api/listings/:id/video — add or replace the walkaround video ───────
+// multipart field `video`, at most MAX_VIDEO_SECONDS long. The video (not
+// the listing) waits for moderation; buyers see it once approved.
+router.put(
+  "/listings/:id/video",
+  authMiddleware,
+  blockIfSuspended,
+  videoUpload.single("video"),
+  async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "Video file is required" });
+    }
+
+    try {
+      const listingCheck = await db.query(
+        "SELECT id, userid FROM userlistings WHERE id = $1",
+        [id],
+      );
+      if (listingCheck.rows.length === 0) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+      if (listingCheck.rows[0].userid !== userId) {
+        return res
+          .status(403)
+          .json({ error: "You can only update your own listings" });
+      }
+
+      const uploadResult = await uploadListingVideo(req.file.buffer);
+
+      // The client can't be trusted with the duration; Cloudinary measures it
+      if (uploadResult.duration > MAX_VIDEO_SECONDS) {
+        destroyListingVideo(uploadResult.public_id);
+        return res.status(400).json({
+          error: `Videos can be at most ${MAX_VIDEO_SECONDS} seconds long`,
+        });
+      }
+
+      const previous = await db.query(
+        "SELECT public_id FROM listing_videos WHERE listing_id = $1",
+        [id],
+      );
+
+      const result = await db.query(
+        `INSERT INTO listing_videos
+           (listing_id, video_url, thumbnail_url, public_id, duration_seconds, size_bytes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (listing_id) DO UPDATE
+         SET video_url = EXCLUDED.video_url,
+             thumbnail_url = EXCLUDED.thumbnail_url,
+             public_id = EXCLUDED.public_id,
+             duration_seconds = EXCLUDED.duration_seconds,
+             size_bytes = EXCLUDED.size_bytes,
+             moderation_status = 'pending',
+             rejection_reason = NULL,
+             reviewed_by = NULL,
+             reviewed_at = NULL,
+             created_at = NOW()
+         RETURNING id, video_url, thumbnail_url, duration_seconds, size_bytes,
+                   moderation_status, created_at`,
+        [
+          id,
+          uploadResult.secure_url,
+          uploadResult.eager?.[0]?.secure_url || null,
+          uploadResult.public_id,
+          uploadResult.duration ?? null,
+          uploadResult.bytes ?? req.file.size,
+        ],
+      );
+
+      if (previous.rows.length > 0) {
+        destroyListingVideo(previous.rows[0].public_id);
+      }
+
+      res.status(201).json({
+        message:
+          "Video uploaded. Buyers will see it once it has been reviewed.",
+        video: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error uploading listing video:", error);
+      res.status(500).json({ error: "Failed to upload video" });
+    }
+  },
+);
+
+// Remove the listing's video (owner only)
+router.delete("/listings/:id/video", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const listingCheck = await db.query(
+      "SELECT id, userid FROM userlistings WHERE id = $1",
+      [id],
+    );
+    if (listingCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+    if (listingCheck.rows[0].userid !== userId) {
+      return res
+        .status(403)
+        .json({ error: "You can only update your own listings" });
+    }
+
+    const result = await db.query(
+      "DELETE FROM listing_videos WHERE listing_id = $1 RETURNING public_id",
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "This listing has no video" });
+    }
+    destroyListingVideo(result.rows[0].public_id);
+
+    res.status(200).json({ message: "Video removed" });
+  } catch (error) {
+    console.error("Error removing listing video:", error);
+    res.status(500).json({ error: "Failed to remove video" });
+  }
+});
+
 // Renew an expired listing (owner only) — resets createdat, re-queues for moderation
 router.put(
   "/listings/:id/renew",
@@ -802,7 +1517,8 @@ router.put(
 
       const result = await db.query(
         `UPDATE userlistings
-       SET status = 'Available', moderation_status = 'approved', createdat = NOW(), updatedat = NOW()
+       SET status = 'Available', moderation_status = 'approved', createdat = NOW(), updatedat = NOW(),
+           expiry_warned_at = NULL, auto_renew_count = 0
        WHERE id = $1
        RETURNING *`,
         [id],
@@ -832,7 +1548,99 @@ router.put(
   },
 );
 
-// Update listing price — owner only. Notifies wishlist users if price drops.
+// Turn automatic renewal on or off (owner only). Auto-renew renews the
+// listing when it reaches the end of its lifetime instead of expiring it,
+// up to MAX_AUTO_RENEWALS times; renewing by hand resets the count.
+router.put(
+  "/listings/:id/auto-renew",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const { id } = req.params;
+    const { enabled } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    try {
+      const listingCheck = await db.query(
+        "SELECT userid FROM userlistings WHERE id = $1",
+        [id],
+      );
+      if (listingCheck.rows.length === 0) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+      if (listingCheck.rows[0].userid !== req.user.id) {
+        return res
+          .status(403)
+          .json({ error: "You can only change your own listings" });
+      }
+
+      const result = await db.query(
+        `UPDATE userlistings l
+         SET auto_renew = $1, updatedat = NOW()
+         WHERE id = $2
+         RETURNING l.id, l.auto_renew, l.auto_renew_count,
+                   ${listingLifetimeSql("l")} AS lifetime_days,
+                   ${listingExpiresAtSql("l")} AS expires_at`,
+        [enabled, id],
+      );
+      const listing = result.rows[0];
+
+      res.status(200).json({
+        message: enabled ? "Auto-renew turned on" : "Auto-renew turned off",
+        listing: {
+          ...listing,
+          auto_renewals_left: Math.max(
+            0,
+            MAX_AUTO_RENEWALS - listing.auto_renew_count,
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error updating auto-renew:", error);
+      res.status(500).json({ error: "Failed to update auto-renew" });
+    }
+  },
+);
+
+// Price timeline of a listing, oldest first
+router.get("/listings/:id/price-history", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const listingResult = await db.query(
+      "SELECT id, price, currency FROM userlistings WHERE id = $1",
+      [id],
+    );
+    if (listingResult.rows.length === 0) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+    const listing = listingResult.rows[0];
+    const history = await getPriceHistory(id);
+    const prices = history
+      .filter((entry) => entry.currency === listing.currency)
+      .map((entry) => entry.price);
+
+    res.json({
+      listing_id: listing.id,
+      current_price: Number(listing.price),
+      currency: listing.currency,
+      lowest_price: prices.length ? Math.min(...prices) : null,
+      highest_price: prices.length ? Math.max(...prices) : null,
+      history,
+    });
+  } catch (error) {
+    console.error("Error fetching price history:", error);
+    res.status(500).json({ error: "Failed to fetch price history" });
+  }
+});
+
+// Update listing price — owner only. Blocked once the listing has an escrow
+// order. Stored as a revision like any other edit, so repricing an approved
+// listing sends it back to pending; wishlist users hear about a price drop
+// only once the new price is live.
 router.put("/listings/:id/update-price", authMiddleware, async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
@@ -843,61 +1651,81 @@ router.put("/listings/:id/update-price", authMiddleware, async (req, res) => {
     return res.status(400).json({ error: "Invalid price." });
   }
 
+  const client = await db.connect();
   try {
-    const listingCheck = await db.query(
-      "SELECT id, userid, title, price, currency, status FROM userlistings WHERE id = $1",
+    await client.query("BEGIN");
+
+    const listingCheck = await client.query(
+      "SELECT * FROM userlistings WHERE id = $1 FOR UPDATE",
       [id],
     );
-    if (listingCheck.rows.length === 0)
+    if (listingCheck.rows.length === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({ error: "Listing not found" });
+    }
     const listing = listingCheck.rows[0];
-    if (listing.userid !== userId)
+    if (listing.userid !== userId) {
+      await client.query("ROLLBACK");
       return res
         .status(403)
         .json({ error: "You can only update your own listings" });
+    }
+
+    const activeOrder = await client.query(
+      `SELECT 1 FROM orders
+       WHERE listing_id = $1
+         AND fonlok_status IN ('paid_in_escrow', 'released', 'disputed')
+       LIMIT 1`,
+      [id],
+    );
+    if (activeOrder.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error:
+          "This listing has an active or completed escrow order and cannot be edited.",
+      });
+    }
 
     const oldPrice = parseFloat(listing.price);
+    const changes = diffListing(listing, { price: newPrice });
+    const requiresReview =
+      listing.moderation_status === "approved" && needsReview(changes);
+
+    const updated = await client.query(
+      `UPDATE userlistings
+       SET price = $1, moderation_status = $2, updatedat = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [newPrice, requiresReview ? "pending" : listing.moderation_status, id],
+    );
 
-    await db.query(
-      `UPDATE userlistings SET price = $1, updatedat = NOW() WHERE id = $2`,
-      [newPrice, id],
+    const revision = await recordListingRevision(
+      { listingId: listing.id, editorId: userId, changes, requiresReview },
+      client,
     );
 
-    // Price drop: notify wishlist users
-    if (newPrice < oldPrice) {
-      try {
-        const wishlistRes = await db.query(
-          `SELECT f.userid, u.name, u.email
-           FROM favorites f
-           JOIN users u ON u.id = f.userid
-           WHERE f.listingid = $1 AND f.userid != $2`,
-          [id, userId],
-        );
-        for (const user of wishlistRes.rows) {
-          sendPushToUser(
-            user.userid,
-            buildNotificationPayload("price_drop", {
-              title: "Price drop on your wishlist",
-              body: `"${listing.title}" dropped from ${Number(oldPrice).toLocaleString()} to ${Number(newPrice).toLocaleString()} ${listing.currency}`,
-              url: `/listing/${id}`,
-            }),
-          );
-          sendPriceDropAlert(
-            user,
-            { id, title: listing.title, currency: listing.currency },
-            oldPrice,
-            newPrice,
-          );
-        }
-      } catch (alertErr) {
-        console.warn("[Listings] Price drop alert error:", alertErr.message);
-      }
+    await client.query("COMMIT");
+
+    // Held back until a moderator approves the revision
+    if (!requiresReview) {
+      await notifyPriceDrop(listing, oldPrice, newPrice);
     }
 
-    res.json({ message: "Price updated.", oldPrice, newPrice });
+    res.json({
+      message: requiresReview
+        ? "Price updated and resubmitted for review."
+        : "Price updated.",
+      oldPrice,
+      newPrice,
+      listing: updated.rows[0],
+      revision,
+    });
   } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
     console.error("Error updating price:", error);
     res.status(500).json({ error: "Failed to update price" });
+  } finally {
+    client.release();
   }
 });
 
@@ -911,7 +1739,7 @@ router.put(
     const userId = req.user.id;
     try {
       const listingCheck = await db.query(
-        "SELECT id, userid, title, price, currency, city, country, is_draft FROM userlistings WHERE id = $1",
+        "SELECT id, userid, title, price, currency, city, country, is_draft, categoryid, attributes FROM userlistings WHERE id = $1",
         [id],
       );
       if (listingCheck.rows.length === 0)
@@ -924,11 +1752,25 @@ router.put(
       if (!listing.is_draft)
         return res.status(400).json({ error: "Listing is not a draft." });
 
+      // Required attributes may be skipped on a draft, but not once it's live
+      const { errors } = validateListingAttributes(
+        await getCategoryAttributes(listing.categoryid),
+        listing.attributes,
+      );
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          error: "Fill in the required listing attributes before publishing",
+          fields: errors,
+        });
+      }
+
+      // Drafts whose photos match another seller's go to moderation instead
+      const heldForReview = await hasCrossSellerImageMatch(id);
       const result = await db.query(
         `UPDATE userlistings
-         SET is_draft = FALSE, moderation_status = 'approved', updatedat = NOW()
+         SET is_draft = FALSE, moderation_status = $2, updatedat = NOW()
          WHERE id = $1 RETURNING *`,
-        [id],
+        [id, heldForReview ? "pending" : "approved"],
       );
 
       // Notify followers
@@ -936,7 +1778,7 @@ router.put(
         "SELECT id, name, email FROM users WHERE id = $1",
         [userId],
       );
-      if (posterResult.rows.length > 0) {
+      if (posterResult.rows.length > 0 && !heldForReview) {
         // Notify followers
         notifyFollowersOfNewListing(
           userId,
@@ -970,7 +1812,8 @@ function extractCloudinaryPublicId(url) {
 
 // ─── PUT /api/listings/:id — full listing edit (owner only) ──────────────────
 // Blocked when an escrow order is active (paid_in_escrow / released / disputed).
-// Editing a live (approved) listing resets it to pending for re-moderation.
+// Every edit is stored as a revision (field-level diff). Changing the title,
+// price or images of a live (approved) listing sends it back to pending.
 router.put(
   "/listings/:id",
   authMiddleware,
@@ -983,7 +1826,7 @@ router.put(
 
     try {
       const listingRes = await db.query(
-        "SELECT id, userid, moderation_status FROM userlistings WHERE id = $1",
+        "SELECT * FROM userlistings WHERE id = $1",
         [id],
       );
       if (listingRes.rows.length === 0) {
@@ -1026,6 +1869,9 @@ router.put(
         delivery_type,
         delivery_notes,
         removed_image_ids,
+        latitude,
+        longitude,
+        attributes,
       } = req.body;
 
       if (!title || !description || !price || !categoryId || !city) {
@@ -1034,6 +1880,29 @@ router.put(
         });
       }
 
+      // Clients that don't send attributes keep the stored ones; either way
+      // they are checked against the (possibly new) category's schema
+      const attributeCheck = validateListingAttributes(
+        await getCategoryAttributes(categoryId),
+        attributes !== undefined ? attributes : listing.attributes,
+        { isDraft: listing.is_draft === true },
+      );
+      if (Object.keys(attributeCheck.errors).length > 0) {
+        return res.status(400).json({
+          error: "Invalid listing attributes",
+          fields: attributeCheck.errors,
+        });
+      }
+
+      const imageUrls = async () =>
+        (
+          await db.query(
+            "SELECT imageurl FROM imagelistings WHERE listingid = $1",
+            [id],
+          )
+        ).rows.map((row) => row.imageurl);
+      const imagesBefore = await imageUrls();
+
       // Delete removed existing images
       const idsToRemove = removed_image_ids
         ? Array.isArray(removed_image_ids)
@@ -1070,8 +1939,13 @@ router.put(
             });
             const isMain = currentCount === 0;
             await db.query(
-              "INSERT INTO imagelistings (listingid, imageurl, is_main) VALUES ($1, $2, $3)",
-              [id, result.secure_url, isMain],
+              "INSERT INTO imagelistings (listingid, imageurl, is_main, phash) VALUES ($1, $2, $3, $4)",
+              [
+                id,
+                result.secure_url,
+                isMain,
+                await computeImageHash(file.buffer),
+              ],
             );
             currentCount++;
           } catch (uploadErr) {
@@ -1093,11 +1967,47 @@ router.put(
           : tags
         : [];
 
-      // Editing an approved listing requires re-review
-      const newModerationStatus =
-        listing.moderation_status === "approved"
-          ? "pending"
-          : listing.moderation_status;
+      // Coordinates sent by the client win; otherwise keep the old position
+      // while the city is unchanged, and re-geocode when it moves
+      const sameCity =
+        (listing.city || "").trim().toLowerCase() === city.trim().toLowerCase();
+      const hasNewCoordinates =
+        latitude !== undefined &&
+        latitude !== "" &&
+        longitude !== undefined &&
+        longitude !== "";
+      const coordinates =
+        sameCity && !hasNewCoordinates && listing.latitude !== null
+          ? { latitude: listing.latitude, longitude: listing.longitude }
+          : resolveCoordinates({ latitude, longitude, city, country });
+
+      const updated = {
+        title: title.trim(),
+        description: description.trim(),
+        price: parseFloat(price),
+        categoryid: parseInt(categoryId, 10),
+        location: location || null,
+        country: country || "Cameroon",
+        city: city.trim(),
+        condition: condition || "used",
+        phone: phone || null,
+        seller_email: seller_email || null,
+        tags: tagsArray,
+        delivery_type: delivery_type || "pickup",
+        delivery_notes: delivery_notes || null,
+        attributes: attributeCheck.attributes,
+      };
+      const changes = diffListing(listing, updated, {
+        before: imagesBefore,
+        after: await imageUrls(),
+      });
+
+      // Only high-risk changes to an approved listing need re-review
+      const requiresReview =
+        listing.moderation_status === "approved" && needsReview(changes);
+      const newModerationStatus = requiresReview
+        ? "pending"
+        : listing.moderation_status;
 
       const result = await db.query(
         `UPDATE userlistings
@@ -1105,40 +2015,63 @@ router.put(
              location = $5, country = $6, city = $7, condition = $8,
              phone = $9, seller_email = $10, tags = $11,
              delivery_type = $12, delivery_notes = $13,
-             moderation_status = $14, updatedat = NOW()
+             moderation_status = $14, latitude = $17, longitude = $18,
+             attributes = $19, updatedat = NOW()
          WHERE id = $15 AND userid = $16
          RETURNING *`,
         [
-          title.trim(),
-          description.trim(),
-          parseFloat(price),
-          parseInt(categoryId, 10),
-          location || null,
-          country || "Cameroon",
-          city.trim(),
-          condition || "used",
-          phone || null,
-          seller_email || null,
-          tagsArray,
-          delivery_type || "pickup",
-          delivery_notes || null,
+          updated.title,
+          updated.description,
+          updated.price,
+          updated.categoryid,
+          updated.location,
+          updated.country,
+          updated.city,
+          updated.condition,
+          updated.phone,
+          updated.seller_email,
+          updated.tags,
+          updated.delivery_type,
+          updated.delivery_notes,
           newModerationStatus,
           id,
           userId,
+          coordinates.latitude,
+          coordinates.longitude,
+          JSON.stringify(updated.attributes),
         ],
       );
 
+      const revision = await recordListingRevision({
+        listingId: id,
+        editorId: userId,
+        changes,
+        requiresReview,
+      });
+
+      // New photos are matched like on create; a changed photo set on a live
+      // listing is already back in review, where moderators see the matches
+      let imageCheck = { ownListings: [] };
+      if (changes.images?.added.length) {
+        try {
+          imageCheck = await recordImageMatches(id);
+        } catch (matchErr) {
+          console.warn("[Listings] Edit image check failed:", matchErr.message);
+        }
+      }
+
       const imagesRes = await db.query(
         "SELECT id, imageurl, is_main FROM imagelistings WHERE listingid = $1 ORDER BY is_main DESC",
         [id],
       );
 
       return res.json({
-        message:
-          listing.moderation_status === "approved"
-            ? "Listing updated and resubmitted for review."
-            : "Listing updated.",
+        message: requiresReview
+          ? "Listing updated and resubmitted for review."
+          : "Listing updated.",
         listing: { ...result.rows[0], images: imagesRes.rows },
+        revision,
+        possible_duplicates: imageCheck.ownListings,
       });
     } catch (err) {
       console.error("[Listings] Edit error:", err.message);
@@ -1186,6 +2119,10 @@ router.delete("/listings/:id", authMiddleware, async (req, res) => {
       "SELECT imageurl FROM imagelistings WHERE listingid = $1",
       [id],
     );
+    const videoRes = await db.query(
+      "SELECT public_id FROM listing_videos WHERE listing_id = $1",
+      [id],
+    );
 
     // Delete images from DB first (avoids FK issues), then the listing
     await db.query("DELETE FROM imagelistings WHERE listingid = $1", [id]);
@@ -1196,6 +2133,7 @@ router.delete("/listings/:id", authMiddleware, async (req, res) => {
       const publicId = extractCloudinaryPublicId(img.imageurl);
       if (publicId) cloudinary.uploader.destroy(publicId).catch(() => {});
     }
+    for (const video of videoRes.rows) destroyListingVideo(video.public_id);
 
     return res.json({ message: "Listing deleted." });
   } catch (err) {
@@ -24,6 +24,12 @@ import {
   buildNotificationPayload,
   sendPushToUser,
 } from "../utils/pushNotifications.js";
+import {
+  parseQuantity,
+  getAvailableQuantity,
+  commitOrderStock,
+  markSoldIfOutOfStock,
+} from "../utils/inventory.js";
 
 const router = express.Router();
 
@@ -164,6 +170,7 @@ async function withRetry(fn, maxAttempts = 3) {
 /**
  * POST /payments/initiate
  * Creates a Fonlok escrow invoice, persists the order, then triggers a MoMo prompt.
+ * `quantity` (default 1) units are reserved while the order is pending.
  */
 router.post(
   "/payments/initiate",
@@ -172,12 +179,18 @@ router.post(
   async (req, res) => {
     const { listing_id, phone_number, buyer_email } = req.body;
     const buyer_id = req.user.id;
+    const quantity = parseQuantity(req.body.quantity);
 
     if (!listing_id || !phone_number) {
       return res
         .status(400)
         .json({ error: "listing_id and phone_number are required." });
     }
+    if (quantity === null) {
+      return res
+        .status(400)
+        .json({ error: "quantity must be a whole number of at least 1." });
+    }
 
     // Normalise phone_number: strip non-digits, ensure 237 prefix
     const rawDigits = phone_number.replace(/\D/g, "");
@@ -250,20 +263,16 @@ router.post(
         });
       }
 
-      // Block if ANY buyer already has an active order for this listing
-      const existingOrder = await client.query(
-        `SELECT id FROM orders
-         WHERE listing_id = $1
-           AND fonlok_status IN ('none', 'pending', 'paid_in_escrow')
-         LIMIT 1`,
-        [listing_id],
-      );
-
-      if (existingOrder.rows.length > 0) {
+      // Units already paid for are off the stock; pending orders hold theirs
+      const available = await getAvailableQuantity(client, listing_id);
+      if (quantity > available) {
         await client.query("ROLLBACK");
         return res.status(409).json({
           error:
-            "This item already has a payment in progress. Please try again shortly.",
+            available === 0
+              ? "This item already has a payment in progress. Please try again shortly."
+              : `Only ${available} left in stock.`,
+          available,
         });
       }
 
@@ -275,10 +284,12 @@ router.post(
          ORDER BY updated_at DESC LIMIT 1`,
         [listing_id, buyer_id],
       );
-      agreedAmount =
+      // An accepted offer is a price per unit
+      const unitAmount =
         offerRes.rows.length > 0
           ? Math.round(Number(offerRes.rows[0].amount))
           : Math.round(Number(listing.price));
+      agreedAmount = unitAmount * quantity;
 
       // Insert a placeholder order ('none') to claim this slot before releasing
       // the lock.  If the Fonlok call fails, we mark it 'initiation_failed' so
@@ -287,8 +298,8 @@ router.post(
       const orderResult = await client.query(
         `INSERT INTO orders
            (listing_id, buyer_id, seller_id, amount, currency,
-            fonlok_status, order_reference, buyer_checkout_email)
-         VALUES ($1, $2, $3, $4, 'XAF', 'none', $5, $6)
+            fonlok_status, order_reference, buyer_checkout_email, quantity)
+         VALUES ($1, $2, $3, $4, 'XAF', 'none', $5, $6, $7)
          RETURNING id`,
         [
           listing_id,
@@ -297,6 +308,7 @@ router.post(
           agreedAmount,
           orderId,
           buyer_email?.trim() || null,
+          quantity,
         ],
       );
       dbOrderId = orderResult.rows[0].id;
@@ -340,7 +352,8 @@ router.post(
       // Step 1 — Create Fonlok escrow invoice
       const invoice = await withRetry(() =>
         createFonlokInvoice({
-          title: listing.title,
+          title:
+            quantity > 1 ? `${quantity} × ${listing.title}` : listing.title,
           amount: agreedAmount,
           sellerName: listing.seller_name,
           sellerEmail: listing.seller_email,
@@ -414,6 +427,8 @@ router.post(
         payment_url: invoice.payment_url,
         provider: payment.provider,
         message: payment.message,
+        quantity,
+        amount: agreedAmount,
         status: "pending",
       });
     } catch (err) {
@@ -510,15 +525,22 @@ router.get("/payments/:reference/status", authMiddleware, async (req, res) => {
     // Poll Fonlok for live status
     const fonlokStatus = await getFonlokPaymentStatus(reference);
 
-    // Sync local status if Fonlok confirms payment
+    // Sync local status if Fonlok confirms payment. Only the request that
+    // actually moves the order takes its units off the stock, in case the
+    // webhook gets there at the same time.
     if (
       fonlokStatus.status === "paid" &&
       order.fonlok_status !== "paid_in_escrow"
     ) {
-      await db.query(
-        `UPDATE orders SET fonlok_status = 'paid_in_escrow', updated_at = NOW() WHERE id = $1`,
+      const updated = await db.query(
+        `UPDATE orders SET fonlok_status = 'paid_in_escrow', updated_at = NOW()
+         WHERE id = $1
+           AND fonlok_status NOT IN ('paid_in_escrow', 'released', 'disputed', 'cancelled')`,
         [order.id],
       );
+      if (updated.rowCount > 0) {
+        await commitOrderStock(db, order.id);
+      }
       return res.json({ status: "paid_in_escrow", order_id: order.id });
     }
 
@@ -611,11 +633,8 @@ router.post("/payments/release", authMiddleware, async (req, res) => {
       [order_id],
     );
 
-    // ── 4. Mark listing as Sold ───────────────────────────────────────────────
-    await db.query(
-      `UPDATE userlistings SET status = 'Sold', updatedat = NOW() WHERE id = $1`,
-      [order.listing_id],
-    );
+    // ── 4. Mark listing as Sold once its stock is gone ───────────────────────
+    await markSoldIfOutOfStock(db, order.listing_id);
 
     // Mark the originating buyer_request as fulfilled, if applicable
     await db
@@ -877,10 +896,16 @@ router.post(
     const { listing_id } = req.body;
     const buyer_id = req.user.id;
     const userRef = `njimbong_${buyer_id}`;
+    const quantity = parseQuantity(req.body.quantity);
 
     if (!listing_id) {
       return res.status(400).json({ error: "listing_id is required." });
     }
+    if (quantity === null) {
+      return res
+        .status(400)
+        .json({ error: "quantity must be a whole number of at least 1." });
+    }
 
     const client = await db.connect();
     try {
@@ -919,18 +944,16 @@ router.post(
           .json({ error: "You cannot buy your own listing." });
       }
 
-      // Reject if there is already an active order for this listing
-      const existing = await client.query(
-        `SELECT id FROM orders
-         WHERE listing_id = $1
-           AND fonlok_status IN ('pending', 'paid_in_escrow')
-         LIMIT 1`,
-        [listing_id],
-      );
-      if (existing.rowCount > 0) {
+      // Reject if the stock is already paid for or reserved by other orders
+      const available = await getAvailableQuantity(client, listing_id);
+      if (quantity > available) {
         await client.query("ROLLBACK");
         return res.status(409).json({
-          error: "There is already an active order for this listing.",
+          error:
+            available === 0
+              ? "There is already an active order for this listing."
+              : `Only ${available} left in stock.`,
+          available,
         });
       }
 
@@ -941,10 +964,11 @@ router.post(
          ORDER BY updated_at DESC LIMIT 1`,
         [listing_id, buyer_id],
       );
-      const agreedAmount =
+      const unitAmount =
         offerResWallet.rows.length > 0
           ? Math.round(Number(offerResWallet.rows[0].amount))
           : Math.round(Number(listing.price));
+      const agreedAmount = unitAmount * quantity;
 
       // Verify the buyer has sufficient wallet balance before creating the invoice
       let walletBalance = 0;
@@ -961,7 +985,7 @@ router.post(
       if (walletBalance < agreedAmount) {
         await client.query("ROLLBACK");
         return res.status(409).json({
-          error: `Insufficient wallet balance. You have ${walletBalance.toLocaleString()} XAF but this listing costs ${agreedAmount.toLocaleString()} XAF.`,
+          error: `Insufficient wallet balance. You have ${walletBalance.toLocaleString()} XAF but this purchase costs ${agreedAmount.toLocaleString()} XAF.`,
           balance: walletBalance,
           required: agreedAmount,
         });
@@ -991,7 +1015,8 @@ router.post(
       let fonlokInvoice;
       try {
         fonlokInvoice = await createFonlokInvoice({
-          title: listing.title,
+          title:
+            quantity > 1 ? `${quantity} × ${listing.title}` : listing.title,
           amount: agreedAmount,
           sellerName: listing.seller_name,
           sellerEmail: listing.seller_email,
@@ -1017,8 +1042,8 @@ router.post(
       const orderResult = await client.query(
         `INSERT INTO orders
            (buyer_id, seller_id, listing_id, amount, currency,
-            fonlok_invoice_id, fonlok_status, order_reference)
-         VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+            fonlok_invoice_id, fonlok_status, order_reference, quantity)
+         VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8)
          RETURNING id`,
         [
           buyer_id,
@@ -1028,6 +1053,7 @@ router.post(
           listing.currency || "XAF",
           fonlokInvoice.id,
           orderRef,
+          quantity,
         ],
       );
       const orderId = orderResult.rows[0].id;
@@ -1056,17 +1082,14 @@ router.post(
           .json({ error: "Wallet payment failed. Please try again." });
       }
 
-      // Mark order as paid_in_escrow and listing as In Escrow
+      // Mark order as paid_in_escrow and take its units off the stock
       await client.query(
         `UPDATE orders
            SET fonlok_status = 'paid_in_escrow', updated_at = NOW()
          WHERE id = $1`,
         [orderId],
       );
-      await client.query(
-        `UPDATE userlistings SET status = 'In Escrow' WHERE id = $1`,
-        [listing_id],
-      );
+      await commitOrderStock(client, orderId);
 
       // Lock the buyer_request if this listing came from a request fulfillment
       await client.query(
@@ -1132,6 +1155,7 @@ router.post(
         new_balance: walletPay.new_balance,
         currency: walletPay.currency ?? "XAF",
         release_code: walletPay.release_code,
+        quantity,
         status: "paid_in_escrow",
         message:
           "Payment successful. Funds are held in escrow until you confirm delivery.",
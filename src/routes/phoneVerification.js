@@ -0,0 +1,114 @@
+/**
+ * Phone Verification Routes
+ * =========================
+ * Prove ownership of a phone number with a 6-digit SMS code. Verifying the
+ * "account" number sets users.phone_verified_at (counts towards the trust
+ * score); verifying the "momo" number sets users.momo_phone_verified_at
+ * (required before wallet withdrawals). See utils/phoneVerification.js.
+ *
+ * Routes:
+ * - GET /api/users/me/phone-verification - Current numbers and whether they are verified
+ * - POST /api/users/me/phone-verification/send - Text a code to { phone, target }
+ * - POST /api/users/me/phone-verification/verify - Confirm { verificationId, code }
+ */
+
+import express from "express";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import { isSmsConfigured } from "../services/sms.js";
+import {
+  PhoneVerificationError,
+  startPhoneVerification,
+  confirmPhoneVerification,
+  getPhoneVerificationStatus,
+} from "../utils/phoneVerification.js";
+
+const router = express.Router();
+
+const sendVerificationError = (res, error, fallback) => {
+  if (error instanceof PhoneVerificationError) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, ...error.extra });
+  }
+  console.error(`[PhoneVerification] ${fallback}:`, error.message);
+  return res.status(500).json({ error: fallback });
+};
+
+// GET /api/users/me/phone-verification
+router.get("/users/me/phone-verification", authMiddleware, async (req, res) => {
+  try {
+    const status = await getPhoneVerificationStatus(req.user.id);
+    if (!status) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.status(200).json(status);
+  } catch (error) {
+    sendVerificationError(res, error, "Failed to fetch phone verification");
+  }
+});
+
+// POST /api/users/me/phone-verification/send
+router.post(
+  "/users/me/phone-verification/send",
+  authMiddleware,
+  async (req, res) => {
+    const { phone, target = "account" } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({ error: "phone is required" });
+    }
+    if (!isSmsConfigured()) {
+      return res
+        .status(503)
+        .json({ error: "SMS verification is not available right now." });
+    }
+
+    try {
+      const verification = await startPhoneVerification(
+        req.user.id,
+        phone,
+        target,
+      );
+      res.status(200).json({
+        message: "We sent a 6-digit code to your phone.",
+        verificationId: verification.id,
+        phone: verification.phone,
+        expiresAt: verification.expiresAt,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Failed to send verification code");
+    }
+  },
+);
+
+// POST /api/users/me/phone-verification/verify
+router.post(
+  "/users/me/phone-verification/verify",
+  authMiddleware,
+  async (req, res) => {
+    const verificationId = parseInt(req.body.verificationId, 10);
+    const { code } = req.body;
+
+    if (isNaN(verificationId) || !code) {
+      return res
+        .status(400)
+        .json({ error: "verificationId and code are required" });
+    }
+
+    try {
+      const result = await confirmPhoneVerification(
+        req.user.id,
+        verificationId,
+        code,
+      );
+      res.status(200).json({
+        message: "Phone number verified.",
+        ...result,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Failed to verify phone number");
+    }
+  },
+);
+
+export default router;
@@ -1,6 +1,23 @@
 import express from "express";
 import db from "../db.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  attachListingImages,
+} from "../utils/listingBrowse.js";
+import { expandCategoryIds } from "../utils/categoryTree.js";
+import {
+  SPONSORED_PER_PAGE,
+  sponsoredSql,
+  sponsoredOrderSql,
+  withSponsored,
+} from "../utils/boosts.js";
+import {
+  resolveDisplayCurrency,
+  withDisplayPrices,
+} from "../utils/currency.js";
 
 const router = express.Router();
 
@@ -315,10 +332,16 @@ router.post("/preferences/view", authMiddleware, async (req, res) => {
 // =====================================================
 router.get("/personalized-listings", authMiddleware, async (req, res) => {
   try {
+    const display = await resolveDisplayCurrency(req.query.displayCurrency);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
     const userId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
+    const limit = parsePageSize(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && (!cursor || cursor.length !== 3)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
 
     let hasPreferences = false;
 
@@ -336,8 +359,7 @@ router.get("/personalized-listings", authMiddleware, async (req, res) => {
       hasPreferences = false;
     }
 
-    let listings = [];
-    let hasPersonalizedResults = false;
+    let categoryIds = [];
 
     if (hasPreferences) {
       try {
@@ -359,86 +381,83 @@ router.get("/personalized-listings", authMiddleware, async (req, res) => {
           [userId]
         );
 
-        const categoryIds = preferredCategories.rows.map((r) => r.category_id);
-
-        if (categoryIds.length > 0) {
-          // Get listings from preferred categories
-          const personalizedResult = await db.query(
-            `SELECT l.*, c.name as category_name,
-                    u.id as user_id, u.name as username, u.verified as userverified, 
-                    u.profilepictureurl as user_profile_picture,
-                    CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified,
-                    CASE 
-                      WHEN l.categoryid = ANY($1::int[]) THEN 1 
-                      ELSE 0 
-                    END as is_preferred
-             FROM userlistings l
-             LEFT JOIN categories c ON l.categoryid = c.id
-             LEFT JOIN users u ON l.userid = u.id
-             LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-             WHERE l.moderation_status = 'approved'
-             AND l.status = 'Available'
-             ORDER BY 
-               CASE WHEN l.categoryid = ANY($1::int[]) THEN 0 ELSE 1 END,
-               l.createdat DESC
-             LIMIT $2 OFFSET $3`,
-            [categoryIds, limit, offset]
-          );
-
-          if (personalizedResult.rows.length > 0) {
-            listings = personalizedResult.rows;
-            hasPersonalizedResults = listings.some((l) => l.is_preferred === 1);
-          }
-        }
+        // A preferred category also covers its subcategories
+        categoryIds = await expandCategoryIds(
+          preferredCategories.rows.map((r) => r.category_id)
+        );
       } catch (prefQueryError) {
         console.log(
           "Error fetching personalized listings:",
           prefQueryError.message
         );
-        hasPreferences = false;
       }
     }
 
-    // If no personalized results, get regular listings
-    if (listings.length === 0) {
-      const regularResult = await db.query(
-        `SELECT l.*, c.name as category_name,
-                u.id as user_id, u.name as username, u.verified as userverified,
-                u.profilepictureurl as user_profile_picture,
-                CASE WHEN kyc.status = 'approved' THEN true ELSE false END as kyc_verified,
-                0 as is_preferred
-         FROM userlistings l
-         LEFT JOIN categories c ON l.categoryid = c.id
-         LEFT JOIN users u ON l.userid = u.id
-         LEFT JOIN kyc_verifications kyc ON u.id = kyc.userid AND kyc.status = 'approved'
-         WHERE l.moderation_status = 'approved'
-         AND l.status = 'Available'
-         ORDER BY l.createdat DESC
-         LIMIT $1 OFFSET $2`,
-        [limit, offset]
-      );
-      listings = regularResult.rows;
+    // Listings from preferred categories first, then everything else,
+    // newest first within each group. Without preferences every listing has
+    // is_preferred = 0 and this is simply the newest listings.
+    const queryParams = [categoryIds];
+    let pageCondition = "";
+    if (cursor) {
+      pageCondition = `AND (CASE WHEN l.categoryid = ANY($1::int[]) THEN 1 ELSE 0 END, l.createdat, l.id)
+                 < ($2::int, $3::timestamptz, $4::int)`;
+      queryParams.push(...cursor);
     }
+    queryParams.push(limit + 1);
+
+    const listingSelect = `SELECT l.*, c.name as category_name,
+              u.id as user_id, u.name as username, u.verified as userverified,
+              u.profilepictureurl as user_profile_picture,
+              EXISTS (
+                SELECT 1 FROM kyc_verifications kyc
+                WHERE kyc.userid = u.id AND kyc.status = 'approved'
+              ) as kyc_verified,
+              CASE WHEN l.categoryid = ANY($1::int[]) THEN 1 ELSE 0 END as is_preferred,
+              l.createdat::text as sort_key
+       FROM userlistings l
+       LEFT JOIN categories c ON l.categoryid = c.id
+       LEFT JOIN users u ON l.userid = u.id`;
+    const result = await db.query(
+      `${listingSelect}
+       WHERE l.moderation_status = 'approved'
+       AND l.status = 'Available'
+       AND (l.is_draft IS NULL OR l.is_draft = FALSE)
+       ${pageCondition}
+       ORDER BY is_preferred DESC, l.createdat DESC, l.id DESC
+       LIMIT $${queryParams.length}`,
+      queryParams
+    );
 
-    // Fetch images for each listing
-    const listingsWithImages = await Promise.all(
-      listings.map(async (listing) => {
-        const imagesResult = await db.query(
-          `SELECT * FROM imagelistings WHERE listingid = $1 ORDER BY is_main DESC`,
-          [listing.id]
+    // Sponsored slots on the first page, boosts in preferred categories first
+    const sponsoredResult = cursor
+      ? { rows: [] }
+      : await db.query(
+          `${listingSelect}
+           WHERE ${sponsoredSql("l")}
+           ORDER BY is_preferred DESC, ${sponsoredOrderSql("l")}
+           LIMIT ${SPONSORED_PER_PAGE}`,
+          [categoryIds]
         );
-        return {
-          ...listing,
-          images: imagesResult.rows,
-        };
-      })
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      result.rows.length > limit
+        ? encodeCursor([last.is_preferred, last.sort_key, last.id])
+        : null;
+
+    const listingsWithImages = await attachListingImages(
+      withSponsored(rows, sponsoredResult.rows)
     );
 
     res.status(200).json({
-      listings: listingsWithImages,
-      personalized: hasPersonalizedResults,
-      page,
+      listings: await withDisplayPrices(
+        listingsWithImages.map(({ seller_email, sort_key, ...rest }) => rest),
+        display.code
+      ),
+      personalized: rows.some((l) => l.is_preferred === 1),
       limit,
+      nextCursor,
     });
   } catch (error) {
     console.error("Error fetching personalized listings:", error);
@@ -470,9 +489,11 @@ router.get("/recommended-listings", authMiddleware, async (req, res) => {
 
     // Build search pattern from recent searches
     const searchTerms = searchHistory.rows.map((r) => r.search_term);
-    const categoryIds = searchHistory.rows
-      .filter((r) => r.category_id)
-      .map((r) => r.category_id);
+    const categoryIds = await expandCategoryIds(
+      searchHistory.rows
+        .filter((r) => r.category_id)
+        .map((r) => r.category_id)
+    );
 
     // Create search pattern
     const searchPattern = searchTerms.join("|");
@@ -510,19 +531,7 @@ router.get("/recommended-listings", authMiddleware, async (req, res) => {
 
     const result = await db.query(queryText, queryParams);
 
-    // Fetch images
-    const listingsWithImages = await Promise.all(
-      result.rows.map(async (listing) => {
-        const imagesResult = await db.query(
-          `SELECT * FROM imagelistings WHERE listingid = $1 ORDER BY is_main DESC`,
-          [listing.id]
-        );
-        return {
-          ...listing,
-          images: imagesResult.rows,
-        };
-      })
-    );
+    const listingsWithImages = await attachListingImages(result.rows);
 
     res.status(200).json({
       listings: listingsWithImages,
@@ -7,6 +7,7 @@
  * - GET /api/reports/reasons - Get available report reasons
  * - POST /api/reports/listing/:id - Report a listing
  * - POST /api/reports/user/:id - Report a user
+ * - POST /api/reports/question/:id - Report a question on a listing
  * - GET /api/reports/my-reports - Get user's submitted reports
  * - GET /api/user/:id/public-profile - Get public profile of a user
  * - GET /api/account/status - Check if current user is suspended
@@ -34,12 +35,13 @@ const router = express.Router();
  */
 router.get("/reports/reasons", authMiddleware, async (req, res) => {
   try {
-    const { type } = req.query; // 'listing', 'user', or undefined for all
+    const { type } = req.query; // 'listing', 'user', 'question', or undefined for all
 
     let query = "SELECT * FROM report_reasons WHERE is_active = true";
     const params = [];
 
-    if (type === "listing") {
+    // Questions are reported with the listing reasons
+    if (type === "listing" || type === "question") {
       query += " AND (category = 'listing' OR category = 'both')";
     } else if (type === "user") {
       query += " AND (category = 'user' OR category = 'both')";
@@ -261,6 +263,113 @@ router.post(
   },
 );
 
+// =====================================================
+// POST: Report a Question on a Listing
+// Suspended users cannot submit reports
+// =====================================================
+router.post(
+  "/reports/question/:id",
+  authMiddleware,
+  blockIfSuspended,
+  async (req, res) => {
+    const { id } = req.params;
+    const { reasonId, customReason, evidenceUrls } = req.body;
+    const reporterId = req.user.id;
+
+    try {
+      // Validate question exists and hasn't been removed
+      const questionCheck = await db.query(
+        "SELECT id, asker_id FROM listing_questions WHERE id = $1 AND status = 'visible'",
+        [id],
+      );
+
+      if (questionCheck.rows.length === 0) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Prevent self-reporting
+      if (questionCheck.rows[0].asker_id === reporterId) {
+        return res
+          .status(400)
+          .json({ error: "You cannot report your own question" });
+      }
+
+      // Check for duplicate report
+      const duplicateCheck = await db.query(
+        `SELECT id FROM reports 
+       WHERE reporter_id = $1 AND reported_question_id = $2 AND status = 'pending'`,
+        [reporterId, id],
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(400).json({
+          error:
+            "You have already reported this question. Please wait for review.",
+        });
+      }
+
+      // Validate reason
+      if (!reasonId) {
+        return res
+          .status(400)
+          .json({ error: "Please select a reason for reporting" });
+      }
+
+      const reasonCheck = await db.query(
+        "SELECT severity FROM report_reasons WHERE id = $1 AND is_active = true",
+        [reasonId],
+      );
+
+      if (reasonCheck.rows.length === 0) {
+        return res.status(400).json({ error: "Invalid report reason" });
+      }
+
+      const priority = reasonCheck.rows[0].severity;
+
+      // Create report
+      const result = await db.query(
+        `INSERT INTO reports 
+       (reporter_id, report_type, reported_question_id, reported_user_id, reason_id, custom_reason, evidence_urls, priority, created_at)
+       VALUES ($1, 'question', $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+        [
+          reporterId,
+          id,
+          questionCheck.rows[0].asker_id, // Also track who asked it
+          reasonId,
+          customReason || null,
+          evidenceUrls || null,
+          priority,
+        ],
+      );
+
+      // Increment report count for the asker (non-blocking)
+      if (questionCheck.rows[0].asker_id) {
+        try {
+          await db.query(
+            "UPDATE users SET report_count = COALESCE(report_count, 0) + 1 WHERE id = $1",
+            [questionCheck.rows[0].asker_id],
+          );
+        } catch (countError) {
+          console.warn("Warning: failed to update report_count", countError);
+        }
+      }
+
+      // Notify admin about new question report
+      sendReportSubmittedAdmin(result.rows[0]);
+
+      res.status(201).json({
+        message:
+          "Report submitted successfully. Our team will review it shortly.",
+        report: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error submitting question report:", error);
+      res.status(500).json({ error: "Failed to submit report" });
+    }
+  },
+);
+
 // =====================================================
 // GET: User's Submitted Reports
 // =====================================================
@@ -274,11 +383,13 @@ router.get("/reports/my-reports", authMiddleware, async (req, res) => {
         rr.reason as reason_text,
         CASE 
           WHEN r.report_type = 'listing' THEN l.title
+          WHEN r.report_type = 'question' THEN q.question
           ELSE u.name
         END as reported_name
       FROM reports r
       LEFT JOIN report_reasons rr ON r.reason_id = rr.id
       LEFT JOIN userlistings l ON r.reported_listing_id = l.id
+      LEFT JOIN listing_questions q ON r.reported_question_id = q.id
       LEFT JOIN users u ON r.reported_user_id = u.id AND r.report_type = 'user'
       WHERE r.reporter_id = $1
       ORDER BY r.created_at DESC`,
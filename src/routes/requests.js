@@ -12,13 +12,21 @@ import multer from "multer";
 import db from "../db.js";
 import cloudinary from "../storage/cloudinary.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
-import adminMiddleware from "../Middleware/adminMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
 import { blockIfSuspended } from "../Middleware/suspensionMiddleware.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
 } from "../utils/pushNotifications.js";
 import { sendRequestFulfilled } from "../utils/email.js";
+import {
+  MAX_RADIUS_KM,
+  resolveCoordinates,
+  parseNear,
+  distanceKmSql,
+  boundingBoxSql,
+} from "../utils/geo.js";
+import { inCategorySql } from "../utils/categoryTree.js";
 
 const router = express.Router();
 
@@ -65,6 +73,12 @@ async function ensureTables() {
     ALTER TABLE buyer_requests
     ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'pending'
   `);
+  // Optional position, see utils/geo.js
+  await db.query(`
+    ALTER TABLE buyer_requests
+    ADD COLUMN IF NOT EXISTS latitude  DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION
+  `);
   await db.query(`
     CREATE TABLE IF NOT EXISTS request_fulfillments (
       id              SERIAL PRIMARY KEY,
@@ -156,6 +170,18 @@ router.get("/requests", async (req, res) => {
     const search = req.query.search?.trim() || null;
     const country = req.query.country?.trim() || null;
     const city = req.query.city?.trim() || null;
+    const near = parseNear(req.query.near);
+    if (req.query.near && !near) {
+      return res
+        .status(400)
+        .json({ error: "near must be latitude,longitude in degrees" });
+    }
+    const sortByDistance = req.query.sort === "distance";
+    if (sortByDistance && !near) {
+      return res
+        .status(400)
+        .json({ error: "Sorting by distance needs near=lat,lng" });
+    }
 
     const conditions = [
       "r.status IN ('open', 'in_progress')",
@@ -166,7 +192,7 @@ router.get("/requests", async (req, res) => {
 
     if (category) {
       params.push(category);
-      conditions.push(`r.category_id = $${params.length}`);
+      conditions.push(inCategorySql("r.category_id", `$${params.length}`));
     }
     if (search) {
       params.push(`%${search}%`);
@@ -181,6 +207,18 @@ router.get("/requests", async (req, res) => {
       params.push(`%${city}%`);
       conditions.push(`r.city ILIKE $${params.length}`);
     }
+    let distance = null;
+    if (near) {
+      distance = distanceKmSql("r.latitude", "r.longitude", near);
+      const radiusKm = parseFloat(req.query.radius);
+      if (radiusKm > 0) {
+        const km = Math.min(radiusKm, MAX_RADIUS_KM);
+        conditions.push(
+          boundingBoxSql("r.latitude", "r.longitude", near, km),
+          `${distance} <= ${km}`,
+        );
+      }
+    }
 
     const where = conditions.join(" AND ");
 
@@ -196,7 +234,8 @@ router.get("/requests", async (req, res) => {
          r.id, r.title, r.description, r.category_id, c.name AS category_name,
          r.tags, r.image_url, r.budget_min, r.budget_max, r.currency,
          r.country, r.city, r.status, r.view_count, r.fulfillment_count,
-         r.created_at, r.expires_at,
+         r.created_at, r.expires_at, r.latitude, r.longitude,
+         ${distance ? `ROUND(${distance}::numeric, 1)::float8 AS distance_km,` : ""}
          u.id AS user_id, u.name AS username, u.profilepictureurl AS user_avatar,
          CASE WHEN k.status = 'approved' THEN 'approved' ELSE NULL END AS user_kyc_status
        FROM buyer_requests r
@@ -208,7 +247,7 @@ router.get("/requests", async (req, res) => {
          LIMIT 1
        ) k ON true
        WHERE ${where}
-       ORDER BY r.created_at DESC
+       ORDER BY ${sortByDistance ? `${distance} ASC NULLS LAST,` : ""} r.created_at DESC
        LIMIT $${params.length - 1} OFFSET $${params.length}`,
       params,
     );
@@ -323,7 +362,16 @@ router.post(
   async (req, res) => {
     try {
       await ensureTables();
-      const { title, description, category_id, tags, country } = req.body;
+      const {
+        title,
+        description,
+        category_id,
+        tags,
+        country,
+        city,
+        latitude,
+        longitude,
+      } = req.body;
 
       if (!title?.trim() || !description?.trim()) {
         return res
@@ -346,11 +394,19 @@ router.post(
         cloudinary_id = result.public_id;
       }
 
+      const requestCountry = country?.trim() || "Cameroon";
+      const coordinates = resolveCoordinates({
+        latitude,
+        longitude,
+        city,
+        country: requestCountry,
+      });
+
       const result = await db.query(
         `INSERT INTO buyer_requests
            (user_id, title, description, category_id, tags, image_url, cloudinary_id,
-            currency, country, moderation_status)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,'approved')
+            currency, country, city, latitude, longitude, moderation_status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,'approved')
          RETURNING *`,
         [
           req.user.id,
@@ -361,7 +417,10 @@ router.post(
           image_url,
           cloudinary_id,
           "XAF",
-          country?.trim() || "Cameroon",
+          requestCountry,
+          city?.trim() || null,
+          coordinates.latitude,
+          coordinates.longitude,
         ],
       );
 
@@ -501,12 +560,19 @@ router.post(
       }
 
       // ── 1. Create the listing ─────────────────────────────────────────────
+      const coordinates = resolveCoordinates({
+        latitude: req.body.latitude,
+        longitude: req.body.longitude,
+        city,
+        country,
+      });
       const listingResult = await db.query(
         `INSERT INTO userlistings
            (userid, title, description, price, currency, categoryid,
             location, country, city, condition, phone, seller_email, tags,
-            status, moderation_status, is_draft, delivery_type, delivery_notes, createdat)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,'Available','approved',false,$14,$15,NOW())
+            status, moderation_status, is_draft, delivery_type, delivery_notes,
+            latitude, longitude, createdat)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,'Available','approved',false,$14,$15,$16,$17,NOW())
          RETURNING *`,
         [
           req.user.id,
@@ -524,6 +590,8 @@ router.post(
           buyerRequest.tags || [],
           delivery_type || "pickup",
           delivery_notes?.trim() || null,
+          coordinates.latitude,
+          coordinates.longitude,
         ],
       );
       const listing = listingResult.rows[0];
@@ -655,7 +723,7 @@ router.delete(
 router.get(
   "/admin/requests",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("requests.moderate"),
   async (_req, res) => {
     try {
       await ensureTables();
@@ -683,7 +751,7 @@ router.get(
 router.put(
   "/admin/requests/:id/approve",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("requests.moderate"),
   async (req, res) => {
     try {
       await ensureTables();
@@ -711,7 +779,7 @@ router.put(
 router.put(
   "/admin/requests/:id/reject",
   authMiddleware,
-  adminMiddleware,
+  requirePermission("requests.moderate"),
   async (req, res) => {
     try {
       await ensureTables();
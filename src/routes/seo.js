@@ -0,0 +1,172 @@
+/**
+ * Sitemaps, feeds and link previews for search engines and link unfurling.
+ *
+ * Routes:
+ * - GET /api/sitemap.xml                   - Sitemap index
+ * - GET /api/sitemap/:section-:page.xml    - One sitemap page (static,
+ *                                            categories, listings, profiles,
+ *                                            requests)
+ * - GET /api/feeds/categories/:id.rss|atom - Newest listings in a category
+ * - GET /api/feeds/cities/:city.rss|atom   - Newest listings in a city
+ * - GET /api/listings/:id/preview          - Open Graph / Twitter card tags;
+ *                                            ?format=html for a crawler page
+ *
+ * All public and cached for a short while. See utils/seo.js.
+ */
+
+import express from "express";
+import db from "../db.js";
+import {
+  SITE_NAME,
+  SITEMAP_PAGE_SIZE,
+  SITEMAP_SECTIONS,
+  sitemapPageCount,
+  sitemapIndexXml,
+  urlsetXml,
+  getFeedListings,
+  rssXml,
+  atomXml,
+  getListingPreview,
+  previewHtml,
+  sitePaths,
+  siteUrl,
+} from "../utils/seo.js";
+
+const router = express.Router();
+
+const FEED_FORMATS = {
+  rss: "application/rss+xml",
+  atom: "application/atom+xml",
+};
+
+// This API's own public address, for links back to sitemap pages and feeds
+const apiUrl = (req, path) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}${path}`;
+
+const sendXml = (res, xml, type = "application/xml") => {
+  res.set("Cache-Control", "public, max-age=3600");
+  res.type(type).send(xml);
+};
+
+router.get("/sitemap.xml", async (req, res) => {
+  try {
+    const urls = [];
+    for (const section of Object.keys(SITEMAP_SECTIONS)) {
+      const pages = await sitemapPageCount(section);
+      for (let page = 1; page <= pages; page++) {
+        urls.push(apiUrl(req, `/sitemap/${section}-${page}.xml`));
+      }
+    }
+    sendXml(res, sitemapIndexXml(urls));
+  } catch (error) {
+    console.error("Error building sitemap index:", error);
+    res.status(500).json({ error: "Failed to build sitemap" });
+  }
+});
+
+router.get("/sitemap/:section-:page.xml", async (req, res) => {
+  const section = Object.hasOwn(SITEMAP_SECTIONS, req.params.section)
+    ? SITEMAP_SECTIONS[req.params.section]
+    : null;
+  const page = parseInt(req.params.page, 10);
+  if (!section || !(page >= 1) || (!section.count && page > 1)) {
+    return res.status(404).json({ error: "Sitemap not found" });
+  }
+
+  try {
+    const entries = await section.page((page - 1) * SITEMAP_PAGE_SIZE);
+    if (entries.length === 0 && page > 1) {
+      return res.status(404).json({ error: "Sitemap not found" });
+    }
+    sendXml(res, urlsetXml(entries));
+  } catch (error) {
+    console.error("Error building sitemap page:", error);
+    res.status(500).json({ error: "Failed to build sitemap" });
+  }
+});
+
+const sendFeed = async (req, res, feed, scope) => {
+  const type = FEED_FORMATS[req.params.format];
+  if (!type) {
+    return res.status(404).json({ error: "Feed format must be .rss or .atom" });
+  }
+  const listings = await getFeedListings(scope);
+  const selfUrl = apiUrl(req, req.path);
+  sendXml(
+    res,
+    req.params.format === "rss"
+      ? rssXml({ ...feed, selfUrl }, listings)
+      : atomXml({ ...feed, selfUrl }, listings),
+    type,
+  );
+};
+
+router.get("/feeds/categories/:id.:format", async (req, res) => {
+  try {
+    const categoryResult = await db.query(
+      "SELECT id, name FROM categories WHERE id = $1",
+      [parseInt(req.params.id, 10) || 0],
+    );
+    const category = categoryResult.rows[0];
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    await sendFeed(
+      req,
+      res,
+      {
+        title: `${category.name} — new listings on ${SITE_NAME}`,
+        description: `The newest ${category.name} listings on ${SITE_NAME}.`,
+        link: siteUrl(sitePaths.category(category.id)),
+      },
+      { categoryId: category.id },
+    );
+  } catch (error) {
+    console.error("Error building category feed:", error);
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+});
+
+router.get("/feeds/cities/:city.:format", async (req, res) => {
+  const city = req.params.city.trim();
+  if (!city || city.length > 100) {
+    return res.status(404).json({ error: "City not found" });
+  }
+
+  try {
+    await sendFeed(
+      req,
+      res,
+      {
+        title: `New listings in ${city} on ${SITE_NAME}`,
+        description: `The newest listings in ${city} on ${SITE_NAME}.`,
+        link: siteUrl(sitePaths.city(city)),
+      },
+      { city },
+    );
+  } catch (error) {
+    console.error("Error building city feed:", error);
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+});
+
+router.get("/listings/:id/preview", async (req, res) => {
+  try {
+    const preview = await getListingPreview(parseInt(req.params.id, 10) || 0);
+    if (!preview) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+
+    res.set("Cache-Control", "public, max-age=600");
+    if (req.query.format === "html") {
+      return res.type("html").send(previewHtml(preview));
+    }
+    res.json(preview);
+  } catch (error) {
+    console.error("Error building listing preview:", error);
+    res.status(500).json({ error: "Failed to build preview" });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+/**
+ * Session Management Routes
+ * =========================
+ * Lets a user see the devices they are signed in on and sign them out remotely,
+ * and review recent sign-in attempts on their account.
+ *
+ * Routes:
+ * - GET /api/users/me/sessions - List active sessions (user agent, IP, last seen)
+ * - DELETE /api/users/me/sessions/:id - Revoke one session
+ * - DELETE /api/users/me/sessions - Revoke all sessions (?keepCurrent=true keeps this device)
+ * - GET /api/users/me/login-history - Recent successful and failed sign-ins
+ */
+
+import express from "express";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  clearAuthCookies,
+} from "../utils/sessions.js";
+import { listLoginEvents } from "../utils/loginSecurity.js";
+
+const router = express.Router();
+
+// GET /api/users/me/sessions
+router.get("/users/me/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        is_current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("[Sessions] list error:", error.message);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+// DELETE /api/users/me/sessions/:id
+router.delete("/users/me/sessions/:id", authMiddleware, async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10);
+  if (isNaN(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+
+  try {
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (sessionId === req.user.sid) {
+      clearAuthCookies(res);
+    }
+    res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("[Sessions] revoke error:", error.message);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+// DELETE /api/users/me/sessions
+router.delete("/users/me/sessions", authMiddleware, async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true" && req.user.sid;
+
+  try {
+    const count = await revokeAllSessions(
+      req.user.id,
+      keepCurrent ? req.user.sid : null,
+    );
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+    res.status(200).json({
+      message: keepCurrent
+        ? "Signed out of all other devices"
+        : "Signed out of all devices",
+      revoked: count,
+    });
+  } catch (error) {
+    console.error("[Sessions] revoke-all error:", error.message);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+});
+
+// GET /api/users/me/login-history?page=1&limit=20
+router.get("/users/me/login-history", authMiddleware, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  try {
+    const events = await listLoginEvents(req.user.id, {
+      limit,
+      offset: (page - 1) * limit,
+    });
+    // The raw user agent is only needed for the device label
+    res.status(200).json({
+      events: events.map(({ user_agent, ...event }) => event),
+      page,
+      limit,
+    });
+  } catch (error) {
+    console.error("[Sessions] login history error:", error.message);
+    res.status(500).json({ error: "Failed to fetch login history" });
+  }
+});
+
+export default router;
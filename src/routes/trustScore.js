@@ -11,6 +11,7 @@
 import express from "express";
 import pool from "../db.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { requirePermission } from "../Middleware/adminMiddleware.js";
 
 const router = express.Router();
 
@@ -319,6 +320,11 @@ const calculateTrustScoreJS = async (userId) => {
       userColumns.has("country") ? "u.country" : "NULL as country",
     );
     selectParts.push(userColumns.has("phone") ? "u.phone" : "NULL as phone");
+    selectParts.push(
+      userColumns.has("phone_verified_at")
+        ? "u.phone_verified_at"
+        : "NULL as phone_verified_at",
+    );
     selectParts.push(userColumns.has("bio") ? "u.bio" : "NULL as bio");
     selectParts.push(
       userColumns.has("kyc_status") ? "u.kyc_status" : "NULL as kyc_status",
@@ -509,12 +515,13 @@ const calculateTrustScoreJS = async (userId) => {
       breakdown.active_listings = { points: 0, count: 0, required: 10 };
     }
 
-    // 6. Complete Profile (+5 points)
+    // 6. Complete Profile (+5 points) — the phone only counts once verified
     const profileComplete =
       user.name &&
       user.profilepicture &&
       user.country &&
       user.phone &&
+      user.phone_verified_at &&
       user.bio;
     if (profileComplete) {
       score += 5;
@@ -699,7 +706,8 @@ const generateTrustScoreTips = (breakdown) => {
   if (breakdown.complete_profile?.points === 0) {
     tips.push({
       priority: "medium",
-      message: "Complete your profile (add bio, photo, phone) to earn 5 points",
+      message:
+        "Complete your profile (add bio and photo, verify your phone) to earn 5 points",
       action: "Update Profile",
     });
   }
@@ -1405,98 +1413,87 @@ router.get("/user/can-review/:userId", authMiddleware, async (req, res) => {
 // ADMIN ENDPOINTS
 // ============================================================
 
-/**
- * Admin middleware - check if user is admin
- */
-const adminMiddleware = async (req, res, next) => {
-  try {
-    const adminToken = req.headers.authorization?.replace("Bearer ", "");
-    if (!adminToken) {
-      return res.status(401).json({ error: "Admin authentication required" });
-    }
-
-    const admin = await pool.query(
-      `SELECT id, email FROM admins WHERE token = $1`,
-      [adminToken],
-    );
-
-    if (admin.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid admin token" });
-    }
-
-    req.admin = admin.rows[0];
-    next();
-  } catch (error) {
-    console.error("Admin auth error:", error);
-    res.status(500).json({ error: "Authentication failed" });
-  }
-};
-
 /**
  * POST /api/admin/user/:id/warning
  * Issue a warning to a user
  */
-router.post("/admin/user/:id/warning", adminMiddleware, async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    const adminId = req.admin.id;
-    const { warningType, reason, expiresInDays } = req.body;
-
-    // Validate warning type
-    const validTypes = ["minor", "moderate", "severe", "final"];
-    if (!validTypes.includes(warningType)) {
-      return res.status(400).json({ error: "Invalid warning type" });
-    }
+router.post(
+  "/admin/user/:id/warning",
+  authMiddleware,
+  requirePermission("users.moderate"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const adminId = req.admin.id;
+      const { warningType, reason, expiresInDays } = req.body;
 
-    if (!reason || reason.trim().length < 10) {
-      return res
-        .status(400)
-        .json({ error: "Reason must be at least 10 characters" });
-    }
+      // Validate warning type
+      const validTypes = ["minor", "moderate", "severe", "final"];
+      if (!validTypes.includes(warningType)) {
+        return res.status(400).json({ error: "Invalid warning type" });
+      }
+
+      if (!reason || reason.trim().length < 10) {
+        return res
+          .status(400)
+          .json({ error: "Reason must be at least 10 characters" });
+      }
 
-    // Calculate points based on type
-    const pointsMap = { minor: 5, moderate: 10, severe: 15, final: 20 };
-    const pointsDeducted = pointsMap[warningType];
+      // Calculate points based on type
+      const pointsMap = { minor: 5, moderate: 10, severe: 15, final: 20 };
+      const pointsDeducted = pointsMap[warningType];
 
-    // Calculate expiry
-    const expiresAt = expiresInDays
-      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
-      : null;
+      // Calculate expiry
+      const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
 
-    // Insert warning
-    const result = await pool.query(
-      `INSERT INTO user_warnings (user_id, admin_id, warning_type, reason, points_deducted, expires_at)
+      // Insert warning
+      const result = await pool.query(
+        `INSERT INTO user_warnings (user_id, admin_id, warning_type, reason, points_deducted, expires_at)
        VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING id, created_at`,
-      [userId, adminId, warningType, reason.trim(), pointsDeducted, expiresAt],
-    );
+        [
+          userId,
+          adminId,
+          warningType,
+          reason.trim(),
+          pointsDeducted,
+          expiresAt,
+        ],
+      );
 
-    res.status(201).json({
-      message: "Warning issued successfully",
-      warning: {
-        id: result.rows[0].id,
-        pointsDeducted,
-        expiresAt,
-        createdAt: result.rows[0].created_at,
-      },
-    });
-  } catch (error) {
-    console.error("Error issuing warning:", error);
-    res.status(500).json({ error: "Failed to issue warning" });
-  }
-});
+      res.status(201).json({
+        message: "Warning issued successfully",
+        warning: {
+          id: result.rows[0].id,
+          pointsDeducted,
+          expiresAt,
+          createdAt: result.rows[0].created_at,
+        },
+      });
+    } catch (error) {
+      console.error("Error issuing warning:", error);
+      res.status(500).json({ error: "Failed to issue warning" });
+    }
+  },
+);
 
 /**
  * GET /api/admin/reviews/flagged
  * Get flagged reviews for admin review
  */
-router.get("/admin/reviews/flagged", adminMiddleware, async (req, res) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+router.get(
+  "/admin/reviews/flagged",
+  authMiddleware,
+  requirePermission("reviews.moderate"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    const flagged = await pool.query(
-      `SELECT 
+      const flagged = await pool.query(
+        `SELECT 
         r.*,
         reviewer.name as reviewer_name,
         reviewer.email as reviewer_email,
@@ -1511,52 +1508,58 @@ router.get("/admin/reviews/flagged", adminMiddleware, async (req, res) => {
        WHERE r.fraud_score >= 40 OR jsonb_array_length(r.fraud_flags) > 0
        ORDER BY r.fraud_score DESC, r.created_at DESC
        LIMIT $1 OFFSET $2`,
-      [parseInt(limit), offset],
-    );
+        [parseInt(limit), offset],
+      );
 
-    const countResult = await pool.query(
-      `SELECT COUNT(*) FROM user_reviews 
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM user_reviews 
        WHERE fraud_score >= 40 OR jsonb_array_length(fraud_flags) > 0`,
-    );
+      );
 
-    res.json({
-      reviews: flagged.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(
-          parseInt(countResult.rows[0].count) / parseInt(limit),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching flagged reviews:", error);
-    res.status(500).json({ error: "Failed to fetch flagged reviews" });
-  }
-});
+      res.json({
+        reviews: flagged.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(
+            parseInt(countResult.rows[0].count) / parseInt(limit),
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching flagged reviews:", error);
+      res.status(500).json({ error: "Failed to fetch flagged reviews" });
+    }
+  },
+);
 
 /**
  * PUT /api/admin/review/:id/verify
  * Verify a review
  */
-router.put("/admin/review/:id/verify", adminMiddleware, async (req, res) => {
-  try {
-    const reviewId = parseInt(req.params.id);
+router.put(
+  "/admin/review/:id/verify",
+  authMiddleware,
+  requirePermission("reviews.moderate"),
+  async (req, res) => {
+    try {
+      const reviewId = parseInt(req.params.id);
 
-    await pool.query(
-      `UPDATE user_reviews 
+      await pool.query(
+        `UPDATE user_reviews 
        SET is_verified = true, verification_method = 'admin_verified', updated_at = NOW()
        WHERE id = $1`,
-      [reviewId],
-    );
+        [reviewId],
+      );
 
-    res.json({ message: "Review verified successfully" });
-  } catch (error) {
-    console.error("Error verifying review:", error);
-    res.status(500).json({ error: "Failed to verify review" });
-  }
-});
+      res.json({ message: "Review verified successfully" });
+    } catch (error) {
+      console.error("Error verifying review:", error);
+      res.status(500).json({ error: "Failed to verify review" });
+    }
+  },
+);
 
 /**
  * PUT /api/admin/review/:id/invalidate
@@ -1564,7 +1567,8 @@ router.put("/admin/review/:id/verify", adminMiddleware, async (req, res) => {
  */
 router.put(
   "/admin/review/:id/invalidate",
-  adminMiddleware,
+  authMiddleware,
+  requirePermission("reviews.moderate"),
   async (req, res) => {
     try {
       const reviewId = parseInt(req.params.id);
@@ -1621,56 +1625,61 @@ router.put(
  * GET /api/admin/trust-scores
  * Get all users with their trust scores
  */
-router.get("/admin/trust-scores", adminMiddleware, async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 50,
-      sortBy = "trust_score",
-      order = "DESC",
-    } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+router.get(
+  "/admin/trust-scores",
+  authMiddleware,
+  requirePermission("users.view"),
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        sortBy = "trust_score",
+        order = "DESC",
+      } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const validSortColumns = [
+        "trust_score",
+        "name",
+        "createdat",
+        "total_reviews",
+      ];
+      const sortColumn = validSortColumns.includes(sortBy)
+        ? sortBy
+        : "trust_score";
+      const sortOrder = order.toUpperCase() === "ASC" ? "ASC" : "DESC";
 
-    const validSortColumns = [
-      "trust_score",
-      "name",
-      "createdat",
-      "total_reviews",
-    ];
-    const sortColumn = validSortColumns.includes(sortBy)
-      ? sortBy
-      : "trust_score";
-    const sortOrder = order.toUpperCase() === "ASC" ? "ASC" : "DESC";
-
-    const users = await pool.query(
-      `SELECT 
+      const users = await pool.query(
+        `SELECT 
         id, name, email, trust_score, kyc_status, 
         can_leave_reviews, total_reviews, average_rating,
         createdat, trust_score_updated_at
        FROM users
        ORDER BY ${sortColumn} ${sortOrder}
        LIMIT $1 OFFSET $2`,
-      [parseInt(limit), offset],
-    );
+        [parseInt(limit), offset],
+      );
 
-    const countResult = await pool.query(`SELECT COUNT(*) FROM users`);
+      const countResult = await pool.query(`SELECT COUNT(*) FROM users`);
 
-    res.json({
-      users: users.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(
-          parseInt(countResult.rows[0].count) / parseInt(limit),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching trust scores:", error);
-    res.status(500).json({ error: "Failed to fetch trust scores" });
-  }
-});
+      res.json({
+        users: users.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(
+            parseInt(countResult.rows[0].count) / parseInt(limit),
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching trust scores:", error);
+      res.status(500).json({ error: "Failed to fetch trust scores" });
+    }
+  },
+);
 
 /**
  * POST /api/admin/user/:id/recalculate-trust-score
@@ -1678,7 +1687,8 @@ router.get("/admin/trust-scores", adminMiddleware, async (req, res) => {
  */
 router.post(
   "/admin/user/:id/recalculate-trust-score",
-  adminMiddleware,
+  authMiddleware,
+  requirePermission("reviews.moderate"),
   async (req, res) => {
     try {
       const userId = parseInt(req.params.id);
@@ -0,0 +1,215 @@
+/**
+ * Two-Factor Authentication Routes
+ * ================================
+ * TOTP enrolment and management for the signed-in user. The login-time
+ * challenge lives in userLogin.js (/auth/login → /auth/login/2fa).
+ *
+ * 2FA is optional for marketplace users. Admin accounts (admin_users) have
+ * their own mandatory TOTP enrolment at /admin/login.
+ *
+ * Routes:
+ * - GET /api/users/me/2fa - 2FA status
+ * - POST /api/users/me/2fa/setup - Start enrolment (secret + otpauth:// URI for the QR code)
+ * - POST /api/users/me/2fa/enable - Confirm enrolment with a code, returns recovery codes
+ * - POST /api/users/me/2fa/recovery-codes - Regenerate recovery codes
+ * - POST /api/users/me/2fa/disable - Turn 2FA off (password + code)
+ */
+
+import express from "express";
+import bcrypt from "bcrypt";
+import db from "../db.js";
+import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  getTwoFactorState,
+  verifyUserSecondFactor,
+  regenerateRecoveryCodes,
+  countRemainingRecoveryCodes,
+} from "../utils/twoFactor.js";
+import {
+  markSessionMfaVerified,
+  signAccessToken,
+  setAccessTokenCookie,
+} from "../utils/sessions.js";
+
+const router = express.Router();
+
+// GET /api/users/me/2fa
+router.get("/users/me/2fa", authMiddleware, async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.id);
+    const enabled = Boolean(state?.enabled_at && state.secret);
+    res.status(200).json({
+      enabled,
+      enabledAt: enabled ? state.enabled_at : null,
+      recoveryCodesRemaining: enabled
+        ? await countRemainingRecoveryCodes(req.user.id)
+        : 0,
+    });
+  } catch (error) {
+    console.error("[2FA] status error:", error.message);
+    res.status(500).json({ error: "Failed to fetch 2FA status" });
+  }
+});
+
+// POST /api/users/me/2fa/setup
+router.post("/users/me/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.id);
+    if (state?.enabled_at) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled." });
+    }
+
+    const userRes = await db.query("SELECT email FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const secret = generateTotpSecret();
+    await db.query(
+      `INSERT INTO user_two_factor (user_id, pending_secret)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id)
+       DO UPDATE SET pending_secret = EXCLUDED.pending_secret, updated_at = NOW()`,
+      [req.user.id, secret],
+    );
+
+    res.status(200).json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, userRes.rows[0].email),
+    });
+  } catch (error) {
+    console.error("[2FA] setup error:", error.message);
+    res.status(500).json({ error: "Failed to start 2FA setup" });
+  }
+});
+
+// POST /api/users/me/2fa/enable
+router.post("/users/me/2fa/enable", authMiddleware, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: "Authentication code is required" });
+  }
+
+  try {
+    const state = await getTwoFactorState(req.user.id);
+    if (state?.enabled_at) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled." });
+    }
+    if (!state?.pending_secret) {
+      return res.status(400).json({ error: "Start 2FA setup first." });
+    }
+
+    const step = verifyTotp(state.pending_secret, String(code));
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await db.query(
+      `UPDATE user_two_factor
+       SET secret = pending_secret, pending_secret = NULL,
+           enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+       WHERE user_id = $1`,
+      [req.user.id, step],
+    );
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    // The current session just proved the second factor — upgrade it
+    let token;
+    if (req.user.sid) {
+      await markSessionMfaVerified(req.user.sid);
+      token = signAccessToken(req.user, req.user.sid, true);
+      setAccessTokenCookie(res, token);
+    }
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled.",
+      recoveryCodes,
+      ...(token ? { token } : {}),
+    });
+  } catch (error) {
+    console.error("[2FA] enable error:", error.message);
+    res.status(500).json({ error: "Failed to enable 2FA" });
+  }
+});
+
+// POST /api/users/me/2fa/recovery-codes
+router.post(
+  "/users/me/2fa/recovery-codes",
+  authMiddleware,
+  async (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+
+    try {
+      const verified = await verifyUserSecondFactor(req.user.id, { code });
+      if (!verified) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+      res.status(200).json({ recoveryCodes });
+    } catch (error) {
+      console.error("[2FA] recovery-codes error:", error.message);
+      res.status(500).json({ error: "Failed to regenerate recovery codes" });
+    }
+  },
+);
+
+// POST /api/users/me/2fa/disable
+router.post("/users/me/2fa/disable", authMiddleware, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  if (!password || (!code && !recoveryCode)) {
+    return res
+      .status(400)
+      .json({ error: "Password and authentication code are required" });
+  }
+
+  try {
+    const userRes = await db.query(
+      "SELECT passwordhash FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const user = userRes.rows[0];
+
+    const passwordMatch = await bcrypt.compare(password, user.passwordhash);
+    if (!passwordMatch) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
+
+    const verified = await verifyUserSecondFactor(req.user.id, {
+      code,
+      recoveryCode,
+    });
+    if (!verified) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await db.query("DELETE FROM user_two_factor WHERE user_id = $1", [
+      req.user.id,
+    ]);
+    await db.query("DELETE FROM two_factor_recovery_codes WHERE user_id = $1", [
+      req.user.id,
+    ]);
+
+    res.status(200).json({ message: "Two-factor authentication disabled." });
+  } catch (error) {
+    console.error("[2FA] disable error:", error.message);
+    res.status(500).json({ error: "Failed to disable 2FA" });
+  }
+});
+
+export default router;
@@ -1,13 +1,92 @@
 import express from "express";
 import bcrypt from "bcrypt";
 import db from "../db.js";
-import jwt from "jsonwebtoken";
-import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
-import authMiddleware from "../Middleware/authMiddleware.js";
+import {
+  createSession,
+  rotateSession,
+  setAuthCookies,
+  clearAuthCookies,
+} from "../utils/sessions.js";
+import {
+  isTwoFactorEnabled,
+  createLoginChallenge,
+  consumeChallengeAttempt,
+  verifyUserSecondFactor,
+  completeChallenge,
+} from "../utils/twoFactor.js";
+import {
+  getLockedUntil,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../utils/loginSecurity.js";
 dotenv.config();
 const router = express.Router();
 
+const accountLockedResponse = (res, lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    accountLocked: true,
+    lockedUntil,
+  });
+};
+
+// Finish a login whose credentials (and second factor, if any) checked out:
+// open the session, set cookies and send the user payload.
+const completeLogin = async (req, res, user, { mfaVerified = false } = {}) => {
+  // Check onboarding status
+  let onboardingComplete = false;
+  try {
+    const prefsResult = await db.query(
+      "SELECT onboarding_complete FROM user_preferences WHERE user_id = $1",
+      [user.id],
+    );
+    if (prefsResult.rows.length > 0) {
+      onboardingComplete = prefsResult.rows[0].onboarding_complete;
+    } else {
+      // Create preferences record for new user
+      await db.query(
+        "INSERT INTO user_preferences (user_id, onboarding_complete) VALUES ($1, FALSE) ON CONFLICT (user_id) DO NOTHING",
+        [user.id],
+      );
+    }
+  } catch (prefError) {
+    console.log("Preferences table may not exist yet:", prefError.message);
+  }
+
+  // Login history + new device / new country alert. Never blocks the login.
+  try {
+    await recordLoginSuccess(user, req);
+  } catch (historyError) {
+    console.error("Failed to record login event:", historyError.message);
+  }
+
+  // Open a server-side session: short-lived access token + rotating refresh token
+  const { accessToken, refreshToken } = await createSession(user, req, {
+    mfaVerified,
+  });
+
+  // Clear any existing auth cookies first, then set the fresh pair
+  clearAuthCookies(res);
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  console.log(`User logged in: ID=${user.id}, Email=${user.email}`);
+
+  res.status(200).json({
+    message: "Login successful",
+    token: accessToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      username: user.username,
+      profilePictureUrl: user.profilepictureurl,
+      onboardingComplete: onboardingComplete,
+    },
+  });
+};
+
 router.post("/login", async (req, res) => {
   const { email, password } = req.body;
   const trimmedEmail = (email || "").trim();
@@ -28,9 +107,24 @@ router.post("/login", async (req, res) => {
     }
 
     const user = result.rows[0];
+
+    // Locked accounts are refused before the password is even checked
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+      return accountLockedResponse(res, lockedUntil);
+    }
+
     const passwordMatch = await bcrypt.compare(password, user.passwordhash);
 
     if (!passwordMatch) {
+      const nowLockedUntil = await recordLoginFailure(
+        user.id,
+        req,
+        "invalid_password",
+      );
+      if (nowLockedUntil) {
+        return accountLockedResponse(res, nowLockedUntil);
+      }
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
@@ -44,76 +138,97 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Check onboarding status
-    let onboardingComplete = false;
-    try {
-      const prefsResult = await db.query(
-        "SELECT onboarding_complete FROM user_preferences WHERE user_id = $1",
-        [user.id],
+    // Accounts with 2FA get a short-lived challenge instead of a session
+    if (await isTwoFactorEnabled(user.id)) {
+      const challengeToken = await createLoginChallenge(user.id);
+      return res.status(200).json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Error during login:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/login/2fa — second step for accounts with two-factor enabled
+router.post("/login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res
+      .status(400)
+      .json({ message: "Challenge token and code are required" });
+  }
+
+  try {
+    const challenge = await consumeChallengeAttempt(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        message: "Your login attempt has expired. Please sign in again.",
+        challengeExpired: true,
+      });
+    }
+
+    const result = await db.query("SELECT * FROM users WHERE id = $1", [
+      challenge.user_id,
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+    const user = result.rows[0];
+
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+      return accountLockedResponse(res, lockedUntil);
+    }
+
+    const verified = await verifyUserSecondFactor(user.id, {
+      code,
+      recoveryCode,
+    });
+    if (!verified) {
+      const nowLockedUntil = await recordLoginFailure(
+        user.id,
+        req,
+        "invalid_2fa_code",
       );
-      if (prefsResult.rows.length > 0) {
-        onboardingComplete = prefsResult.rows[0].onboarding_complete;
-      } else {
-        // Create preferences record for new user
-        await db.query(
-          "INSERT INTO user_preferences (user_id, onboarding_complete) VALUES ($1, FALSE) ON CONFLICT (user_id) DO NOTHING",
-          [user.id],
-        );
+      if (nowLockedUntil) {
+        return accountLockedResponse(res, nowLockedUntil);
       }
-    } catch (prefError) {
-      console.log("Preferences table may not exist yet:", prefError.message);
+      return res.status(401).json({ message: "Invalid authentication code" });
     }
 
-    // Generate JWT token
-
-    const isProd = process.env.NODE_ENV === "production";
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? "none" : "lax",
-      path: "/",
-      ...(process.env.COOKIE_DOMAIN
-        ? { domain: process.env.COOKIE_DOMAIN }
-        : {}),
-    };
-
-    jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "168h" },
-      (err, token) => {
-        if (err) {
-          console.error("Error generating JWT:", err);
-          return res.status(500).json({ message: "Server error" });
-        }
-
-        // Clear any existing auth cookies first
-        res.clearCookie("authToken", cookieOptions);
-
-        // Set new cookie with fresh token
-        res.cookie("authToken", token, {
-          ...cookieOptions,
-          maxAge: 168 * 60 * 60 * 1000, // 168 hours
-        });
-
-        console.log(`User logged in: ID=${user.id}, Email=${user.email}`);
-
-        res.status(200).json({
-          message: "Login successful",
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            username: user.username,
-            profilePictureUrl: user.profilepictureurl,
-            onboardingComplete: onboardingComplete,
-          },
-        });
-      },
-    );
+    await completeChallenge(challenge.id);
+
+    await completeLogin(req, res, user, { mfaVerified: true });
   } catch (error) {
-    console.error("Error during login:", error);
+    console.error("Error during 2FA login:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/refresh — swap the refresh cookie for a new access/refresh pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const rotated = await rotateSession(req.cookies?.refreshToken, req);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Session expired. Please log in again." });
+    }
+
+    setAuthCookies(res, rotated);
+    res
+      .status(200)
+      .json({ message: "Session refreshed", token: rotated.accessToken });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
@@ -1,8 +1,11 @@
 import express from "express";
+import { revokeSessionByRefreshToken } from "../utils/sessions.js";
 const router = express.Router();
-// Logout route
+// Logout route — revokes the server-side session, then clears cookies
 router.post("/logout", async (req, res) => {
   try {
+    await revokeSessionByRefreshToken(req.cookies?.refreshToken);
+
     const isProd = process.env.NODE_ENV === "production";
     const baseOptions = {
       httpOnly: true,
@@ -10,6 +13,7 @@ router.post("/logout", async (req, res) => {
       sameSite: isProd ? "none" : "lax",
       path: "/",
     };
+    const refreshOptions = { ...baseOptions, path: "/auth" };
 
     const domainOptions = process.env.COOKIE_DOMAIN
       ? { ...baseOptions, domain: process.env.COOKIE_DOMAIN }
@@ -17,10 +21,12 @@ router.post("/logout", async (req, res) => {
 
     res.clearCookie("authToken", baseOptions);
     res.clearCookie("adminAuthToken", baseOptions);
+    res.clearCookie("refreshToken", refreshOptions);
 
     if (domainOptions) {
       res.clearCookie("authToken", domainOptions);
       res.clearCookie("adminAuthToken", domainOptions);
+      res.clearCookie("refreshToken", { ...domainOptions, path: "/auth" });
     }
     res.status(200).json({ message: "Logout successful" });
   } catch (error) {
@@ -1,9 +1,27 @@
 import express from "express";
 import db from "../db.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import multer from "multer";
 import cloudinary from "../storage/cloudinary.js";
 import authMiddleware from "../Middleware/authMiddleware.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import {
+  isTwoFactorEnabled,
+  verifyUserSecondFactor,
+} from "../utils/twoFactor.js";
+import {
+  GRACE_PERIOD_DAYS,
+  findBlockingOrders,
+  getDeletionStatus,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from "../utils/accountDeletion.js";
+import {
+  sendAccountDeletionScheduled,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+} from "../utils/email.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
@@ -274,7 +292,11 @@ router.put(
         paramCount++;
       }
       if (phone) {
-        updates.push(`phone = $${paramCount}`);
+        // A new number has to be verified again by SMS
+        updates.push(
+          `phone = $${paramCount}`,
+          `phone_verified_at = CASE WHEN phone = $${paramCount} THEN phone_verified_at ELSE NULL END`,
+        );
         values.push(phone);
         paramCount++;
       }
@@ -296,7 +318,7 @@ router.put(
       values.push(id);
       const query = `UPDATE users SET ${updates.join(
         ", ",
-      )} WHERE id = $${paramCount} RETURNING id, name, email, username, phone, country, profilepictureurl, verified, updatedat`;
+      )} WHERE id = $${paramCount} RETURNING id, name, email, username, phone, phone_verified_at, country, profilepictureurl, verified, updatedat`;
 
       const result = await db.query(query, values);
 
@@ -361,6 +383,9 @@ router.put("/users/:id/password", authMiddleware, async (req, res) => {
       id,
     ]);
 
+    // Sign out every other device; the session making this change stays open
+    await revokeAllSessions(id, req.user.sid || null);
+
     res.status(200).json({ message: "Password updated successfully" });
   } catch (error) {
     console.error("Error updating password:", error);
@@ -368,6 +393,192 @@ router.put("/users/:id/password", authMiddleware, async (req, res) => {
   }
 });
 
+// ─── Email change ────────────────────────────────────────────────────────────
+// The new address gets a confirmation link and the old one a "this wasn't
+// me" link; both are handled in emailVerification.js. The account keeps its
+// current email until the new one is confirmed.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// POST /api/users/me/email — body: { newEmail, password }
+router.post("/users/me/email", authMiddleware, async (req, res) => {
+  const { newEmail, password } = req.body || {};
+  const email = typeof newEmail === "string" ? newEmail.trim() : "";
+
+  if (!email || !password) {
+    return res
+      .status(400)
+      .json({ error: "New email and current password are required" });
+  }
+  if (email.length > 255 || !EMAIL_PATTERN.test(email)) {
+    return res
+      .status(400)
+      .json({ error: "Please enter a valid email address" });
+  }
+
+  try {
+    const userResult = await db.query(
+      "SELECT id, name, email, passwordhash FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!(await bcrypt.compare(password, user.passwordhash))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    if (email.toLowerCase() === user.email.toLowerCase()) {
+      return res
+        .status(400)
+        .json({ error: "That is already your email address" });
+    }
+
+    const taken = await db.query(
+      "SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)",
+      [email],
+    );
+    if (taken.rows.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "That email address is already in use" });
+    }
+
+    // A new request replaces any confirmation link still pending
+    await db.query(
+      `UPDATE email_verifications SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = 'email_change' AND used_at IS NULL`,
+      [user.id],
+    );
+
+    const confirmToken = crypto.randomBytes(48).toString("hex");
+    const revertToken = crypto.randomBytes(48).toString("hex");
+    await db.query(
+      `INSERT INTO email_verifications (user_id, token, expires_at, purpose, old_email, new_email)
+       VALUES ($1, $2, NOW() + INTERVAL '24 hours', 'email_change', $4, $5),
+              ($1, $3, NOW() + INTERVAL '7 days', 'email_change_revert', $4, $5)`,
+      [user.id, confirmToken, revertToken, user.email, email],
+    );
+
+    // Fire-and-forget — never block response on email
+    sendEmailChangeConfirmation(user, email, confirmToken);
+    sendEmailChangeNotice(user, email, revertToken);
+
+    res.status(202).json({
+      message: `We've sent a confirmation link to ${email}. Your current email stays active until you confirm.`,
+    });
+  } catch (error) {
+    console.error("Error requesting email change:", error);
+    res.status(500).json({ error: "Failed to request email change" });
+  }
+});
+
+// ─── Account deletion ────────────────────────────────────────────────────────
+// The account is anonymised GRACE_PERIOD_DAYS after the request by the job in
+// utils/accountDeletion.js; until then the user can cancel.
+
+// GET /api/users/me/deletion
+router.get("/users/me/deletion", authMiddleware, async (req, res) => {
+  try {
+    const status = await getDeletionStatus(req.user.id);
+    res.status(200).json({
+      scheduled: Boolean(status?.deletion_scheduled_for),
+      requestedAt: status?.deletion_requested_at || null,
+      scheduledFor: status?.deletion_scheduled_for || null,
+    });
+  } catch (error) {
+    console.error("Error fetching deletion status:", error);
+    res.status(500).json({ error: "Failed to fetch deletion status" });
+  }
+});
+
+// DELETE /api/users/me — body: { password, code? } (code only with 2FA on)
+router.delete("/users/me", authMiddleware, async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+
+  if (!password) {
+    return res
+      .status(400)
+      .json({ error: "Please confirm your password to delete your account" });
+  }
+
+  try {
+    const userResult = await db.query(
+      "SELECT id, name, username, email, passwordhash, deletion_scheduled_for FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!(await bcrypt.compare(password, user.passwordhash))) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
+
+    if (await isTwoFactorEnabled(user.id)) {
+      if (!code && !recoveryCode) {
+        return res.status(401).json({
+          error: "Enter the code from your authenticator app",
+          twoFactorRequired: true,
+        });
+      }
+      if (!(await verifyUserSecondFactor(user.id, { code, recoveryCode }))) {
+        return res.status(401).json({ error: "Invalid authentication code" });
+      }
+    }
+
+    if (user.deletion_scheduled_for) {
+      return res.status(409).json({
+        error: "Your account is already scheduled for deletion",
+        scheduledFor: user.deletion_scheduled_for,
+      });
+    }
+
+    // Money in escrow or under dispute has to settle first
+    const blockingOrders = await findBlockingOrders(user.id);
+    if (blockingOrders.length > 0) {
+      return res.status(409).json({
+        error:
+          "You have orders with payments in escrow or under dispute. Please wait until they are completed before deleting your account.",
+        blockingOrders,
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user.id);
+    sendAccountDeletionScheduled(user, scheduledFor).catch(() => {});
+    console.log(
+      `[AccountDeletion] User ${user.id} scheduled for deletion on ${new Date(scheduledFor).toISOString()}`,
+    );
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} days. You can cancel until then.`,
+      scheduledFor,
+    });
+  } catch (error) {
+    console.error("Error scheduling account deletion:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+// POST /api/users/me/deletion/cancel
+router.post("/users/me/deletion/cancel", authMiddleware, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.id);
+    if (!cancelled) {
+      return res
+        .status(404)
+        .json({ error: "Your account is not scheduled for deletion" });
+    }
+    res.status(200).json({ message: "Account deletion cancelled" });
+  } catch (error) {
+    console.error("Error cancelling account deletion:", error);
+    res.status(500).json({ error: "Failed to cancel account deletion" });
+  }
+});
+
 // ─── Follow / Unfollow a seller ──────────────────────────────────────────────
 
 const ensureFollowersTable = async () => {
@@ -9,6 +9,7 @@ import {
   getWalletDepositStatus,
   withdrawFromWallet,
 } from "../services/fonlok.js";
+import { isVerifiedPhone } from "../utils/phoneVerification.js";
 
 const router = express.Router();
 
@@ -25,6 +26,16 @@ const PHONE_RE = /^237[62]\d{8}$/;
 const MIN_AMOUNT = 100;
 const MAX_AMOUNT = 500_000;
 
+/** Remember the MoMo number; a different number loses its verified flag. */
+const saveMomoPhone = (userId, phone) =>
+  db.query(
+    `UPDATE users
+     SET momo_phone = $1,
+         momo_phone_verified_at = CASE WHEN momo_phone = $1 THEN momo_phone_verified_at ELSE NULL END
+     WHERE id = $2`,
+    [phone, userId],
+  );
+
 // ─── One-time DB migration ────────────────────────────────────────────────────
 (async () => {
   try {
@@ -35,7 +46,7 @@ const MAX_AMOUNT = 500_000;
       CREATE TABLE IF NOT EXISTS wallet_transactions (
         id           SERIAL PRIMARY KEY,
         user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        type         VARCHAR(20) NOT NULL CHECK (type IN ('deposit', 'withdrawal', 'escrow_pay')),
+        type         VARCHAR(20) NOT NULL CHECK (type IN ('deposit', 'withdrawal', 'escrow_pay', 'boost')),
         amount       INTEGER NOT NULL,
         reference    VARCHAR(255),
         status       VARCHAR(20) NOT NULL DEFAULT 'pending'
@@ -102,12 +113,15 @@ router.get("/wallet/balance", authMiddleware, async (req, res) => {
 router.get("/wallet/momo-phone", authMiddleware, async (req, res) => {
   try {
     const { rows } = await db.query(
-      `SELECT momo_phone FROM users WHERE id = $1`,
+      `SELECT momo_phone, momo_phone_verified_at FROM users WHERE id = $1`,
       [req.user.id],
     );
-    return res.json({ momo_phone: rows[0]?.momo_phone ?? null });
+    return res.json({
+      momo_phone: rows[0]?.momo_phone ?? null,
+      momo_phone_verified: Boolean(rows[0]?.momo_phone_verified_at),
+    });
   } catch {
-    return res.json({ momo_phone: null });
+    return res.json({ momo_phone: null, momo_phone_verified: false });
   }
 });
 
@@ -151,10 +165,7 @@ router.post(
 
     try {
       // Persist the MoMo number for future convenience
-      await db.query(`UPDATE users SET momo_phone = $1 WHERE id = $2`, [
-        normPhone,
-        userId,
-      ]);
+      await saveMomoPhone(userId, normPhone);
 
       const result = await initiateWalletDeposit({
         amount: parsedAmount,
@@ -278,6 +289,15 @@ router.post(
       });
     }
 
+    // Payouts only go to a number the user proved they own
+    if (!(await isVerifiedPhone(userId, normPhone))) {
+      return res.status(403).json({
+        error: "Verify this MoMo number by SMS before withdrawing to it.",
+        phoneVerificationRequired: true,
+        phone: normPhone,
+      });
+    }
+
     // Verify sufficient balance before calling Fonlok (fail fast with a clear message)
     let currentBalance = 0;
     try {
@@ -300,10 +320,7 @@ router.post(
 
     try {
       // Persist phone for future convenience
-      await db.query(`UPDATE users SET momo_phone = $1 WHERE id = $2`, [
-        normPhone,
-        userId,
-      ]);
+      await saveMomoPhone(userId, normPhone);
 
       const result = await withdrawFromWallet({
         amount: parsedAmount,
@@ -11,12 +11,22 @@ import userLogin from "./routes/userLogin.js";
 import AdminLogin from "./routes/adminLogin.js";
 import categories from "./routes/categories.js";
 import listings from "./routes/listings.js";
+import listingBulk from "./routes/listingBulk.js";
+import boosts from "./routes/boosts.js";
+import exchangeRates from "./routes/exchangeRates.js";
+import listingQuestions from "./routes/listingQuestions.js";
+import seo from "./routes/seo.js";
 import users from "./routes/users.js";
+import sessions from "./routes/sessions.js";
+import dataExport from "./routes/dataExport.js";
+import phoneVerification from "./routes/phoneVerification.js";
+import twoFactor from "./routes/twoFactor.js";
 import kyc from "./routes/kyc.js";
 import notifications from "./routes/notifications.js";
 import adminListings from "./routes/adminListings.js";
 import reports from "./routes/reports.js";
 import adminModeration from "./routes/adminModeration.js";
+import adminAccounts from "./routes/adminAccounts.js";
 import chat from "./routes/chat.js";
 import trustScore from "./routes/trustScore.js";
 import preferences from "./routes/preferences.js";
@@ -38,15 +48,17 @@ import requests from "./routes/requests.js";
 import ai from "./routes/ai.js";
 import transactions from "./routes/transactions.js";
 import db from "./db.js";
-import {
-  sendListingExpiryWarning,
-  sendListingExpired,
-  sendSavedSearchAlert,
-} from "./utils/email.js";
+import { sendSavedSearchAlert } from "./utils/email.js";
 import {
   buildNotificationPayload,
   sendPushToUser,
 } from "./utils/pushNotifications.js";
+import { runDataExportJobs } from "./utils/dataExport.js";
+import { runAccountDeletions } from "./utils/accountDeletion.js";
+import { runListingExpiry } from "./utils/listingExpiry.js";
+import { buildListingSearch } from "./utils/listingSearch.js";
+import { backfillCoordinates } from "./utils/geo.js";
+import { inCategorySql } from "./utils/categoryTree.js";
 dotenv.config();
 
 const app = express();
@@ -160,13 +172,23 @@ app.use("/auth", registerUSER);
 app.use("/auth", emailVerification);
 app.use("/register", registerUSER);
 app.use("/api", listings);
+app.use("/api", listingBulk);
+app.use("/api", boosts);
+app.use("/api", exchangeRates);
+app.use("/api", listingQuestions);
+app.use("/api", seo);
 app.use("/api", categories);
 app.use("/api", users);
+app.use("/api", sessions);
+app.use("/api", dataExport);
+app.use("/api", phoneVerification);
+app.use("/api", twoFactor);
 app.use("/api", kyc);
 app.use("/api", notifications);
 app.use("/api", adminListings);
 app.use("/api", reports);
 app.use("/api", adminModeration);
+app.use("/api", adminAccounts);
 app.use("/api", chat);
 app.use("/api", trustScore);
 app.use("/api", preferences);
@@ -224,75 +246,11 @@ app.listen(PORT, "0.0.0.0", () => {
   );
 
   // ─── Listing expiry cron (runs daily at 03:00) ────────────────────────────
-  const runListingExpiry = async () => {
-    try {
-      // 1. Send 7-day warning for listings that will expire in exactly 7 days
-      const warnResult = await db.query(
-        `SELECT l.id, l.title, l.price, l.currency,
-                u.name, u.email, u.id AS user_id
-         FROM userlistings l
-         JOIN users u ON u.id = l.userid
-         WHERE l.status = 'Available'
-           AND l.moderation_status = 'approved'
-           AND l.createdat::date = (NOW() - INTERVAL '53 days')::date
-           AND NOT EXISTS (
-             SELECT 1 FROM orders WHERE listing_id = l.id
-             AND fonlok_status IN ('pending','paid_in_escrow','released')
-           )`,
-      );
-      for (const row of warnResult.rows) {
-        sendListingExpiryWarning(
-          { name: row.name, email: row.email },
-          row,
-        ).catch(() => {});
-        sendPushToUser(
-          row.user_id,
-          buildNotificationPayload("listing_expiry_warning", {
-            title: "Listing expiring soon",
-            body: `Your listing "${row.title}" will expire in 7 days. Renew it now.`,
-            url: "/dashboard",
-          }),
-        );
-      }
-
-      // 2. Expire listings older than 60 days
-      const expiredResult = await db.query(
-        `UPDATE userlistings
-         SET status = 'Expired', updatedat = NOW()
-         WHERE status = 'Available'
-           AND moderation_status = 'approved'
-           AND createdat < NOW() - INTERVAL '60 days'
-           AND NOT EXISTS (
-             SELECT 1 FROM orders WHERE listing_id = userlistings.id
-             AND fonlok_status IN ('pending','paid_in_escrow')
-           )
-         RETURNING id, title, price, currency, userid`,
-      );
-      for (const row of expiredResult.rows) {
-        const userRes = await db.query(
-          `SELECT name, email FROM users WHERE id=$1`,
-          [row.userid],
-        );
-        if (userRes.rows.length) {
-          const user = userRes.rows[0];
-          sendListingExpired(user, row).catch(() => {});
-          sendPushToUser(
-            row.userid,
-            buildNotificationPayload("listing_expired", {
-              title: "Listing expired",
-              body: `Your listing "${row.title}" has expired. Renew it to relist.`,
-              url: "/dashboard",
-            }),
-          );
-        }
-      }
-      if (expiredResult.rowCount > 0) {
-        console.log(`[Expiry] Expired ${expiredResult.rowCount} listings.`);
-      }
-    } catch (err) {
-      console.error("[Expiry] Cron error:", err.message);
-    }
-  };
+  // Auto-renews, warns and expires listings; see utils/listingExpiry.js.
+  const runExpiry = () =>
+    runListingExpiry().catch((err) =>
+      console.error("[Expiry] Cron error:", err.message),
+    );
 
   // ─── Saved search alert cron (runs every 2 hours) ─────────────────────────
   const runSavedSearchAlerts = async () => {
@@ -314,13 +272,14 @@ app.listen(PORT, "0.0.0.0", () => {
         let where = `l.moderation_status = 'approved' AND l.status = 'Available'
                      AND l.createdat > NOW() - INTERVAL '2 hours'`;
         let idx = 1;
-        if (f.search && f.search.trim()) {
-          where += ` AND (LOWER(l.title) LIKE LOWER($${idx}) OR LOWER(l.description) LIKE LOWER($${idx}))`;
-          params.push(`%${f.search.trim()}%`);
-          idx++;
+        const textSearch = buildListingSearch(f.search, idx);
+        if (textSearch) {
+          where += ` AND ${textSearch.condition}`;
+          params.push(...textSearch.params);
+          idx += textSearch.params.length;
         }
         if (f.category && f.category.trim()) {
-          where += ` AND l.categoryid = $${idx}`;
+          where += ` AND ${inCategorySql("l.categoryid", `$${idx}`)}`;
           params.push(f.category);
           idx++;
         }
@@ -354,8 +313,9 @@ app.listen(PORT, "0.0.0.0", () => {
           .query(
             `SELECT l.id, l.title, l.price, l.currency, l.city, l.country
            FROM userlistings l
+           ${textSearch ? textSearch.join : ""}
            WHERE ${where}
-           ORDER BY l.createdat DESC
+           ORDER BY ${textSearch ? `${textSearch.rank} DESC,` : ""} l.createdat DESC
            LIMIT 10`,
             params,
           )
@@ -394,7 +354,9 @@ app.listen(PORT, "0.0.0.0", () => {
       setInterval(fn, 24 * 60 * 60 * 1000);
     }, next.getTime() - now.getTime());
   };
-  scheduleDaily(runListingExpiry, 3);
+  scheduleDaily(runExpiry, 3);
+  // Also shortly after startup, to catch up on anything due while it was down
+  setTimeout(runExpiry, 3 * 60 * 1000);
   setInterval(runSavedSearchAlerts, 2 * 60 * 60 * 1000);
   // Run once at startup after 30s (to avoid blocking boot)
   setTimeout(runSavedSearchAlerts, 30 * 1000);
@@ -402,7 +364,8 @@ app.listen(PORT, "0.0.0.0", () => {
   // ─── Stale pending order cleanup (runs every 5 minutes) ───────────────────
   // MoMo USSD prompts time out in < 2 minutes. Any order stuck in
   // 'pending' or 'none' for > 5 minutes is definitively abandoned.
-  // Marking them 'failed' unblocks other buyers from purchasing the listing.
+  // Marking them 'failed' releases the stock they reserved (see
+  // utils/inventory.js) so other buyers can purchase it.
   const runStaleOrderCleanup = async () => {
     try {
       const stale = await db.query(
@@ -423,4 +386,34 @@ app.listen(PORT, "0.0.0.0", () => {
   };
   setInterval(runStaleOrderCleanup, 5 * 60 * 1000);
   setTimeout(runStaleOrderCleanup, 60 * 1000); // also run 60s after startup
+
+  // ─── Personal data exports (runs every 10 minutes) ────────────────────────
+  // Exports are normally built right after they are requested; this picks up
+  // any left pending by a restart and drops archives whose link has expired.
+  const runDataExports = () =>
+    runDataExportJobs().catch((err) =>
+      console.error("[DataExport] Cron error:", err.message),
+    );
+  setInterval(runDataExports, 10 * 60 * 1000);
+  setTimeout(runDataExports, 90 * 1000);
+
+  // ─── Account deletion (runs hourly) ───────────────────────────────────────
+  // Anonymises accounts whose 14-day grace period has ended.
+  const runDeletions = () =>
+    runAccountDeletions().catch((err) =>
+      console.error("[AccountDeletion] Cron error:", err.message),
+    );
+  setInterval(runDeletions, 60 * 60 * 1000);
+  setTimeout(runDeletions, 2 * 60 * 1000);
+
+  // ─── Coordinates backfill (once, shortly after startup) ───────────────────
+  // Geocodes listings and buyer requests that only have a city name.
+  setTimeout(() => {
+    backfillCoordinates()
+      .then((updated) => {
+        const total = Object.values(updated).reduce((a, b) => a + b, 0);
+        if (total > 0) console.log("[Geo] Backfilled coordinates:", updated);
+      })
+      .catch((err) => console.error("[Geo] Backfill error:", err.message));
+  }, 45 * 1000);
 });
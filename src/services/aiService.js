@@ -447,8 +447,8 @@ IMPORTANT: Return ONLY valid JSON, nothing else. No markdown. No explanation.`;
  * Analyze a product image and suggest listing fields.
  * @param {Buffer} imageBuffer - Image buffer from multer
  * @param {string} mimeType - MIME type (e.g., "image/jpeg")
- * @param {Array<{id: number, name: string}>} categories - Available categories
- * @returns {Promise<{title, description, condition, categoryId, suggestedPrice, tags}>}
+ * @param {Array<{id: number, name: string, attributes?: Array}>} categories - Available categories, with their attribute schemas
+ * @returns {Promise<{title, description, condition, categoryId, suggestedPrice, tags, attributes}>}
  */
 export async function analyzeListingImage(imageBuffer, mimeType, categories) {
   const genAI = getClient();
@@ -459,6 +459,21 @@ export async function analyzeListingImage(imageBuffer, mimeType, categories) {
 
   const categoryList = categories.map((c) => `${c.id}: ${c.name}`).join(", ");
 
+  // Structured fields per category, e.g. "2 (Vehicles): mileage (number, km), fuel (one of: Petrol, Diesel)"
+  const attributeList = categories
+    .filter((c) => c.attributes && c.attributes.length)
+    .map((c) => {
+      const fields = c.attributes.map((a) => {
+        const detail =
+          a.type === "select"
+            ? `one of: ${(a.allowed_values || []).join(", ")}`
+            : [a.type, a.unit].filter(Boolean).join(", ");
+        return `${a.key} (${detail})`;
+      });
+      return `${c.id} (${c.name}): ${fields.join("; ")}`;
+    })
+    .join("\n");
+
   const prompt = `You are an expert marketplace listing assistant for Njimbong, a Cameroonian online marketplace.
 
 Analyze this product image and generate a COMPLETE, fully-detailed listing. The description must be exhaustive — a buyer should have zero follow-up questions after reading it.
@@ -485,9 +500,13 @@ Return ONLY a valid JSON object with these EXACT keys:
   "categoryId": number (the best matching category id from the list above, or null if none fits),
   "suggestedPriceMin": number (minimum suggested price in XAF based on Cameroonian market, integer only),
   "suggestedPriceMax": number (maximum suggested price in XAF based on Cameroonian market, integer only),
-  "tags": "comma-separated relevant keywords for search"
+  "tags": "comma-separated relevant keywords for search",
+  "attributes": object of attribute key → value for the chosen category, using only the attributes listed below; leave out any you cannot tell from the image
 }
 
+Category attributes (category id (name): key (type, unit)):
+${attributeList || "none"}
+
 IMPORTANT: Return ONLY valid JSON. No markdown. No explanation outside the JSON.`;
 
   const imagePart = {
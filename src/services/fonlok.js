@@ -195,6 +195,59 @@ export async function payEscrowFromWallet({ invoiceId, userRef }) {
   return data;
 }
 
+/**
+ * Charge a platform service (e.g. a listing boost) to the user's wallet.
+ * Fonlok only moves wallet money through invoices, so this creates one payable
+ * to the platform's own account (FONLOK_PLATFORM_PHONE), funds it from the
+ * wallet and releases it at once — there is no delivery to wait for.
+ * A failed release is logged rather than thrown: the user has already paid,
+ * and the held invoice can still be released from the Fonlok dashboard.
+ * @returns {{ invoice_id, amount_paid, new_balance, released }}
+ */
+export async function payPlatformFromWallet({
+  userRef,
+  amount,
+  title,
+  description,
+  reference,
+  buyerEmail,
+  buyerPhone,
+}) {
+  if (!process.env.FONLOK_PLATFORM_PHONE) {
+    throw new Error("FONLOK_PLATFORM_PHONE is not set");
+  }
+  const invoice = await createFonlokInvoice({
+    title,
+    amount,
+    sellerName: "Njimbong",
+    sellerEmail: process.env.ADMIN_EMAIL || "support@njimbong.com",
+    sellerPhone: process.env.FONLOK_PLATFORM_PHONE,
+    buyerEmail,
+    buyerPhone: buyerPhone || "",
+    description,
+    orderId: reference,
+    expiresAt: new Date(Date.now() + 3600 * 1000).toISOString(),
+  });
+  const paid = await payEscrowFromWallet({ invoiceId: invoice.id, userRef });
+
+  let released = true;
+  try {
+    await releaseFonlokPayment(invoice.id);
+  } catch (err) {
+    released = false;
+    console.error(
+      `[Fonlok] release of platform invoice ${invoice.id} failed:`,
+      err.message,
+    );
+  }
+  return {
+    invoice_id: invoice.id,
+    amount_paid: paid.amount_paid,
+    new_balance: paid.new_balance,
+    released,
+  };
+}
+
 /**
  * Delete a registered webhook by its Fonlok webhook ID.
  * @param {string} webhookId
@@ -0,0 +1,104 @@
+/**
+ * sms.js
+ * Outgoing SMS behind a small provider interface.
+ *
+ * Pick the provider with SMS_PROVIDER:
+ *  - "console"        log the message (default outside production)
+ *  - "file"           append the message to SMS_OUTBOX_FILE
+ *                     (default uploads/sms-outbox.log) — handy for local e2e
+ *  - "africastalking" Africa's Talking bulk SMS API
+ *                     (AT_USERNAME, AT_API_KEY, optional AT_SENDER_ID)
+ *
+ * Other gateways plug in with registerSmsProvider(name, { send }) where
+ * send({ to, message }) resolves once the gateway accepted the message.
+ * Numbers are passed in international format without "+", e.g. 2376XXXXXXXX.
+ */
+
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+
+const providers = {
+  console: {
+    async send({ to, message }) {
+      console.log(`[SMS] to=${to} message="${message}"`);
+    },
+  },
+
+  file: {
+    async send({ to, message }) {
+      const file =
+        process.env.SMS_OUTBOX_FILE ||
+        path.join(process.cwd(), "uploads", "sms-outbox.log");
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(
+        file,
+        `${new Date().toISOString()}\t${to}\t${message.replace(/\n/g, " ")}\n`,
+      );
+    },
+  },
+
+  africastalking: {
+    async send({ to, message }) {
+      if (!process.env.AT_USERNAME || !process.env.AT_API_KEY) {
+        throw new Error("AT_USERNAME / AT_API_KEY are not set");
+      }
+      const body = new URLSearchParams({
+        username: process.env.AT_USERNAME,
+        to: `+${to}`,
+        message,
+        ...(process.env.AT_SENDER_ID ? { from: process.env.AT_SENDER_ID } : {}),
+      });
+      const { data } = await axios.post(
+        "https://api.africastalking.com/version1/messaging",
+        body.toString(),
+        {
+          headers: {
+            apiKey: process.env.AT_API_KEY,
+            Accept: "application/json",
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          timeout: 15000,
+        },
+      );
+      const recipient = data?.SMSMessageData?.Recipients?.[0];
+      if (!recipient || recipient.statusCode >= 400) {
+        throw new Error(
+          `Africa's Talking rejected the message: ${recipient?.status || "no recipient"}`,
+        );
+      }
+    },
+  },
+};
+
+export const registerSmsProvider = (name, provider) => {
+  if (typeof provider?.send !== "function") {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+};
+
+const activeProviderName = () =>
+  process.env.SMS_PROVIDER ||
+  (process.env.NODE_ENV === "production" ? null : "console");
+
+export const isSmsConfigured = () => Boolean(providers[activeProviderName()]);
+
+/** Send one SMS. Throws if no provider is configured or the gateway fails. */
+export async function sendSms(to, message) {
+  const name = activeProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(
+      name
+        ? `Unknown SMS_PROVIDER "${name}"`
+        : "SMS_PROVIDER is not configured",
+    );
+  }
+  try {
+    await provider.send({ to, message });
+  } catch (err) {
+    console.error(`[SMS] ${name} failed to send to ${to}:`, err.message);
+    throw err;
+  }
+}
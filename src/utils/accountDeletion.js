@@ -0,0 +1,265 @@
+/**
+ * accountDeletion.js
+ * Self-service account deletion with a grace period.
+ *
+ * DELETE /api/users/me schedules the deletion GRACE_PERIOD_DAYS out; the user
+ * can cancel any time before then. Once it is due, runAccountDeletions()
+ * (hourly, from server.js) anonymises the account instead of deleting the
+ * row, because orders, wallet transactions and reviews must keep pointing at
+ * a user:
+ *
+ *  - the users row keeps its id but loses every personal field; name becomes
+ *    "Deleted user" and username/email become a stable pseudonym, so chat
+ *    threads and order history show that instead of the real person
+ *  - listings are taken down and stripped of contact details
+ *  - orders stay, with checkout emails and references pseudonymised
+ *  - sessions, 2FA, push subscriptions, searches, follows and other
+ *    per-user tracking rows are deleted outright
+ *
+ * Deletion is refused (and a due deletion is postponed) while the user is a
+ * party to an order whose money is still in escrow or under dispute.
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import db from "../db.js";
+
+export const GRACE_PERIOD_DAYS = 14;
+
+const BLOCKING_ORDER_STATUSES = ["paid_in_escrow", "disputed"];
+
+// Rows that only exist for the user's own benefit — removed on anonymisation
+const PERSONAL_TABLES = [
+  ["user_sessions", "user_id"],
+  ["user_two_factor", "user_id"],
+  ["two_factor_recovery_codes", "user_id"],
+  ["two_factor_challenges", "user_id"],
+  ["login_events", "user_id"],
+  ["phone_verifications", "user_id"],
+  ["data_exports", "user_id"],
+  ["push_subscriptions", "user_id"],
+  ["email_verifications", "user_id"],
+  ["password_reset_tokens", "user_id"],
+  ["saved_searches", "user_id"],
+  ["user_search_history", "user_id"],
+  ["wishlist_items", "user_id"],
+  ["user_favorites", "user_id"],
+  ["user_favorites", "favorite_user_id"],
+  ["seller_followers", "follower_id"],
+  ["seller_followers", "seller_id"],
+  ["user_preferences", "user_id"],
+  ["user_category_preferences", "user_id"],
+  ["user_category_affinity", "user_id"],
+  ["user_listing_views", "user_id"],
+  ["chat_preferences", "user_id"],
+  ["typing_indicators", "user_id"],
+];
+
+/** Stable, non-reversible stand-in for a user id. */
+const pseudonymFor = (userId) =>
+  "deleted-" +
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "njimbong")
+    .update(String(userId))
+    .digest("hex")
+    .slice(0, 12);
+
+/** Orders that must settle before this user can leave. */
+export const findBlockingOrders = async (userId, client = db) => {
+  const result = await client.query(
+    `SELECT id, order_reference, fonlok_status AS status,
+            CASE WHEN buyer_id = $1 THEN 'buyer' ELSE 'seller' END AS role
+     FROM orders
+     WHERE (buyer_id = $1 OR seller_id = $1)
+       AND fonlok_status = ANY($2)
+     ORDER BY created_at ASC`,
+    [userId, BLOCKING_ORDER_STATUSES],
+  );
+  return result.rows;
+};
+
+export const getDeletionStatus = async (userId) => {
+  const result = await db.query(
+    `SELECT deletion_requested_at, deletion_scheduled_for
+     FROM users WHERE id = $1`,
+    [userId],
+  );
+  return result.rows[0] || null;
+};
+
+/** Start the grace period. Returns the date the account will be anonymised. */
+export const scheduleAccountDeletion = async (userId) => {
+  const result = await db.query(
+    `UPDATE users
+     SET deletion_requested_at = NOW(),
+         deletion_scheduled_for = NOW() + ($2 || ' days')::interval
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING deletion_scheduled_for`,
+    [userId, String(GRACE_PERIOD_DAYS)],
+  );
+  return result.rows[0]?.deletion_scheduled_for || null;
+};
+
+/** Cancel a pending deletion. Returns false if none was scheduled. */
+export const cancelAccountDeletion = async (userId) => {
+  const result = await db.query(
+    `UPDATE users
+     SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+     WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL
+     RETURNING id`,
+    [userId],
+  );
+  return result.rowCount > 0;
+};
+
+const tableExists = async (client, table) => {
+  const result = await client.query("SELECT to_regclass($1) AS oid", [
+    `public.${table}`,
+  ]);
+  return result.rows[0].oid !== null;
+};
+
+const columnExists = async (client, table, column) => {
+  const result = await client.query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_name = $1 AND column_name = $2`,
+    [table, column],
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Anonymise one account. Runs in a single transaction; returns false (and
+ * changes nothing) if the user has picked up a blocking order since asking.
+ */
+export const anonymiseUser = async (userId) => {
+  const pseudonym = pseudonymFor(userId);
+  const pseudoEmail = `${pseudonym}@deleted.njimbong.invalid`;
+  // Unguessable and never shown to anyone: the account can't be logged into
+  const unusableHash = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10,
+  );
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Lock the row so a purchase can't slip in while we work
+    const locked = await client.query(
+      "SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [userId],
+    );
+    if (locked.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    if ((await findBlockingOrders(userId, client)).length > 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await client.query(
+      `UPDATE users
+       SET name = 'Deleted user',
+           username = $2,
+           email = $3,
+           phone = '',
+           passwordhash = $4,
+           country = '',
+           profilepictureurl = NULL,
+           bio = NULL,
+           momo_phone = NULL,
+           phone_verified_at = NULL,
+           momo_phone_verified_at = NULL,
+           email_verified = FALSE,
+           deleted_at = NOW(),
+           deletion_scheduled_for = NULL
+       WHERE id = $1`,
+      [userId, pseudonym, pseudoEmail, unusableHash],
+    );
+
+    // Listings come down and lose the seller's contact details
+    const hasSellerEmail = await columnExists(
+      client,
+      "userlistings",
+      "seller_email",
+    );
+    await client.query(
+      `UPDATE userlistings
+       SET moderation_status = 'removed',
+           rejection_reason = 'Seller account deleted',
+           phone = NULL,
+           ${hasSellerEmail ? "seller_email = NULL," : ""}
+           updatedat = NOW()
+       WHERE userid = $1`,
+      [userId],
+    );
+
+    // Orders are financial records and stay; personal references do not.
+    // Fonlok-era references embed the buyer id as "<listing>-<buyer>-<ts>".
+    if (await columnExists(client, "orders", "buyer_checkout_email")) {
+      await client.query(
+        `UPDATE orders SET buyer_checkout_email = $2 WHERE buyer_id = $1`,
+        [userId, pseudoEmail],
+      );
+    }
+    await client.query(
+      `UPDATE orders
+       SET order_reference = regexp_replace(order_reference, '^(\\d+)-' || $1 || '-(\\d+)$', '\\1-' || $2 || '-\\2')
+       WHERE buyer_id = $1::int`,
+      [String(userId), pseudonym],
+    );
+
+    if (await tableExists(client, "search_logs")) {
+      await client.query(
+        "UPDATE search_logs SET user_id = NULL WHERE user_id = $1",
+        [userId],
+      );
+    }
+
+    for (const [table, column] of PERSONAL_TABLES) {
+      if (await tableExists(client, table)) {
+        await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [
+          userId,
+        ]);
+      }
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/** Cron: anonymise every account whose grace period has run out. */
+export const runAccountDeletions = async () => {
+  const due = await db.query(
+    `SELECT id FROM users
+     WHERE deletion_scheduled_for <= NOW() AND deleted_at IS NULL
+     ORDER BY deletion_scheduled_for ASC
+     LIMIT 50`,
+  );
+
+  for (const { id } of due.rows) {
+    try {
+      const done = await anonymiseUser(id);
+      if (done) {
+        console.log(`[AccountDeletion] Anonymised user ${id}`);
+      } else {
+        console.warn(
+          `[AccountDeletion] Postponed user ${id}: order still in escrow or disputed`,
+        );
+      }
+    } catch (error) {
+      console.error(
+        `[AccountDeletion] Failed to anonymise user ${id}:`,
+        error.message,
+      );
+    }
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * boosts.js
+ * Paid featured placement for listings (table listing_boosts).
+ *
+ * Sellers buy a boost product from their Fonlok wallet through
+ * POST /api/listings/:id/boost. While a boost runs, the listing fills one of
+ * the "Sponsored" slots on the first page of the browse, home and
+ * personalized feeds: it is interleaved between organic results and returned
+ * with is_sponsored = true so the app can label it. Buying again while a boost
+ * is running queues the new one after it.
+ *
+ * A purchase is saved as a pending boost before the wallet is charged and
+ * only turns active once the payment is confirmed (failed if it is declined).
+ * Only active boosts are placed or counted.
+ *
+ * Every sponsored appearance counts as an impression on the running boost;
+ * opening the listing from a sponsored slot counts as a click (reported by the
+ * app through POST /api/analytics/track/view with sponsored: true).
+ */
+
+import db from "../db.js";
+
+// Prices in XAF, charged once per boost
+export const BOOST_PRODUCTS = {
+  featured_3d: { days: 3, price: 1500, label: "Featured for 3 days" },
+  featured_7d: { days: 7, price: 3000, label: "Featured for 7 days" },
+  featured_14d: { days: 14, price: 5000, label: "Featured for 14 days" },
+};
+
+// Sponsored slots per feed page, and how many organic listings between them
+export const SPONSORED_PER_PAGE = 2;
+const SPONSORED_EVERY = 5;
+
+const runningBoostSql = (alias) =>
+  `SELECT 1 FROM listing_boosts b
+   WHERE b.listing_id = ${alias}.id AND b.status = 'active'
+     AND b.starts_at <= NOW() AND b.ends_at > NOW()`;
+
+/**
+ * SQL condition: the listing has a running boost and can be shown as an ad
+ * (live, approved, not a draft). Add it to a feed's own filters.
+ */
+export const sponsoredSql = (alias = "l") =>
+  `EXISTS (${runningBoostSql(alias)})
+   AND ${alias}.status = 'Available'
+   AND ${alias}.moderation_status = 'approved'
+   AND (${alias}.is_draft IS NULL OR ${alias}.is_draft = FALSE)`;
+
+/** ORDER BY for sponsored picks: least-shown boost first, so boosts take turns. */
+export const sponsoredOrderSql = (alias = "l") =>
+  `(SELECT MIN(b.impressions) FROM listing_boosts b
+    WHERE b.listing_id = ${alias}.id AND b.status = 'active'
+      AND b.starts_at <= NOW() AND b.ends_at > NOW()) ASC, random()`;
+
+/**
+ * Place sponsored listings between organic ones (after every
+ * SPONSORED_EVERY organic rows) and flag every row with is_sponsored.
+ * Organic rows that are also sponsored are dropped so nothing shows twice.
+ */
+export const interleaveSponsored = (organic, sponsored) => {
+  const sponsoredIds = new Set(sponsored.map((listing) => listing.id));
+  const rest = organic
+    .filter((listing) => !sponsoredIds.has(listing.id))
+    .map((listing) => ({ ...listing, is_sponsored: false }));
+  const ads = sponsored.map((listing) => ({ ...listing, is_sponsored: true }));
+
+  const result = [];
+  rest.forEach((listing, i) => {
+    if (i % SPONSORED_EVERY === 0 && ads.length) result.push(ads.shift());
+    result.push(listing);
+  });
+  return [...result, ...ads];
+};
+
+/** Count one impression for each listing's running boost (fire-and-forget). */
+export const recordBoostImpressions = (listingIds) => {
+  if (!listingIds.length) return;
+  db.query(
+    `UPDATE listing_boosts SET impressions = impressions + 1
+     WHERE listing_id = ANY($1::int[]) AND status = 'active'
+       AND starts_at <= NOW() AND ends_at > NOW()`,
+    [listingIds],
+  ).catch((err) =>
+    console.error("[Boosts] impression tracking failed:", err.message),
+  );
+};
+
+/** Count a click from a sponsored slot on the listing's running boost. */
+export const recordBoostClick = (listingId) =>
+  db.query(
+    `UPDATE listing_boosts SET clicks = clicks + 1
+     WHERE listing_id = $1 AND status = 'active'
+       AND starts_at <= NOW() AND ends_at > NOW()`,
+    [listingId],
+  );
+
+/**
+ * Mark sponsored rows and count their impressions. Use on a feed's first page:
+ * `organic` is the page, `sponsored` the boosted listings picked for it.
+ */
+export const withSponsored = (organic, sponsored) => {
+  recordBoostImpressions(sponsored.map((listing) => listing.id));
+  return interleaveSponsored(organic, sponsored);
+};
@@ -0,0 +1,303 @@
+/**
+ * cameroonTowns.js
+ * Bundled gazetteer of Cameroonian towns used to geocode the free-text city
+ * on listings and buyer requests without calling an external service.
+ *
+ * Coordinates are town centres (WGS84, 4 decimals ≈ 10 m), good enough for
+ * "within N km" searches. `aliases` are other spellings people type.
+ * Add towns here as sellers show up in new places.
+ */
+
+export const CAMEROON_TOWNS = [
+  // Centre
+  {
+    name: "Yaoundé",
+    region: "Centre",
+    lat: 3.848,
+    lng: 11.5021,
+    aliases: ["Yaounde", "Yde", "Ongola"],
+  },
+  { name: "Mbalmayo", region: "Centre", lat: 3.5167, lng: 11.5, aliases: [] },
+  { name: "Obala", region: "Centre", lat: 4.1667, lng: 11.5333, aliases: [] },
+  { name: "Bafia", region: "Centre", lat: 4.75, lng: 11.2333, aliases: [] },
+  {
+    name: "Akonolinga",
+    region: "Centre",
+    lat: 3.7667,
+    lng: 12.25,
+    aliases: [],
+  },
+  {
+    name: "Eséka",
+    region: "Centre",
+    lat: 3.65,
+    lng: 10.7667,
+    aliases: ["Eseka"],
+  },
+  { name: "Mbandjock", region: "Centre", lat: 4.45, lng: 11.9, aliases: [] },
+  {
+    name: "Nanga Eboko",
+    region: "Centre",
+    lat: 4.6833,
+    lng: 12.3667,
+    aliases: ["Nanga-Eboko"],
+  },
+  {
+    name: "Monatélé",
+    region: "Centre",
+    lat: 4.2667,
+    lng: 11.2,
+    aliases: ["Monatele"],
+  },
+  { name: "Soa", region: "Centre", lat: 3.9833, lng: 11.6, aliases: [] },
+  { name: "Mfou", region: "Centre", lat: 3.7167, lng: 11.6333, aliases: [] },
+
+  // Littoral
+  {
+    name: "Douala",
+    region: "Littoral",
+    lat: 4.0511,
+    lng: 9.7679,
+    aliases: ["Dla"],
+  },
+  {
+    name: "Edéa",
+    region: "Littoral",
+    lat: 3.8,
+    lng: 10.1333,
+    aliases: ["Edea"],
+  },
+  {
+    name: "Nkongsamba",
+    region: "Littoral",
+    lat: 4.9547,
+    lng: 9.9404,
+    aliases: [],
+  },
+  { name: "Loum", region: "Littoral", lat: 4.7182, lng: 9.7351, aliases: [] },
+  { name: "Mbanga", region: "Littoral", lat: 4.5, lng: 9.5667, aliases: [] },
+  { name: "Manjo", region: "Littoral", lat: 4.85, lng: 9.8167, aliases: [] },
+  { name: "Penja", region: "Littoral", lat: 4.6333, lng: 9.6833, aliases: [] },
+  { name: "Melong", region: "Littoral", lat: 5.1167, lng: 9.95, aliases: [] },
+
+  // South West
+  {
+    name: "Buea",
+    region: "South West",
+    lat: 4.1527,
+    lng: 9.241,
+    aliases: ["Buéa"],
+  },
+  {
+    name: "Limbe",
+    region: "South West",
+    lat: 4.0242,
+    lng: 9.2149,
+    aliases: ["Limbé", "Victoria"],
+  },
+  {
+    name: "Kumba",
+    region: "South West",
+    lat: 4.6363,
+    lng: 9.4469,
+    aliases: [],
+  },
+  { name: "Tiko", region: "South West", lat: 4.075, lng: 9.36, aliases: [] },
+  {
+    name: "Mutengene",
+    region: "South West",
+    lat: 4.0913,
+    lng: 9.3144,
+    aliases: [],
+  },
+  {
+    name: "Muyuka",
+    region: "South West",
+    lat: 4.2897,
+    lng: 9.4103,
+    aliases: [],
+  },
+  {
+    name: "Mamfe",
+    region: "South West",
+    lat: 5.7667,
+    lng: 9.2833,
+    aliases: ["Mamfé"],
+  },
+  {
+    name: "Idenau",
+    region: "South West",
+    lat: 4.2167,
+    lng: 8.9833,
+    aliases: [],
+  },
+  {
+    name: "Mundemba",
+    region: "South West",
+    lat: 4.95,
+    lng: 8.8667,
+    aliases: [],
+  },
+
+  // North West
+  {
+    name: "Bamenda",
+    region: "North West",
+    lat: 5.9597,
+    lng: 10.146,
+    aliases: ["Bda"],
+  },
+  { name: "Kumbo", region: "North West", lat: 6.2, lng: 10.6667, aliases: [] },
+  { name: "Wum", region: "North West", lat: 6.3833, lng: 10.0667, aliases: [] },
+  {
+    name: "Nkambé",
+    region: "North West",
+    lat: 6.6333,
+    lng: 10.6667,
+    aliases: ["Nkambe"],
+  },
+  {
+    name: "Fundong",
+    region: "North West",
+    lat: 6.2833,
+    lng: 10.2667,
+    aliases: [],
+  },
+  { name: "Ndop", region: "North West", lat: 6.0, lng: 10.4167, aliases: [] },
+  {
+    name: "Bali",
+    region: "North West",
+    lat: 5.8833,
+    lng: 10.0167,
+    aliases: ["Bali Nyonga"],
+  },
+
+  // West
+  { name: "Bafoussam", region: "West", lat: 5.4781, lng: 10.4176, aliases: [] },
+  { name: "Dschang", region: "West", lat: 5.45, lng: 10.0667, aliases: [] },
+  { name: "Mbouda", region: "West", lat: 5.626, lng: 10.254, aliases: [] },
+  { name: "Foumban", region: "West", lat: 5.7278, lng: 10.9, aliases: [] },
+  { name: "Foumbot", region: "West", lat: 5.5083, lng: 10.6333, aliases: [] },
+  { name: "Bafang", region: "West", lat: 5.15, lng: 10.1833, aliases: [] },
+  {
+    name: "Bangangté",
+    region: "West",
+    lat: 5.15,
+    lng: 10.5167,
+    aliases: ["Bangangte"],
+  },
+  { name: "Bandjoun", region: "West", lat: 5.35, lng: 10.4167, aliases: [] },
+
+  // South
+  { name: "Ebolowa", region: "South", lat: 2.9, lng: 11.15, aliases: [] },
+  { name: "Kribi", region: "South", lat: 2.95, lng: 9.9167, aliases: [] },
+  {
+    name: "Sangmélima",
+    region: "South",
+    lat: 2.9333,
+    lng: 11.9833,
+    aliases: ["Sangmelima"],
+  },
+  { name: "Ambam", region: "South", lat: 2.3833, lng: 11.2833, aliases: [] },
+  { name: "Lolodorf", region: "South", lat: 3.2333, lng: 10.7333, aliases: [] },
+  { name: "Campo", region: "South", lat: 2.3667, lng: 9.8167, aliases: [] },
+
+  // East
+  { name: "Bertoua", region: "East", lat: 4.5774, lng: 13.6846, aliases: [] },
+  { name: "Batouri", region: "East", lat: 4.4333, lng: 14.3667, aliases: [] },
+  {
+    name: "Abong-Mbang",
+    region: "East",
+    lat: 3.9833,
+    lng: 13.1833,
+    aliases: ["Abong Mbang"],
+  },
+  { name: "Yokadouma", region: "East", lat: 3.5167, lng: 15.05, aliases: [] },
+  {
+    name: "Garoua-Boulaï",
+    region: "East",
+    lat: 5.8833,
+    lng: 14.55,
+    aliases: ["Garoua Boulai"],
+  },
+  {
+    name: "Bélabo",
+    region: "East",
+    lat: 4.9333,
+    lng: 13.3,
+    aliases: ["Belabo"],
+  },
+
+  // Adamawa
+  {
+    name: "Ngaoundéré",
+    region: "Adamawa",
+    lat: 7.3277,
+    lng: 13.5847,
+    aliases: ["Ngaoundere", "N'Gaoundéré"],
+  },
+  { name: "Meiganga", region: "Adamawa", lat: 6.5167, lng: 14.3, aliases: [] },
+  { name: "Tibati", region: "Adamawa", lat: 6.4667, lng: 12.6333, aliases: [] },
+  { name: "Banyo", region: "Adamawa", lat: 6.75, lng: 11.8167, aliases: [] },
+  {
+    name: "Ngaoundal",
+    region: "Adamawa",
+    lat: 6.4667,
+    lng: 13.2667,
+    aliases: [],
+  },
+
+  // North
+  { name: "Garoua", region: "North", lat: 9.3017, lng: 13.3921, aliases: [] },
+  { name: "Guider", region: "North", lat: 9.9333, lng: 13.95, aliases: [] },
+  { name: "Pitoa", region: "North", lat: 9.3833, lng: 13.5333, aliases: [] },
+  { name: "Figuil", region: "North", lat: 9.7667, lng: 13.9667, aliases: [] },
+  { name: "Poli", region: "North", lat: 8.4833, lng: 13.25, aliases: [] },
+  {
+    name: "Tcholliré",
+    region: "North",
+    lat: 8.4,
+    lng: 14.1667,
+    aliases: ["Tchollire"],
+  },
+
+  // Far North
+  {
+    name: "Maroua",
+    region: "Far North",
+    lat: 10.5956,
+    lng: 14.3247,
+    aliases: [],
+  },
+  {
+    name: "Kousséri",
+    region: "Far North",
+    lat: 12.0769,
+    lng: 15.0306,
+    aliases: ["Kousseri"],
+  },
+  {
+    name: "Yagoua",
+    region: "Far North",
+    lat: 10.3428,
+    lng: 15.2331,
+    aliases: [],
+  },
+  { name: "Mokolo", region: "Far North", lat: 10.74, lng: 13.8, aliases: [] },
+  { name: "Mora", region: "Far North", lat: 11.0461, lng: 14.14, aliases: [] },
+  {
+    name: "Kaélé",
+    region: "Far North",
+    lat: 10.1,
+    lng: 14.45,
+    aliases: ["Kaele"],
+  },
+  { name: "Mindif", region: "Far North", lat: 10.4, lng: 14.4333, aliases: [] },
+  {
+    name: "Makary",
+    region: "Far North",
+    lat: 12.575,
+    lng: 14.4542,
+    aliases: [],
+  },
+];
@@ -0,0 +1,188 @@
+/**
+ * categoryTree.js
+ * Parent/child categories (categories.parentid), any depth.
+ *
+ * Filtering on a category always means "this category or anything below
+ * it", so a search in Vehicles also finds listings filed under Vehicles >
+ * Cars > SUVs. The descendant lookup is the category_subtree() SQL function
+ * from migration 015_add_category_hierarchy.
+ */
+
+import db from "../db.js";
+
+/**
+ * SQL condition matching rows whose `column` is the category in `param`
+ * (a placeholder such as "$3") or one of its descendants.
+ */
+export const inCategorySql = (column, param) =>
+  `${column} IN (SELECT category_subtree(ARRAY[${param}::int]))`;
+
+/** The given category ids plus all of their descendants. */
+export const expandCategoryIds = async (categoryIds) => {
+  const ids = categoryIds
+    .map((id) => parseInt(id, 10))
+    .filter((id) => !isNaN(id));
+  if (ids.length === 0) return [];
+  const result = await db.query("SELECT category_subtree($1::int[]) AS id", [
+    ids,
+  ]);
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Every category as a nested tree: each node is the category row plus a
+ * `children` array, siblings in display order. Categories whose parent is
+ * missing are treated as top level.
+ */
+export const getCategoryTree = async () => {
+  const result = await db.query(
+    "SELECT * FROM categories ORDER BY sortoder ASC, name ASC",
+  );
+  const nodes = new Map(
+    result.rows.map((category) => [category.id, { ...category, children: [] }]),
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parentid);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+/** Path from the top-level category down to `categoryId`, inclusive. */
+export const getCategoryBreadcrumb = async (categoryId) => {
+  if (!categoryId) return [];
+  const result = await db.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, name, slug, parentid, 0 AS depth
+       FROM categories WHERE id = $1
+       UNION
+       SELECT c.id, c.name, c.slug, c.parentid, p.depth + 1
+       FROM categories c JOIN path p ON c.id = p.parentid
+       WHERE p.depth < 50
+     )
+     SELECT id, name, slug FROM path ORDER BY depth DESC`,
+    [categoryId],
+  );
+  return result.rows;
+};
+
+/**
+ * Why `parentId` can't become the parent of `categoryId`, or null if it
+ * can. Null `parentId` (top level) is always fine.
+ */
+export const checkCategoryParent = async (categoryId, parentId) => {
+  if (parentId === null) return null;
+  const parent = await db.query("SELECT id FROM categories WHERE id = $1", [
+    parentId,
+  ]);
+  if (parent.rows.length === 0) return "Parent category not found";
+  if (categoryId === null) return null;
+
+  const subtree = await expandCategoryIds([categoryId]);
+  if (subtree.includes(parentId)) {
+    return "A category can't be moved under itself or one of its subcategories";
+  }
+  return null;
+};
+
+// Tables pointing at categories whose rows simply follow a merge
+const CATEGORY_REFERENCES = [
+  ["userlistings", "categoryid"],
+  ["buyer_requests", "category_id"],
+  ["user_search_history", "category_id"],
+];
+
+// Per-user tables with UNIQUE (user_id, category_id): a row moves unless the
+// user already has one for the target; leftovers go with the source category
+const USER_CATEGORY_TABLES = [
+  "user_category_preferences",
+  "user_category_affinity",
+];
+
+/**
+ * Fold category `sourceId` into `targetId` in one transaction: its
+ * listings, buyer requests, preferences, saved searches, subcategories and
+ * any attributes the target doesn't already define move over, then the
+ * source category is deleted. Returns how many rows moved per table.
+ */
+export const mergeCategory = async (sourceId, targetId) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const tableExists = async (table) => {
+      const result = await client.query("SELECT to_regclass($1) AS oid", [
+        `public.${table}`,
+      ]);
+      return result.rows[0].oid !== null;
+    };
+
+    const moved = {};
+    for (const [table, column] of CATEGORY_REFERENCES) {
+      if (!(await tableExists(table))) continue;
+      const result = await client.query(
+        `UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`,
+        [sourceId, targetId],
+      );
+      moved[table] = result.rowCount;
+    }
+
+    for (const table of USER_CATEGORY_TABLES) {
+      if (!(await tableExists(table))) continue;
+      const result = await client.query(
+        `UPDATE ${table} t SET category_id = $2
+         WHERE t.category_id = $1
+           AND NOT EXISTS (
+             SELECT 1 FROM ${table} o
+             WHERE o.user_id = t.user_id AND o.category_id = $2
+           )`,
+        [sourceId, targetId],
+      );
+      moved[table] = result.rowCount;
+    }
+
+    if (await tableExists("saved_searches")) {
+      const result = await client.query(
+        `UPDATE saved_searches
+         SET filters = jsonb_set(filters, '{category}', to_jsonb($2::text)),
+             updated_at = NOW()
+         WHERE filters->>'category' = $1::text`,
+        [sourceId, targetId],
+      );
+      moved.saved_searches = result.rowCount;
+    }
+
+    const attributes = await client.query(
+      `UPDATE category_attributes a SET category_id = $2
+       WHERE a.category_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM category_attributes o
+           WHERE o.category_id = $2 AND o.key = a.key
+         )`,
+      [sourceId, targetId],
+    );
+    moved.category_attributes = attributes.rowCount;
+
+    const children = await client.query(
+      "UPDATE categories SET parentid = $2 WHERE parentid = $1",
+      [sourceId, targetId],
+    );
+    moved.subcategories = children.rowCount;
+
+    await client.query("DELETE FROM categories WHERE id = $1", [sourceId]);
+    await client.query("COMMIT");
+    return moved;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/** Parse a parent id from a request body: null for top level, NaN if bad. */
+export const parseParentId = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+};
@@ -0,0 +1,156 @@
+/**
+ * currency.js
+ * Exchange rates and price conversion.
+ *
+ * Listings keep the price and currency the seller entered; a trigger
+ * (migration 023) also stores the price in XAF as userlistings.price_xaf,
+ * using the admin-maintained exchange_rates table. Browse filters and price
+ * sorting work on price_xaf so listings in different currencies compare, and
+ * `displayCurrency` adds a converted display_price to listing responses.
+ * Changing a rate re-prices that currency's listings (updateExchangeRate).
+ */
+
+import db from "../db.js";
+
+export const BASE_CURRENCY = "XAF";
+
+const CACHE_MS = 60 * 1000;
+let cachedRates = null;
+let cachedAt = 0;
+
+/** Normalised currency code ("usd " → "USD"), or null if not a 3-letter code. */
+export const parseCurrencyCode = (value) => {
+  const code = String(value ?? "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+/** Rates as a Map of currency → value in XAF (cached for a minute). */
+export const getExchangeRates = async () => {
+  if (cachedRates && Date.now() - cachedAt < CACHE_MS) return cachedRates;
+  const result = await db.query(
+    "SELECT currency, rate_to_xaf FROM exchange_rates",
+  );
+  cachedRates = new Map(
+    result.rows.map((row) => [row.currency, Number(row.rate_to_xaf)]),
+  );
+  cachedAt = Date.now();
+  return cachedRates;
+};
+
+/** `amount` in `from` converted to `to`, or null when either has no rate. */
+export const convertPrice = (amount, from, to, rates) => {
+  const fromRate = rates.get(parseCurrencyCode(from));
+  const toRate = rates.get(parseCurrencyCode(to));
+  if (!fromRate || !toRate || amount === null || amount === undefined) {
+    return null;
+  }
+  return Math.round(((Number(amount) * fromRate) / toRate) * 100) / 100;
+};
+
+/**
+ * Resolve a `displayCurrency` query parameter. Returns { code } (null when
+ * not requested) or { error } for an unknown or malformed currency.
+ */
+export const resolveDisplayCurrency = async (value) => {
+  if (value === undefined || value === "") return { code: null };
+  const code = parseCurrencyCode(value);
+  const rates = await getExchangeRates();
+  if (!code || !rates.has(code)) {
+    return {
+      error: `Unknown displayCurrency. Use one of: ${[...rates.keys()].sort().join(", ")}`,
+    };
+  }
+  return { code };
+};
+
+/**
+ * Add display_price / display_currency to each listing, converted from its
+ * own price and currency. display_price is null when the listing's currency
+ * has no rate. Listings are returned unchanged without a display currency.
+ */
+export const withDisplayPrices = async (listings, displayCurrency) => {
+  if (!displayCurrency) return listings;
+  const rates = await getExchangeRates();
+  return listings.map((listing) => ({
+    ...listing,
+    display_price: convertPrice(
+      listing.price,
+      listing.currency,
+      displayCurrency,
+      rates,
+    ),
+    display_currency: displayCurrency,
+  }));
+};
+
+/**
+ * SQL expression for a listing's price in `currency` (a code already checked
+ * with parseCurrencyCode), based on price_xaf.
+ */
+export const priceInCurrencySql = (currency, alias = "l") =>
+  currency === BASE_CURRENCY
+    ? `${alias}.price_xaf`
+    : `(${alias}.price_xaf / (SELECT rate_to_xaf FROM exchange_rates WHERE currency = '${currency}'))`;
+
+/**
+ * Set (or add) a currency's rate and re-price its listings. Returns the rate
+ * row and how many listings were updated.
+ */
+export const updateExchangeRate = async (currency, rate, adminId) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO exchange_rates (currency, rate_to_xaf, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (currency) DO UPDATE
+         SET rate_to_xaf = EXCLUDED.rate_to_xaf,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()
+       RETURNING *`,
+      [currency, rate, adminId],
+    );
+    const repriced = await client.query(
+      `UPDATE userlistings SET price_xaf = price * $2
+       WHERE UPPER(TRIM(currency)) = $1`,
+      [currency, rate],
+    );
+    await client.query("COMMIT");
+    cachedRates = null;
+    return { rate: result.rows[0], listingsUpdated: repriced.rowCount };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/** Remove a currency's rate; its listings lose their XAF price. */
+export const deleteExchangeRate = async (currency) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      "DELETE FROM exchange_rates WHERE currency = $1 RETURNING *",
+      [currency],
+    );
+    if (result.rowCount > 0) {
+      await client.query(
+        `UPDATE userlistings SET price_xaf = NULL
+         WHERE UPPER(TRIM(currency)) = $1`,
+        [currency],
+      );
+    }
+    await client.query("COMMIT");
+    cachedRates = null;
+    return result.rows[0] || null;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
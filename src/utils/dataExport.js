@@ -0,0 +1,411 @@
+/**
+ * dataExport.js
+ * "Download my data" — builds a ZIP of everything we hold about a user.
+ *
+ * A request creates a data_exports row in 'pending'. The job is picked up
+ * straight away in-process and, should the server restart first, by the
+ * sweep in server.js. The finished archive is stored on the row, the user
+ * gets an email with a download link, and the archive is dropped once the
+ * link expires.
+ *
+ * Archive layout:
+ *   README.txt        what each file contains
+ *   data.json         every section, as JSON
+ *   csv/<section>.csv the same sections, one CSV each
+ *
+ * Listing and message images are included as URLs, not as files.
+ */
+
+import crypto from "crypto";
+import AdmZip from "adm-zip";
+import db from "../db.js";
+import { sendDataExportReady } from "./email.js";
+import { fetchTransactions } from "./transactionHistory.js";
+
+export const EXPORT_TTL_HOURS = 72;
+const EXPORT_COOLDOWN_HOURS = 24;
+const STALE_PROCESSING_MINUTES = 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Several of these tables are created lazily by their route modules, so a
+// fresh database may not have them yet — that just means "no data".
+const safeRows = async (label, text, params) => {
+  try {
+    const result = await db.query(text, params);
+    return result.rows;
+  } catch (error) {
+    if (error.code === "42P01" || error.code === "42703") {
+      console.warn(`[DataExport] skipping ${label}: ${error.message}`);
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Columns that are never handed out, even to the account owner
+const PRIVATE_USER_COLUMNS = [
+  "passwordhash",
+  "failed_login_count",
+  "locked_until",
+];
+
+const collectUserData = async (userId) => {
+  const [profile] = await safeRows(
+    "profile",
+    "SELECT * FROM users WHERE id = $1",
+    [userId],
+  );
+  if (profile) {
+    for (const column of PRIVATE_USER_COLUMNS) delete profile[column];
+  }
+
+  const sections = {
+    profile: profile ? [profile] : [],
+
+    listings: await safeRows(
+      "listings",
+      "SELECT * FROM userlistings WHERE userid = $1 ORDER BY createdat ASC",
+      [userId],
+    ),
+
+    listing_images: await safeRows(
+      "listing_images",
+      `SELECT i.id, i.listingid AS listing_id, i.imageurl AS image_url, i.is_main, i.created_at
+       FROM imagelistings i
+       JOIN userlistings l ON l.id = i.listingid
+       WHERE l.userid = $1
+       ORDER BY i.listingid, i.id`,
+      [userId],
+    ),
+
+    conversations: await safeRows(
+      "conversations",
+      `SELECT c.id, c.listing_id, l.title AS listing_title,
+              CASE WHEN c.buyer_id = $1 THEN 'buyer' ELSE 'seller' END AS my_role,
+              other.username AS other_party,
+              c.created_at, c.last_message_at
+       FROM conversations c
+       LEFT JOIN userlistings l ON l.id = c.listing_id
+       LEFT JOIN users other
+         ON other.id = CASE WHEN c.buyer_id = $1 THEN c.seller_id ELSE c.buyer_id END
+       WHERE c.buyer_id = $1 OR c.seller_id = $1
+       ORDER BY c.created_at ASC`,
+      [userId],
+    ),
+
+    messages: await safeRows(
+      "messages",
+      `SELECT m.id, m.conversation_id, (m.sender_id = $1) AS sent_by_me,
+              m.message_type, m.content, m.image_url, m.is_edited, m.is_deleted,
+              m.created_at, m.read_at
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE c.buyer_id = $1 OR c.seller_id = $1
+       ORDER BY m.conversation_id, m.created_at ASC`,
+      [userId],
+    ),
+
+    orders: await safeRows(
+      "orders",
+      `SELECT o.id, o.order_reference,
+              CASE WHEN o.buyer_id = $1 THEN 'buyer' ELSE 'seller' END AS my_role,
+              o.listing_id, l.title AS listing_title, o.amount, o.currency,
+              o.fonlok_status AS status, o.created_at, o.updated_at
+       FROM orders o
+       LEFT JOIN userlistings l ON l.id = o.listing_id
+       WHERE o.buyer_id = $1 OR o.seller_id = $1
+       ORDER BY o.created_at ASC`,
+      [userId],
+    ),
+
+    transactions: await fetchTransactions(userId).catch((error) => {
+      console.warn(`[DataExport] skipping transactions: ${error.message}`);
+      return [];
+    }),
+
+    reviews_written: await safeRows(
+      "reviews_written",
+      `SELECT r.id, reviewed.username AS reviewed_user, r.listing_id, r.rating,
+              r.title, r.review_text, r.review_type, r.seller_response, r.created_at
+       FROM user_reviews r
+       LEFT JOIN users reviewed ON reviewed.id = r.reviewed_user_id
+       WHERE r.reviewer_id = $1
+       ORDER BY r.created_at ASC`,
+      [userId],
+    ),
+
+    reviews_received: await safeRows(
+      "reviews_received",
+      `SELECT r.id, reviewer.username AS reviewer, r.listing_id, r.rating,
+              r.title, r.review_text, r.review_type, r.seller_response, r.created_at
+       FROM user_reviews r
+       LEFT JOIN users reviewer ON reviewer.id = r.reviewer_id
+       WHERE r.reviewed_user_id = $1
+       ORDER BY r.created_at ASC`,
+      [userId],
+    ),
+
+    questions_asked: await safeRows(
+      "questions_asked",
+      `SELECT q.id, q.listing_id, l.title AS listing_title, q.question,
+              q.answer, q.answered_at, q.status, q.created_at
+       FROM listing_questions q
+       LEFT JOIN userlistings l ON l.id = q.listing_id
+       WHERE q.asker_id = $1
+       ORDER BY q.created_at ASC`,
+      [userId],
+    ),
+
+    reports_filed: await safeRows(
+      "reports_filed",
+      `SELECT id, report_type, reported_listing_id, reported_user_id,
+              reported_question_id, custom_reason, evidence_urls, status, created_at
+       FROM reports
+       WHERE reporter_id = $1
+       ORDER BY created_at ASC`,
+      [userId],
+    ),
+
+    favorite_sellers: await safeRows(
+      "favorite_sellers",
+      `SELECT f.favorite_user_id AS seller_id, u.username AS seller, f.created_at
+       FROM user_favorites f
+       LEFT JOIN users u ON u.id = f.favorite_user_id
+       WHERE f.user_id = $1
+       ORDER BY f.created_at ASC`,
+      [userId],
+    ),
+
+    wishlist: await safeRows(
+      "wishlist",
+      `SELECT w.listing_id, l.title AS listing_title, w.notify_price_drop,
+              w.last_seen_price, w.created_at
+       FROM wishlist_items w
+       LEFT JOIN userlistings l ON l.id = w.listing_id
+       WHERE w.user_id = $1
+       ORDER BY w.created_at ASC`,
+      [userId],
+    ),
+
+    saved_searches: await safeRows(
+      "saved_searches",
+      `SELECT id, name, filters, notify_new_listings, created_at
+       FROM saved_searches WHERE user_id = $1 ORDER BY created_at ASC`,
+      [userId],
+    ),
+
+    search_history: [
+      ...(await safeRows(
+        "search_history",
+        `SELECT search_term AS query, category_id, search_count, last_searched_at AS searched_at
+         FROM user_search_history WHERE user_id = $1`,
+        [userId],
+      )),
+      ...(await safeRows(
+        "search_logs",
+        `SELECT query, NULL AS category_id, 1 AS search_count, created_at AS searched_at
+         FROM search_logs WHERE user_id = $1`,
+        [userId],
+      )),
+    ].sort((a, b) => new Date(a.searched_at) - new Date(b.searched_at)),
+  };
+
+  return sections;
+};
+
+// ─── Archive building ─────────────────────────────────────────────────────────
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return "";
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
+
+const buildReadme = (user, sections, generatedAt) =>
+  [
+    "Njimbong — personal data export",
+    `Account: ${user.username || user.email}`,
+    `Generated: ${generatedAt.toISOString()}`,
+    "",
+    "data.json contains every section below; csv/ has one file per section.",
+    "Images are listed by URL.",
+    "",
+    ...Object.entries(sections).map(
+      ([name, rows]) => `  ${name.padEnd(18)} ${rows.length} record(s)`,
+    ),
+    "",
+    "Questions: support@njimbong.com",
+    "",
+  ].join("\n");
+
+const buildArchive = (user, sections) => {
+  const generatedAt = new Date();
+  const zip = new AdmZip();
+  zip.addFile(
+    "README.txt",
+    Buffer.from(buildReadme(user, sections, generatedAt), "utf8"),
+  );
+  zip.addFile(
+    "data.json",
+    Buffer.from(
+      JSON.stringify({ generated_at: generatedAt, ...sections }, null, 2),
+      "utf8",
+    ),
+  );
+  for (const [name, rows] of Object.entries(sections)) {
+    zip.addFile(`csv/${name}.csv`, Buffer.from(toCsv(rows), "utf8"));
+  }
+  return zip.toBuffer();
+};
+
+// ─── Job lifecycle ────────────────────────────────────────────────────────────
+
+/** An export requested within the cooldown that has not failed, if any. */
+export const findRecentDataExport = async (userId) => {
+  const result = await db.query(
+    `SELECT id, status, created_at, expires_at
+     FROM data_exports
+     WHERE user_id = $1
+       AND status <> 'failed'
+       AND created_at > NOW() - ($2 || ' hours')::interval
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId, String(EXPORT_COOLDOWN_HOURS)],
+  );
+  return result.rows[0] || null;
+};
+
+/** Queue an export. Returns the new data_exports row. */
+export const requestDataExport = async (userId) => {
+  const result = await db.query(
+    `INSERT INTO data_exports (user_id) VALUES ($1)
+     RETURNING id, status, created_at`,
+    [userId],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Build one export. Claims the row first so the startup sweep and the
+ * in-process kick-off never build the same archive twice.
+ */
+export const processDataExport = async (exportId) => {
+  const claimed = await db.query(
+    `UPDATE data_exports SET status = 'processing', started_at = NOW()
+     WHERE id = $1
+       AND (status = 'pending'
+            OR (status = 'processing'
+                AND started_at < NOW() - ($2 || ' minutes')::interval))
+     RETURNING id, user_id`,
+    [exportId, String(STALE_PROCESSING_MINUTES)],
+  );
+  if (claimed.rowCount === 0) return;
+  const { user_id: userId } = claimed.rows[0];
+
+  try {
+    const userResult = await db.query(
+      "SELECT id, name, email, username FROM users WHERE id = $1",
+      [userId],
+    );
+    const user = userResult.rows[0];
+    if (!user) throw new Error("User no longer exists");
+
+    const archive = buildArchive(user, await collectUserData(userId));
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+
+    await db.query(
+      `UPDATE data_exports
+       SET status = 'ready', archive = $2, archive_size = $3, token_hash = $4,
+           completed_at = NOW(), expires_at = $5, error = NULL
+       WHERE id = $1`,
+      [exportId, archive, archive.length, hashToken(token), expiresAt],
+    );
+    console.log(
+      `[DataExport] Export ${exportId} ready for user ${userId} (${archive.length} bytes)`,
+    );
+
+    sendDataExportReady(user, exportId, token, expiresAt).catch(() => {});
+  } catch (error) {
+    console.error(`[DataExport] Export ${exportId} failed:`, error.message);
+    await db
+      .query(
+        `UPDATE data_exports SET status = 'failed', error = $2, completed_at = NOW()
+         WHERE id = $1`,
+        [exportId, error.message.slice(0, 500)],
+      )
+      .catch(() => {});
+  }
+};
+
+/** Cron: build anything left pending (e.g. across a restart) and drop expired archives. */
+export const runDataExportJobs = async () => {
+  const due = await db.query(
+    `SELECT id FROM data_exports
+     WHERE status = 'pending'
+        OR (status = 'processing'
+            AND started_at < NOW() - ($1 || ' minutes')::interval)
+     ORDER BY created_at ASC
+     LIMIT 20`,
+    [String(STALE_PROCESSING_MINUTES)],
+  );
+  for (const row of due.rows) {
+    await processDataExport(row.id);
+  }
+
+  const expired = await db.query(
+    `UPDATE data_exports SET status = 'expired', archive = NULL
+     WHERE status = 'ready' AND expires_at <= NOW()`,
+  );
+  if (expired.rowCount > 0) {
+    console.log(`[DataExport] Removed ${expired.rowCount} expired archive(s)`);
+  }
+};
+
+export const listDataExports = async (userId) => {
+  const result = await db.query(
+    `SELECT id, status, archive_size, created_at, completed_at, expires_at, downloaded_at
+     FROM data_exports
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT 10`,
+    [userId],
+  );
+  return result.rows;
+};
+
+/**
+ * Fetch a ready archive. Pass either the owner's userId (in-app download)
+ * or the token from the email link. Returns null if it is not downloadable.
+ */
+export const getDownloadableExport = async (exportId, { userId, token }) => {
+  if (!userId && !token) return null;
+  const result = await db.query(
+    `UPDATE data_exports SET downloaded_at = NOW()
+     WHERE id = $1
+       AND status = 'ready'
+       AND expires_at > NOW()
+       AND ($2::int IS NULL OR user_id = $2::int)
+       AND ($3::text IS NULL OR token_hash = $3::text)
+     RETURNING id, archive, completed_at`,
+    [exportId, userId || null, token ? hashToken(String(token)) : null],
+  );
+  return result.rows[0] || null;
+};
@@ -902,11 +902,13 @@ export async function sendSavedSearchAlert(user, searchName, matches) {
 
 export async function sendListingExpiryWarning(user, listing) {
   const renewLink = `${APP_URL}/dashboard`;
+  const daysLeft = listing.days_left ?? 7;
+  const inDays = `in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
   const html = wrap(
     "Your Listing Is Expiring Soon — Njimbong",
     `
-    <p class="greeting">${user.name}, your listing expires in 7 days.</p>
-    <p class="text">Listings on Njimbong expire after 60 days to keep the marketplace fresh. Your listing below will be automatically deactivated in 7 days unless you renew it.</p>
+    <p class="greeting">${user.name}, your listing expires ${inDays}.</p>
+    <p class="text">Listings on Njimbong expire after a while to keep the marketplace fresh. Your listing below will be automatically deactivated ${inDays} unless you renew it.</p>
     <div class="info-box-amber">
       <div class="info-row"><span class="info-label">Listing</span><span class="info-value">${listing.title}</span></div>
       <div class="info-row"><span class="info-label">Price</span><span class="info-value">${Number(listing.price).toLocaleString("en-US")} ${listing.currency}</span></div>
@@ -921,7 +923,7 @@ export async function sendListingExpiryWarning(user, listing) {
   );
   await send({
     to: user.email,
-    subject: `Your listing "${listing.title}" expires in 7 days — renew now`,
+    subject: `Your listing "${listing.title}" expires ${inDays} — renew now`,
     html,
   });
 }
@@ -934,7 +936,7 @@ export async function sendListingExpired(user, listing) {
     "Your Listing Has Expired — Njimbong",
     `
     <p class="greeting">${user.name}, your listing has expired.</p>
-    <p class="text">Your listing has been automatically deactivated after 60 days. You can renew it with one click to make it live again — it will appear as a fresh listing at the top of search results.</p>
+    <p class="text">Your listing has been automatically deactivated at the end of its listing period. You can renew it with one click to make it live again — it will appear as a fresh listing at the top of search results.</p>
     <div class="info-box">
       <div class="info-row"><span class="info-label">Listing</span><span class="info-value">${listing.title}</span></div>
       <div class="info-row"><span class="info-label">Price</span><span class="info-value">${Number(listing.price).toLocaleString("en-US")} ${listing.currency}</span></div>
@@ -1150,6 +1152,60 @@ export async function sendDisputeFiledToAdmin(
   });
 }
 
+// ─── Email change ───────────────────────────────────────────────────────────
+
+export async function sendEmailChangeConfirmation(user, newEmail, token) {
+  const link = `${APP_URL}/confirm-email-change?token=${token}`;
+  const html = wrap(
+    "Confirm your new email — Njimbong",
+    `
+    <p class="greeting">Confirm your new email address</p>
+    <p class="text">Hi ${user.name}, you asked to use <strong>${newEmail}</strong> for your Njimbong account. Click the button below to confirm. Until you do, your current address stays active.</p>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${link}" class="btn">Confirm New Email</a>
+    </p>
+    <p class="text">This link expires in <strong>24 hours</strong>. If you did not ask for this change, you can ignore this email.</p>
+    <hr class="divider"/>
+    <p class="meta">If the button does not work, copy and paste this link into your browser:<br/>
+      <a href="${link}">${link}</a>
+    </p>
+  `,
+  );
+  await send({
+    to: newEmail,
+    subject: "Confirm your new Njimbong email address",
+    html,
+  });
+}
+
+export async function sendEmailChangeNotice(user, newEmail, revertToken) {
+  const link = `${APP_URL}/revert-email-change?token=${revertToken}`;
+  const html = wrap(
+    "Email change requested — Njimbong",
+    `
+    <p class="greeting">Your email address is being changed</p>
+    <p class="text">Hi ${user.name}, someone signed in to your Njimbong account asked to change its email address from this one to <strong>${newEmail}</strong>. We've sent a confirmation link to the new address; this address keeps working until it is confirmed.</p>
+    <div class="info-box-amber">
+      <p style="font-size:13px;font-weight:600;color:#92400e;margin-bottom:6px;">Wasn't you?</p>
+      <p style="font-size:14px;color:#374151;">Click below to cancel the change — or undo it if it has already gone through — and sign out every device on your account.</p>
+    </div>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${link}" class="btn">This Wasn't Me</a>
+    </p>
+    <p class="text">This link works for <strong>7 days</strong>. We also recommend resetting your password afterwards.</p>
+    <hr class="divider"/>
+    <p class="meta">If the button does not work, copy and paste this link into your browser:<br/>
+      <a href="${link}">${link}</a>
+    </p>
+  `,
+  );
+  await send({
+    to: user.email,
+    subject: "Your Njimbong email address is being changed",
+    html,
+  });
+}
+
 // ─── Password reset ─────────────────────────────────────────────────────────
 
 export async function sendPasswordResetEmail(user, token) {
@@ -1176,6 +1232,96 @@ export async function sendPasswordResetEmail(user, token) {
   });
 }
 
+// ─── New sign-in alert ──────────────────────────────────────────────────────
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export async function sendNewLoginAlert(user, login) {
+  const reason = login.newCountry
+    ? "from a country you have not signed in from before"
+    : "from a new device";
+  const html = wrap(
+    "New sign-in to your account — Njimbong",
+    `
+    <p class="greeting">New sign-in to your account</p>
+    <p class="text">Your Njimbong account was just signed in to ${reason}.</p>
+    <div class="info-box-amber">
+      <div class="info-row"><span class="info-label">Device</span><span class="info-value">${escapeHtml(login.device)}</span></div>
+      <div class="info-row"><span class="info-label">Location</span><span class="info-value">${escapeHtml(login.country || "Unknown")}</span></div>
+      <div class="info-row"><span class="info-label">IP address</span><span class="info-value">${escapeHtml(login.ipAddress || "Unknown")}</span></div>
+      <div class="info-row"><span class="info-label">Time</span><span class="info-value">${new Date(login.at).toUTCString()}</span></div>
+    </div>
+    <p class="text">If this was you, there is nothing to do. If you do not recognise this sign-in, reset your password right away — this signs you out of every device.</p>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${APP_URL}/dashboard" class="btn">Review My Account</a>
+    </p>
+    <hr class="divider"/>
+    <p class="meta">You can review recent sign-ins to your account from your profile settings. Questions? Contact <a href="mailto:support@njimbong.com">support@njimbong.com</a>.</p>
+  `,
+  );
+  await send({
+    to: user.email,
+    subject: "New sign-in to your Njimbong account",
+    html,
+  });
+}
+
+// ─── Account deletion scheduled ─────────────────────────────────────────────
+
+export async function sendAccountDeletionScheduled(user, scheduledFor) {
+  const html = wrap(
+    "Your account is scheduled for deletion — Njimbong",
+    `
+    <p class="greeting">Your account will be deleted</p>
+    <p class="text">Hi ${user.name || user.username}, we received a request to delete your Njimbong account.</p>
+    <div class="info-box-red">
+      <p style="font-size:13px;font-weight:600;color:#b91c1c;margin-bottom:6px;">Scheduled for</p>
+      <p style="font-size:14px;color:#374151;">${new Date(scheduledFor).toUTCString()}</p>
+    </div>
+    <p class="text">Until then your account works as usual and you can cancel the deletion from your account settings. After that date your profile is anonymised, your listings are removed and this cannot be undone. Order records are kept, without your personal details, as required for accounting.</p>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${APP_URL}/dashboard" class="btn-outline">Keep My Account</a>
+    </p>
+    <hr class="divider"/>
+    <p class="meta">If you did not ask for this, sign in, cancel the deletion and change your password. Questions? Contact <a href="mailto:support@njimbong.com">support@njimbong.com</a>.</p>
+  `,
+  );
+  await send({
+    to: user.email,
+    subject: "Your Njimbong account is scheduled for deletion",
+    html,
+  });
+}
+
+// ─── Personal data export ready ─────────────────────────────────────────────
+
+export async function sendDataExportReady(user, exportId, token, expiresAt) {
+  const link = `${APP_URL}/download-data?export=${exportId}&token=${token}`;
+  const html = wrap(
+    "Your data is ready to download — Njimbong",
+    `
+    <p class="greeting">Your data is ready</p>
+    <p class="text">Hi ${user.name || user.username}, the copy of your Njimbong data you asked for is ready. It contains your profile, listings, messages, orders, transactions, reviews, reports, favourites and search history as JSON and CSV files.</p>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${link}" class="btn">Download My Data</a>
+    </p>
+    <p class="text">This link expires on <strong>${new Date(expiresAt).toUTCString()}</strong>. After that you can request a new export from your account settings.</p>
+    <hr class="divider"/>
+    <p class="meta">If you did not request this export, change your password and contact <a href="mailto:support@njimbong.com">support@njimbong.com</a>.</p>
+  `,
+  );
+  await send({
+    to: user.email,
+    subject: "Your Njimbong data export is ready",
+    html,
+  });
+}
+
 export async function sendDisputeConfirmation(
   user,
   listing,
@@ -1624,6 +1770,33 @@ export async function sendRequestFulfilled(buyer, seller, request, listing) {
   });
 }
 
+// ─── New question on a listing — notify seller ───────────────────────────────
+
+export async function sendListingQuestion(seller, listing, question) {
+  const listingLink = `${APP_URL}/listing/${listing.id}`;
+  const html = wrap(
+    "New question on your listing — Njimbong",
+    `
+    <p class="greeting">A buyer has a question, ${escapeHtml(seller.name)}.</p>
+    <p class="text">Someone asked about one of your listings. Your answer is shown publicly on the listing, so other buyers see it too.</p>
+    <div class="info-box">
+      <div class="info-row"><span class="info-label">Item</span><span class="info-value">${escapeHtml(listing.title)}</span></div>
+      <div class="info-row"><span class="info-label">Question</span><span class="info-value">${escapeHtml(question.question)}</span></div>
+    </div>
+    <p style="text-align:center;margin:28px 0;">
+      <a href="${listingLink}" class="btn">Answer Question</a>
+    </p>
+    <hr class="divider"/>
+    <p class="meta">Questions stay hidden from other buyers until you answer them. If a question is abusive, report it from the listing page.</p>
+  `,
+  );
+  await send({
+    to: seller.email,
+    subject: `New question on "${listing.title}" — Njimbong`,
+    html,
+  });
+}
+
 // ─── Dispute transcript resend — sent to Fonlok support ──────────────────────
 
 /**
@@ -40,6 +40,7 @@ function typeLabel(type) {
     deposit: "Wallet Deposit",
     withdrawal: "Wallet Withdrawal",
     escrow_pay: "Escrow Payment",
+    boost: "Listing Boost",
     purchase: "Purchase",
     sale: "Sale",
     refund: "Refund",
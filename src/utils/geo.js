@@ -0,0 +1,138 @@
+/**
+ * geo.js
+ * Coordinates for listings and buyer requests.
+ *
+ * Coordinates are optional. When a client doesn't send latitude/longitude
+ * we look the city up in the bundled gazetteer (cameroonTowns.js), so
+ * "Yaounde", "yaoundé " and "YDE" all land on the same point. Radius search
+ * and distance sorting only ever see rows that have coordinates.
+ */
+
+import db from "../db.js";
+import { CAMEROON_TOWNS } from "./cameroonTowns.js";
+
+export const MAX_RADIUS_KM = 500;
+
+/** Lower-case, accent-free, punctuation collapsed to single spaces. */
+export const normaliseTownName = (name) =>
+  String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const townIndex = new Map();
+for (const town of CAMEROON_TOWNS) {
+  for (const spelling of [town.name, ...town.aliases]) {
+    townIndex.set(normaliseTownName(spelling), town);
+  }
+}
+
+/**
+ * Coordinates for a city from the gazetteer, or null when we don't know it.
+ * Only Cameroonian towns are bundled, so other countries never match.
+ */
+export const geocodeCity = (city, country) => {
+  if (country && normaliseTownName(country) !== "cameroon") return null;
+  const town = townIndex.get(normaliseTownName(city));
+  return town
+    ? { latitude: town.lat, longitude: town.lng, town: town.name }
+    : null;
+};
+
+const isLatitude = (n) => Number.isFinite(n) && n >= -90 && n <= 90;
+const isLongitude = (n) => Number.isFinite(n) && n >= -180 && n <= 180;
+
+/**
+ * Coordinates to store for a listing or request: the ones the client sent
+ * if valid, otherwise the gazetteer position of the city, otherwise nulls.
+ */
+export const resolveCoordinates = ({ latitude, longitude, city, country }) => {
+  if (
+    latitude !== undefined &&
+    latitude !== null &&
+    latitude !== "" &&
+    longitude !== undefined &&
+    longitude !== null &&
+    longitude !== ""
+  ) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (isLatitude(lat) && isLongitude(lng)) {
+      return { latitude: lat, longitude: lng };
+    }
+  }
+  const geocoded = geocodeCity(city, country);
+  return geocoded
+    ? { latitude: geocoded.latitude, longitude: geocoded.longitude }
+    : { latitude: null, longitude: null };
+};
+
+/** Parse "lat,lng" from a query string; null if it isn't a valid point. */
+export const parseNear = (near) => {
+  if (!near) return null;
+  const [lat, lng] = String(near)
+    .split(",")
+    .map((part) => Number(part.trim()));
+  return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Great-circle distance in km (haversine) between a row's coordinates and
+ * `point`, as SQL. NULL when the row has none. The point comes from
+ * parseNear(), so it is always a pair of finite numbers and safe to inline.
+ */
+export const distanceKmSql = (latColumn, lngColumn, point) =>
+  `(6371 * 2 * ASIN(SQRT(
+      POWER(SIN(RADIANS(${latColumn} - ${point.lat}) / 2), 2)
+      + COS(RADIANS(${point.lat})) * COS(RADIANS(${latColumn}))
+        * POWER(SIN(RADIANS(${lngColumn} - ${point.lng}) / 2), 2)
+    )))`;
+
+/**
+ * Index-friendly bounding box around the point, used together with the
+ * exact distance check so Postgres can skip far-away rows cheaply.
+ */
+export const boundingBoxSql = (latColumn, lngColumn, point, radiusKm) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta =
+    radiusKm / (111.32 * Math.max(Math.cos((point.lat * Math.PI) / 180), 0.01));
+  return `${latColumn} BETWEEN ${point.lat - latDelta} AND ${point.lat + latDelta}
+    AND ${lngColumn} BETWEEN ${point.lng - lngDelta} AND ${point.lng + lngDelta}`;
+};
+
+/**
+ * Fill in coordinates for rows that only have a city, using the gazetteer.
+ * Runs at startup; it only touches rows whose coordinates are still NULL.
+ */
+export const backfillCoordinates = async () => {
+  const towns = [];
+  for (const town of CAMEROON_TOWNS) {
+    for (const spelling of [town.name, ...town.aliases]) {
+      towns.push({
+        key: normaliseTownName(spelling),
+        lat: town.lat,
+        lng: town.lng,
+      });
+    }
+  }
+  const updated = {};
+  for (const table of ["userlistings", "buyer_requests"]) {
+    const exists = await db.query("SELECT to_regclass($1) AS oid", [
+      `public.${table}`,
+    ]);
+    if (exists.rows[0].oid === null) continue;
+    const result = await db.query(
+      `UPDATE ${table} t
+       SET latitude = g.lat, longitude = g.lng
+       FROM json_to_recordset($1::json) AS g(key TEXT, lat FLOAT8, lng FLOAT8)
+       WHERE t.latitude IS NULL
+         AND (t.country IS NULL OR LOWER(TRIM(t.country)) = 'cameroon')
+         AND TRIM(regexp_replace(LOWER(unaccent(COALESCE(t.city, ''))), '[^a-z0-9]+', ' ', 'g')) = g.key`,
+      [JSON.stringify(towns)],
+    );
+    updated[table] = result.rowCount;
+  }
+  return updated;
+};
@@ -0,0 +1,171 @@
+/**
+ * imageHash.js
+ * Perceptual hashes for listing photos, to catch re-posted pictures.
+ *
+ * Each uploaded image gets a 64-bit difference hash (dHash) stored in
+ * imagelistings.phash: the picture is shrunk to 9×8 grey pixels and every
+ * bit says whether a pixel is darker than its right-hand neighbour. Resizing,
+ * recompression and small edits barely change it, so two photos match when
+ * their hashes differ in at most HASH_MATCH_DISTANCE bits.
+ *
+ * To avoid comparing against every photo, the hash is cut into
+ * HASH_MATCH_DISTANCE + 1 bands, each with an expression index (migration
+ * 028_index_image_hash_bands). Two hashes that close must agree on at least
+ * one whole band, so only photos sharing a band are compared bit by bit.
+ *
+ * Matches are stored in listing_image_matches. A match with another seller's
+ * photo sends the listing to moderation (the admin review screen shows the
+ * original); a match with the seller's own active listing is only a warning
+ * that they may be posting it twice. Images uploaded before hashing existed
+ * have no phash and are never matched.
+ */
+
+import axios from "axios";
+import sharp from "sharp";
+import db from "../db.js";
+
+export const HASH_MATCH_DISTANCE = 6;
+
+// [first bit, length] of each band; must match the migration's indexes
+const HASH_BANDS = [
+  [1, 9],
+  [10, 9],
+  [19, 9],
+  [28, 9],
+  [37, 9],
+  [46, 9],
+  [55, 10],
+];
+
+const bandSql = (column, [start, length]) =>
+  `substring(${column} from ${start} for ${length})::bit(${length})::int`;
+
+// Some band of `a` equals the same band of `b`
+const sharesHashBand = (a, b) =>
+  `(${HASH_BANDS.map((band) => `${bandSql(a, band)} = ${bandSql(b, band)}`).join(" OR ")})`;
+
+/** dHash of an image buffer as a 64-character bit string, or null if unreadable. */
+export const computeImageHash = async (buffer) => {
+  try {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .grayscale()
+      .resize(9, 8, { fit: "fill" })
+      .raw()
+      .toBuffer();
+    let bits = "";
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits += pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? "1" : "0";
+      }
+    }
+    return bits;
+  } catch (err) {
+    console.warn("[ImageHash] Could not hash image:", err.message);
+    return null;
+  }
+};
+
+/** dHash of an image we already host (e.g. a Cloudinary URL), or null. */
+export const computeImageHashFromUrl = async (url) => {
+  try {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 10000,
+      maxContentLength: 10 * 1024 * 1024,
+    });
+    return computeImageHash(Buffer.from(response.data));
+  } catch (err) {
+    console.warn("[ImageHash] Could not fetch image:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Compare the listing's hashed images with other listings' and store new
+ * matches. Returns what the caller needs to act on:
+ *   otherSellers  matches with photos owned by a different seller
+ *   ownListings   the seller's own active listings using the same photos
+ */
+export const recordImageMatches = async (listingId) => {
+  await db.query(
+    `INSERT INTO listing_image_matches
+       (listing_id, image_id, matched_listing_id, matched_image_id, distance, same_seller)
+     SELECT i.listingid, i.id, o.listingid, o.id, d.distance, ol.userid = l.userid
+     FROM imagelistings i
+     JOIN userlistings l ON l.id = i.listingid
+     JOIN imagelistings o ON o.phash IS NOT NULL
+       AND ${sharesHashBand("o.phash", "i.phash")}
+       AND o.listingid <> i.listingid
+     JOIN userlistings ol ON ol.id = o.listingid
+     CROSS JOIN LATERAL (
+       SELECT length(replace((i.phash # o.phash)::text, '0', '')) AS distance
+     ) d
+     WHERE i.listingid = $1
+       AND i.phash IS NOT NULL
+       AND d.distance <= $2
+     ON CONFLICT (image_id, matched_image_id) DO NOTHING`,
+    [listingId, HASH_MATCH_DISTANCE],
+  );
+
+  const result = await db.query(
+    `SELECT m.matched_listing_id, m.same_seller, ol.title, ol.status, ol.is_draft
+     FROM listing_image_matches m
+     JOIN userlistings ol ON ol.id = m.matched_listing_id
+     WHERE m.listing_id = $1`,
+    [listingId],
+  );
+
+  const otherSellers = result.rows.filter((match) => !match.same_seller);
+  const ownListings = new Map();
+  for (const match of result.rows) {
+    if (match.same_seller && match.status === "Available" && !match.is_draft) {
+      ownListings.set(match.matched_listing_id, {
+        id: match.matched_listing_id,
+        title: match.title,
+      });
+    }
+  }
+  return { otherSellers, ownListings: [...ownListings.values()] };
+};
+
+/** Whether any of the listing's photos match another seller's. */
+export const hasCrossSellerImageMatch = async (listingId) => {
+  const result = await db.query(
+    `SELECT 1 FROM listing_image_matches
+     WHERE listing_id = $1 AND NOT same_seller
+     LIMIT 1`,
+    [listingId],
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Cross-seller matches for the admin review screen, oldest matching listing
+ * first (most likely the original the photos were taken from).
+ */
+export const getImageMatchesForReview = async (listingId) => {
+  const result = await db.query(
+    `SELECT
+       m.id,
+       m.distance,
+       m.created_at,
+       i.imageurl AS image_url,
+       o.imageurl AS matched_image_url,
+       ol.id AS matched_listing_id,
+       ol.title AS matched_listing_title,
+       ol.status AS matched_listing_status,
+       ol.createdat AS matched_listing_created_at,
+       u.id AS matched_seller_id,
+       u.name AS matched_seller_name
+     FROM listing_image_matches m
+     JOIN imagelistings i ON i.id = m.image_id
+     JOIN imagelistings o ON o.id = m.matched_image_id
+     JOIN userlistings ol ON ol.id = m.matched_listing_id
+     LEFT JOIN users u ON u.id = ol.userid
+     WHERE m.listing_id = $1 AND NOT m.same_seller
+     ORDER BY ol.createdat ASC, m.distance ASC`,
+    [listingId],
+  );
+  return result.rows;
+};
@@ -0,0 +1,95 @@
+/**
+ * inventory.js
+ * Stock for listings that sell several identical items.
+ *
+ * userlistings.quantity is the stock still for sale. An order holds its
+ * units in three stages:
+ *   - none / pending  reserved: counted against availability, stock untouched
+ *   - paid_in_escrow  committed: taken off quantity for good
+ *   - refunded        restored: added back to quantity
+ * Reservations are derived from the orders table, so an order that fails
+ * (payment error, or runStaleOrderCleanup giving up on it) frees its units
+ * without any bookkeeping. A listing whose stock reaches zero is marked
+ * "Sold out" and drops out of browse until the seller restocks.
+ */
+
+import db from "../db.js";
+
+export const SOLD_OUT_STATUS = "Sold out";
+export const MAX_LISTING_QUANTITY = 10000;
+
+// Orders whose units are held but not yet paid for
+const RESERVING_STATUSES = "('none', 'pending')";
+
+/** Parse a quantity from a request body; `fallback` when absent, null if invalid. */
+export const parseQuantity = (raw, { fallback = 1, min = 1 } = {}) => {
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  if (!/^\d+$/.test(String(raw).trim())) return null;
+  const quantity = parseInt(raw, 10);
+  return quantity >= min && quantity <= MAX_LISTING_QUANTITY ? quantity : null;
+};
+
+/** SQL for the units of listing `alias` that are in stock and not reserved. */
+export const availableQuantitySql = (alias) =>
+  `GREATEST(${alias}.quantity - (
+     SELECT COALESCE(SUM(ro.quantity), 0)::int FROM orders ro
+     WHERE ro.listing_id = ${alias}.id AND ro.fonlok_status IN ${RESERVING_STATUSES}
+   ), 0)`;
+
+/**
+ * Units of a listing that can still be ordered. Call it after locking the
+ * listing row (SELECT … FOR UPDATE) so two checkouts can't both take the
+ * last unit.
+ */
+export const getAvailableQuantity = async (client, listingId) => {
+  const result = await client.query(
+    `SELECT ${availableQuantitySql("l")} AS available
+     FROM userlistings l WHERE l.id = $1`,
+    [listingId],
+  );
+  return result.rows[0]?.available ?? 0;
+};
+
+/**
+ * Take a paid order's units off the listing's stock, marking the listing
+ * sold out when none are left. Call once, when the order moves to
+ * paid_in_escrow.
+ */
+export const commitOrderStock = async (client, orderId) => {
+  await client.query(
+    `UPDATE userlistings l
+     SET quantity = GREATEST(l.quantity - o.quantity, 0),
+         status = CASE WHEN l.quantity - o.quantity <= 0 AND l.status = 'Available'
+                       THEN '${SOLD_OUT_STATUS}' ELSE l.status END,
+         updatedat = NOW()
+     FROM orders o
+     WHERE o.id = $1 AND l.id = o.listing_id`,
+    [orderId],
+  );
+};
+
+/** Put a refunded order's units back on sale. */
+export const restoreOrderStock = async (client, orderId) => {
+  await client.query(
+    `UPDATE userlistings l
+     SET quantity = l.quantity + o.quantity,
+         status = CASE WHEN l.status IN ('${SOLD_OUT_STATUS}', 'Sold', 'In Escrow')
+                       THEN 'Available' ELSE l.status END,
+         updatedat = NOW()
+     FROM orders o
+     WHERE o.id = $1 AND l.id = o.listing_id`,
+    [orderId],
+  );
+};
+
+/**
+ * After an order is released: the listing is finally "Sold" once its stock
+ * is gone; multi-unit listings with stock left stay on sale.
+ */
+export const markSoldIfOutOfStock = async (client, listingId) => {
+  await client.query(
+    `UPDATE userlistings SET status = 'Sold', updatedat = NOW()
+     WHERE id = $1 AND quantity <= 0`,
+    [listingId],
+  );
+};
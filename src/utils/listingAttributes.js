@@ -0,0 +1,272 @@
+/**
+ * listingAttributes.js
+ * Structured, category-specific listing fields ("attributes").
+ *
+ * Admins define a schema per category in category_attributes:
+ *   { key: "mileage", label: "Mileage", type: "number", unit: "km", required: true }
+ *   { key: "storage", label: "Storage", type: "select", allowed_values: ["64 GB", "128 GB"] }
+ *
+ * Listings store their values in userlistings.attributes as a JSON object
+ * keyed by attribute key. Values are validated and coerced on write, so the
+ * search filters can rely on numbers being numbers.
+ *
+ * Filters on GET /api/listings (only together with ?category=):
+ *   attr.<key>=value        exact match; comma-separate several values for "any of"
+ *   attr.<key>.min=n        number attributes, inclusive
+ *   attr.<key>.max=n
+ */
+
+import db from "../db.js";
+
+export const ATTRIBUTE_TYPES = ["text", "number", "boolean", "select"];
+
+const KEY_RE = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_TEXT_LENGTH = 200;
+
+/** Attribute schema for a category, in display order. */
+export const getCategoryAttributes = async (categoryId) => {
+  if (!categoryId) return [];
+  const result = await db.query(
+    `SELECT id, key, label, type, unit, allowed_values, required, sort_order
+     FROM category_attributes
+     WHERE category_id = $1
+     ORDER BY sort_order ASC, id ASC`,
+    [categoryId],
+  );
+  return result.rows;
+};
+
+/** Schemas for every category that has one, as { categoryId: [attributes] }. */
+export const getAllCategoryAttributes = async () => {
+  const result = await db.query(
+    `SELECT category_id, key, label, type, unit, allowed_values, required
+     FROM category_attributes
+     ORDER BY category_id, sort_order ASC, id ASC`,
+  );
+  const byCategory = {};
+  for (const { category_id, ...attribute } of result.rows) {
+    (byCategory[category_id] ||= []).push(attribute);
+  }
+  return byCategory;
+};
+
+/**
+ * Check an admin-submitted attribute definition.
+ * Returns { definition } or { error }.
+ */
+export const validateAttributeDefinition = (body, { partial = false } = {}) => {
+  const definition = {};
+
+  if (!partial || body.key !== undefined) {
+    const key = String(body.key || "")
+      .trim()
+      .toLowerCase();
+    if (!KEY_RE.test(key)) {
+      return {
+        error:
+          "key must start with a letter and use only a-z, 0-9 and _ (max 50 characters)",
+      };
+    }
+    definition.key = key;
+  }
+
+  if (!partial || body.label !== undefined) {
+    const label = String(body.label || "").trim();
+    if (!label || label.length > 100) {
+      return { error: "label is required (max 100 characters)" };
+    }
+    definition.label = label;
+  }
+
+  if (!partial || body.type !== undefined) {
+    if (!ATTRIBUTE_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${ATTRIBUTE_TYPES.join(", ")}` };
+    }
+    definition.type = body.type;
+  }
+
+  if (body.unit !== undefined) {
+    const unit = body.unit === null ? "" : String(body.unit).trim();
+    if (unit.length > 20) {
+      return { error: "unit must be at most 20 characters" };
+    }
+    definition.unit = unit || null;
+  }
+
+  if (body.allowed_values !== undefined) {
+    const values = body.allowed_values;
+    if (values !== null && !Array.isArray(values)) {
+      return { error: "allowed_values must be an array of strings" };
+    }
+    const cleaned = (values || [])
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+    definition.allowed_values = cleaned.length ? [...new Set(cleaned)] : null;
+  }
+
+  if (body.required !== undefined) {
+    definition.required = body.required === true || body.required === "true";
+  }
+
+  if (body.sort_order !== undefined) {
+    const sortOrder = parseInt(body.sort_order, 10);
+    definition.sort_order = isNaN(sortOrder) ? 0 : sortOrder;
+  }
+
+  if (
+    definition.type === "select" &&
+    !(definition.allowed_values && definition.allowed_values.length)
+  ) {
+    return { error: "select attributes need at least one allowed value" };
+  }
+
+  return { definition };
+};
+
+const coerceValue = (attribute, raw) => {
+  switch (attribute.type) {
+    case "number": {
+      const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+      return Number.isFinite(value) ? { value } : { error: "must be a number" };
+    }
+    case "boolean":
+      if (raw === true || raw === "true" || raw === "1" || raw === 1) {
+        return { value: true };
+      }
+      if (raw === false || raw === "false" || raw === "0" || raw === 0) {
+        return { value: false };
+      }
+      return { error: "must be true or false" };
+    case "select": {
+      const value = String(raw).trim();
+      const match = (attribute.allowed_values || []).find(
+        (allowed) => allowed.toLowerCase() === value.toLowerCase(),
+      );
+      return match
+        ? { value: match }
+        : {
+            error: `must be one of: ${(attribute.allowed_values || []).join(", ")}`,
+          };
+    }
+    default: {
+      const value = String(raw).trim();
+      return value.length > MAX_TEXT_LENGTH
+        ? { error: `must be at most ${MAX_TEXT_LENGTH} characters` }
+        : { value };
+    }
+  }
+};
+
+/**
+ * Validate submitted listing attributes against a category schema.
+ * `input` may be an object or a JSON string (multipart forms). Keys that
+ * aren't in the schema are dropped. Required attributes may be left out of
+ * drafts.
+ *
+ * Returns { attributes, errors } where errors maps key → message.
+ */
+export const validateListingAttributes = (
+  schema,
+  input,
+  { isDraft = false } = {},
+) => {
+  let values = input;
+  if (typeof values === "string") {
+    try {
+      values = values.trim() ? JSON.parse(values) : {};
+    } catch {
+      return { attributes: {}, errors: { attributes: "must be valid JSON" } };
+    }
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    values = {};
+  }
+
+  const attributes = {};
+  const errors = {};
+  for (const attribute of schema) {
+    const raw = values[attribute.key];
+    if (raw === undefined || raw === null || raw === "") {
+      if (attribute.required && !isDraft) {
+        errors[attribute.key] = `${attribute.label} is required`;
+      }
+      continue;
+    }
+    const { value, error } = coerceValue(attribute, raw);
+    if (error) {
+      errors[attribute.key] = `${attribute.label} ${error}`;
+    } else {
+      attributes[attribute.key] = value;
+    }
+  }
+  return { attributes, errors };
+};
+
+/**
+ * Keep only the attribute values that fit the schema, silently dropping the
+ * rest — for untrusted suggestions such as the AI image analysis.
+ */
+export const sanitizeListingAttributes = (schema, input) => {
+  const { attributes } = validateListingAttributes(schema, input, {
+    isDraft: true,
+  });
+  return attributes;
+};
+
+/**
+ * WHERE conditions for attr.* query parameters, numbered from $<paramIndex>.
+ * Returns { conditions, params, error }.
+ */
+export const buildAttributeFilters = (schema, query, paramIndex) => {
+  const conditions = [];
+  const params = [];
+  const byKey = new Map(schema.map((attribute) => [attribute.key, attribute]));
+  let paramCount = paramIndex;
+
+  for (const [name, raw] of Object.entries(query)) {
+    const match = /^attr\.([a-z0-9_]+)(?:\.(min|max))?$/.exec(name);
+    if (!match || raw === "" || raw === undefined) continue;
+    const [, key, bound] = match;
+    const attribute = byKey.get(key);
+    if (!attribute) {
+      return { error: `Unknown attribute "${key}" for this category` };
+    }
+
+    if (bound) {
+      const value = Number(raw);
+      if (attribute.type !== "number" || !Number.isFinite(value)) {
+        return {
+          error: `attr.${key}.${bound} needs a numeric attribute and value`,
+        };
+      }
+      conditions.push(
+        `(CASE WHEN jsonb_typeof(l.attributes -> $${paramCount}::text) = 'number'
+               THEN (l.attributes ->> $${paramCount}::text)::numeric END)
+           ${bound === "min" ? ">=" : "<="} $${paramCount + 1}`,
+      );
+      params.push(key, value);
+      paramCount += 2;
+      continue;
+    }
+
+    const wanted = [];
+    for (const part of String(raw).split(",")) {
+      if (!part.trim()) continue;
+      const { value, error } = coerceValue(attribute, part);
+      if (error) {
+        return { error: `attr.${key} ${error}` };
+      }
+      wanted.push(value);
+    }
+    if (wanted.length === 0) continue;
+    conditions.push(
+      `(${wanted
+        .map((_, i) => `l.attributes @> $${paramCount + i}::jsonb`)
+        .join(" OR ")})`,
+    );
+    params.push(...wanted.map((value) => JSON.stringify({ [key]: value })));
+    paramCount += wanted.length;
+  }
+
+  return { conditions, params };
+};
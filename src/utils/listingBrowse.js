@@ -0,0 +1,63 @@
+/**
+ * listingBrowse.js
+ * Shared pieces for paginated listing feeds: page sizes, opaque keyset
+ * cursors and loading the images for a whole page in one query.
+ *
+ * A cursor is the sort key and id of the last row on the previous page,
+ * base64url-encoded. The next page is everything strictly after that
+ * (key, id) pair in sort order, so pages stay stable while new listings
+ * are being posted — unlike OFFSET.
+ */
+
+import db from "../db.js";
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+export const parsePageSize = (raw) => {
+  const limit = parseInt(raw, 10);
+  if (isNaN(limit) || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+export const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString("base64url");
+
+/** Decode a cursor into its array of values, or null if it is malformed. */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const values = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8"),
+    );
+    return Array.isArray(values) ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Add an `images` array (main image first) to every listing on the page
+ * using a single imagelistings query.
+ */
+export const attachListingImages = async (listings) => {
+  if (listings.length === 0) return listings;
+
+  const result = await db.query(
+    `SELECT * FROM imagelistings
+     WHERE listingid = ANY($1::int[])
+     ORDER BY listingid, is_main DESC, id ASC`,
+    [listings.map((listing) => listing.id)],
+  );
+
+  const byListing = new Map();
+  for (const image of result.rows) {
+    if (!byListing.has(image.listingid)) byListing.set(image.listingid, []);
+    byListing.get(image.listingid).push(image);
+  }
+
+  return listings.map((listing) => ({
+    ...listing,
+    images: byListing.get(listing.id) || [],
+  }));
+};
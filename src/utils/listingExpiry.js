@@ -0,0 +1,171 @@
+/**
+ * listingExpiry.js
+ * Listing lifetimes, expiry warnings and auto-renew.
+ *
+ * A listing stays live for its category's lifetime (categories.listing_lifetime_days,
+ * inherited from the nearest ancestor that sets one, else DEFAULT_LIFETIME_DAYS),
+ * counted from createdat — renewing resets createdat. runListingExpiry()
+ * (daily, from server.js) then:
+ *
+ *  1. renews listings whose owner turned on auto-renew, at most
+ *     MAX_AUTO_RENEWALS times in a row (a manual renew starts the count again)
+ *  2. warns the owner of every other listing within its warning period
+ *     (EXPIRY_WARNING_DAYS, or half the lifetime for short ones)
+ *  3. expires listings past their expiry date
+ *
+ * Warnings are claimed with expiry_warned_at in the same UPDATE that selects
+ * them, so each is sent exactly once, and the cron picks up anything that
+ * became due while it wasn't running. A listing is never expired before its
+ * warning went out: if the warning was late, the seller still gets the full
+ * warning period from when it was sent.
+ */
+
+import db from "../db.js";
+import { sendListingExpiryWarning, sendListingExpired } from "./email.js";
+import {
+  buildNotificationPayload,
+  sendPushToUser,
+} from "./pushNotifications.js";
+
+export const DEFAULT_LIFETIME_DAYS = 60;
+export const EXPIRY_WARNING_DAYS = 7;
+export const MAX_AUTO_RENEWALS = 3;
+
+/** SQL: the listing's lifetime in days. */
+export const listingLifetimeSql = (alias = "l") =>
+  `COALESCE(category_listing_lifetime(${alias}.categoryid), ${DEFAULT_LIFETIME_DAYS})`;
+
+const warningDaysSql = (alias) =>
+  `LEAST(${EXPIRY_WARNING_DAYS}, ${listingLifetimeSql(alias)} / 2)`;
+
+/** SQL: when the listing expires (later than its lifetime if warned late). */
+export const listingExpiresAtSql = (alias = "l") =>
+  `GREATEST(
+     ${alias}.createdat + make_interval(days => ${listingLifetimeSql(alias)}),
+     ${alias}.expiry_warned_at + make_interval(days => ${warningDaysSql(alias)})
+   )`;
+
+// Live listings without an order in progress; only these age out
+const expirableSql = (alias) =>
+  `${alias}.status = 'Available'
+   AND ${alias}.moderation_status = 'approved'
+   AND NOT EXISTS (
+     SELECT 1 FROM orders o WHERE o.listing_id = ${alias}.id
+     AND o.fonlok_status IN ('pending', 'paid_in_escrow')
+   )`;
+
+const willAutoRenewSql = (alias) =>
+  `(${alias}.auto_renew AND ${alias}.auto_renew_count < ${MAX_AUTO_RENEWALS})`;
+
+const daysUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const autoRenewListings = async () => {
+  const result = await db.query(
+    `UPDATE userlistings l
+     SET createdat = NOW(), updatedat = NOW(),
+         auto_renew_count = l.auto_renew_count + 1,
+         expiry_warned_at = NULL
+     WHERE ${expirableSql("l")}
+       AND ${willAutoRenewSql("l")}
+       AND l.createdat + make_interval(days => ${listingLifetimeSql("l")}) <= NOW()
+     RETURNING l.id, l.title, l.userid, l.auto_renew_count`,
+  );
+  for (const row of result.rows) {
+    const left = MAX_AUTO_RENEWALS - row.auto_renew_count;
+    const message =
+      left > 0
+        ? `Your listing "${row.title}" was renewed automatically. ${left} automatic renewal${left === 1 ? "" : "s"} left.`
+        : `Your listing "${row.title}" was renewed automatically for the last time. Renew it yourself next time it expires.`;
+    db.query(
+      `INSERT INTO notifications (userid, title, message, type, relatedid, relatedtype)
+       VALUES ($1, $2, $3, 'listing_auto_renewed', $4, 'listing')`,
+      [row.userid, "Listing renewed", message, row.id],
+    ).catch(() => {});
+    sendPushToUser(
+      row.userid,
+      buildNotificationPayload({
+        type: "listing_auto_renewed",
+        title: "Listing renewed",
+        body: message,
+        url: "/dashboard",
+      }),
+    );
+  }
+  return result.rowCount;
+};
+
+const sendExpiryWarnings = async () => {
+  const result = await db.query(
+    `UPDATE userlistings l
+     SET expiry_warned_at = NOW()
+     FROM users u
+     WHERE u.id = l.userid
+       AND ${expirableSql("l")}
+       AND NOT ${willAutoRenewSql("l")}
+       AND l.expiry_warned_at IS NULL
+       AND l.createdat + make_interval(days => ${listingLifetimeSql("l")} - ${warningDaysSql("l")}) <= NOW()
+     RETURNING l.id, l.title, l.price, l.currency,
+               u.name, u.email, u.id AS user_id,
+               ${listingExpiresAtSql("l")} AS expires_at`,
+  );
+  for (const row of result.rows) {
+    const days = daysUntil(row.expires_at);
+    sendListingExpiryWarning(
+      { name: row.name, email: row.email },
+      { ...row, days_left: days },
+    ).catch(() => {});
+    sendPushToUser(
+      row.user_id,
+      buildNotificationPayload({
+        type: "listing_expiry_warning",
+        title: "Listing expiring soon",
+        body: `Your listing "${row.title}" will expire in ${days} day${days === 1 ? "" : "s"}. Renew it now.`,
+        url: "/dashboard",
+      }),
+    );
+  }
+  return result.rowCount;
+};
+
+const expireListings = async () => {
+  const result = await db.query(
+    `UPDATE userlistings l
+     SET status = 'Expired', updatedat = NOW()
+     FROM users u
+     WHERE u.id = l.userid
+       AND ${expirableSql("l")}
+       AND NOT ${willAutoRenewSql("l")}
+       AND l.expiry_warned_at IS NOT NULL
+       AND ${listingExpiresAtSql("l")} <= NOW()
+     RETURNING l.id, l.title, l.price, l.currency, l.userid, u.name, u.email`,
+  );
+  for (const row of result.rows) {
+    sendListingExpired({ name: row.name, email: row.email }, row).catch(
+      () => {},
+    );
+    sendPushToUser(
+      row.userid,
+      buildNotificationPayload({
+        type: "listing_expired",
+        title: "Listing expired",
+        body: `Your listing "${row.title}" has expired. Renew it to relist.`,
+        url: "/dashboard",
+      }),
+    );
+  }
+  return result.rowCount;
+};
+
+/** One pass of the expiry job: auto-renew, then warn, then expire. */
+export const runListingExpiry = async () => {
+  const renewed = await autoRenewListings();
+  const warned = await sendExpiryWarnings();
+  const expired = await expireListings();
+  if (renewed || warned || expired) {
+    console.log(
+      `[Expiry] Auto-renewed ${renewed}, warned ${warned}, expired ${expired} listing(s).`,
+    );
+  }
+  return { renewed, warned, expired };
+};
@@ -0,0 +1,321 @@
+/**
+ * listingImport.js
+ * Parsing and validation for bulk listing import (POST /api/listings/import).
+ *
+ * Sellers upload a CSV or JSON file with one listing per row, optionally
+ * with a ZIP of photos. Column names are case-insensitive:
+ *   title, description, price, currency, category, country, city,
+ *   condition, phone, seller_email, tags, delivery_type, delivery_notes,
+ *   quantity, latitude, longitude, attributes, image_urls, image_files
+ * `category` is a category id, slug or name. In CSV, list fields (tags,
+ * image_urls, image_files) are separated by "|" (tags may also use ","),
+ * `attributes` is a JSON object, and attr.<key> columns set single
+ * attributes. image_files name photos inside the ZIP.
+ */
+
+import AdmZip from "adm-zip";
+import db from "../db.js";
+import { parseQuantity } from "./inventory.js";
+import { validateListingAttributes } from "./listingAttributes.js";
+
+export const MAX_IMPORT_ROWS = 200;
+export const MAX_IMAGES_PER_LISTING = 10;
+// Uncompressed size limits for photos taken from the ZIP
+export const MAX_ARCHIVE_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_ARCHIVE_TOTAL_BYTES = 100 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)$/i;
+
+/** Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF) into rows of cells. */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+const normaliseKey = (key) =>
+  String(key).trim().toLowerCase().replace(/\s+/g, "_");
+
+/**
+ * Rows of an uploaded CSV or JSON file as plain objects with normalised
+ * keys. Throws with a user-facing message when the file can't be read.
+ */
+export const parseImportFile = (file) => {
+  const text = file.buffer.toString("utf8");
+  const isJson =
+    file.mimetype === "application/json" || /\.json$/i.test(file.originalname);
+
+  let records;
+  if (isJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error("The JSON file could not be parsed");
+    }
+    records = Array.isArray(parsed) ? parsed : parsed?.listings;
+    if (!Array.isArray(records)) {
+      throw new Error("The JSON file must be an array of listings");
+    }
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error("The CSV file is empty");
+    const keys = header.map(normaliseKey);
+    records = lines.map((cells) =>
+      Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ""])),
+    );
+  }
+
+  return normaliseImportRecords(records);
+};
+
+/** Import records (e.g. a JSON request body) with normalised keys. */
+export const normaliseImportRecords = (records) =>
+  records.map((record) =>
+    record && typeof record === "object" && !Array.isArray(record)
+      ? Object.fromEntries(
+          Object.entries(record).map(([key, value]) => [
+            normaliseKey(key),
+            value,
+          ]),
+        )
+      : {},
+  );
+
+/**
+ * Photos in an uploaded ZIP, keyed by lower-cased file name (folders ignored).
+ * Only the names in `wanted` (see referencedImageFiles) are extracted, and
+ * their uncompressed sizes are checked against the caps before anything is
+ * decompressed — the upload limit only bounds the compressed file.
+ */
+export const readImageArchive = (buffer, wanted) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new Error("The image archive is not a valid ZIP file");
+  }
+  const images = new Map();
+  let totalBytes = 0;
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !IMAGE_EXTENSIONS.test(entry.entryName)) continue;
+    const name = entry.entryName.split("/").pop().toLowerCase();
+    if (name.startsWith(".") || !wanted.has(name)) continue;
+    if (entry.header.size > MAX_ARCHIVE_IMAGE_BYTES) {
+      throw new Error(
+        `"${name}" in the image archive is larger than ${MAX_ARCHIVE_IMAGE_BYTES / (1024 * 1024)} MB`,
+      );
+    }
+    totalBytes += entry.header.size;
+    if (totalBytes > MAX_ARCHIVE_TOTAL_BYTES) {
+      throw new Error(
+        `The images in the archive add up to more than ${MAX_ARCHIVE_TOTAL_BYTES / (1024 * 1024)} MB`,
+      );
+    }
+    images.set(name, entry.getData());
+  }
+  return images;
+};
+
+const toList = (value, separator = "|") => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.map((v) => String(v).trim());
+  return String(value)
+    .split(separator)
+    .map((v) => v.trim())
+    .filter(Boolean);
+};
+
+/** Lower-cased image_files names used by any of the import rows. */
+export const referencedImageFiles = (rows) =>
+  new Set(
+    rows.flatMap((row) =>
+      toList(row.image_files).map((name) => name.toLowerCase()),
+    ),
+  );
+
+const text = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+/**
+ * Category lookup for an import: every category by id, slug and lower-cased
+ * name, loaded once per request.
+ */
+export const loadCategoryLookup = async () => {
+  const result = await db.query("SELECT id, name, slug FROM categories");
+  const lookup = new Map();
+  for (const category of result.rows) {
+    lookup.set(String(category.id), category.id);
+    if (category.slug) lookup.set(category.slug.toLowerCase(), category.id);
+    lookup.set(category.name.toLowerCase(), category.id);
+  }
+  return lookup;
+};
+
+/**
+ * Validate one import row. `getSchema(categoryId)` returns the category's
+ * attribute schema and `archive` is the map from readImageArchive (or null).
+ * Returns { listing, imageUrls, imageFiles } or { errors } (field → message).
+ */
+export const validateImportRow = async (
+  row,
+  { categories, getSchema, archive },
+) => {
+  const errors = {};
+
+  const title = text(row.title);
+  if (!title) errors.title = "title is required";
+
+  const description = text(row.description);
+  if (!description) errors.description = "description is required";
+
+  const price = Number(text(row.price));
+  if (!text(row.price) || !Number.isFinite(price) || price <= 0) {
+    errors.price = "price must be a number greater than 0";
+  }
+
+  const currency = text(row.currency).toUpperCase() || "USD";
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    errors.currency = "currency must be a 3-letter code";
+  }
+
+  const categoryRef = text(row.category || row.category_id || row.categoryid);
+  const categoryId = categories.get(categoryRef.toLowerCase());
+  if (!categoryRef) errors.category = "category is required";
+  else if (!categoryId) errors.category = `unknown category "${categoryRef}"`;
+
+  const city = text(row.city);
+  if (!city) errors.city = "city is required";
+
+  const phone = text(row.phone);
+  if (!phone) errors.phone = "phone is required";
+
+  const condition = text(row.condition).toLowerCase() || "new";
+  if (condition.length > 50) errors.condition = "condition is too long";
+
+  const deliveryType = text(row.delivery_type).toLowerCase() || "pickup";
+  if (deliveryType.length > 20) {
+    errors.delivery_type = "delivery_type is too long";
+  }
+
+  const quantity = parseQuantity(row.quantity);
+  if (quantity === null) {
+    errors.quantity = "quantity must be a whole number of at least 1";
+  }
+
+  const sellerEmail = text(row.seller_email);
+  if (sellerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sellerEmail)) {
+    errors.seller_email = "seller_email is not a valid email address";
+  }
+
+  // attributes: a JSON object, plus attr.<key> columns on top
+  let attributeInput = row.attributes;
+  if (typeof attributeInput === "string" && attributeInput.trim()) {
+    try {
+      attributeInput = JSON.parse(attributeInput);
+    } catch {
+      errors.attributes = "attributes must be a JSON object";
+    }
+  }
+  const attributeValues = {
+    ...(attributeInput && typeof attributeInput === "object"
+      ? attributeInput
+      : {}),
+  };
+  for (const [key, value] of Object.entries(row)) {
+    if (key.startsWith("attr.") && text(value)) {
+      attributeValues[key.slice(5)] = value;
+    }
+  }
+  let attributes = {};
+  if (categoryId && !errors.attributes) {
+    // Imports are drafts, so required attributes can be filled in later
+    const check = validateListingAttributes(
+      await getSchema(categoryId),
+      attributeValues,
+      { isDraft: true },
+    );
+    for (const [key, message] of Object.entries(check.errors)) {
+      errors[`attr.${key}`] = message;
+    }
+    attributes = check.attributes;
+  }
+
+  const imageUrls = toList(row.image_urls);
+  const badUrl = imageUrls.find((url) => !/^https?:\/\/\S+$/i.test(url));
+  if (badUrl) errors.image_urls = `"${badUrl}" is not an http(s) URL`;
+
+  const imageFiles = toList(row.image_files).map((name) => name.toLowerCase());
+  if (imageFiles.length && !archive) {
+    errors.image_files = "image_files need a ZIP of images in the upload";
+  } else {
+    const missing = imageFiles.filter((name) => !archive?.has(name));
+    if (missing.length) {
+      errors.image_files = `not found in the ZIP: ${missing.join(", ")}`;
+    }
+  }
+  if (imageUrls.length + imageFiles.length > MAX_IMAGES_PER_LISTING) {
+    errors.images = `at most ${MAX_IMAGES_PER_LISTING} images per listing`;
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+
+  return {
+    listing: {
+      title,
+      description,
+      price,
+      currency,
+      categoryid: categoryId,
+      location: text(row.location),
+      country: text(row.country) || "Cameroon",
+      city,
+      condition,
+      phone,
+      seller_email: sellerEmail || null,
+      tags: toList(row.tags, /[|,]/),
+      delivery_type: deliveryType,
+      delivery_notes: text(row.delivery_notes) || null,
+      quantity,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      attributes,
+    },
+    imageUrls,
+    imageFiles,
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * listingQuestions.js
+ * Public questions and answers on listings (table listing_questions).
+ *
+ * Any signed-in user who isn't suspended can ask; only the seller answers.
+ * Answered questions are public and shown on the listing. Until then a
+ * question is visible only to the seller and the person who asked it.
+ * Questions are reported like listings (report_type 'question') and a
+ * moderator removes them by setting status = 'removed'.
+ */
+
+import db from "../db.js";
+
+export const MIN_QUESTION_LENGTH = 5;
+export const MAX_QUESTION_LENGTH = 500;
+export const MAX_ANSWER_LENGTH = 1000;
+// Unanswered questions one user can have waiting on a listing
+export const MAX_OPEN_QUESTIONS = 3;
+
+const questionSelect = `
+  SELECT q.id, q.listing_id, q.asker_id, u.name AS asker_name,
+         u.profilepictureurl AS asker_picture,
+         q.question, q.answer, q.answered_at, q.created_at
+  FROM listing_questions q
+  LEFT JOIN users u ON u.id = q.asker_id`;
+
+/**
+ * A listing's visible questions, newest first. Everyone gets the answered
+ * ones; `viewerId` also gets the unanswered questions they may see (all of
+ * them for the seller, their own for anyone else).
+ */
+export const getListingQuestions = async (
+  listingId,
+  { viewerId = null, sellerId = null } = {},
+) => {
+  const result = await db.query(
+    `${questionSelect}
+     WHERE q.listing_id = $1
+       AND q.status = 'visible'
+       AND (
+         q.answer IS NOT NULL
+         OR ($2::int IS NOT NULL AND $2::int = $3::int)
+         OR q.asker_id = $2::int
+       )
+     ORDER BY (q.answer IS NULL) DESC, COALESCE(q.answered_at, q.created_at) DESC`,
+    [listingId, viewerId, sellerId],
+  );
+  return result.rows;
+};
+
+/** A visible question with its listing's owner and title, or null. */
+export const getQuestionWithListing = async (listingId, questionId) => {
+  const result = await db.query(
+    `SELECT q.*, l.userid AS seller_id, l.title AS listing_title
+     FROM listing_questions q
+     JOIN userlistings l ON l.id = q.listing_id
+     WHERE q.id = $1 AND q.listing_id = $2 AND q.status = 'visible'`,
+    [questionId, listingId],
+  );
+  return result.rows[0] || null;
+};
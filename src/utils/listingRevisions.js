@@ -0,0 +1,170 @@
+/**
+ * listingRevisions.js
+ * Edit history for listings (table listing_revisions).
+ *
+ * Every owner edit (PUT /api/listings/:id, update-price and bulk edit)
+ * stores the fields it changed as { field: { from, to } }. Editing a high-risk field of an
+ * approved listing puts the listing back in the moderation queue; the
+ * moderator then looks at just that revision and can accept it or revert
+ * individual fields to their previous value.
+ */
+
+import db from "../db.js";
+
+// Listing columns tracked in revisions, with how to compare their values
+const TRACKED_FIELDS = {
+  title: "text",
+  description: "text",
+  price: "number",
+  currency: "text",
+  categoryid: "number",
+  location: "text",
+  country: "text",
+  city: "text",
+  condition: "text",
+  phone: "text",
+  seller_email: "text",
+  tags: "array",
+  delivery_type: "text",
+  delivery_notes: "text",
+  attributes: "json",
+};
+
+// Changes to these on an approved listing need a moderator to look again
+export const HIGH_RISK_FIELDS = ["title", "price", "images"];
+
+// Fields a moderator can put back to their previous value
+export const REVERTIBLE_FIELDS = [...Object.keys(TRACKED_FIELDS), "images"];
+
+const normalise = (kind, value) => {
+  if (value === undefined || value === null || value === "") return null;
+  switch (kind) {
+    case "number":
+      return Number(value);
+    case "array":
+      return Array.isArray(value) ? value.map(String) : [String(value)];
+    case "json":
+      return typeof value === "string" ? JSON.parse(value) : value;
+    default:
+      return String(value);
+  }
+};
+
+// JSON with object keys sorted: JSONB doesn't keep the order keys were written in
+const stableJson = (value) =>
+  JSON.stringify(value, (_, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(
+          Object.entries(v).sort(([x], [y]) => (x < y ? -1 : 1)),
+        )
+      : v,
+  );
+
+const sameValue = (a, b) => stableJson(a) === stableJson(b);
+
+/**
+ * Field-level diff between the stored listing and the values an edit is
+ * about to write. `images` compares the listing's image URLs before and
+ * after the edit and is recorded as { added, removed }.
+ */
+export const diffListing = (before, after, images = null) => {
+  const changes = {};
+  for (const [field, kind] of Object.entries(TRACKED_FIELDS)) {
+    if (!(field in after)) continue;
+    const from = normalise(kind, before[field]);
+    const to = normalise(kind, after[field]);
+    if (!sameValue(from, to)) changes[field] = { from, to };
+  }
+
+  if (images) {
+    const added = images.after.filter((url) => !images.before.includes(url));
+    const removed = images.before.filter((url) => !images.after.includes(url));
+    if (added.length || removed.length) {
+      changes.images = { added, removed };
+    }
+  }
+  return changes;
+};
+
+/** Whether a diff touches a field that sends an approved listing back to review. */
+export const needsReview = (changes) =>
+  HIGH_RISK_FIELDS.some((field) => field in changes);
+
+/**
+ * Store a revision; returns it, or null when the edit changed nothing. Pass
+ * `client` to write it inside an open transaction.
+ */
+export const recordListingRevision = async (
+  { listingId, editorId, changes, requiresReview },
+  client = db,
+) => {
+  if (Object.keys(changes).length === 0) return null;
+  const result = await client.query(
+    `INSERT INTO listing_revisions
+       (listing_id, editor_id, changes, requires_review, review_status)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      listingId,
+      editorId,
+      JSON.stringify(changes),
+      requiresReview,
+      requiresReview ? "pending" : "not_required",
+    ],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Put `fields` of a revision back to their previous values. A field is
+ * skipped (and reported in `conflicts`) when a later edit has changed it
+ * again, so a review never overwrites newer content. Reverting `images`
+ * removes the images the revision added; removed images are deleted from
+ * storage on edit and can't come back.
+ */
+export const revertRevisionFields = async (client, revision, fields) => {
+  const listingResult = await client.query(
+    "SELECT * FROM userlistings WHERE id = $1 FOR UPDATE",
+    [revision.listing_id],
+  );
+  const listing = listingResult.rows[0];
+  const reverted = [];
+  const conflicts = [];
+  const sets = [];
+  const params = [];
+
+  for (const field of fields) {
+    const change = revision.changes[field];
+    if (!change) continue;
+
+    if (field === "images") {
+      if (change.added.length) {
+        await client.query(
+          "DELETE FROM imagelistings WHERE listingid = $1 AND imageurl = ANY($2::text[])",
+          [revision.listing_id, change.added],
+        );
+      }
+      reverted.push(field);
+      continue;
+    }
+
+    const kind = TRACKED_FIELDS[field];
+    if (!sameValue(normalise(kind, listing[field]), change.to)) {
+      conflicts.push(field);
+      continue;
+    }
+    params.push(kind === "json" ? JSON.stringify(change.from) : change.from);
+    sets.push(`${field} = $${params.length}`);
+    reverted.push(field);
+  }
+
+  if (sets.length) {
+    params.push(revision.listing_id);
+    await client.query(
+      `UPDATE userlistings SET ${sets.join(", ")}, updatedat = NOW()
+       WHERE id = $${params.length}`,
+      params,
+    );
+  }
+  return { reverted, conflicts };
+};
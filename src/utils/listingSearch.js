@@ -0,0 +1,65 @@
+/**
+ * listingSearch.js
+ * Full-text listing search on top of the listing_search table
+ * (see migration 012_create_listing_search_index).
+ *
+ * A search string like  `"iphone 12" chargeur`  becomes the tsquery
+ * `(iphone <-> 12) & chargeur:*`:
+ *  - quoted text must appear as a phrase
+ *  - every other word also matches as a prefix ("sams" finds "samsung")
+ *  - the query is run through the English, French and unstemmed
+ *    configurations, so "voitures" finds "voiture" and "cars" finds "car"
+ * Titles that are a close trigram match still count, which catches typos
+ * such as "samsnug".
+ *
+ * Both tests use an index: `@@` the GIN document index and `<%` the trigram
+ * index on title_norm. `<%` compares against the session's
+ * pg_trgm.word_similarity_threshold, which db.js sets to TRIGRAM_THRESHOLD on
+ * every pooled connection.
+ */
+
+export const TRIGRAM_THRESHOLD = 0.45;
+
+const tokenize = (text) => text.match(/[\p{L}\p{N}]+/gu) || [];
+
+/** Turn free text into a tsquery string, or null if nothing is searchable. */
+export const toListingTsQuery = (search) => {
+  const parts = [];
+  const remainder = String(search).replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 1) parts.push(`(${words.join(" <-> ")})`);
+    else if (words.length === 1) parts.push(words[0]);
+    return " ";
+  });
+  for (const word of tokenize(remainder)) {
+    parts.push(`${word}:*`);
+  }
+  return parts.length ? parts.join(" & ") : null;
+};
+
+/**
+ * SQL fragments for searching listings aliased `l`, with the search params
+ * starting at $<paramIndex>. Returns null when there is nothing to search for.
+ *
+ *   { join, condition, rank, params }
+ *
+ * `join` must be added to FROM, `condition` to WHERE, and `rank` can be
+ * selected or ordered by (higher is more relevant).
+ */
+export const buildListingSearch = (search, paramIndex) => {
+  const text = String(search || "").trim();
+  const tsquery = toListingTsQuery(text);
+  if (!tsquery) return null;
+
+  const raw = `lower(unaccent($${paramIndex}))`;
+  const q = `$${paramIndex + 1}`;
+  const similarity = `COALESCE(word_similarity(${raw}, ls.title_norm), 0)`;
+  const query = `(to_tsquery('english', unaccent(${q})) || to_tsquery('french', unaccent(${q})) || to_tsquery('simple', unaccent(${q})))`;
+
+  return {
+    join: "LEFT JOIN listing_search ls ON ls.listing_id = l.id",
+    condition: `(ls.document @@ ${query} OR ${raw} <% ls.title_norm)`,
+    rank: `(COALESCE(ts_rank_cd(ls.document, ${query}), 0) + ${similarity} * 0.5)`,
+    params: [text, tsquery],
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * listingVideos.js
+ * Short walkaround videos on listings (table listing_videos).
+ *
+ * A listing has at most one video. Sellers upload it through
+ * PUT /api/listings/:id/video; Cloudinary stores it and renders a JPG
+ * thumbnail. Every new video waits for a moderator (admin listing queue)
+ * and is only shown to buyers once approved — the listing itself stays
+ * live meanwhile.
+ */
+
+import cloudinary from "../storage/cloudinary.js";
+import db from "../db.js";
+
+export const MAX_VIDEO_SECONDS = 60;
+export const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+
+/** Upload a video buffer to Cloudinary with an eager thumbnail. */
+export const uploadListingVideo = (buffer) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder: "marketplace/listings/video",
+        resource_type: "video",
+        eager: [{ format: "jpg", transformation: [{ start_offset: "auto" }] }],
+        eager_async: false,
+      },
+      (error, result) => (error ? reject(error) : resolve(result)),
+    );
+    stream.end(buffer);
+  });
+
+/** Remove a video from Cloudinary (fire-and-forget). */
+export const destroyListingVideo = (publicId) => {
+  if (!publicId) return;
+  Promise.resolve()
+    .then(() =>
+      cloudinary.uploader.destroy(publicId, { resource_type: "video" }),
+    )
+    .catch(() => {});
+};
+
+/**
+ * The listing's video for a response, or null. Buyers only see approved
+ * videos; pass `includeUnapproved` for the owner and moderators.
+ */
+export const getListingVideo = async (
+  listingId,
+  { includeUnapproved = false } = {},
+) => {
+  const result = await db.query(
+    `SELECT id, video_url, thumbnail_url, duration_seconds, size_bytes,
+            moderation_status, rejection_reason, created_at
+     FROM listing_videos
+     WHERE listing_id = $1 AND ($2 OR moderation_status = 'approved')`,
+    [listingId, includeUnapproved],
+  );
+  return result.rows[0] || null;
+};
@@ -0,0 +1,184 @@
+/**
+ * loginSecurity.js
+ * Per-account lockout and login history for Njimbong users.
+ *
+ * Every password login attempt against a known account is written to
+ * login_events. Failures bump users.failed_login_count; from the fifth
+ * consecutive failure the account is locked, starting at one minute and
+ * doubling with each further failure up to an hour. A successful login
+ * resets the counter.
+ *
+ * Successful logins are compared against the account's earlier ones: a new
+ * device (user agent) or a new country triggers an alert email. The country
+ * comes from the CDN / proxy geo header, so it is only known in production.
+ */
+
+import crypto from "crypto";
+import db from "../db.js";
+import { clientIp, clientUserAgent } from "./sessions.js";
+import { sendNewLoginAlert } from "./email.js";
+
+const FREE_ATTEMPTS = 5;
+const MAX_LOCK_MINUTES = 60;
+
+// Geo headers set by the usual edge networks, in order of preference
+const COUNTRY_HEADERS = [
+  "cf-ipcountry",
+  "x-vercel-ip-country",
+  "cloudfront-viewer-country",
+  "x-country-code",
+];
+
+const clientCountry = (req) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = String(req.headers[header] || "").toUpperCase();
+    // XX / T1 are Cloudflare's "unknown" and "Tor" markers
+    if (/^[A-Z]{2}$/.test(value) && value !== "XX" && value !== "T1") {
+      return value;
+    }
+  }
+  return null;
+};
+
+const deviceHash = (userAgent) =>
+  userAgent
+    ? crypto.createHash("sha256").update(userAgent).digest("hex")
+    : null;
+
+/** "Chrome on Windows"-style label for emails and the history screen. */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+      [/okhttp|Dart\//, "Njimbong app"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Browser";
+  const os =
+    [
+      [/Windows/, "Windows"],
+      [/Android/, "Android"],
+      [/iPhone|iPad|iOS/, "iOS"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || null;
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/** When the account is locked, the time it unlocks; otherwise null. */
+export const getLockedUntil = (user) =>
+  user.locked_until && new Date(user.locked_until) > new Date()
+    ? new Date(user.locked_until)
+    : null;
+
+/**
+ * Record a failed attempt and lock the account once it has run out of free
+ * attempts. Returns the lock expiry (or null if still unlocked).
+ */
+export const recordLoginFailure = async (userId, req, reason) => {
+  const userAgent = clientUserAgent(req);
+  await db.query(
+    `INSERT INTO login_events (user_id, success, failure_reason, ip_address, user_agent, device_hash, country)
+     VALUES ($1, FALSE, $2, $3, $4, $5, $6)`,
+    [
+      userId,
+      reason,
+      clientIp(req),
+      userAgent,
+      deviceHash(userAgent),
+      clientCountry(req),
+    ],
+  );
+
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_count = COALESCE(failed_login_count, 0) + 1,
+         locked_until = CASE
+           WHEN COALESCE(failed_login_count, 0) + 1 >= $2
+           THEN NOW() + make_interval(mins => LEAST(POWER(2, COALESCE(failed_login_count, 0) + 1 - $2), $3)::int)
+           ELSE locked_until
+         END
+     WHERE id = $1
+     RETURNING failed_login_count, locked_until`,
+    [userId, FREE_ATTEMPTS, MAX_LOCK_MINUTES],
+  );
+
+  const row = result.rows[0];
+  if (row?.failed_login_count === FREE_ATTEMPTS) {
+    console.warn(
+      `[LoginSecurity] Account locked after ${FREE_ATTEMPTS} failed logins: user=${userId}`,
+    );
+  }
+  return row ? getLockedUntil(row) : null;
+};
+
+/**
+ * Record a successful login, clear the failure counter and, when the device
+ * or country has not been seen on this account before, email the owner.
+ */
+export const recordLoginSuccess = async (user, req) => {
+  const userAgent = clientUserAgent(req);
+  const hash = deviceHash(userAgent);
+  const country = clientCountry(req);
+  const ipAddress = clientIp(req);
+
+  const history = await db.query(
+    `SELECT
+       COUNT(*) > 0 AS has_history,
+       COALESCE(BOOL_OR(device_hash = $2), FALSE) AS known_device,
+       COALESCE(BOOL_OR(country = $3), FALSE) AS known_country
+     FROM login_events
+     WHERE user_id = $1 AND success = TRUE`,
+    [user.id, hash, country],
+  );
+  const { has_history, known_device, known_country } = history.rows[0];
+
+  // The very first login has nothing to compare against
+  const newDevice = has_history && Boolean(hash) && !known_device;
+  const newCountry = has_history && Boolean(country) && !known_country;
+
+  await db.query(
+    `INSERT INTO login_events (user_id, success, ip_address, user_agent, device_hash, country, new_device, new_country)
+     VALUES ($1, TRUE, $2, $3, $4, $5, $6, $7)`,
+    [user.id, ipAddress, userAgent, hash, country, newDevice, newCountry],
+  );
+  await clearLoginLockout(user.id);
+
+  if (newDevice || newCountry) {
+    sendNewLoginAlert(user, {
+      device: describeDevice(userAgent),
+      country,
+      ipAddress,
+      newDevice,
+      newCountry,
+      at: new Date(),
+    }).catch(() => {});
+  }
+};
+
+/** Lift a lockout early (password reset, admin unlock). */
+export const clearLoginLockout = async (userId) => {
+  await db.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1`,
+    [userId],
+  );
+};
+
+export const listLoginEvents = async (userId, { limit = 50, offset = 0 }) => {
+  const result = await db.query(
+    `SELECT id, success, failure_reason, ip_address, user_agent, country,
+            new_device, new_country, created_at
+     FROM login_events
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset],
+  );
+  return result.rows.map((event) => ({
+    ...event,
+    device: describeDevice(event.user_agent),
+  }));
+};
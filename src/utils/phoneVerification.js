@@ -0,0 +1,223 @@
+/**
+ * phoneVerification.js
+ * SMS one-time-code verification for the phone numbers on an account.
+ *
+ * Two numbers can be verified per user:
+ *  - "account" → users.phone       (flag: users.phone_verified_at)
+ *  - "momo"    → users.momo_phone  (flag: users.momo_phone_verified_at)
+ *
+ * Confirming a code writes the number to its column and stamps the flag.
+ * Anything that later overwrites the number without a code must clear the
+ * flag (see the profile update in users.js and the wallet routes).
+ *
+ * Codes are 6 digits, valid for 10 minutes, 5 guesses each, and only their
+ * HMAC is stored.
+ */
+
+import crypto from "crypto";
+import db from "../db.js";
+import { sendSms } from "../services/sms.js";
+
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+
+export const PHONE_TARGETS = {
+  account: { column: "phone", flag: "phone_verified_at" },
+  momo: { column: "momo_phone", flag: "momo_phone_verified_at" },
+};
+
+/** Cameroonian number as 237XXXXXXXXX, or null if it isn't one. */
+export const normaliseCameroonPhone = (raw) => {
+  if (!raw) return null;
+  const digits = String(raw).replace(/\D/g, "");
+  const withPrefix = digits.startsWith("237") ? digits : "237" + digits;
+  return /^237[62]\d{8}$/.test(withPrefix) ? withPrefix : null;
+};
+
+const hashCode = (verificationId, code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "njimbong")
+    .update(`${verificationId}:${code}`)
+    .digest("hex");
+
+export class PhoneVerificationError extends Error {
+  constructor(message, status = 400, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Text a fresh code to `phone`. Returns { id, phone, expiresAt }.
+ * Throws PhoneVerificationError for rate limits and bad input.
+ */
+export const startPhoneVerification = async (userId, rawPhone, target) => {
+  if (!PHONE_TARGETS[target]) {
+    throw new PhoneVerificationError('target must be "account" or "momo"');
+  }
+  const phone = normaliseCameroonPhone(rawPhone);
+  if (!phone) {
+    throw new PhoneVerificationError(
+      "Enter a valid Cameroonian MTN or Orange number.",
+    );
+  }
+
+  const recent = await db.query(
+    `SELECT
+       COUNT(*) AS sent_last_hour,
+       EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) AS seconds_since_last
+     FROM phone_verifications
+     WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [userId],
+  );
+  const { sent_last_hour, seconds_since_last } = recent.rows[0];
+  if (
+    seconds_since_last !== null &&
+    Number(seconds_since_last) < RESEND_COOLDOWN_SECONDS
+  ) {
+    const wait = Math.ceil(RESEND_COOLDOWN_SECONDS - seconds_since_last);
+    throw new PhoneVerificationError(
+      `Please wait ${wait} second${wait !== 1 ? "s" : ""} before requesting another code.`,
+      429,
+      { retryAfter: wait },
+    );
+  }
+  if (Number(sent_last_hour) >= MAX_SENDS_PER_HOUR) {
+    throw new PhoneVerificationError(
+      "Too many codes requested. Please try again in an hour.",
+      429,
+    );
+  }
+
+  // Only the newest code for a target is valid
+  await db.query(
+    `UPDATE phone_verifications SET expires_at = NOW()
+     WHERE user_id = $1 AND target = $2 AND verified_at IS NULL AND expires_at > NOW()`,
+    [userId, target],
+  );
+
+  const inserted = await db.query(
+    `INSERT INTO phone_verifications (user_id, phone, target, code_hash, expires_at)
+     VALUES ($1, $2, $3, '', NOW() + ($4 || ' minutes')::interval)
+     RETURNING id, expires_at`,
+    [userId, phone, target, String(CODE_TTL_MINUTES)],
+  );
+  const { id, expires_at } = inserted.rows[0];
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  await db.query(
+    "UPDATE phone_verifications SET code_hash = $2 WHERE id = $1",
+    [id, hashCode(id, code)],
+  );
+
+  try {
+    await sendSms(
+      phone,
+      `Your Njimbong verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Never share it with anyone.`,
+    );
+  } catch {
+    // Don't count an undelivered code against the resend cooldown
+    await db.query("DELETE FROM phone_verifications WHERE id = $1", [id]);
+    throw new PhoneVerificationError(
+      "We couldn't send the SMS. Please try again shortly.",
+      502,
+    );
+  }
+
+  return { id, phone, expiresAt: expires_at };
+};
+
+/**
+ * Check a code. On success the number is saved on the account and flagged
+ * as verified; returns { phone, target, verifiedAt }.
+ */
+export const confirmPhoneVerification = async (
+  userId,
+  verificationId,
+  code,
+) => {
+  const normalizedCode = String(code || "").replace(/\s/g, "");
+
+  // Count the guess up front so parallel requests can't exceed the limit
+  const result = await db.query(
+    `UPDATE phone_verifications
+     SET attempts = attempts + 1
+     WHERE id = $1 AND user_id = $2
+       AND verified_at IS NULL
+       AND expires_at > NOW()
+       AND attempts < $3
+     RETURNING id, phone, target, code_hash`,
+    [verificationId, userId, MAX_ATTEMPTS],
+  );
+  const row = result.rows[0];
+  if (!row) {
+    throw new PhoneVerificationError(
+      "This code is no longer valid. Please request a new one.",
+      410,
+    );
+  }
+
+  const expected = Buffer.from(row.code_hash, "hex");
+  const actual = Buffer.from(hashCode(row.id, normalizedCode), "hex");
+  if (
+    !/^\d{6}$/.test(normalizedCode) ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new PhoneVerificationError("Incorrect code.", 400);
+  }
+
+  const { column, flag } = PHONE_TARGETS[row.target];
+  const verified = await db.query(
+    `UPDATE phone_verifications SET verified_at = NOW() WHERE id = $1
+     RETURNING verified_at`,
+    [row.id],
+  );
+  await db.query(
+    `UPDATE users SET ${column} = $2, ${flag} = NOW() WHERE id = $1`,
+    [userId, row.phone],
+  );
+
+  return {
+    phone: row.phone,
+    target: row.target,
+    verifiedAt: verified.rows[0].verified_at,
+  };
+};
+
+export const getPhoneVerificationStatus = async (userId) => {
+  const result = await db.query(
+    `SELECT phone, phone_verified_at, momo_phone, momo_phone_verified_at
+     FROM users WHERE id = $1`,
+    [userId],
+  );
+  const user = result.rows[0];
+  if (!user) return null;
+  return {
+    account: {
+      phone: user.phone || null,
+      verifiedAt: user.phone_verified_at,
+    },
+    momo: {
+      phone: user.momo_phone || null,
+      verifiedAt: user.momo_phone_verified_at,
+    },
+  };
+};
+
+/** True when `phone` is one of the user's verified numbers. */
+export const isVerifiedPhone = async (userId, rawPhone) => {
+  const phone = normaliseCameroonPhone(rawPhone);
+  if (!phone) return false;
+  const result = await db.query(
+    `SELECT 1 FROM users
+     WHERE id = $1
+       AND ((momo_phone = $2 AND momo_phone_verified_at IS NOT NULL)
+         OR (phone_verified_at IS NOT NULL
+             AND regexp_replace(phone, '\\D', '', 'g') IN ($2, substr($2, 4))))`,
+    [userId, phone],
+  );
+  return result.rowCount > 0;
+};
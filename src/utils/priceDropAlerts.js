@@ -0,0 +1,57 @@
+/**
+ * priceDropAlerts.js
+ * Push and email alerts to users who wishlisted a listing whose price went
+ * down (wishlist_items with notify_price_drop on).
+ *
+ * Sent when a price cut goes live: straight away for listings that stay on
+ * the marketplace, or when a moderator approves the revision for a listing
+ * that went back to review.
+ */
+
+import db from "../db.js";
+import { sendPriceDropAlert } from "./email.js";
+import {
+  buildNotificationPayload,
+  sendPushToUser,
+} from "./pushNotifications.js";
+
+/**
+ * Alerts everyone but the seller who wishlisted the listing. Does nothing
+ * unless the price actually dropped; failures are logged, never thrown.
+ * @param {{ id: number, userid: number, title: string, currency: string }} listing
+ */
+export const notifyPriceDrop = async (listing, oldPrice, newPrice) => {
+  if (!(Number(newPrice) < Number(oldPrice))) return;
+
+  try {
+    const wishlistRes = await db.query(
+      `SELECT wi.user_id AS userid, u.name, u.email
+       FROM wishlist_items wi
+       JOIN users u ON u.id = wi.user_id
+       WHERE wi.listing_id = $1
+         AND wi.user_id != $2
+         AND wi.notify_price_drop`,
+      [listing.id, listing.userid],
+    );
+    for (const user of wishlistRes.rows) {
+      sendPushToUser(
+        user.userid,
+        buildNotificationPayload({
+          title: "Price drop on your wishlist",
+          body: `"${listing.title}" dropped from ${Number(oldPrice).toLocaleString()} to ${Number(newPrice).toLocaleString()} ${listing.currency}`,
+          type: "price_drop",
+          relatedId: listing.id,
+          relatedType: "listing",
+        }),
+      );
+      sendPriceDropAlert(
+        user,
+        { id: listing.id, title: listing.title, currency: listing.currency },
+        oldPrice,
+        newPrice,
+      );
+    }
+  } catch (alertErr) {
+    console.warn("[Listings] Price drop alert error:", alertErr.message);
+  }
+};
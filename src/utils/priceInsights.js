@@ -0,0 +1,109 @@
+/**
+ * priceInsights.js
+ * Listing price history and "typical price" ranges for buyers.
+ *
+ * Every price a listing has had is stored in listing_price_history by a
+ * trigger on userlistings (migration 022), whichever route changed it.
+ *
+ * The typical price for a category is the middle half (25th–75th percentile)
+ * of prices in that category and its subcategories, in the same currency,
+ * over live listings and listings sold in the last SOLD_LOOKBACK_DAYS. It is
+ * narrowed to the city when the city alone has MIN_SAMPLE_SIZE listings;
+ * otherwise the whole category is used. Too few listings means no range.
+ */
+
+import db from "../db.js";
+import { inCategorySql } from "./categoryTree.js";
+
+export const MIN_SAMPLE_SIZE = 5;
+export const SOLD_LOOKBACK_DAYS = 180;
+
+/** The listing's prices, oldest first. */
+export const getPriceHistory = async (listingId) => {
+  const result = await db.query(
+    `SELECT price::float8 AS price, currency, changed_at
+     FROM listing_price_history
+     WHERE listing_id = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [listingId],
+  );
+  return result.rows;
+};
+
+const marketRange = async ({
+  categoryId,
+  currency,
+  city,
+  excludeListingId,
+}) => {
+  const params = [categoryId, currency, excludeListingId || 0];
+  let cityCondition = "";
+  if (city) {
+    params.push(city.trim());
+    cityCondition = `AND LOWER(TRIM(l.city)) = LOWER($${params.length})`;
+  }
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS sample_size,
+            percentile_cont(0.25) WITHIN GROUP (ORDER BY l.price) AS low,
+            percentile_cont(0.5)  WITHIN GROUP (ORDER BY l.price) AS median,
+            percentile_cont(0.75) WITHIN GROUP (ORDER BY l.price) AS high
+     FROM userlistings l
+     WHERE ${inCategorySql("l.categoryid", "$1")}
+       AND l.currency = $2
+       AND l.id <> $3
+       AND l.price > 0
+       AND l.moderation_status = 'approved'
+       AND (l.is_draft IS NULL OR l.is_draft = FALSE)
+       AND (
+         l.status = 'Available'
+         OR (l.status = 'Sold'
+             AND l.updatedat > NOW() - INTERVAL '${SOLD_LOOKBACK_DAYS} days')
+       )
+       ${cityCondition}`,
+    params,
+  );
+  return result.rows[0];
+};
+
+/**
+ * Typical price range for a category (and city, when there is enough data),
+ * or null. `excludeListingId` leaves a listing out of its own comparison.
+ * @returns {{ low, median, high, sample_size, currency, scope, city }}
+ */
+export const getMarketPrice = async ({
+  categoryId,
+  currency,
+  city,
+  excludeListingId,
+}) => {
+  if (!categoryId || !currency) return null;
+
+  let scope = "city";
+  let range = city
+    ? await marketRange({ categoryId, currency, city, excludeListingId })
+    : null;
+  if (!range || range.sample_size < MIN_SAMPLE_SIZE) {
+    scope = "category";
+    range = await marketRange({ categoryId, currency, excludeListingId });
+  }
+  if (range.sample_size < MIN_SAMPLE_SIZE) return null;
+
+  const round = (value) => Math.round(Number(value) * 100) / 100;
+  return {
+    low: round(range.low),
+    median: round(range.median),
+    high: round(range.high),
+    sample_size: range.sample_size,
+    currency,
+    scope,
+    city: scope === "city" ? city : null,
+  };
+};
+
+/** Where a price sits against a market range: "below", "within" or "above". */
+export const pricePosition = (price, range) => {
+  const value = Number(price);
+  if (value < range.low) return "below";
+  if (value > range.high) return "above";
+  return "within";
+};
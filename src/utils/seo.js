@@ -0,0 +1,416 @@
+/**
+ * seo.js
+ * Sitemaps, RSS/Atom feeds and link-preview metadata for search engines
+ * and apps that unfurl shared links (WhatsApp, Facebook, X).
+ *
+ * Everything here points at pages on the frontend (FRONTEND_URL); the page
+ * paths live in `sitePaths` so a frontend route change is one edit. A
+ * listing's summary is the seller's saved AI SEO description
+ * (userlistings.seo_description, from POST /api/ai/seo-description) when
+ * there is one, else its own description. Changing the title or description
+ * clears the saved one.
+ */
+
+import db from "../db.js";
+import { inCategorySql } from "./categoryTree.js";
+
+export const SITE_URL =
+  process.env.FRONTEND_URL?.split(",")[0].trim() || "https://njimbong.com";
+export const SITE_NAME = "Njimbong";
+
+export const SITEMAP_PAGE_SIZE = 5000;
+export const FEED_SIZE = 50;
+const SUMMARY_LENGTH = 200;
+
+export const sitePaths = {
+  home: () => "/",
+  market: () => "/market",
+  listing: (id) => `/listing/${id}`,
+  category: (id) => `/market?category=${id}`,
+  city: (city) => `/market?city=${encodeURIComponent(city)}`,
+  profile: (id) => `/profile/${id}`,
+  request: (id) => `/requests/${id}`,
+};
+
+export const siteUrl = (path) => `${SITE_URL}${path}`;
+
+export const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/** Plain-text summary of a listing, cut at a word boundary. */
+export const listingSummary = (listing, maxLength = SUMMARY_LENGTH) => {
+  const text = String(listing.seo_description || listing.description || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/[*_#`>]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : cut.length)}…`;
+};
+
+export const formatPrice = (price, currency) =>
+  `${Number(price).toLocaleString("en-US")} ${currency || "XAF"}`;
+
+// Listings anyone can see: approved, published and not expired or removed
+export const publicListingSql = (alias = "l") =>
+  `${alias}.moderation_status = 'approved'
+   AND (${alias}.is_draft IS NULL OR ${alias}.is_draft = FALSE)
+   AND ${alias}.status = 'Available'`;
+
+const mainImageSql = (alias) =>
+  `(SELECT i.imageurl FROM imagelistings i
+    WHERE i.listingid = ${alias}.id
+    ORDER BY i.is_main DESC, i.id ASC LIMIT 1)`;
+
+// ─── Sitemap ──────────────────────────────────────────────────────────────────
+
+// The buyer_requests table is created by its route module on first use, so a
+// fresh database may not have it yet — that just means no requests.
+const safeQuery = async (text, params) => {
+  try {
+    return await db.query(text, params);
+  } catch (error) {
+    if (error.code === "42P01") return { rows: [] };
+    throw error;
+  }
+};
+
+const publicProfileSql = `
+  u.deleted_at IS NULL
+  AND (u.is_suspended IS NULL OR u.is_suspended = FALSE)
+  AND EXISTS (
+    SELECT 1 FROM userlistings l WHERE l.userid = u.id AND ${publicListingSql("l")}
+  )`;
+
+const openRequestSql = `
+  r.status IN ('open', 'in_progress')
+  AND r.expires_at > NOW()
+  AND r.moderation_status = 'approved'`;
+
+/**
+ * Each sitemap section returns one page of URLs as { loc, lastmod }. Sections
+ * with a `count` can outgrow one file and are split into pages of
+ * SITEMAP_PAGE_SIZE URLs; the others always fit in one.
+ */
+export const SITEMAP_SECTIONS = {
+  static: {
+    page: async () => [
+      { loc: siteUrl(sitePaths.home()) },
+      { loc: siteUrl(sitePaths.market()) },
+    ],
+  },
+  categories: {
+    page: async () => {
+      const result = await db.query(
+        "SELECT id, createdat FROM categories ORDER BY id",
+      );
+      return result.rows.map((row) => ({
+        loc: siteUrl(sitePaths.category(row.id)),
+        lastmod: row.createdat,
+      }));
+    },
+  },
+  listings: {
+    count: async () => {
+      const result = await db.query(
+        `SELECT COUNT(*)::int AS count FROM userlistings l WHERE ${publicListingSql("l")}`,
+      );
+      return result.rows[0].count;
+    },
+    page: async (offset) => {
+      const result = await db.query(
+        `SELECT l.id, COALESCE(l.updatedat, l.createdat) AS lastmod
+         FROM userlistings l
+         WHERE ${publicListingSql("l")}
+         ORDER BY l.id
+         LIMIT $1 OFFSET $2`,
+        [SITEMAP_PAGE_SIZE, offset],
+      );
+      return result.rows.map((row) => ({
+        loc: siteUrl(sitePaths.listing(row.id)),
+        lastmod: row.lastmod,
+      }));
+    },
+  },
+  profiles: {
+    count: async () => {
+      const result = await db.query(
+        `SELECT COUNT(*)::int AS count FROM users u WHERE ${publicProfileSql}`,
+      );
+      return result.rows[0].count;
+    },
+    page: async (offset) => {
+      const result = await db.query(
+        `SELECT u.id FROM users u
+         WHERE ${publicProfileSql}
+         ORDER BY u.id
+         LIMIT $1 OFFSET $2`,
+        [SITEMAP_PAGE_SIZE, offset],
+      );
+      return result.rows.map((row) => ({
+        loc: siteUrl(sitePaths.profile(row.id)),
+      }));
+    },
+  },
+  requests: {
+    count: async () => {
+      const result = await safeQuery(
+        `SELECT COUNT(*)::int AS count FROM buyer_requests r WHERE ${openRequestSql}`,
+      );
+      return result.rows[0]?.count || 0;
+    },
+    page: async (offset) => {
+      const result = await safeQuery(
+        `SELECT r.id, r.created_at FROM buyer_requests r
+         WHERE ${openRequestSql}
+         ORDER BY r.id
+         LIMIT $1 OFFSET $2`,
+        [SITEMAP_PAGE_SIZE, offset],
+      );
+      return result.rows.map((row) => ({
+        loc: siteUrl(sitePaths.request(row.id)),
+        lastmod: row.created_at,
+      }));
+    },
+  },
+};
+
+/** Number of sitemap pages in a section (at least one). */
+export const sitemapPageCount = async (section) => {
+  const { count } = SITEMAP_SECTIONS[section];
+  if (!count) return 1;
+  return Math.max(1, Math.ceil((await count()) / SITEMAP_PAGE_SIZE));
+};
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+/** <sitemapindex> for the given sitemap URLs. */
+export const sitemapIndexXml = (urls) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map((url) => `  <sitemap><loc>${escapeXml(url)}</loc></sitemap>`),
+    "</sitemapindex>",
+  ].join("\n");
+
+/** <urlset> for entries of { loc, lastmod }. */
+export const urlsetXml = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map(({ loc, lastmod }) => {
+      const date = isoDate(lastmod);
+      return `  <url><loc>${escapeXml(loc)}</loc>${date ? `<lastmod>${date}</lastmod>` : ""}</url>`;
+    }),
+    "</urlset>",
+  ].join("\n");
+
+// ─── Feeds ────────────────────────────────────────────────────────────────────
+
+/**
+ * Newest public listings in a category (and its subcategories) or a city,
+ * with their main image.
+ */
+export const getFeedListings = async ({ categoryId, city }) => {
+  const params = [];
+  let scope;
+  if (categoryId) {
+    params.push(categoryId);
+    scope = inCategorySql("l.categoryid", "$1");
+  } else {
+    params.push(city.trim());
+    scope = "LOWER(TRIM(l.city)) = LOWER($1)";
+  }
+  const result = await db.query(
+    `SELECT l.id, l.title, l.description, l.seo_description, l.price,
+            l.currency, l.city, l.createdat, l.updatedat,
+            c.name AS categoryname, ${mainImageSql("l")} AS image_url
+     FROM userlistings l
+     LEFT JOIN categories c ON c.id = l.categoryid
+     WHERE ${publicListingSql("l")} AND ${scope}
+     ORDER BY l.createdat DESC
+     LIMIT ${FEED_SIZE}`,
+    params,
+  );
+  return result.rows;
+};
+
+const feedItemText = (listing) =>
+  [
+    formatPrice(listing.price, listing.currency),
+    listing.city,
+    listingSummary(listing),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const imageMimeType = (url) =>
+  /\.png(\?|$)/i.test(url)
+    ? "image/png"
+    : /\.webp(\?|$)/i.test(url)
+      ? "image/webp"
+      : "image/jpeg";
+
+/** RSS 2.0 document. `feed` is { title, description, link, selfUrl }. */
+export const rssXml = (feed, listings) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "<channel>",
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <link>${escapeXml(feed.link)}</link>`,
+    `  <description>${escapeXml(feed.description)}</description>`,
+    `  <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    listings[0]
+      ? `  <lastBuildDate>${new Date(listings[0].createdat).toUTCString()}</lastBuildDate>`
+      : null,
+    ...listings.map((listing) => {
+      const link = siteUrl(sitePaths.listing(listing.id));
+      return [
+        "  <item>",
+        `    <title>${escapeXml(listing.title)}</title>`,
+        `    <link>${escapeXml(link)}</link>`,
+        `    <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+        `    <pubDate>${new Date(listing.createdat).toUTCString()}</pubDate>`,
+        listing.categoryname
+          ? `    <category>${escapeXml(listing.categoryname)}</category>`
+          : null,
+        `    <description>${escapeXml(feedItemText(listing))}</description>`,
+        listing.image_url
+          ? `    <enclosure url="${escapeXml(listing.image_url)}" type="${imageMimeType(listing.image_url)}" length="0"/>`
+          : null,
+        "  </item>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }),
+    "</channel>",
+    "</rss>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+/** Atom 1.0 document. `feed` is { title, description, link, selfUrl }. */
+export const atomXml = (feed, listings) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <updated>${new Date(listings[0]?.createdat || Date.now()).toISOString()}</updated>`,
+    `  <author><name>${SITE_NAME}</name></author>`,
+    ...listings.map((listing) => {
+      const link = siteUrl(sitePaths.listing(listing.id));
+      return [
+        "  <entry>",
+        `    <title>${escapeXml(listing.title)}</title>`,
+        `    <link href="${escapeXml(link)}"/>`,
+        `    <id>${escapeXml(link)}</id>`,
+        `    <published>${new Date(listing.createdat).toISOString()}</published>`,
+        `    <updated>${new Date(listing.updatedat || listing.createdat).toISOString()}</updated>`,
+        listing.categoryname
+          ? `    <category term="${escapeXml(listing.categoryname)}"/>`
+          : null,
+        `    <summary>${escapeXml(feedItemText(listing))}</summary>`,
+        listing.image_url
+          ? `    <link rel="enclosure" href="${escapeXml(listing.image_url)}" type="${imageMimeType(listing.image_url)}"/>`
+          : null,
+        "  </entry>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }),
+    "</feed>",
+  ].join("\n");
+
+// ─── Link previews ────────────────────────────────────────────────────────────
+
+/**
+ * Open Graph and Twitter card tags for a public listing, or null when the
+ * listing doesn't exist or isn't public.
+ */
+export const getListingPreview = async (listingId) => {
+  const result = await db.query(
+    `SELECT l.id, l.title, l.description, l.seo_description, l.price,
+            l.currency, l.city, l.status, c.name AS categoryname,
+            ${mainImageSql("l")} AS image_url
+     FROM userlistings l
+     LEFT JOIN categories c ON c.id = l.categoryid
+     WHERE l.id = $1
+       AND l.moderation_status = 'approved'
+       AND (l.is_draft IS NULL OR l.is_draft = FALSE)`,
+    [listingId],
+  );
+  const listing = result.rows[0];
+  if (!listing) return null;
+
+  const url = siteUrl(sitePaths.listing(listing.id));
+  const title = `${listing.title} — ${formatPrice(listing.price, listing.currency)}`;
+  const description =
+    [listing.city, listingSummary(listing)].filter(Boolean).join(" · ") ||
+    `${listing.title} on ${SITE_NAME}`;
+  const availability = listing.status === "Available" ? "instock" : "oos";
+
+  const tags = [
+    { property: "og:type", content: "product" },
+    { property: "og:site_name", content: SITE_NAME },
+    { property: "og:url", content: url },
+    { property: "og:title", content: title },
+    { property: "og:description", content: description },
+    listing.image_url && { property: "og:image", content: listing.image_url },
+    listing.image_url && { property: "og:image:alt", content: listing.title },
+    {
+      property: "product:price:amount",
+      content: String(Number(listing.price)),
+    },
+    { property: "product:price:currency", content: listing.currency || "XAF" },
+    { property: "product:availability", content: availability },
+    {
+      name: "twitter:card",
+      content: listing.image_url ? "summary_large_image" : "summary",
+    },
+    { name: "twitter:title", content: title },
+    { name: "twitter:description", content: description },
+    listing.image_url && { name: "twitter:image", content: listing.image_url },
+  ].filter(Boolean);
+
+  return { url, title, description, image: listing.image_url, tags };
+};
+
+/**
+ * A minimal HTML page carrying the preview tags, for crawlers that don't run
+ * JavaScript. People who open it are sent on to the listing page.
+ */
+export const previewHtml = (preview) => {
+  const attr = escapeXml;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${attr(preview.title)}</title>
+<meta name="description" content="${attr(preview.description)}">
+<link rel="canonical" href="${attr(preview.url)}">
+${preview.tags
+  .map((tag) =>
+    tag.property
+      ? `<meta property="${attr(tag.property)}" content="${attr(tag.content)}">`
+      : `<meta name="${attr(tag.name)}" content="${attr(tag.content)}">`,
+  )
+  .join("\n")}
+<meta http-equiv="refresh" content="0; url=${attr(preview.url)}">
+</head>
+<body>
+<p><a href="${attr(preview.url)}">${attr(preview.title)}</a></p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,247 @@
+/**
+ * sessions.js
+ * Server-side login sessions for Njimbong users.
+ *
+ * Every login creates a row in user_sessions and hands the client two tokens:
+ *  - a short-lived JWT access token (authToken cookie / Bearer header) that
+ *    carries the session id as `sid`
+ *  - an opaque refresh token (refreshToken cookie, scoped to /auth) whose
+ *    SHA-256 hash is stored on the session row
+ *
+ * Refresh tokens rotate on every use. Presenting a refresh token that has
+ * already been rotated out means it was copied, so the whole session is revoked.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(
+  process.env.ACCESS_TOKEN_TTL_MINUTES || 15,
+);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// last_seen_at is only written when it is older than this, so a busy client
+// doesn't turn every authenticated request into an UPDATE.
+const LAST_SEEN_THROTTLE_MINUTES = 5;
+
+const REFRESH_COOKIE_PATH = "/auth";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+export const clientIp = (req) =>
+  (req.ip || "").replace(/^::ffff:/, "").slice(0, 64);
+
+export const clientUserAgent = (req) =>
+  (req.headers["user-agent"] || "").slice(0, 500) || null;
+
+export const getCookieOptions = () => {
+  const isProd = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: isProd,
+    sameSite: isProd ? "none" : "lax",
+    path: "/",
+    ...(process.env.COOKIE_DOMAIN ? { domain: process.env.COOKIE_DOMAIN } : {}),
+  };
+};
+
+export const signAccessToken = (user, sessionId, mfaVerified = false) =>
+  jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      sid: sessionId,
+      ...(mfaVerified ? { mfa: true } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` },
+  );
+
+export const setAccessTokenCookie = (res, accessToken) => {
+  res.cookie("authToken", accessToken, {
+    ...getCookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+  });
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const cookieOptions = getCookieOptions();
+  setAccessTokenCookie(res, accessToken);
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  const cookieOptions = getCookieOptions();
+  res.clearCookie("authToken", cookieOptions);
+  res.clearCookie("refreshToken", {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Open a new session for a user who just proved their credentials.
+ * Pass mfaVerified when the login also passed a second factor.
+ */
+export const createSession = async (
+  user,
+  req,
+  { mfaVerified = false } = {},
+) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+  const result = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, mfa_verified)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      clientUserAgent(req),
+      clientIp(req),
+      expiresAt,
+      mfaVerified,
+    ],
+  );
+  const sessionId = result.rows[0].id;
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId, mfaVerified),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns null when the token is unknown, expired or revoked.
+ */
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+  const tokenHash = hashToken(refreshToken);
+
+  // A token that was already rotated out is being replayed — kill the session.
+  const replayed = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [tokenHash],
+  );
+  if (replayed.rowCount > 0) {
+    console.warn(
+      `[Sessions] Refresh token reuse detected: session=${replayed.rows[0].id} user=${replayed.rows[0].user_id}`,
+    );
+    return null;
+  }
+
+  const nextToken = generateRefreshToken();
+  const result = await db.query(
+    `UPDATE user_sessions s
+     SET previous_token_hash = s.refresh_token_hash,
+         refresh_token_hash = $2,
+         user_agent = COALESCE($3, s.user_agent),
+         ip_address = $4,
+         last_seen_at = NOW()
+     FROM users u
+     WHERE s.refresh_token_hash = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.id = s.user_id
+     RETURNING s.id, s.mfa_verified, u.id AS user_id, u.email`,
+    [tokenHash, hashToken(nextToken), clientUserAgent(req), clientIp(req)],
+  );
+  if (result.rowCount === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    sessionId: row.id,
+    userId: row.user_id,
+    accessToken: signAccessToken(
+      { id: row.user_id, email: row.email },
+      row.id,
+      row.mfa_verified,
+    ),
+    refreshToken: nextToken,
+  };
+};
+
+/** Record that a session has passed a second factor (e.g. right after 2FA enrolment). */
+export const markSessionMfaVerified = async (sessionId) => {
+  await db.query(`UPDATE user_sessions SET mfa_verified = TRUE WHERE id = $1`, [
+    sessionId,
+  ]);
+};
+
+/** Revoke the session that owns a refresh token (used by logout). */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") return;
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+    [hashToken(refreshToken)],
+  );
+};
+
+export const revokeSession = async (userId, sessionId) => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId],
+  );
+  return result.rowCount > 0;
+};
+
+/** Revoke every open session of a user, optionally keeping one alive. */
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::int IS NULL OR id <> $2::int)`,
+    [userId, exceptSessionId],
+  );
+  return result.rowCount;
+};
+
+export const listActiveSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, mfa_verified, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId],
+  );
+  return result.rows;
+};
+
+/**
+ * True when the session behind an access token is still open.
+ * Also bumps last_seen_at (throttled) so the device list stays current.
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  const result = await db.query(
+    `SELECT id, last_seen_at < NOW() - ($3 || ' minutes')::interval AS stale
+     FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId, String(LAST_SEEN_THROTTLE_MINUTES)],
+  );
+  if (result.rowCount === 0) return false;
+
+  if (result.rows[0].stale) {
+    db.query(`UPDATE user_sessions SET last_seen_at = NOW() WHERE id = $1`, [
+      sessionId,
+    ]).catch(() => {});
+  }
+  return true;
+};
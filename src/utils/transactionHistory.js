@@ -0,0 +1,95 @@
+/**
+ * transactionHistory.js
+ * One money history per user: wallet deposits/withdrawals plus the orders
+ * they bought or sold. Used by the transactions routes and the data export.
+ */
+
+import db from "../db.js";
+
+// ─── Unified transaction query ────────────────────────────────────────────────
+export async function fetchTransactions(userId) {
+  const { rows } = await db.query(
+    `
+    /* ── Wallet: deposits & withdrawals ── */
+    SELECT
+      'wt_' || wt.id      AS id,
+      'wallet'            AS source,
+      wt.type             AS type,
+      CASE wt.type WHEN 'deposit' THEN 'in' ELSE 'out' END AS direction,
+      wt.amount,
+      'XAF'               AS currency,
+      wt.status,
+      wt.description,
+      NULL::TEXT          AS counterparty,
+      NULL::TEXT          AS listing_title,
+      wt.reference,
+      NULL::TEXT          AS order_reference,
+      NULL::INTEGER       AS order_id,
+      wt.created_at,
+      wt.updated_at
+    FROM wallet_transactions wt
+    WHERE wt.user_id = $1
+
+    UNION ALL
+
+    /* ── Orders: buyer perspective ── */
+    SELECT
+      'buy_' || o.id      AS id,
+      'order'             AS source,
+      CASE
+        WHEN o.fonlok_status = 'refunded' THEN 'refund'
+        WHEN o.fonlok_status = 'disputed' THEN 'dispute'
+        ELSE 'purchase'
+      END                 AS type,
+      CASE WHEN o.fonlok_status = 'refunded' THEN 'in' ELSE 'out' END AS direction,
+      o.amount,
+      o.currency,
+      o.fonlok_status     AS status,
+      COALESCE(l.title, 'Order') AS description,
+      s.name              AS counterparty,
+      l.title             AS listing_title,
+      NULL::TEXT          AS reference,
+      o.order_reference,
+      o.id                AS order_id,
+      o.created_at,
+      o.updated_at
+    FROM orders o
+    LEFT JOIN userlistings l ON l.id = o.listing_id
+    LEFT JOIN users s ON s.id = o.seller_id
+    WHERE o.buyer_id = $1
+      AND o.fonlok_status NOT IN ('none', 'initiation_failed')
+
+    UNION ALL
+
+    /* ── Orders: seller perspective (pending + paid + released + disputed) ── */
+    SELECT
+      'sell_' || o.id     AS id,
+      'order'             AS source,
+      CASE
+        WHEN o.fonlok_status = 'disputed' THEN 'dispute'
+        ELSE 'sale'
+      END                 AS type,
+      CASE WHEN o.fonlok_status = 'released' THEN 'in' ELSE 'pending' END AS direction,
+      o.amount,
+      o.currency,
+      o.fonlok_status     AS status,
+      COALESCE(l.title, 'Order') AS description,
+      b.name              AS counterparty,
+      l.title             AS listing_title,
+      NULL::TEXT          AS reference,
+      o.order_reference,
+      o.id                AS order_id,
+      o.created_at,
+      o.updated_at
+    FROM orders o
+    LEFT JOIN userlistings l ON l.id = o.listing_id
+    LEFT JOIN users b ON b.id = o.buyer_id
+    WHERE o.seller_id = $1
+      AND o.fonlok_status NOT IN ('none', 'initiation_failed')
+
+    ORDER BY created_at DESC
+    `,
+    [userId],
+  );
+  return rows;
+}
@@ -0,0 +1,237 @@
+/**
+ * twoFactor.js
+ * TOTP (RFC 6238) two-factor authentication helpers.
+ *
+ * Secrets are 20 random bytes, base32-encoded so any authenticator app
+ * (Google Authenticator, Authy, 1Password…) can import them from the
+ * otpauth:// provisioning URI. Codes are 6 digits on a 30-second step and
+ * we accept one step of clock drift either side.
+ *
+ * Recovery codes and login challenge tokens are only ever stored as SHA-256
+ * hashes — the plaintext is shown to the user once.
+ */
+
+import crypto from "crypto";
+import db from "../db.js";
+
+const ISSUER = "Njimbong";
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input)
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, "0");
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a 6-digit code against a secret.
+ * Returns the matched time step (use it to block replays) or null.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  if (!secret || typeof code !== "string") return null;
+  const normalized = code.replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) continue;
+    const expected = codeForStep(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// ─── Per-user 2FA state ───────────────────────────────────────────────────────
+
+export const getTwoFactorState = async (userId) => {
+  const result = await db.query(
+    `SELECT user_id, secret, pending_secret, enabled_at, last_used_step
+     FROM user_two_factor WHERE user_id = $1`,
+    [userId],
+  );
+  return result.rows[0] || null;
+};
+
+export const isTwoFactorEnabled = async (userId) => {
+  const state = await getTwoFactorState(userId);
+  return Boolean(state?.enabled_at && state.secret);
+};
+
+/**
+ * Verify a TOTP code (or, failing that, an unused recovery code) for a user
+ * with 2FA enabled. Consumes whatever it matched.
+ */
+export const verifyUserSecondFactor = async (
+  userId,
+  { code, recoveryCode },
+) => {
+  const state = await getTwoFactorState(userId);
+  if (!state?.enabled_at || !state.secret) return false;
+
+  if (code) {
+    const step = verifyTotp(state.secret, String(code), state.last_used_step);
+    if (step === null) return false;
+    const updated = await db.query(
+      `UPDATE user_two_factor SET last_used_step = $2, updated_at = NOW()
+       WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+      [userId, step],
+    );
+    return updated.rowCount > 0;
+  }
+
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/\s/g, "");
+    const used = await db.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, sha256(normalized)],
+    );
+    return used.rowCount > 0;
+  }
+
+  return false;
+};
+
+/** Replace a user's recovery codes. Returns the plaintext codes (show once). */
+export const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [
+    userId,
+  ]);
+  for (const code of codes) {
+    await db.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+      [userId, sha256(code)],
+    );
+  }
+  return codes;
+};
+
+export const countRemainingRecoveryCodes = async (userId) => {
+  const result = await db.query(
+    `SELECT COUNT(*) FROM two_factor_recovery_codes
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId],
+  );
+  return parseInt(result.rows[0].count, 10);
+};
+
+// ─── Login challenges ─────────────────────────────────────────────────────────
+// Issued by /auth/login after the password checks out for a 2FA user; the
+// client trades it (plus a code) for a session at /auth/login/2fa.
+
+export const createLoginChallenge = async (userId) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+  await db.query(
+    `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)`,
+    [userId, sha256(token), expiresAt],
+  );
+  return token;
+};
+
+/**
+ * Look up a live challenge and count the attempt against it.
+ * Returns { id, user_id } or null when it is unknown, used, expired or
+ * has run out of attempts.
+ */
+export const consumeChallengeAttempt = async (token) => {
+  if (!token || typeof token !== "string" || token.length !== 64) return null;
+  const result = await db.query(
+    `UPDATE two_factor_challenges
+     SET attempts = attempts + 1
+     WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > NOW()
+       AND attempts < $2
+     RETURNING id, user_id`,
+    [sha256(token), CHALLENGE_MAX_ATTEMPTS],
+  );
+  return result.rows[0] || null;
+};
+
+export const completeChallenge = async (challengeId) => {
+  await db.query(
+    `UPDATE two_factor_challenges SET used_at = NOW() WHERE id = $1`,
+    [challengeId],
+  );
+};